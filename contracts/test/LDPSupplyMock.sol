@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+/**
+ * @dev Minimal stand-in for the NFT contract, exposing only what the minter
+ * uses. The supply can be set freely, so that the minter can be tested at
+ * any supply without minting every token.
+ */
+contract LDPSupplyMock {
+    uint256 public constant MAX_SUPPLY = 10000;
+    uint256 public totalSupply;
+
+    function mint_Qgo(address, uint256 amount) external {
+        totalSupply += amount;
+    }
+
+    function setTotalSupply(uint256 supply) external {
+        totalSupply = supply;
+    }
+}
@@ -1,3 +1,5 @@
+const { recordTruffleDeployment } = require("../scripts/lib/deployments.js");
+const { assertConstants } = require("../scripts/lib/constantAudit.js");
 const MAINNET_LuckyDuckPack = artifacts.require("LuckyDuckPack");
 const MAINNET_LDPMinter = artifacts.require("LDPMinter");
 const MAINNET_LDPRewarder = artifacts.require("LDPRewarder");
@@ -32,13 +34,19 @@ module.exports = async (deployer, network) => {
 
     if(network !=  "test") {
 
+      // Refuse to deploy contracts hardcoding another network's addresses
+      await assertConstants([LuckyDuckPack, LDPRewarder, LDPMinter], network, web3);
+
       await deployer.deploy(LuckyDuckPack);
       let NFTcontract = await LuckyDuckPack.deployed();
+      await recordTruffleDeployment(web3, network, LuckyDuckPack, []);
 
       await deployer.deploy(LDPRewarder, NFTcontract.address, creatorAddress);
       let rewarderContract = await LDPRewarder.deployed();
+      await recordTruffleDeployment(web3, network, LDPRewarder, [NFTcontract.address, creatorAddress]);
 
       await deployer.deploy(LDPMinter, NFTcontract.address, rewarderContract.address, payoutAddress);
+      await recordTruffleDeployment(web3, network, LDPMinter, [NFTcontract.address, rewarderContract.address, payoutAddress]);
     }
 
   }
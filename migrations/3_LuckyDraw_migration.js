@@ -1,3 +1,5 @@
+const { recordTruffleDeployment } = require("../scripts/lib/deployments.js");
+const { assertConstants } = require("../scripts/lib/constantAudit.js");
 const MAINNET_LDPLuckyDraw = artifacts.require("LDPLuckyDraw");
 const TESTNET_LDPLuckyDraw = artifacts.require("LDPLuckyDraw_TESTNET");
 
@@ -12,8 +14,11 @@ else {
   LDPLuckyDraw = MAINNET_LDPLuckyDraw;
 }
 
-module.exports = function (deployer) {
+module.exports = async (deployer, network) => {
   if (DO_DEPLOY==1) {
-    deployer.deploy(LDPLuckyDraw);
+    // Refuse to deploy a contract hardcoding another network's addresses
+    await assertConstants([LDPLuckyDraw], network, web3);
+    await deployer.deploy(LDPLuckyDraw);
+    await recordTruffleDeployment(web3, network, LDPLuckyDraw, []);
   }
 };
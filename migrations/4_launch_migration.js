@@ -0,0 +1,185 @@
+const path = require("path");
+const {
+  ZERO_ADDRESS,
+  loadLaunchConfig,
+  initializeArguments,
+  resolveLinkSettings,
+  preflightChecks,
+  confirm,
+  readManifest,
+  writeManifest,
+} = require("../scripts/lib/launch.js");
+const { recordTruffleDeployment } = require("../scripts/lib/deployments.js");
+const { assertConstants } = require("../scripts/lib/constantAudit.js");
+const { loadArtifact } = require("../scripts/lib/artifacts.js");
+
+const CONTRACTS = {
+  mainnet: {
+    LuckyDuckPack: artifacts.require("LuckyDuckPack"),
+    LDPRewarder: artifacts.require("LDPRewarder"),
+    LDPMinter: artifacts.require("LDPMinter"),
+  },
+  testnet: {
+    LuckyDuckPack: artifacts.require("LuckyDuckPack_TESTNET"),
+    LDPRewarder: artifacts.require("LDPRewarder_TESTNET"),
+    LDPMinter: artifacts.require("LDPMinter_TESTNET"),
+  },
+};
+const LinkToken = artifacts.require("LinkToken");
+
+// Path of the launch config (JSON or YAML): the launch is skipped if not set.
+// See scripts/config/launch.example.json and scripts/lib/launch.js.
+const LAUNCH_CONFIG = process.env.LAUNCH_CONFIG;
+
+/**
+ * Staged launch: audit the constants hardcoded in the contracts against
+ * the network profile and the launch config, deploy (or reuse) the
+ * contracts, fund the NFT contract with LINK, run the pre-flight checks,
+ * initialize the NFT contract after an explicit confirmation (it renounces
+ * the ownership: any mistake is permanent), then start minting.
+ * Every address and transaction is recorded in the manifest
+ * (deployments/launch_<network>.json, or LAUNCH_MANIFEST), which is also
+ * used to resume an interrupted launch.
+ */
+module.exports = async (deployer, network, accounts) => {
+  if (!LAUNCH_CONFIG || network == "test") return;
+
+  const { config, warnings } = loadLaunchConfig(LAUNCH_CONFIG);
+  for (const warning of warnings) console.log("Warning: " + warning);
+  const { LuckyDuckPack, LDPRewarder, LDPMinter } = CONTRACTS[config.variant];
+  const from = accounts[0];
+  // Truffle simulates the migration on a fork before public networks:
+  // nothing is confirmed nor written during the simulation
+  const dryRun = network.endsWith("-fork");
+  const manifestPath =
+    process.env.LAUNCH_MANIFEST ||
+    path.join("deployments", "launch_" + network + ".json");
+  const manifest = readManifest(manifestPath, network);
+  const save = () => {
+    if (!dryRun) writeManifest(manifestPath, manifest);
+  };
+  manifest.chainId = await web3.eth.getChainId();
+  manifest.variant = config.variant;
+  manifest.deployer = from;
+  manifest.config = config;
+
+  // Stage 0: the hardcoded addresses must belong to the target network
+  const audit = await assertConstants([LuckyDuckPack, LDPRewarder, LDPMinter], network, web3);
+  manifest.steps.constantAudit = { profile: audit.profile, results: audit.results };
+  // The LINK token and fee are the ones hardcoded in the NFT contract
+  Object.assign(config, resolveLinkSettings(loadArtifact(LuckyDuckPack.contractName), config));
+
+  // Stage 1: contracts (reused if already in the manifest or deployed by
+  // a previous migration)
+  async function deployOrReuse(name, contract, args) {
+    const entry = manifest.contracts[name];
+    if (entry) {
+      console.log("Using " + name + " at " + entry.address);
+      return contract.at(entry.address);
+    }
+    let instance;
+    if (contract.isDeployed()) {
+      instance = await contract.deployed();
+      console.log("Using deployed " + name + " at " + instance.address);
+      args = undefined;
+    } else {
+      await deployer.deploy(contract, ...args);
+      instance = await contract.deployed();
+      await recordTruffleDeployment(web3, network, contract, args);
+    }
+    manifest.contracts[name] = {
+      contractName: contract.contractName,
+      address: instance.address,
+      transactionHash: contract.transactionHash,
+      constructorArguments: args,
+    };
+    save();
+    return instance;
+  }
+  const nft = await deployOrReuse("LuckyDuckPack", LuckyDuckPack, []);
+  const rewarder = await deployOrReuse("LDPRewarder", LDPRewarder, [
+    nft.address,
+    config.creatorAddress,
+  ]);
+  const minter = await deployOrReuse("LDPMinter", LDPMinter, [
+    nft.address,
+    rewarder.address,
+    config.payoutAddress,
+  ]);
+
+  const initialized =
+    (await nft.owner()) == ZERO_ADDRESS &&
+    (await nft.minterContract()) == minter.address;
+  if (!initialized) {
+    // Stage 2: LINK funding
+    const link = await LinkToken.at(config.linkToken);
+    const linkBalance = BigInt(String(await link.balanceOf(nft.address)));
+    const missing = BigInt(config.linkFeeWei) - linkBalance;
+    if (missing > 0n && config.fundLink) {
+      console.log("Funding the NFT contract with " + missing + " LINK wei");
+      const receipt = await link.transfer(nft.address, missing.toString(), { from });
+      manifest.steps.fundLink = {
+        transactionHash: receipt.tx,
+        blockNumber: receipt.receipt.blockNumber,
+        amount: missing.toString(),
+      };
+      save();
+    }
+
+    // Stage 3: pre-flight checks
+    const checks = await preflightChecks({ nft, minter, rewarder, link }, config, from);
+    for (const { check, ok, detail } of checks) {
+      console.log("  " + (ok ? "OK     " : "FAILED ") + check + " (" + detail + ")");
+    }
+    manifest.steps.preflight = { checks, date: new Date().toISOString() };
+    save();
+    if (checks.some((check) => !check.ok)) {
+      throw new Error("Pre-flight checks failed, the NFT contract has not been initialized");
+    }
+
+    // Stage 4: initialize (irreversible)
+    const args = initializeArguments(LuckyDuckPack.abi, {
+      minter: minter.address,
+      rewarder: rewarder.address,
+      unrevealedURI: config.unrevealedURI,
+      ipfsURI: config.ipfsURI,
+      arweaveURI: config.arweaveURI,
+    });
+    console.log("initialize(" + args.map((arg) => JSON.stringify(arg)).join(", ") + ")");
+    if (!dryRun) {
+      const confirmed = await confirm(
+        "initialize renounces the ownership of " + nft.address + " on " + network + ": this can't be undone.",
+        network
+      );
+      if (!confirmed) {
+        throw new Error("Launch not confirmed: stopped before initialize, run the migration again to resume");
+      }
+    }
+    const receipt = await nft.initialize(...args, { from });
+    manifest.steps.initialize = {
+      transactionHash: receipt.tx,
+      blockNumber: receipt.receipt.blockNumber,
+      arguments: args,
+    };
+    save();
+    if ((await nft.owner()) != ZERO_ADDRESS) {
+      throw new Error("The NFT contract still has an owner after initialize");
+    }
+  } else {
+    console.log("LuckyDuckPack already initialized");
+  }
+
+  // Stage 5: start minting
+  if (config.startMinting) {
+    if (String(await minter.mintingStartTime()) == "0") {
+      const receipt = await minter.startMinting({ from });
+      manifest.steps.startMinting = {
+        transactionHash: receipt.tx,
+        blockNumber: receipt.receipt.blockNumber,
+      };
+      save();
+    }
+    console.log("Minting started at " + (await minter.mintingStartTime()));
+  }
+  if (!dryRun) console.log("Launch manifest written to " + manifestPath);
+};
@@ -1,49 +1,114 @@
+const path = require("path");
+const { LOCAL_URIS, initializeArguments, writeManifest } = require("../scripts/lib/launch.js");
+const { recordTruffleDeployment } = require("../scripts/lib/deployments.js");
+const { assertConstants } = require("../scripts/lib/constantAudit.js");
+const { loadArtifact, getConstant } = require("../scripts/lib/artifacts.js");
 const tokenA = artifacts.require("CustomERC20A");
 const tokenB = artifacts.require("CustomERC20B");
 const Link = artifacts.require("LinkToken");
 const VRFCoordinator = artifacts.require("VRFCoordinator");
+const WETH = artifacts.require("WETHMock");
 const LuckyDuckPack = artifacts.require("LuckyDuckPackTest");
 const LDPMinter = artifacts.require("LDPMinter");
 const LDPRewarder = artifacts.require("LDPRewarderTest");
+const LDPLuckyDraw = artifacts.require("LDPLuckyDrawTest");
 
-// Receiving the creator's cut of creator fees
+// Receiving the creator's cut of creator fees (default: accounts[1])
 const creatorAddress = process.env.CREATOR_ADDRESS;
-// Payout address for minting
+// Payout address for minting (default: accounts[2])
 const payoutAddress = process.env.PAYOUT_ADDRESS;
+// Collection size of the local NFT contract
+const maxSupply = process.env.LOCAL_MAX_SUPPLY || 10000;
+// Number of lucky draws paid with the LINK sent to the LuckyDraw contract
+const LUCKY_DRAW_FUNDED_DRAWS = 10n;
+// Start minting once deployed (set LOCAL_START_MINTING=0 to start manually)
+const startMinting = process.env.LOCAL_START_MINTING != 0;
 
-const enableMigration = false;
+/**
+ * Local LDP stack, deployed on the `local` network only (see
+ * scripts/localChain.js): mocks, Test contracts wired to the mocks, LINK
+ * funding, NFT contract initialization and minting start. The addresses are
+ * recorded in the deployment registry (deployments/local.json) and in a
+ * manifest with the setup transactions (deployments/launch_local.json).
+ */
+module.exports = async (deployer, network, accounts) => {
+  if (network != "local") {
+    if (network == "test") console.log("Migration of test contracts disabled, check the migration script.");
+    return;
+  }
 
-module.exports = async (deployer, network) => {
+  const from = accounts[0];
+  const creator = creatorAddress || accounts[1];
+  const payout = payoutAddress || accounts[2];
+  const manifestPath = path.join("deployments", "launch_" + network + ".json");
+  // The chain is new at every start: nothing to resume
+  const manifest = {
+    network,
+    chainId: await web3.eth.getChainId(),
+    variant: "test",
+    deployer: from,
+    contracts: {},
+    steps: {},
+  };
 
-  if(network == "test"){
+  await assertConstants([LuckyDuckPack, LDPRewarder, LDPLuckyDraw], network, web3);
 
-    if (enableMigration == true){
-      // Test ERC20 tokens
-      await deployer.deploy(tokenA);
-      await deployer.deploy(tokenB);
-      // Link Mock
-      await deployer.deploy(Link);
+  async function deploy(name, contract, ...args) {
+    await deployer.deploy(contract, ...args);
+    const instance = await contract.deployed();
+    await recordTruffleDeployment(web3, network, contract, args);
+    manifest.contracts[name] = {
+      contractName: contract.contractName,
+      address: instance.address,
+      transactionHash: contract.transactionHash,
+      constructorArguments: args,
+    };
+    return instance;
+  }
 
-      // VRF Coordinator Mock
-      let linkToken = await Link.deployed();
-      await deployer.deploy(VRFCoordinator, linkToken.address);
+  // Mocks
+  await deploy("CustomERC20A", tokenA, from);
+  await deploy("CustomERC20B", tokenB, from);
+  const link = await deploy("LinkToken", Link, from);
+  const vrf = await deploy("VRFCoordinator", VRFCoordinator, link.address);
+  const weth = await deploy("WETH", WETH);
 
-      // LDP Token
-      let vrf = await VRFCoordinator.deployed();
-      await deployer.deploy(LuckyDuckPack, vrf.address, linkToken.address);
+  // LDP contracts
+  const nft = await deploy("LuckyDuckPack", LuckyDuckPack, vrf.address, link.address, String(maxSupply));
+  const rewarder = await deploy("LDPRewarder", LDPRewarder, nft.address, creator, weth.address);
+  const minter = await deploy("LDPMinter", LDPMinter, nft.address, rewarder.address, payout);
+  const luckyDraw = await deploy("LDPLuckyDraw", LDPLuckyDraw, vrf.address, link.address);
 
-      // LDP Rewarder
-      let NFTcontract = await LuckyDuckPack.deployed();
-      await deployer.deploy(LDPRewarder, NFTcontract.address, creatorAddress);
+  // LINK funding: the reveal fee and a few lucky draws
+  const revealFee = BigInt(getConstant(loadArtifact(LuckyDuckPack.contractName), "fee"));
+  const drawFee = BigInt(getConstant(loadArtifact(LDPLuckyDraw.contractName), "_CHAINLINKFEE"));
+  manifest.steps.fundLink = [];
+  for (const [recipient, amount] of [
+    [nft.address, revealFee],
+    [luckyDraw.address, drawFee * LUCKY_DRAW_FUNDED_DRAWS],
+  ]) {
+    const receipt = await link.transfer(recipient, amount.toString(), { from });
+    manifest.steps.fundLink.push({ recipient, amount: amount.toString(), transactionHash: receipt.tx });
+  }
 
-      // LDP Minter
-      let rewarderContract = await LDPRewarder.deployed();
-      await deployer.deploy(LDPMinter, NFTcontract.address, rewarderContract.address, payoutAddress);
-    }
-    else{
-      console.log("Migration of test contracts disabled, check the migration script.");
-    }
-    
+  // Initialization (renounces the ownership of the NFT contract)
+  const args = initializeArguments(LuckyDuckPack.abi, {
+    minter: minter.address,
+    rewarder: rewarder.address,
+    contractURI: process.env.LOCAL_CONTRACT_URI || LOCAL_URIS.contractURI,
+    unrevealedURI: process.env.LOCAL_UNREVEALED_URI || LOCAL_URIS.unrevealedURI,
+    ipfsURI: process.env.LOCAL_IPFS_URI || LOCAL_URIS.ipfsURI,
+    arweaveURI: process.env.LOCAL_ARWEAVE_URI || LOCAL_URIS.arweaveURI,
+  });
+  let receipt = await nft.initialize(...args, { from });
+  manifest.steps.initialize = { transactionHash: receipt.tx, arguments: args };
+
+  if (startMinting) {
+    receipt = await minter.startMinting({ from });
+    manifest.steps.startMinting = { transactionHash: receipt.tx };
   }
-  
-};
\ No newline at end of file
+
+  manifest.accounts = { deployer: from, creator, payout };
+  writeManifest(manifestPath, manifest);
+  console.log("Local LDP stack deployed, manifest written to " + manifestPath);
+};
@@ -1,121 +1,260 @@
-/////////////////////////////////////////////////////
-/////////////////////////////////////////////////////
-/////////////////////////////////////////////////////
+// Build the final metadata database: each record gets the hash of its image
+// file, the collection provenance hash and the post-process traits.
+//
+// Usage:
+//   node scripts/assembleMetadata.js --config <file.json|file.yml>
+//   node scripts/assembleMetadata.js --database <path> --hashes <path>
+//       --output <path> [--provenance <hash>] [--postprocess <path>]
+//       [--postprocess-key token_id|edition]
+//
+// Command line options take precedence over the config file. If not set
+// anywhere, the output path and the provenance hash are read from the
+// TOKENMETADATA_DATABASE_LOCATION and PROVENANCE environment variables.
+//
+// Config file example (YAML):
+//   database: misc/NFT_metadata/_metadata_v2.json
+//   hashes: misc/NFT_metadata/hashes.json
+//   output: misc/NFT_metadata/_metadata_final.json
+//   provenance: 29c8c78a66ee0edd9d8825f9cc02fe8ed0b58f5e0c2bc8a89ae5be08f74ae077
+//   postprocess:
+//     source: misc/NFT_metadata/postprocess.json  # {trait: {token_id: value}}
+//     key: token_id              # record field indexing the source
+//     skipValue: none
+//     traits:
+//       Background:
+//         position: 0            # index in the attributes array, -1 appends
+//         overrides:
+//           - when: { trait: Case, includes: Cables }
+//             value: Black
+//       Overlay:
+//         position: -1
+//
+// Relative paths in the config file are resolved from the config location.
+//
+// The post-process source is indexed by the original `token_id` field of the
+// records, which is not necessarily their edition; set the key to "edition"
+// for sources indexed by edition.
 
 const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+const { parseArgs, loadDataFile, writeJson, runMain } = require("./lib/cli.js");
+const { buildTraitsDict, checkRecord, isSha256 } = require("./lib/metadata.js");
 
-// Source database files to be processed and combined
-//old/const sourceFile = "C:/Users/valer/Desktop/LuckyDuckPack_generative/build/json/_metadata_IPFS.json";
-const hashFile = "C:/Users/valer/OneDrive/Documents/GitHub/luckyDucksPack/misc/NFT_metadata/hashes.json";
-const sourceFile = "C:/Users/valer/OneDrive/Documents/GitHub/luckyDucksPack/misc/NFT_metadata/_metadata_v2.json";
+const DEFAULT_SKIP_VALUE = "none";
+const DEFAULT_POSTPROCESS_KEY = "token_id";
 
-const destPath = "C:/Users/valer/Desktop/_metadata_hashes_.json";
-
-function addValue(database){
-    var updated = JSON.parse(
-        JSON.stringify(database)
-        .replaceAll("mystring", "MyString")
-    );
-    return updated;
+/**
+ * Normalize the image hashes to a {edition: hash} dictionary. Accepts an
+ * array (indexed by edition), a dictionary or a TXT content with one hash
+ * per line.
+ */
+function normalizeHashes(hashes) {
+    if (typeof hashes === "string") {
+        hashes = hashes.split(/\r?\n/).filter((line) => line.trim().length > 0);
+    }
+    let dict = {};
+    for (let key of Object.keys(hashes)) {
+        dict[key] = typeof hashes[key] === "string" ? hashes[key].trim() : hashes[key];
+    }
+    return dict;
 }
 
-function addTrait(database, index, traitIndex, traitName, traitValue){
-    traitData = {trait_type: traitName, value: traitValue};
-    tokenData = database[index];
-    numTraits = Object.keys(tokenData.attributes).length
-    preArray = []
-    postArray = []
-    if(traitIndex>=0){
-        for(let i=0; i<traitIndex; ++i){
-            preArray.push(tokenData.attributes[i]);
-        }
-        for(let j=traitIndex; j<numTraits; ++j){
-            postArray.push(tokenData.attributes[j]);
-        }
+/**
+ * Return a copy of `record` with `entries` inserted right after `key`,
+ * keeping the order of all other fields.
+ */
+function insertAfter(record, key, entries) {
+    let result = {};
+    for (let field of Object.keys(record)) {
+        if (entries[field] !== undefined) continue;
+        result[field] = record[field];
+        if (field == key) Object.assign(result, entries);
     }
-    else if(traitIndex==-1){
-        preArray = tokenData.attributes;
+    return result;
+}
+
+/**
+ * Return the value of a post-process trait for the given record, applying
+ * the first matching override.
+ */
+function resolveTraitValue(value, rule, traitsDict) {
+    for (let override of rule.overrides || []) {
+        let current = traitsDict[override.when.trait];
+        let matches =
+            override.when.includes !== undefined
+                ? typeof current === "string" && current.includes(override.when.includes)
+                : current === override.when.equals;
+        if (matches) return override.value;
     }
-    newArray = [...preArray, traitData, ...postArray];
-    tokenData.attributes = newArray;
-    database[index] = tokenData;
-    return database;
+    return value;
 }
 
-function addPostprocessTraits(database, postDatabase){
-    let post_keys = Object.keys(postDatabase);
-    //console.log(post_keys);
-    for(let i=0; i<database.length; ++i){
-        tokenId = database[i].token_id;
-        for(let j=0; j<post_keys.length; ++j){
-            let value = postDatabase[post_keys[j]][tokenId];
-            //console.log(value);
-            if (value!="none"){
-                let traitIndex = 0;
-                if(post_keys[j]=="Background" && getCaseValue(database, i).includes("Cables")){
-                    value="Black";
-                }
-                if(post_keys[j]=="Background"){ traitIndex = 0; }
-                else if(post_keys[j]=="Overlay"){ traitIndex = -1; }
-                database = addTrait(database, i, traitIndex, post_keys[j], value)
+/**
+ * Check the post-process settings, throwing on the first inconsistency.
+ */
+function checkPostprocess(postprocess) {
+    if (postprocess.table === null || typeof postprocess.table !== "object") {
+        throw new Error("Post-process source must be a {trait: {key: value}} dictionary");
+    }
+    if (postprocess.key !== undefined && (typeof postprocess.key !== "string" || postprocess.key.length == 0)) {
+        throw new Error("Post-process 'key' must be the name of a record field");
+    }
+    let rules = postprocess.traits || {};
+    for (let trait of Object.keys(postprocess.table)) {
+        if (rules[trait] === undefined) {
+            throw new Error("No rule defined for post-process trait '" + trait + "'");
+        }
+    }
+    for (let trait of Object.keys(rules)) {
+        let rule = rules[trait];
+        if (!Number.isInteger(rule.position) || rule.position < -1) {
+            throw new Error("Post-process trait '" + trait + "': 'position' must be an integer >= -1");
+        }
+        for (let override of rule.overrides || []) {
+            if (!override.when || typeof override.when.trait !== "string" || override.value === undefined) {
+                throw new Error("Post-process trait '" + trait + "': malformed override");
             }
         }
+        if (postprocess.table[trait] === undefined) {
+            throw new Error("Post-process trait '" + trait + "' not found in the source");
+        }
     }
-    return database;
 }
 
-function truncateDatabase(database, amount){
-    return database.slice(0, amount);
+/**
+ * Add the post-process traits to the attributes of `record`, looking their
+ * values up by the `postprocess.key` field of the record (default token_id).
+ */
+function addPostprocessTraits(record, postprocess) {
+    let skipValue = postprocess.skipValue === undefined ? DEFAULT_SKIP_VALUE : postprocess.skipValue;
+    let key = postprocess.key === undefined ? DEFAULT_POSTPROCESS_KEY : postprocess.key;
+    let traitsDict = buildTraitsDict(record.attributes);
+    let attributes = record.attributes.slice();
+    let errors = [];
+    if (record[key] === undefined) {
+        errors.push("token " + record.edition + ": missing post-process key '" + key + "'");
+        return { attributes, errors };
+    }
+    for (let trait of Object.keys(postprocess.traits || {})) {
+        let rule = postprocess.traits[trait];
+        let value = postprocess.table[trait][record[key]];
+        if (value === undefined) {
+            errors.push("token " + record.edition + ": missing post-process value for '" + trait + "'");
+            continue;
+        }
+        if (value == skipValue) continue;
+        let traitData = { trait_type: trait, value: resolveTraitValue(value, rule, traitsDict) };
+        if (rule.position == -1 || rule.position > attributes.length) attributes.push(traitData);
+        else attributes.splice(rule.position, 0, traitData);
+    }
+    return { attributes, errors };
 }
 
-data = require(sourceFile);
-hashes = require(hashFile);
-let newData = [];
-for(let x=0; x<data.length; ++x){
-    let provenance = '29c8c78a66ee0edd9d8825f9cc02fe8ed0b58f5e0c2bc8a89ae5be08f74ae077';
-    let tempData = JSON.stringify(data[x]);
-    let hash = hashes[x];
-    let manipData = tempData.replace('.png",', '.png","image_file_hash":"'+hash+'","collection_provenance_hash":"'+provenance+'",');
-    //let manipData = tempData.replace('.png",', '.png","image_alternative_location":"ARWEAVEMANIFEST/'+x+'.png",');
-    //let manipData = tempData.replace('.png","image_alternative_location":"ipfs://bafybeicjl7jihwko5xjm4ehxqusugcuofd2vfepxv6ya6lfc5toviafvfu/'+x+'.png",', '.png",');
-    //if(x==0) console.log(tempData);
-    //if(x==0) console.log(manipData);
-    newData.push(JSON.parse(manipData));
+/**
+ * Build the final metadata database.
+ * @param database Array of token metadata records
+ * @param hashes Image file hashes, see {normalizeHashes}
+ * @param options.provenance Collection provenance hash
+ * @param options.postprocess Optional {table, traits, key, skipValue} settings
+ * @returns The new database, sorted by edition
+ * @throws If any record is malformed or has no valid image hash; the error
+ * message lists all problems found.
+ */
+function assembleMetadata(database, hashes, options) {
+    if (!Array.isArray(database)) throw new Error("The metadata database must be an array");
+    if (!isSha256(options.provenance)) {
+        throw new Error("The provenance must be a 64-char lowercase sha256 hex string");
+    }
+    if (options.postprocess) checkPostprocess(options.postprocess);
+    let hashDict = normalizeHashes(hashes);
+    let errors = [];
+    let seen = new Set();
+    let result = [];
+    database.forEach((record, position) => {
+        let recordErrors = checkRecord(record, position);
+        if (recordErrors.length > 0) {
+            errors.push(...recordErrors);
+            return;
+        }
+        if (seen.has(record.edition)) {
+            errors.push("token " + record.edition + ": duplicate edition");
+            return;
+        }
+        seen.add(record.edition);
+        let hash = hashDict[record.edition];
+        if (hash === undefined) {
+            errors.push("token " + record.edition + ": missing image hash");
+            return;
+        }
+        if (!isSha256(hash)) {
+            errors.push("token " + record.edition + ": invalid image hash '" + hash + "'");
+            return;
+        }
+        let newRecord = insertAfter(record, "image", {
+            image_file_hash: hash,
+            collection_provenance_hash: options.provenance
+        });
+        if (options.postprocess) {
+            let processed = addPostprocessTraits(record, options.postprocess);
+            errors.push(...processed.errors);
+            newRecord.attributes = processed.attributes;
+        }
+        result.push(newRecord);
+    });
+    if (errors.length > 0) {
+        throw new Error("Found " + errors.length + " problem(s):\n  " + errors.join("\n  "));
+    }
+    return result.sort((a, b) => a.edition - b.edition);
 }
-console.log(data[0]);
-console.log("---------------");
-console.log(newData[0]);
-
-fs.writeFileSync(destPath, JSON.stringify(newData, null, "  "));
-//let concatHashes = "";
-//for(let x=0; x<10000; ++x){
-//    concatHashes+=hashes[x];
-//}
-//console.log(concatHashes);
 
-/*function processAllAndExport(){
-    let allData = processAllEditions();
-    allData = addIPFSpath(allData, imagedir_ipfs);
-    fs.writeFileSync(destPath, JSON.stringify(allData, null, "  "));
-}*/
-
-/*
-// TEST //
-let finalDatabase = processAllEditions();
-finalDatabase = addIPFSpath(finalDatabase, imagedir_ipfs);
-console.log(finalDatabase[3401]);
-*/
+function loadHashesFile(filePath) {
+    if (path.extname(filePath).toLowerCase() == ".txt") return fs.readFileSync(filePath, "utf8");
+    return loadDataFile(filePath);
+}
 
-//processAllAndExport();
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    let config = {};
+    let baseDir = process.cwd();
+    if (options.config) {
+        config = loadDataFile(options.config);
+        baseDir = path.dirname(path.resolve(options.config));
+    }
+    let fromConfig = (value) => (value === undefined ? undefined : path.resolve(baseDir, value));
+    let postprocessConfig = config.postprocess || {};
 
-/*function extractFiles (source, destPath) {
+    let databasePath = options.database || fromConfig(config.database);
+    let hashesPath = options.hashes || fromConfig(config.hashes);
+    let outputPath = options.output || fromConfig(config.output) || process.env.TOKENMETADATA_DATABASE_LOCATION;
+    let provenance = options.provenance || config.provenance || process.env.PROVENANCE;
+    let postprocessPath = options.postprocess || fromConfig(postprocessConfig.source);
 
-    const data = require(source);
+    if (!databasePath) throw new Error("Missing input database (--database)");
+    if (!hashesPath) throw new Error("Missing hashes file (--hashes)");
+    if (!outputPath) throw new Error("Missing output path (--output)");
 
-    for(let i=0; i<data.length; ++i){
-        let edition = data[i].edition;
-        fs.writeFileSync(destPath+edition, JSON.stringify(data[i], null, "  "));
+    let postprocess;
+    if (postprocessPath) {
+        postprocess = {
+            table: loadDataFile(postprocessPath),
+            traits: postprocessConfig.traits,
+            key: options.postprocessKey || postprocessConfig.key,
+            skipValue: postprocessConfig.skipValue
+        };
     }
+    let database = loadDataFile(databasePath);
+    let result = assembleMetadata(database, loadHashesFile(hashesPath), { provenance, postprocess });
+    writeJson(outputPath, result);
+    console.log("Assembled metadata of " + result.length + " tokens into " + outputPath);
+}
+
+if (require.main === module) {
+    runMain(main);
 }
 
-extractFiles(sourceFile, destPath);*/
\ No newline at end of file
+module.exports = {
+    assembleMetadata,
+    addPostprocessTraits,
+    normalizeHashes
+};
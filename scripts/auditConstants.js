@@ -0,0 +1,31 @@
+// Check the addresses and values hardcoded in the compiled contracts
+// against the profile of the target network, e.g. to catch a LuckyDraw
+// contract carrying Polygon constants before deploying it on Ethereum.
+// The same audit runs in the migrations, which refuse to deploy on failure.
+//
+// Usage:
+//   node scripts/auditConstants.js --network <mainnet|polygon|goerli|local>
+//       [--contracts LuckyDuckPack,LDPRewarder,LDPLuckyDraw] [--profiles <path>]
+//       [--chain-id <id>] [--json]
+//
+// Profiles are read from scripts/config/networkProfiles.json by default.
+// The exit code is 1 if any value does not match the profile.
+
+const { parseArgs, runMain } = require("./lib/cli.js");
+const { AUDITED_VALUES, loadProfiles, auditConstants, formatAudit } = require("./lib/constantAudit.js");
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    if (!options.network) throw new Error("Missing network (--network)");
+    let contractNames = options.contracts ? options.contracts.split(",") : Object.keys(AUDITED_VALUES);
+    let report = auditConstants(contractNames, options.network, {
+        profiles: loadProfiles(options.profiles),
+        chainId: options.chainId
+    });
+    console.log(options.json ? JSON.stringify(report, null, "  ") : formatAudit(report));
+    if (!report.ok) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    runMain(main);
+}
@@ -0,0 +1,70 @@
+// Generate the ABIs of the client SDK (sdk/abi) from the Truffle artifacts,
+// to be run after any change to the public interface of the contracts.
+//
+// Usage:
+//   node scripts/buildSdk.js [--build-dir <build/contracts>] [--output <sdk/abi>] [--check]
+//
+// With --check nothing is written: the exit code is 1 if the SDK ABIs are
+// out of date.
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, writeJson, runMain } = require("./lib/cli.js");
+const { loadArtifact } = require("./lib/artifacts.js");
+
+const SDK_CONTRACTS = ["LuckyDuckPack", "LDPMinter", "LDPRewarder", "LDPLuckyDraw"];
+const DEFAULT_OUTPUT_DIR = path.resolve(__dirname, "../sdk/abi");
+
+/**
+ * ABIs of the SDK contracts, read from the artifacts.
+ * @returns {Object<string, Array>} Contract name => ABI
+ */
+function sdkAbis(buildDir) {
+    let abis = {};
+    for (let name of SDK_CONTRACTS) {
+        abis[name] = buildDir ? loadArtifact(name, buildDir).abi : loadArtifact(name).abi;
+    }
+    return abis;
+}
+
+/**
+ * List the SDK ABIs which differ from the artifacts.
+ */
+function outdatedAbis(abis, outputDir = DEFAULT_OUTPUT_DIR) {
+    return Object.keys(abis).filter((name) => {
+        let abiPath = path.join(outputDir, name + ".json");
+        if (!fs.existsSync(abiPath)) return true;
+        return JSON.stringify(JSON.parse(fs.readFileSync(abiPath, "utf8"))) != JSON.stringify(abis[name]);
+    });
+}
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    let outputDir = options.output || DEFAULT_OUTPUT_DIR;
+    let abis = sdkAbis(options.buildDir);
+    let outdated = outdatedAbis(abis, outputDir);
+    if (options.check) {
+        if (outdated.length == 0) {
+            console.log("SDK ABIs up to date");
+        } else {
+            console.log("SDK ABIs out of date: " + outdated.join(", ") + " (run 'npm run build:sdk')");
+            process.exitCode = 1;
+        }
+        return;
+    }
+    for (let name of outdated) {
+        writeJson(path.join(outputDir, name + ".json"), abis[name]);
+        console.log("Written " + path.join(outputDir, name + ".json"));
+    }
+    if (outdated.length == 0) console.log("SDK ABIs up to date");
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    SDK_CONTRACTS,
+    sdkAbis,
+    outdatedAbis
+};
@@ -1,119 +1,156 @@
-const fs = require("fs");
+// Find tokens that look the same: two tokens are considered near-duplicates
+// if they have the same value for every trait, once ignored traits are
+// dropped and visually equivalent values are treated as equal.
+//
+// Each token is reduced to a canonical trait signature and tokens are
+// grouped by it, so the check is linear in the size of the collection.
+//
+// Usage:
+//   node scripts/checkSimilar.js [--database <path>] [--config <file>]
+//       [--output <file>] [--list-traits]
+//
+// Config file (JSON or YAML), see config/checkSimilar.json:
+//   ignoredTraits: traits not taken into account at all
+//   equivalentValues: {trait: [[value, value, ...], ...]}, groups of values
+//     considered visually equivalent
+//
+// The database defaults to TOKENMETADATA_DATABASE_LOCATION, the config to
+// config/checkSimilar.json. Clusters are printed or written to --output as
+// JSON; the exit code is non-zero if any cluster is found.
 
-const sourceFile = "C:/Users/valer/OneDrive/Documents/GitHub/luckyDucksPack/misc/NFT_metadata/_metadata_IPFS.json";
-//const destPath = process.env.TOKENMETADATA_DESTINATION_PATH;
+const crypto = require("crypto");
+const path = require("path");
+require("dotenv").config();
+const { parseArgs, loadDataFile, writeJson, runMain } = require("./lib/cli.js");
+const { buildTraitsDict, listAllTraits, countTraitValues } = require("./lib/metadata.js");
 
-function buildTraitsDict(traitsArray){
-    let dict = {};
-    for(let index=0; index<traitsArray.length; ++index){
-        dict[traitsArray[index].trait_type] = traitsArray[index].value;
-    }
-    return dict;
-}
-
-function checkSimilar (source) {
+const DEFAULT_CONFIG = path.join(__dirname, "config/checkSimilar.json");
 
-    function compareTraits(arrayA, arrayB, ignoreList){
-        let match=true;
-            let a_traitsDict = buildTraitsDict(arrayA);
-            let b_traitsDict = buildTraitsDict(arrayB);
-            for(let i=0; i<arrayA.length; ++i){
-                let traitName = arrayA[i].trait_type;
-                if(!ignoreList.includes(traitName)){
-                    if(b_traitsDict.traitName!=undefined || a_traitsDict[traitName]!=b_traitsDict[traitName]){
-                            match=false;
-                    }
+/**
+ * Turn the similarity config into lookup structures, validating it.
+ * @returns {ignored: Set, groups: {trait: Map(value => group label)}}
+ */
+function compileRules(config = {}) {
+    let ignoredTraits = config.ignoredTraits || [];
+    let equivalentValues = config.equivalentValues || {};
+    if (!Array.isArray(ignoredTraits)) throw new Error("'ignoredTraits' must be an array");
+    let groups = {};
+    for (let trait of Object.keys(equivalentValues)) {
+        if (!Array.isArray(equivalentValues[trait])) {
+            throw new Error("'equivalentValues." + trait + "' must be an array of groups");
+        }
+        groups[trait] = new Map();
+        equivalentValues[trait].forEach((group, groupIndex) => {
+            if (!Array.isArray(group)) {
+                throw new Error("'equivalentValues." + trait + "' group #" + groupIndex + " must be an array");
+            }
+            for (let value of group) {
+                if (groups[trait].has(value)) {
+                    throw new Error("Value '" + value + "' of trait '" + trait + "' is in more than one group");
                 }
+                groups[trait].set(value, "group#" + groupIndex);
             }
-        return match;
+        });
     }
+    return { ignored: new Set(ignoredTraits), groups };
+}
 
-    function checkOffendingMatches(traitsA, traitsB, traitsToCheck, offendingValues){
-        let dictA = buildTraitsDict(traitsA);
-        let dictB = buildTraitsDict(traitsB);
-        for(let i=0; i<traitsToCheck.length; ++i){
-            traitToCheck = traitsToCheck[i];
-            valueA = dictA[traitToCheck];
-            valueB = dictB[traitToCheck];
-            valuesToCheck = offendingValues[traitToCheck];
-            for(let v=0; v<valuesToCheck.length; ++v){
-                //console.log(valuesToCheck[v]);
-                if(valuesToCheck[v].includes(valueA) && valuesToCheck[v].includes(valueB)){
-                    return true;
-                }
-            }
-        }
-        return false;
+/**
+ * Return the canonical traits of a token: ignored traits are dropped,
+ * equivalent values replaced by their group label and missing traits set
+ * to null.
+ * @param traitTypes All trait types of the collection
+ */
+function canonicalTraits(attributes, traitTypes, rules) {
+    let dict = buildTraitsDict(attributes);
+    let canonical = {};
+    for (let trait of traitTypes.slice().sort()) {
+        if (rules.ignored.has(trait)) continue;
+        let value = dict[trait] === undefined ? null : dict[trait];
+        let group = rules.groups[trait] && rules.groups[trait].get(value);
+        canonical[trait] = group === undefined ? value : group;
     }
+    return canonical;
+}
 
-    const data = require(source);
-    let all_found = {};
-    let numFound = 0;
-    let ignoreTraits = ["Background"];
-    let offendingTraits = {"Background":[["Light Green", "Salmon Pink", "Silver Pink", "Purple", "Light Grey", "Light Blue", "Lavender", "Aquamarine"]]}
+function signatureOf(canonical) {
+    return crypto.createHash("sha256").update(JSON.stringify(canonical)).digest("hex");
+}
 
-    console.log("Scanned traits: "+ignoreTraits);
-    console.log("Offending values (considered visually similar): "+JSON.stringify(offendingTraits, null, "  "));
+/**
+ * Return true if two tokens are near-duplicates according to `rules`.
+ */
+function isSimilar(attributesA, attributesB, rules) {
+    let traitTypes = listAllTraits([{ attributes: attributesA }, { attributes: attributesB }]);
+    return (
+        signatureOf(canonicalTraits(attributesA, traitTypes, rules)) ==
+        signatureOf(canonicalTraits(attributesB, traitTypes, rules))
+    );
+}
 
-    for(let i=0; i<data.length; ++i){
-        //console.log("Checking item "+i.toString());
-        let found = [];
-        let edition = data[i].edition;
-        let i_traits = data[i].attributes;
-        for(let x=0; x<data.length; ++x){
-            //process.stdout.write("Comparing with item "+x.toString());
-            if(i!=x){
-                let x_traits = data[x].attributes;
-                let match = compareTraits(i_traits, x_traits, ignoreTraits);
-                if(match==true){
-                    if(all_found[data[x].edition]===undefined || !all_found[data[x].edition].includes(edition)){
-                        let hasOffendingMatches = checkOffendingMatches(i_traits, x_traits, ignoreTraits, offendingTraits);
-                        if(hasOffendingMatches){
-                            found.push(data[x].edition);
-                            numFound++;
-                        }
-                        //found.push(data[x].edition);
-                    }
-                }
-            }
-        }
-        if(found.length>0){
-            all_found[edition] = found;
-            //console.log("Found matches for token "+edition+": "+found);
+/**
+ * Group the tokens of `database` by canonical signature.
+ * @param database Metadata database
+ * @param config Similarity config, see the header of this file
+ * @returns Clusters of two or more near-duplicate tokens, sorted by their
+ * first edition
+ */
+function findSimilar(database, config) {
+    let rules = compileRules(config);
+    let traitTypes = listAllTraits(database);
+    let buckets = new Map();
+    for (let record of database) {
+        let canonical = canonicalTraits(record.attributes, traitTypes, rules);
+        let signature = signatureOf(canonical);
+        if (!buckets.has(signature)) buckets.set(signature, { signature, traits: canonical, tokens: [] });
+        buckets.get(signature).tokens.push(record.edition);
+    }
+    let clusters = [];
+    for (let bucket of buckets.values()) {
+        if (bucket.tokens.length > 1) {
+            bucket.tokens.sort((a, b) => a - b);
+            clusters.push(bucket);
         }
-        //fs.writeFileSync(destPath+edition, JSON.stringify(data[i], null, "  "));
     }
-    console.log("Found matches: "+JSON.stringify(all_found, null, "  "));
-    console.log("Number of occurrencies found: "+numFound.toString());
+    return clusters.sort((a, b) => a.tokens[0] - b.tokens[0]);
 }
 
-function listAllTraits(source){
-    const data = require(source);
-    let traits = [];
-    for(let i=0; i<data.length; ++i){
-        //console.log("Checking item "+i);
-        let traitsArray = data[i].attributes;
-        for(let index=0; index<traitsArray.length; ++index){
-            let name = traitsArray[index].trait_type;
-            if(!traits.includes(name)){
-                traits.push(name);
-            }
-        }
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    let databasePath = options.database || process.env.TOKENMETADATA_DATABASE_LOCATION;
+    if (!databasePath) throw new Error("Missing metadata database (--database)");
+    let database = loadDataFile(databasePath);
+    let config = loadDataFile(options.config || DEFAULT_CONFIG);
+
+    if (options.listTraits) {
+        let counts = countTraitValues(database);
+        let values = {};
+        for (let trait of Object.keys(counts)) values[trait] = Object.keys(counts[trait]);
+        console.log("Traits full list: " + JSON.stringify(Object.keys(counts), null, "  "));
+        console.log("Variations full list: " + JSON.stringify(values, null, "  "));
     }
-    let values = {};
-    for(let traitId=0; traitId<traits.length; ++traitId){
-        let variations = [];
-        for(let i=0; i<data.length; ++i){
-            let value = buildTraitsDict(data[i].attributes)[traits[traitId]];
-            if(!variations.includes(value)){
-                variations.push(value);
-            }
-        }
-        values[traits[traitId]] = variations;
+
+    let clusters = findSimilar(database, config);
+    let report = {
+        numTokens: database.length,
+        numClusters: clusters.length,
+        numSimilarTokens: clusters.reduce((sum, cluster) => sum + cluster.tokens.length, 0),
+        clusters
+    };
+    if (options.output) writeJson(options.output, report);
+    else console.log(JSON.stringify(report, null, "  "));
+    if (clusters.length > 0) {
+        console.error("Found " + clusters.length + " cluster(s) of similar tokens");
+        process.exitCode = 1;
     }
-    console.log("Traits full list: "+JSON.stringify(traits, null, "  "));
-    console.log("Variations full list: "+JSON.stringify(values, null, "  "));
 }
 
-listAllTraits(sourceFile);
-checkSimilar(sourceFile);
\ No newline at end of file
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    compileRules,
+    isSimilar,
+    findSimilar
+};
@@ -0,0 +1,428 @@
+// Report unintended differences between the production contracts and their
+// copies: the testnet twins (contracts/testnet), the test doubles
+// (contracts/test) and the ABI mocks (contracts/ABI-mocks).
+//
+// Source comparison (testnet twins, test doubles): both sources are
+// tokenized, dropping comments and formatting, then compared member by
+// member (state variables, functions, modifiers, events, ...), so that
+// moving a function around is not a difference. Before comparing:
+// - the variant contract name is replaced by the reference one;
+// - import paths are resolved, so "./lib/x.sol" and "../lib/x.sol" match;
+// - "ignoredSnippets" are removed from both sources (e.g. the operator
+//   filter modifiers, present only in some variants, or the mint-out check
+//   of reveal(), commented out in the testnet twin);
+// - "allowedLiterals" pairs of values are considered equal (e.g. LINK
+//   token addresses);
+// - "allowedMembers" may differ or be missing (e.g. "variable fee",
+//   "constructor", "function initialize(address,address,string,string,string)").
+//
+// Interface comparison (ABI mocks): the ABIs of the compiled artifacts are
+// compared. Every function, event and error of the mock must exist in the
+// reference with the same inputs, outputs and mutability, unless its name
+// matches "mockOnly" or it is in "allowedMembers" (e.g. "function initialize");
+// reference entries missing from the mock are reported only with
+// "requireComplete".
+//
+// Usage:
+//   node scripts/contractDrift.js [--config <path>] [--pair <name>] [--json]
+//
+// The config defaults to scripts/config/contractDrift.json. The exit code
+// is 1 if any difference is found.
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, loadDataFile, runMain } = require("./lib/cli.js");
+const { loadArtifact } = require("./lib/artifacts.js");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const DEFAULT_CONFIG = path.join(__dirname, "config", "contractDrift.json");
+const BODY_MEMBERS = ["function", "constructor", "modifier", "struct", "enum", "receive", "fallback"];
+const DATA_LOCATIONS = ["memory", "calldata", "storage"];
+
+// =============================================================
+//                          PARSING
+// =============================================================
+
+/**
+ * Split Solidity source code into tokens, dropping comments and whitespace.
+ * @returns Array of {text, line}
+ */
+function tokenize(source) {
+    let tokens = [];
+    let line = 1;
+    let i = 0;
+    while (i < source.length) {
+        let char = source[i];
+        if (char == "\n") {
+            ++line;
+            ++i;
+        } else if (/\s/.test(char)) {
+            ++i;
+        } else if (source.startsWith("//", i)) {
+            while (i < source.length && source[i] != "\n") ++i;
+        } else if (source.startsWith("/*", i)) {
+            let end = source.indexOf("*/", i + 2);
+            end = end == -1 ? source.length : end + 2;
+            line += (source.slice(i, end).match(/\n/g) || []).length;
+            i = end;
+        } else if (char == '"' || char == "'") {
+            let end = i + 1;
+            while (end < source.length && source[end] != char) end += source[end] == "\\" ? 2 : 1;
+            tokens.push({ text: source.slice(i, end + 1), line });
+            i = end + 1;
+        } else {
+            let match = /^(?:[A-Za-z_$][\w$]*|[0-9][\w.]*|[=!<>+\-*\/%&|^]=|&&|\|\||\+\+|--|\*\*|<<|>>|=>)/.exec(
+                source.slice(i, i + 200)
+            );
+            let text = match ? match[0] : char;
+            tokens.push({ text, line });
+            i += text.length;
+        }
+    }
+    return tokens;
+}
+
+// Index of the token closing the bracket opened at `start`
+function matchingBracket(tokens, start) {
+    let open = tokens[start].text;
+    let close = { "(": ")", "[": "]", "{": "}" }[open];
+    let depth = 0;
+    for (let i = start; i < tokens.length; ++i) {
+        if (tokens[i].text == open) ++depth;
+        else if (tokens[i].text == close && --depth == 0) return i;
+    }
+    throw new Error("Unbalanced '" + open + "' at line " + tokens[start].line);
+}
+
+// Index of the first `;` after `start` outside of brackets
+function statementEnd(tokens, start) {
+    for (let i = start; i < tokens.length; ++i) {
+        let text = tokens[i].text;
+        if (text == "(" || text == "[" || text == "{") i = matchingBracket(tokens, i);
+        else if (text == ";") return i;
+    }
+    throw new Error("Missing ';' after line " + tokens[start].line);
+}
+
+// Parameter types of a parameter list, e.g. "(uint256 a, string memory b)"
+function parameterTypes(tokens) {
+    let groups = [[]];
+    let depth = 0;
+    for (let token of tokens) {
+        if (token.text == "(" || token.text == "[") ++depth;
+        if (token.text == ")" || token.text == "]") --depth;
+        if (token.text == "," && depth == 0) groups.push([]);
+        else groups[groups.length - 1].push(token.text);
+    }
+    return groups
+        .filter((group) => group.length > 0)
+        .map((group) => {
+            let type = group.filter((text) => !DATA_LOCATIONS.includes(text) && text != "indexed");
+            // Drop the parameter name, if any
+            if (type.length > 1 && /^[A-Za-z_$]/.test(type[type.length - 1])) type.pop();
+            return type.join("");
+        });
+}
+
+// Key identifying a contract member across sources
+function memberKey(tokens) {
+    let kind = tokens[0].text;
+    if (["constructor", "receive", "fallback"].includes(kind)) return kind;
+    if (kind == "function") {
+        let open = tokens.findIndex((token) => token.text == "(");
+        let close = matchingBracket(tokens, open);
+        return "function " + tokens[1].text + "(" + parameterTypes(tokens.slice(open + 1, close)).join(",") + ")";
+    }
+    if (["modifier", "event", "error", "struct", "enum"].includes(kind)) return kind + " " + tokens[1].text;
+    if (kind == "using") return tokens.map((token) => token.text).join(" ");
+    // State variable: the name is before the initializer or the final ";"
+    let assign = tokens.findIndex((token) => token.text == "=");
+    let nameIndex = (assign == -1 ? tokens.length - 1 : assign) - 1;
+    return "variable " + tokens[nameIndex].text;
+}
+
+/**
+ * Parse a Solidity file into its pragmas, imports and contracts.
+ * @returns {pragmas, imports, contracts: {name: {kind, bases, members}}};
+ * import paths are resolved relatively to the repository, members map
+ * their key to {tokens, line}
+ */
+function parseSource(source, filePath) {
+    let tokens = tokenize(source);
+    let parsed = { pragmas: [], imports: [], contracts: {} };
+    let i = 0;
+    while (i < tokens.length) {
+        let text = tokens[i].text;
+        if (text == "pragma") {
+            let end = statementEnd(tokens, i);
+            parsed.pragmas.push(tokens.slice(i, end).map((token) => token.text).join(" "));
+            i = end + 1;
+        } else if (text == "import") {
+            let end = statementEnd(tokens, i);
+            let pathToken = tokens.slice(i, end).find((token) => /^["']/.test(token.text));
+            let importPath = pathToken.text.slice(1, -1);
+            if (importPath.startsWith(".") && filePath) {
+                importPath = path.relative(ROOT_DIR, path.resolve(path.dirname(filePath), importPath)).split(path.sep).join("/");
+            }
+            parsed.imports.push(importPath);
+            i = end + 1;
+        } else if (["contract", "interface", "library", "abstract"].includes(text)) {
+            let kindIndex = text == "abstract" ? i + 1 : i;
+            let name = tokens[kindIndex + 1].text;
+            let open = tokens.findIndex((token, index) => index > kindIndex && token.text == "{");
+            let isIndex = tokens.findIndex((token, index) => index > kindIndex && index < open && token.text == "is");
+            let bases = isIndex == -1 ? [] : tokens.slice(isIndex + 1, open);
+            let close = matchingBracket(tokens, open);
+            parsed.contracts[name] = {
+                kind: tokens.slice(i, kindIndex + 1).map((token) => token.text).join(" "),
+                bases,
+                members: parseMembers(tokens.slice(open + 1, close))
+            };
+            i = close + 1;
+        } else {
+            // Free functions, constants, etc. are ignored
+            i = statementEnd(tokens, i) + 1;
+        }
+    }
+    return parsed;
+}
+
+function parseMembers(tokens) {
+    let members = {};
+    let i = 0;
+    while (i < tokens.length) {
+        let end;
+        if (BODY_MEMBERS.includes(tokens[i].text)) {
+            end = i;
+            while (end < tokens.length && tokens[end].text != "{" && tokens[end].text != ";") {
+                end = tokens[end].text == "(" ? matchingBracket(tokens, end) + 1 : end + 1;
+            }
+            if (tokens[end].text == "{") end = matchingBracket(tokens, end);
+        } else {
+            end = statementEnd(tokens, i);
+        }
+        let memberTokens = tokens.slice(i, end + 1);
+        members[memberKey(memberTokens)] = { tokens: memberTokens, line: tokens[i].line };
+        i = end + 1;
+    }
+    return members;
+}
+
+// =============================================================
+//                        COMPARISON
+// =============================================================
+
+// Remove every occurrence of the `snippets` (token arrays) from `texts`
+function removeSnippets(texts, snippets) {
+    let result = [];
+    for (let i = 0; i < texts.length; ) {
+        let snippet = snippets.find(
+            (candidate) => candidate.length > 0 && candidate.every((text, j) => texts[i + j] === text)
+        );
+        if (snippet) {
+            i += snippet.length;
+        } else {
+            result.push(texts[i]);
+            ++i;
+        }
+    }
+    return result;
+}
+
+function normalizeTokens(tokens, rules) {
+    let texts = tokens.map((token) => rules.literals.get(token.text) || rules.names.get(token.text) || token.text);
+    return removeSnippets(texts, rules.snippets);
+}
+
+// Short excerpt around the first difference between two token arrays
+function firstDifference(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) ++i;
+    let excerpt = (texts) => {
+        let text = texts.slice(Math.max(0, i - 4), i + 8).join(" ");
+        return (i > 4 ? "... " : "") + text + (i + 8 < texts.length ? " ..." : "");
+    };
+    return { reference: excerpt(a), variant: excerpt(b) };
+}
+
+function compileRules(pair, referenceName, variantName) {
+    let names = new Map([[variantName, referenceName]]);
+    let literals = new Map((pair.allowedLiterals || []).map(([reference, variant]) => [variant, reference]));
+    let snippets = (pair.ignoredSnippets || []).map((snippet) => tokenize(snippet).map((token) => token.text));
+    return { names, literals, snippets };
+}
+
+/**
+ * Compare two contract sources.
+ * @param pair.reference / pair.variant {file, contract}
+ * @param sources {reference, variant} Source code of both files
+ * @returns Array of findings {type, member, referenceLine, variantLine, detail}
+ */
+function compareSources(pair, sources) {
+    let reference = parseSource(sources.reference, path.join(ROOT_DIR, pair.reference.file));
+    let variant = parseSource(sources.variant, path.join(ROOT_DIR, pair.variant.file));
+    let referenceContract = reference.contracts[pair.reference.contract];
+    let variantContract = variant.contracts[pair.variant.contract];
+    if (!referenceContract) throw new Error("Contract " + pair.reference.contract + " not found in " + pair.reference.file);
+    if (!variantContract) throw new Error("Contract " + pair.variant.contract + " not found in " + pair.variant.file);
+    let rules = compileRules(pair, pair.reference.contract, pair.variant.contract);
+    let allowed = new Set(pair.allowedMembers || []);
+    let findings = [];
+
+    // Header: pragmas, imports, inheritance
+    let ignoredImports = new Set(pair.ignoredImports || []);
+    let sameList = (a, b) => a.length == b.length && a.every((item, i) => item === b[i]);
+    if (!sameList(reference.pragmas, variant.pragmas)) {
+        findings.push({ type: "different", member: "pragma", detail: { reference: reference.pragmas.join("; "), variant: variant.pragmas.join("; ") } });
+    }
+    let referenceImports = reference.imports.filter((item) => !ignoredImports.has(item)).sort();
+    let variantImports = variant.imports.filter((item) => !ignoredImports.has(item)).sort();
+    if (!sameList(referenceImports, variantImports)) {
+        findings.push({ type: "different", member: "imports", detail: { reference: referenceImports.join(", "), variant: variantImports.join(", ") } });
+    }
+    let referenceBases = normalizeTokens(referenceContract.bases, rules);
+    let variantBases = normalizeTokens(variantContract.bases, rules);
+    if (!sameList(referenceBases, variantBases)) {
+        findings.push({ type: "different", member: "inheritance", detail: { reference: referenceBases.join(" "), variant: variantBases.join(" ") } });
+    }
+
+    // Members
+    let keys = [...new Set([...Object.keys(referenceContract.members), ...Object.keys(variantContract.members)])];
+    for (let key of keys) {
+        if (allowed.has(key)) continue;
+        let a = referenceContract.members[key];
+        let b = variantContract.members[key];
+        if (!b) {
+            findings.push({ type: "only-in-reference", member: key, referenceLine: a.line });
+        } else if (!a) {
+            findings.push({ type: "only-in-variant", member: key, variantLine: b.line });
+        } else {
+            let ta = normalizeTokens(a.tokens, rules);
+            let tb = normalizeTokens(b.tokens, rules);
+            if (!sameList(ta, tb)) {
+                findings.push({
+                    type: "different",
+                    member: key,
+                    referenceLine: a.line,
+                    variantLine: b.line,
+                    detail: firstDifference(ta, tb)
+                });
+            }
+        }
+    }
+    return findings;
+}
+
+// Signature of an ABI entry, including what the callers depend on
+function abiSignature(entry) {
+    let types = (params) => (params || []).map((param) => param.type + (param.indexed ? " indexed" : "")).join(",");
+    let signature = entry.type + " " + (entry.name || "") + "(" + types(entry.inputs) + ")";
+    if (entry.type == "function") signature += " " + entry.stateMutability + " returns (" + types(entry.outputs) + ")";
+    if (entry.type == "event" && entry.anonymous) signature += " anonymous";
+    return signature;
+}
+
+/**
+ * Compare the ABI of a mock with the reference ABI.
+ * @param pair.mockOnly Regular expression of the names only in the mock
+ * @param pair.allowedMembers Entries ("<type> <name>") allowed to differ
+ * @param pair.requireComplete Report reference entries missing in the mock
+ * @returns Array of findings
+ */
+function compareInterfaces(pair, abis) {
+    let mockOnly = pair.mockOnly ? new RegExp(pair.mockOnly) : null;
+    let allowed = new Set(pair.allowedMembers || []);
+    let relevant = (entry) => ["function", "event", "error", "receive", "fallback"].includes(entry.type);
+    let byName = (abi) => {
+        let map = new Map();
+        for (let entry of abi.filter(relevant)) {
+            let key = entry.type + " " + (entry.name || "");
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(abiSignature(entry));
+        }
+        return map;
+    };
+    let reference = byName(abis.reference);
+    let variant = byName(abis.variant);
+    let findings = [];
+    for (let [key, signatures] of variant) {
+        if (allowed.has(key) || (mockOnly && mockOnly.test(key.split(" ")[1]))) continue;
+        let expected = reference.get(key);
+        if (!expected) {
+            findings.push({ type: "only-in-variant", member: key });
+            continue;
+        }
+        for (let signature of signatures) {
+            if (!expected.includes(signature)) {
+                findings.push({ type: "different", member: key, detail: { reference: expected.join(" | "), variant: signature } });
+            }
+        }
+    }
+    if (pair.requireComplete) {
+        for (let key of reference.keys()) {
+            if (!variant.has(key) && !allowed.has(key)) findings.push({ type: "only-in-reference", member: key });
+        }
+    }
+    return findings;
+}
+
+/**
+ * Run every comparison of the config.
+ * @param config {pairs: [...]}, see scripts/config/contractDrift.json
+ * @param options.pair Only run the pair with this name
+ * @param options.buildDir Truffle build folder, for interface comparisons
+ * @returns Array of {name, mode, findings}
+ */
+function checkDrift(config, options = {}) {
+    let pairs = config.pairs.filter((pair) => !options.pair || pair.name == options.pair);
+    if (pairs.length == 0) throw new Error("No pair named '" + options.pair + "'");
+    return pairs.map((pair) => {
+        let findings;
+        if (pair.mode == "interface") {
+            let load = (side) => (options.buildDir ? loadArtifact(side.contract, options.buildDir) : loadArtifact(side.contract)).abi;
+            findings = compareInterfaces(pair, { reference: load(pair.reference), variant: load(pair.variant) });
+        } else {
+            let read = (side) => fs.readFileSync(path.join(ROOT_DIR, side.file), "utf8");
+            findings = compareSources(pair, { reference: read(pair.reference), variant: read(pair.variant) });
+        }
+        return { name: pair.name, mode: pair.mode || "source", findings };
+    });
+}
+
+function formatFinding(finding) {
+    let where = [];
+    if (finding.referenceLine) where.push("reference line " + finding.referenceLine);
+    if (finding.variantLine) where.push("variant line " + finding.variantLine);
+    let text = "  [" + finding.type + "] " + finding.member + (where.length ? " (" + where.join(", ") + ")" : "");
+    if (finding.detail) {
+        text += "\n      reference: " + finding.detail.reference + "\n      variant:   " + finding.detail.variant;
+    }
+    return text;
+}
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    let config = loadDataFile(options.config || DEFAULT_CONFIG);
+    let results = checkDrift(config, { pair: options.pair });
+    if (options.json) {
+        console.log(JSON.stringify(results, null, "  "));
+    } else {
+        for (let result of results) {
+            console.log((result.findings.length == 0 ? "OK      " : "DRIFTED ") + result.name);
+            for (let finding of result.findings) console.log(formatFinding(finding));
+        }
+    }
+    if (results.some((result) => result.findings.length > 0)) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    tokenize,
+    parseSource,
+    compareSources,
+    compareInterfaces,
+    checkDrift
+};
@@ -0,0 +1,55 @@
+// Decode the revert data of a failed transaction or call into the error of
+// the contract raising it, e.g. 0x5faf1f01... => LuckyDuckPack.EmptyInput(3).
+//
+// Usage:
+//   node scripts/decodeError.js <revert data> [--contract <name>] [--build-dir <build/contracts>] [--json]
+//   node scripts/decodeError.js --list [--build-dir <build/contracts>]
+//
+// --contract names the contract which reverted, when several contracts
+// declare the same error (e.g. LuckyDuckPackTest); without it, the message
+// of each declarer is printed if they differ. The registry holds the
+// errors of every compiled artifact, or of the SDK ABIs if not compiled.
+
+const { parseArgs, runMain } = require("./lib/cli.js");
+const { loadErrorRegistry } = require("./lib/errors.js");
+
+function formatValue(value) {
+    return typeof value == "bigint" ? value.toString() : value;
+}
+
+/**
+ * One line per known error: selector, signature and declaring contracts.
+ */
+function listErrors(registry) {
+    return Array.from(registry.errors.entries())
+        .sort((a, b) => a[1].signature.localeCompare(b[1].signature))
+        .map(([selector, entry]) => selector + "  " + entry.signature + "  " + (entry.contracts.join(", ") || "(Solidity)"));
+}
+
+async function main(argv) {
+    let { options, positionals } = parseArgs(argv);
+    let registry = options.buildDir ? loadErrorRegistry(options.buildDir) : loadErrorRegistry();
+    if (options.list) {
+        listErrors(registry).forEach((line) => console.log(line));
+        return;
+    }
+    let data = positionals[0];
+    if (!data) throw new Error("Missing revert data");
+    let decoded = registry.decode(data, { contract: options.contract });
+    if (decoded === null) throw new Error("Unknown error selector " + data.slice(0, 10));
+    if (options.json) {
+        console.log(JSON.stringify(decoded, (key, value) => formatValue(value), "  "));
+        return;
+    }
+    let args = Object.values(decoded.args).map(formatValue);
+    console.log((decoded.contract ? decoded.contract + "." : "") + decoded.error + "(" + args.join(", ") + ")");
+    console.log(decoded.message);
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    listErrors
+};
@@ -0,0 +1,359 @@
+// Snapshot of the LuckyDuckPack holders at a given block, for airdrops and
+// lucky draws.
+//
+// The owners are read either with ownerOf calls at the block (--source
+// calls, the default; batched) or by replaying the Transfer events up to the
+// block (--source events). Holders can then be filtered out:
+// - --exclude <address,...> and --exclude-file <file.json|file.csv>
+//   (e.g. marketplace escrows; same formats as the lucky draw participants);
+// - --exclude-minter: the LDPMinter contract and its owner, who received the
+//   team reserve;
+// - --exclude-contracts: every holder with code at the block;
+// - --min-tokens <n>: holders of fewer tokens.
+// The weight of a holder is its number of tokens (--weight count, the
+// default), 1 (--weight holder), or the sum of the weights of its tokens
+// (--weight trait): a token weighs the product of the weights of its traits
+// listed in --trait-weights ({"<trait_type>": {"<value>": <integer>}},
+// unlisted values weigh 1, 0 excludes the token). Traits are read from a
+// reveal mapping (--reveal-mapping, see revealMapping.js) or from the
+// metadata database with the reveal offset at the block (--database).
+//
+// Usage:
+//   node scripts/holderSnapshot.js [--rpc <url>] (--address <LuckyDuckPack address> | --network <name>)
+//       [--block <n|latest>] [--source calls|events] [--batch-size <n>] [--from-block <n>]
+//       [--exclude <address,...>] [--exclude-file <file>] [--exclude-minter] [--exclude-contracts]
+//       [--min-tokens <n>] [--weight count|holder|trait] [--trait-weights <file>]
+//       [--reveal-mapping <file> | --database <path>] [--participants-type address|tokenId]
+//       [--output <folder>]
+//
+// The RPC URL defaults to http://127.0.0.1:<LOCAL_CHAIN_PORT or 8545>. The
+// output folder (default: current folder) receives holder_snapshot.json
+// and .csv, sorted by address so that the same block and options always
+// give the same files, and participants.json: the addresses repeated by
+// their weight (or the weighted token IDs with --participants-type tokenId),
+// to be given to "luckyDraw.js snapshot --participants" or to an airdrop.
+
+const fs = require("fs");
+const path = require("path");
+const Web3 = require("web3");
+const { parseArgs, loadDataFile, writeJson, runMain } = require("./lib/cli.js");
+const { getAddress, getDeployment } = require("./lib/deployments.js");
+const { toCsv } = require("./lib/csv.js");
+const { buildTraitsDict } = require("./lib/metadata.js");
+const { buildRevealTable } = require("./revealMapping.js");
+const { loadParticipants } = require("./luckyDraw.js");
+const { ABIS } = require("../sdk/index.js");
+
+const web3 = new Web3();
+const SNAPSHOT_VERSION = 1;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const WEIGHTINGS = ["count", "holder", "trait"];
+const OWNABLE_ABI = [
+    {
+        type: "function",
+        name: "owner",
+        stateMutability: "view",
+        inputs: [],
+        outputs: [{ name: "", type: "address" }]
+    }
+];
+
+function compareAddresses(a, b) {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Read the owner of every minted token with ownerOf calls at `blockNumber`,
+ * `batchSize` calls at a time.
+ * @param nft web3 contract of LuckyDuckPack
+ * @returns {Promise<Map<number, string>>} Token ID => owner
+ */
+async function readOwnersByCalls(nft, blockNumber, options = {}) {
+    let batchSize = Number(options.batchSize || 100);
+    // Token IDs are minted in sequence from 0
+    let totalSupply = Number(await nft.methods.totalSupply().call({}, blockNumber));
+    let owners = new Map();
+    for (let start = 0; start < totalSupply; start += batchSize) {
+        let ids = [];
+        for (let id = start; id < Math.min(start + batchSize, totalSupply); ++id) ids.push(id);
+        let results = await Promise.all(ids.map((id) => nft.methods.ownerOf(id).call({}, blockNumber)));
+        ids.forEach((id, i) => owners.set(id, results[i]));
+    }
+    return owners;
+}
+
+/**
+ * Read the owner of every minted token by replaying the Transfer events up
+ * to `blockNumber`, `options.blockRange` blocks at a time from
+ * `options.fromBlock` (e.g. the deployment block).
+ * @returns {Promise<Map<number, string>>} Token ID => owner
+ */
+async function readOwnersByEvents(nft, blockNumber, options = {}) {
+    let blockRange = Number(options.blockRange || 5000);
+    let owners = new Map();
+    for (let from = Number(options.fromBlock || 0); from <= blockNumber; from += blockRange) {
+        let events = await nft.getPastEvents("Transfer", {
+            fromBlock: from,
+            toBlock: Math.min(from + blockRange - 1, blockNumber)
+        });
+        events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        for (let event of events) {
+            let { to, tokenId } = event.returnValues;
+            if (to == ZERO_ADDRESS) owners.delete(Number(tokenId));
+            else owners.set(Number(tokenId), to);
+        }
+    }
+    return owners;
+}
+
+/**
+ * Weight of a token from its traits.
+ * @param {Object} traits {trait_type: value}
+ * @param {Object} traitWeights {trait_type: {value: weight}}
+ */
+function tokenWeight(traits, traitWeights) {
+    let weight = 1;
+    for (let [traitType, values] of Object.entries(traitWeights)) {
+        let value = traits[traitType];
+        if (value !== undefined && values[value] !== undefined) weight *= values[value];
+    }
+    return weight;
+}
+
+function checkTraitWeights(traitWeights) {
+    if (traitWeights === null || typeof traitWeights !== "object" || Array.isArray(traitWeights)) {
+        throw new Error("Trait weights must map trait types to {value: weight} objects");
+    }
+    for (let [traitType, values] of Object.entries(traitWeights)) {
+        if (values === null || typeof values !== "object" || Array.isArray(values)) {
+            throw new Error("Weights of trait '" + traitType + "' must be a {value: weight} object");
+        }
+        for (let [value, weight] of Object.entries(values)) {
+            if (!Number.isSafeInteger(weight) || weight < 0) {
+                throw new Error("Weight of " + traitType + " '" + value + "' must be a non-negative integer");
+            }
+        }
+    }
+}
+
+/**
+ * Build the holder snapshot from the token owners.
+ * @param {Map<number, string>} owners Token ID => owner
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.exclude] Excluded address =>
+ * reason
+ * @param {number} [options.minTokens] Minimum number of tokens of a holder
+ * @param {string} [options.weight] count (default), holder or trait
+ * @param {Object} [options.traitWeights] See tokenWeight
+ * @param {Map<number, Object>} [options.tokenTraits] Token ID => traits,
+ * required by the trait weighting
+ * @returns {{weighting, traitWeights, totalTokens, numHolders, totalWeight,
+ * excluded, holders}} holders and excluded are sorted by address, token IDs
+ * in ascending order; holders of tokens all weighing 0 are dropped
+ */
+function buildHolderSnapshot(owners, options = {}) {
+    let weighting = options.weight || "count";
+    if (!WEIGHTINGS.includes(weighting)) throw new Error("Unknown weighting '" + weighting + "' (" + WEIGHTINGS.join(", ") + ")");
+    if (weighting == "trait") {
+        checkTraitWeights(options.traitWeights);
+        if (!options.tokenTraits) throw new Error("The trait weighting needs the traits of the tokens");
+    }
+    let exclude = new Map(Object.entries(options.exclude || {}).map(([address, reason]) => [address.toLowerCase(), reason]));
+    let minTokens = Number(options.minTokens || 0);
+    let tokensByHolder = new Map();
+    for (let [tokenId, owner] of owners) {
+        let address = web3.utils.toChecksumAddress(owner);
+        if (!tokensByHolder.has(address)) tokensByHolder.set(address, []);
+        tokensByHolder.get(address).push(Number(tokenId));
+    }
+    let holders = [];
+    let excluded = [];
+    for (let address of Array.from(tokensByHolder.keys()).sort(compareAddresses)) {
+        let tokenIds = tokensByHolder.get(address).sort((a, b) => a - b);
+        let reason = exclude.get(address.toLowerCase());
+        if (reason === undefined && tokenIds.length < minTokens) reason = "fewer than " + minTokens + " tokens";
+        if (reason !== undefined) {
+            excluded.push({ address, reason, tokens: tokenIds.length });
+            continue;
+        }
+        let tokenWeights;
+        if (weighting == "trait") {
+            tokenWeights = tokenIds.map((id) => {
+                let traits = options.tokenTraits.get(id);
+                if (traits === undefined) throw new Error("No traits found for token #" + id);
+                return tokenWeight(traits, options.traitWeights);
+            });
+        }
+        let weight =
+            weighting == "count" ? tokenIds.length : weighting == "holder" ? 1 : tokenWeights.reduce((a, b) => a + b, 0);
+        if (weight == 0) continue;
+        let holder = { address, tokens: tokenIds.length, weight, tokenIds };
+        if (tokenWeights) holder.tokenWeights = tokenWeights;
+        holders.push(holder);
+    }
+    let snapshot = {
+        weighting,
+        totalTokens: owners.size,
+        numHolders: holders.length,
+        totalWeight: holders.reduce((total, holder) => total + holder.weight, 0),
+        excluded,
+        holders
+    };
+    if (weighting == "trait") snapshot.traitWeights = options.traitWeights;
+    return snapshot;
+}
+
+/**
+ * Participant list of a snapshot: each holder address repeated by its
+ * weight, or (type tokenId) each token ID repeated by its weight (1 per
+ * token unless weighted by trait).
+ */
+function participantsList(snapshot, type = "address") {
+    let participants = [];
+    for (let holder of snapshot.holders) {
+        if (type == "address") {
+            for (let i = 0; i < holder.weight; ++i) participants.push(holder.address);
+        } else if (type == "tokenId") {
+            holder.tokenIds.forEach((id, i) => {
+                let weight = holder.tokenWeights ? holder.tokenWeights[i] : 1;
+                for (let j = 0; j < weight; ++j) participants.push(id);
+            });
+        } else {
+            throw new Error("Unknown participant type '" + type + "'");
+        }
+    }
+    return type == "tokenId" ? participants.sort((a, b) => a - b) : participants;
+}
+
+/**
+ * Format the holders as CSV (token IDs separated by spaces).
+ */
+function snapshotToCsv(snapshot) {
+    let rows = snapshot.holders.map((holder) => [holder.address, holder.tokens, holder.weight, holder.tokenIds.join(" ")]);
+    return toCsv(["address", "tokens", "weight", "token_ids"], rows);
+}
+
+/**
+ * Addresses among `addresses` holding code at `blockNumber`.
+ */
+async function findContracts(chain, addresses, blockNumber) {
+    let contracts = [];
+    for (let address of addresses) {
+        let code = await chain.eth.getCode(address, blockNumber);
+        if (code && code != "0x") contracts.push(address);
+    }
+    return contracts;
+}
+
+// Traits by token ID, from a reveal mapping or from the metadata database
+async function loadTokenTraits(options, nft, blockNumber) {
+    let rows;
+    if (options.revealMapping) {
+        rows = loadDataFile(options.revealMapping);
+    } else if (options.database) {
+        let revealOffset = Number(await nft.methods.revealOffset().call({}, blockNumber));
+        if (revealOffset == 0) throw new Error("Collection not revealed at block " + blockNumber);
+        let maxSupply = Number(await nft.methods.MAX_SUPPLY().call());
+        rows = buildRevealTable(loadDataFile(options.database), revealOffset, maxSupply);
+    } else {
+        throw new Error("The trait weighting needs --reveal-mapping or --database");
+    }
+    return new Map(rows.map((row) => [Number(row.token_id), row.traits || buildTraitsDict(row.attributes || [])]));
+}
+
+// Excluded address => reason, from the options
+async function exclusions(options, chain, owners, blockNumber) {
+    let exclude = {};
+    if (options.exclude) {
+        for (let address of String(options.exclude).split(",")) exclude[address.trim()] = "excluded";
+    }
+    if (options.excludeFile) {
+        for (let address of loadParticipants(options.excludeFile)) exclude[String(address).trim()] = "excluded";
+    }
+    if (options.excludeMinter) {
+        let minter = options.minter || getAddress(options.network, "LDPMinter");
+        exclude[minter] = "minter";
+        let minterOwner = await new chain.eth.Contract(OWNABLE_ABI, minter).methods.owner().call({}, blockNumber);
+        exclude[minterOwner] = "minter owner (team reserve)";
+    }
+    if (options.excludeContracts) {
+        let holders = Array.from(new Set(owners.values()));
+        for (let address of await findContracts(chain, holders, blockNumber)) {
+            if (exclude[address] === undefined) exclude[address] = "contract";
+        }
+    }
+    for (let address of Object.keys(exclude)) {
+        if (!web3.utils.isAddress(address)) throw new Error("Invalid excluded address: " + address);
+    }
+    return exclude;
+}
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    let rpc = options.rpc || "http://127.0.0.1:" + (process.env.LOCAL_CHAIN_PORT || 8545);
+    let address = options.address || (options.network && getAddress(options.network, "LuckyDuckPack"));
+    if (!address) throw new Error("Missing LuckyDuckPack address (--address or --network)");
+    if (options.excludeMinter && !options.minter && !options.network) {
+        throw new Error("--exclude-minter needs the LDPMinter address (--minter or --network)");
+    }
+    let chain = new Web3(rpc);
+    let nft = new chain.eth.Contract(ABIS.LuckyDuckPack, address);
+    let block = await chain.eth.getBlock(options.block === undefined || options.block === true ? "latest" : options.block);
+    if (block === null) throw new Error("Block " + options.block + " not found");
+    let blockNumber = Number(block.number);
+
+    let source = options.source || "calls";
+    let owners;
+    if (source == "calls") {
+        owners = await readOwnersByCalls(nft, blockNumber, { batchSize: options.batchSize });
+    } else if (source == "events") {
+        let fromBlock = options.fromBlock;
+        if (fromBlock === undefined && options.network) fromBlock = getDeployment(options.network, "LuckyDuckPack").blockNumber;
+        owners = await readOwnersByEvents(nft, blockNumber, { fromBlock, blockRange: options.blockRange });
+    } else {
+        throw new Error("Unknown source '" + source + "' (expected calls or events)");
+    }
+
+    let weight = options.weight || "count";
+    let snapshot = buildHolderSnapshot(owners, {
+        exclude: await exclusions(options, chain, owners, blockNumber),
+        minTokens: options.minTokens,
+        weight,
+        traitWeights: weight == "trait" && options.traitWeights ? loadDataFile(options.traitWeights) : undefined,
+        tokenTraits: weight == "trait" ? await loadTokenTraits(options, nft, blockNumber) : undefined
+    });
+    let output = {
+        version: SNAPSHOT_VERSION,
+        chainId: Number(await chain.eth.getChainId()),
+        nft: web3.utils.toChecksumAddress(address),
+        blockNumber,
+        blockHash: block.hash,
+        source,
+        ...snapshot
+    };
+    let outputDir = options.output || ".";
+    let participantsType = options.participantsType || "address";
+    writeJson(path.join(outputDir, "holder_snapshot.json"), output);
+    fs.writeFileSync(path.join(outputDir, "holder_snapshot.csv"), snapshotToCsv(snapshot));
+    writeJson(path.join(outputDir, "participants.json"), participantsList(snapshot, participantsType));
+    console.log(
+        "Snapshot at block " + blockNumber + ": " + snapshot.numHolders + " holder(s), total weight " +
+            snapshot.totalWeight + ", " + snapshot.excluded.length + " excluded"
+    );
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    readOwnersByCalls,
+    readOwnersByEvents,
+    tokenWeight,
+    buildHolderSnapshot,
+    participantsList,
+    snapshotToCsv,
+    findContracts
+};
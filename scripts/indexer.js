@@ -0,0 +1,131 @@
+// Index the events of the LDP contracts into a SQLite database: current
+// owners, mint history with the price paid, revenue claims and lucky draws
+// (see scripts/lib/eventIndexer.js for the tables).
+//
+// Usage:
+//   node scripts/indexer.js sync --db <index.sqlite> [--rpc <url>] [--network <name>]
+//       [--nft <address>] [--minter <address>] [--rewarder <address>] [--lucky-draw <address>]
+//       [--start-block <n>] [--confirmations <n>] [--reorg-depth <n>] [--batch-size <n>]
+//       [--watch [--interval <ms>]]
+//   node scripts/indexer.js query <owners|holders|mints|claims|draws> --db <index.sqlite>
+//       [--token-id <id>] [--account <address>] [--json]
+//
+// Addresses default to the deployment registry of --network (default:
+// local), the RPC to the local chain. The events are decoded with the ABI
+// of the contract variant recorded in the registry (e.g. LDPRewarderTest on
+// the local chain). Syncing resumes from the checkpoint stored in the
+// database; --watch keeps following the chain.
+
+const Web3 = require("web3");
+const { parseArgs, runMain } = require("./lib/cli.js");
+const { getAddress, loadRegistry } = require("./lib/deployments.js");
+const { EventIndexer } = require("./lib/eventIndexer.js");
+
+const ADDRESS_OPTIONS = { nft: "LuckyDuckPack", minter: "LDPMinter", rewarder: "LDPRewarder", luckyDraw: "LDPLuckyDraw" };
+const NUMBER_OPTIONS = ["startBlock", "confirmations", "reorgDepth", "batchSize"];
+
+// Addresses of the indexed contracts, and the artifact names of the variants
+// deployed at the registry addresses
+function contracts(options) {
+    let network = options.network || "local";
+    let registry = loadRegistry(network);
+    let addresses = {};
+    let contractNames = {};
+    for (let [key, name] of Object.entries(ADDRESS_OPTIONS)) {
+        let entry = registry.contracts[name];
+        if (options[key]) addresses[key] = options[key];
+        else if (entry) addresses[key] = getAddress(network, name);
+        if (entry && entry.contractName && addresses[key].toLowerCase() == entry.address.toLowerCase()) {
+            contractNames[key] = entry.contractName;
+        }
+    }
+    return { addresses, contractNames };
+}
+
+function indexerOptions(options) {
+    let result = {};
+    for (let name of NUMBER_OPTIONS) {
+        if (options[name] === undefined) continue;
+        let value = Number(options[name]);
+        if (!Number.isInteger(value) || value < 0) throw new Error("--" + name + " must be a non-negative integer");
+        result[name] = value;
+    }
+    if (result.startBlock === undefined && options.network) {
+        // Start from the first deployment of the indexed contracts
+        let blocks = Object.values(loadRegistry(options.network).contracts)
+            .map((entry) => entry.blockNumber)
+            .filter(Number.isInteger);
+        if (blocks.length) result.startBlock = Math.min(...blocks);
+    }
+    return result;
+}
+
+/**
+ * Rows of a query command.
+ */
+function queryRows(indexer, table, options) {
+    switch (table) {
+        case "owners":
+            return indexer.owners();
+        case "holders":
+            return indexer.holders();
+        case "mints":
+            return indexer.mints();
+        case "claims":
+            return indexer.claims({ tokenId: options.tokenId, account: options.account });
+        case "draws":
+            return indexer.draws();
+    }
+    throw new Error("Unknown table '" + table + "' (expected owners, holders, mints, claims or draws)");
+}
+
+function printSync(result) {
+    let line = "Indexed blocks " + result.fromBlock + " to " + result.toBlock + ": " + result.logs + " log(s)";
+    if (result.skipped > 0) line += ", " + result.skipped + " skipped (unknown events, check the contract variants)";
+    if (result.rolledBackTo !== null) line += ", rolled back to block " + result.rolledBackTo + " (re-org)";
+    console.log(line);
+}
+
+async function main(argv) {
+    let { options, positionals } = parseArgs(argv);
+    let command = positionals[0];
+    if (!options.db) throw new Error("Missing database file (--db)");
+    if (command == "sync") {
+        let rpc = options.rpc || "http://127.0.0.1:" + (process.env.LOCAL_CHAIN_PORT || 8545);
+        let { addresses, contractNames } = contracts(options);
+        let indexer = await EventIndexer.open(new Web3(rpc), options.db, addresses, {
+            ...indexerOptions(options),
+            contractNames
+        });
+        let interval = Number(options.interval || 5000);
+        try {
+            for (;;) {
+                let result = await indexer.sync();
+                if (result.logs > 0 || result.rolledBackTo !== null || !options.watch) printSync(result);
+                if (!options.watch) return;
+                await new Promise((resolve) => setTimeout(resolve, interval));
+            }
+        } finally {
+            indexer.close();
+        }
+    } else if (command == "query") {
+        let indexer = await EventIndexer.openReadOnly(options.db);
+        try {
+            let rows = queryRows(indexer, positionals[1], options);
+            if (options.json) console.log(JSON.stringify(rows, null, "  "));
+            else console.table(rows);
+        } finally {
+            indexer.close();
+        }
+    } else {
+        throw new Error("Unknown command '" + command + "' (expected sync or query)");
+    }
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    queryRows
+};
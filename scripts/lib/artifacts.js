@@ -0,0 +1,203 @@
+// Helpers to read the compiled Truffle artifacts
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_BUILD_DIR = path.resolve(__dirname, "../../build/contracts");
+
+/**
+ * Load the artifact of `contractName` from the Truffle build folder.
+ * Run "truffle compile" first if the artifact is missing.
+ */
+function loadArtifact(contractName, buildDir = DEFAULT_BUILD_DIR) {
+    let artifactPath = path.join(buildDir, contractName + ".json");
+    if (!fs.existsSync(artifactPath)) {
+        throw new Error("Artifact not found: " + artifactPath + " (run 'truffle compile' first)");
+    }
+    return JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+}
+
+/**
+ * Return the declaration node of the state variable `name` from the
+ * artifact AST, or undefined if not found.
+ */
+function findStateVariable(artifact, name) {
+    if (!artifact.ast) throw new Error("Artifact of " + artifact.contractName + " has no AST");
+    let contractNode = artifact.ast.nodes.find(
+        (node) => node.nodeType == "ContractDefinition" && node.name == artifact.contractName
+    );
+    if (contractNode === undefined) return undefined;
+    return contractNode.nodes.find(
+        (node) => node.nodeType == "VariableDeclaration" && node.name == name
+    );
+}
+
+// Multipliers of the number literal subdenominations (e.g. "0.1 ether")
+const SUBDENOMINATIONS = {
+    wei: 1n,
+    gwei: 10n ** 9n,
+    ether: 10n ** 18n,
+    seconds: 1n,
+    minutes: 60n,
+    hours: 3600n,
+    days: 86400n,
+    weeks: 604800n
+};
+
+/**
+ * Parse a Solidity number literal as a fraction {n, d} of BigInts.
+ */
+function parseNumberLiteral(text) {
+    text = text.replace(/_/g, "");
+    if (/^0x/i.test(text)) return { n: BigInt(text), d: 1n };
+    let match = /^(\d*)(?:\.(\d*))?(?:e(-?\d+))?$/i.exec(text);
+    if (match === null) throw new Error("Invalid number literal '" + text + "'");
+    let decimals = match[2] || "";
+    let exponent = Number(match[3] || 0) - decimals.length;
+    let n = BigInt((match[1] || "0") + decimals);
+    return exponent >= 0 ? { n: n * 10n ** BigInt(exponent), d: 1n } : { n, d: 10n ** BigInt(-exponent) };
+}
+
+function gcd(a, b) {
+    if (a < 0n) a = -a;
+    while (b != 0n) [a, b] = [b, a % b];
+    return a;
+}
+
+function reduceFraction(n, d) {
+    if (d < 0n) [n, d] = [-n, -d];
+    let divisor = gcd(n, d) || 1n;
+    return { n: n / divisor, d: d / divisor };
+}
+
+function findNode(node, id) {
+    if (node === null || typeof node !== "object") return undefined;
+    if (node.id === id && node.nodeType) return node;
+    for (let value of Object.values(node)) {
+        let found = findNode(value, id);
+        if (found !== undefined) return found;
+    }
+    return undefined;
+}
+
+// Evaluate a number expression as an exact fraction, like the compiler does
+// for constant expressions
+function evaluateNumber(artifact, node) {
+    switch (node.nodeType) {
+        case "Literal": {
+            if (node.kind != "number") throw new Error("Not a number: '" + node.value + "'");
+            let { n, d } = parseNumberLiteral(node.value);
+            let multiplier = node.subdenomination ? SUBDENOMINATIONS[node.subdenomination] : 1n;
+            if (multiplier === undefined) throw new Error("Unsupported subdenomination '" + node.subdenomination + "'");
+            return reduceFraction(n * multiplier, d);
+        }
+        case "TupleExpression":
+            if (node.components.length != 1) break;
+            return evaluateNumber(artifact, node.components[0]);
+        case "UnaryOperation": {
+            if (node.operator != "-") break;
+            let { n, d } = evaluateNumber(artifact, node.subExpression);
+            return { n: -n, d };
+        }
+        case "Identifier": {
+            let declaration = constantDeclaration(artifact, node);
+            return evaluateNumber(artifact, declaration.value);
+        }
+        case "BinaryOperation": {
+            let a = evaluateNumber(artifact, node.leftExpression);
+            let b = evaluateNumber(artifact, node.rightExpression);
+            switch (node.operator) {
+                case "+":
+                    return reduceFraction(a.n * b.d + b.n * a.d, a.d * b.d);
+                case "-":
+                    return reduceFraction(a.n * b.d - b.n * a.d, a.d * b.d);
+                case "*":
+                    return reduceFraction(a.n * b.n, a.d * b.d);
+                case "/":
+                    if (b.n == 0n) throw new Error("Division by zero");
+                    return reduceFraction(a.n * b.d, a.d * b.n);
+                case "%":
+                    if (a.d != 1n || b.d != 1n || b.n == 0n) break;
+                    return { n: a.n % b.n, d: 1n };
+                case "**":
+                    if (b.d != 1n || b.n < 0n) break;
+                    return { n: a.n ** b.n, d: a.d ** b.n };
+            }
+            break;
+        }
+    }
+    throw new Error("Unsupported expression (" + node.nodeType + (node.operator ? " " + node.operator : "") + ")");
+}
+
+// Declaration of the constant referenced by an Identifier node
+function constantDeclaration(artifact, identifier) {
+    let declaration = findNode(artifact.ast, identifier.referencedDeclaration);
+    if (declaration === undefined || declaration.nodeType != "VariableDeclaration" || !declaration.constant) {
+        throw new Error("'" + identifier.name + "' is not a constant (set at deployment)");
+    }
+    return declaration;
+}
+
+/**
+ * Evaluate a constant expression from the artifact AST.
+ * Literals are returned as written (e.g. addresses keep their checksum),
+ * references to other constants are resolved, number expressions (e.g.
+ * "2 * 10**18", "0.0001 ether", "2 days") are returned as decimal strings.
+ * @returns undefined if the expression is a variable set at deployment
+ * (constructor parameter or immutable)
+ * @throws Error if the expression is not a compile-time constant
+ */
+function evaluateExpression(artifact, node) {
+    if (node.nodeType == "Literal" && (node.kind != "number" || !node.subdenomination)) return node.value;
+    if (node.nodeType == "Identifier") {
+        let declaration = findNode(artifact.ast, node.referencedDeclaration);
+        if (declaration !== undefined && declaration.nodeType == "VariableDeclaration" && !declaration.constant) {
+            return undefined;
+        }
+        return evaluateExpression(artifact, constantDeclaration(artifact, node).value);
+    }
+    let { n, d } = evaluateNumber(artifact, node);
+    if (d != 1n) throw new Error("Expression is not an integer (" + n + "/" + d + ")");
+    return n.toString();
+}
+
+/**
+ * Return the value of the constant `name`, see evaluateExpression.
+ */
+function getConstant(artifact, name) {
+    let node = findStateVariable(artifact, name);
+    if (node === undefined || !node.constant) {
+        throw new Error("Constant " + name + " not found in " + artifact.contractName);
+    }
+    try {
+        return evaluateExpression(artifact, node.value);
+    } catch (err) {
+        throw new Error("Constant " + name + " of " + artifact.contractName + ": " + err.message);
+    }
+}
+
+/**
+ * Return the AST nodes of the arguments given to the constructor of the
+ * base contract `baseName`, either in the inheritance list or in the
+ * constructor modifiers; undefined if not found.
+ */
+function findBaseArguments(artifact, baseName) {
+    let contractNode = artifact.ast.nodes.find(
+        (node) => node.nodeType == "ContractDefinition" && node.name == artifact.contractName
+    );
+    if (contractNode === undefined) return undefined;
+    let constructor = contractNode.nodes.find((node) => node.nodeType == "FunctionDefinition" && node.kind == "constructor");
+    let invocation = constructor && constructor.modifiers.find((modifier) => modifier.modifierName.name == baseName);
+    if (invocation && invocation.arguments) return invocation.arguments;
+    let base = contractNode.baseContracts.find((specifier) => specifier.baseName.name == baseName);
+    return base && base.arguments ? base.arguments : undefined;
+}
+
+module.exports = {
+    DEFAULT_BUILD_DIR,
+    loadArtifact,
+    findStateVariable,
+    evaluateExpression,
+    getConstant,
+    findBaseArguments
+};
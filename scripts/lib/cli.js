@@ -0,0 +1,87 @@
+// Small helpers shared by the command line scripts
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { describeError } = require("./errors.js");
+
+/**
+ * Parse command line arguments in the form "--name value", "--name=value"
+ * or "--flag" (boolean). Anything not starting with "--" is collected as a
+ * positional argument.
+ * @param {string[]} argv Arguments, usually process.argv.slice(2)
+ * @returns {{options: Object, positionals: string[]}}
+ */
+function parseArgs(argv) {
+    let options = {};
+    let positionals = [];
+    for (let i = 0; i < argv.length; ++i) {
+        let arg = argv[i];
+        if (!arg.startsWith("--")) {
+            positionals.push(arg);
+            continue;
+        }
+        let name = arg.slice(2);
+        let value = true;
+        let eqIndex = name.indexOf("=");
+        if (eqIndex != -1) {
+            value = name.slice(eqIndex + 1);
+            name = name.slice(0, eqIndex);
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+            value = argv[++i];
+        }
+        options[toCamelCase(name)] = value;
+    }
+    return { options, positionals };
+}
+
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Load a JSON or YAML file (picked by extension).
+ */
+function loadDataFile(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, "utf8");
+    } catch (err) {
+        throw new Error("Cannot read file " + filePath + ": " + err.message);
+    }
+    let ext = path.extname(filePath).toLowerCase();
+    try {
+        if (ext == ".yml" || ext == ".yaml") return yaml.load(content);
+        return JSON.parse(content);
+    } catch (err) {
+        throw new Error("Cannot parse file " + filePath + ": " + err.message);
+    }
+}
+
+/**
+ * Write `data` as indented JSON, creating the parent folder if needed.
+ */
+function writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, "  "));
+}
+
+/**
+ * Run the main function of a script, printing errors (decoding contract
+ * reverts) and setting a non-zero exit code on failure.
+ */
+function runMain(main) {
+    Promise.resolve()
+        .then(() => main(process.argv.slice(2)))
+        .catch((err) => {
+            console.error("Error: " + describeError(err));
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    parseArgs,
+    loadDataFile,
+    writeJson,
+    runMain
+};
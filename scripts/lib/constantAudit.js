@@ -0,0 +1,214 @@
+// Audit of the addresses and values hardcoded in the contracts (Chainlink
+// VRF coordinator, LINK token, VRF fee and key hash, WETH) against the
+// profile of the target network (scripts/config/networkProfiles.json).
+//
+// Profile values:
+// - a value: the contract must hardcode it (fees are in LINK, e.g. "0.1");
+// - "deployment": the contract must take it at deployment (test doubles
+//   receiving the addresses of the local mocks);
+// - null: not checked.
+
+const path = require("path");
+const Web3 = require("web3");
+const { loadDataFile } = require("./cli.js");
+const { DEFAULT_BUILD_DIR, loadArtifact, findStateVariable, evaluateExpression, findBaseArguments } = require("./artifacts.js");
+const { parseContractName } = require("./deployments.js");
+
+const DEFAULT_PROFILES = path.resolve(__dirname, "../config/networkProfiles.json");
+const DEPLOYMENT = "deployment";
+
+// Audited values of each contract, whatever the variant
+const AUDITED_VALUES = {
+    LuckyDuckPack: [
+        { name: "VRF coordinator", base: "VRFConsumerBase", argument: 0, key: "vrfCoordinator" },
+        { name: "LINK token", base: "VRFConsumerBase", argument: 1, key: "linkToken" },
+        { name: "fee", key: "vrfFee" },
+        { name: "keyHash", key: "vrfKeyHash" }
+    ],
+    LDPRewarder: [{ name: "WETH", key: "weth" }],
+    LDPLuckyDraw: [
+        { name: "VRF coordinator", base: "VRFConsumerBase", argument: 0, key: "vrfCoordinator" },
+        { name: "LINK token", base: "VRFConsumerBase", argument: 1, key: "linkToken" },
+        { name: "_CHAINLINKFEE", key: "vrfFee" },
+        { name: "_CHAINLINKKEYHASH", key: "vrfKeyHash" }
+    ]
+};
+
+/**
+ * Load the network profiles from a JSON or YAML file.
+ */
+function loadProfiles(filePath = DEFAULT_PROFILES) {
+    return loadDataFile(filePath);
+}
+
+/**
+ * Return the profile name of a Truffle network: the network name itself,
+ * without the "-fork" suffix of dry runs.
+ * @throws Error if there is no profile for the network
+ */
+function profileName(network, profiles) {
+    let name = network.endsWith("-fork") ? network.slice(0, -"-fork".length) : network;
+    if (profiles[name] === undefined) {
+        throw new Error(
+            "No network profile for '" + network + "': add it to scripts/config/networkProfiles.json " +
+                "(known: " + Object.keys(profiles).join(", ") + ")"
+        );
+    }
+    return name;
+}
+
+/**
+ * Read an audited value from the artifact.
+ * @returns The value as written in the source (numbers as decimal strings),
+ * or DEPLOYMENT if the value is given at deployment
+ */
+function readValue(artifact, spec) {
+    let node;
+    if (spec.base) {
+        let args = findBaseArguments(artifact, spec.base);
+        if (args === undefined) throw new Error(artifact.contractName + " does not call the " + spec.base + " constructor");
+        node = args[spec.argument];
+    } else {
+        let declaration = findStateVariable(artifact, spec.name);
+        if (declaration === undefined) throw new Error(spec.name + " not found in " + artifact.contractName);
+        if (!declaration.constant) return DEPLOYMENT;
+        node = declaration.value;
+    }
+    let value = evaluateExpression(artifact, node);
+    return value === undefined ? DEPLOYMENT : value;
+}
+
+// Comparable form of a value: lowercase hex, fees in wei
+function normalize(key, value) {
+    if (value === null || value === DEPLOYMENT) return value;
+    if (key == "vrfFee") return BigInt(Web3.utils.toWei(String(value), "ether")).toString();
+    if (/^0x/i.test(value)) return "0x" + value.slice(2).toLowerCase();
+    return String(value);
+}
+
+// Comparable form of a value read from an artifact
+function normalizeActual(value) {
+    if (value === DEPLOYMENT) return value;
+    return /^0x/i.test(value) ? "0x" + value.slice(2).toLowerCase() : String(value);
+}
+
+/**
+ * Audit the hardcoded values of a compiled contract against a profile.
+ * @param artifact Compiled artifact (any variant of an audited contract)
+ * @param name Name of the profile to check against
+ * @param profiles All the profiles, to tell which network a wrong value
+ * belongs to
+ * @returns Array of {contract, value, expected, actual, ok, matches};
+ * fees are in wei, `matches` lists the profiles having the actual value
+ */
+function auditArtifact(artifact, name, profiles) {
+    let specs = AUDITED_VALUES[parseContractName(artifact.contractName).name];
+    if (specs === undefined) return [];
+    let profile = profiles[name];
+    return specs.map((spec) => {
+        let actual = readValue(artifact, spec);
+        let expected = profile[spec.key] === undefined ? null : profile[spec.key];
+        let ok = expected === null || normalize(spec.key, expected) == normalizeActual(actual);
+        if (spec.key == "vrfFee" && expected !== null && expected !== DEPLOYMENT) expected = normalize(spec.key, expected);
+        let matches = Object.keys(profiles).filter(
+            (other) => profiles[other][spec.key] != null && normalize(spec.key, profiles[other][spec.key]) == normalizeActual(actual)
+        );
+        return {
+            contract: artifact.contractName,
+            value: spec.name,
+            expected,
+            actual,
+            ok,
+            matches
+        };
+    });
+}
+
+/**
+ * Audit contracts for a Truffle network.
+ * @param contractNames Names of the compiled contracts
+ * @param network Truffle network name (profile name, "-fork" allowed)
+ * @param options.chainId Chain ID of the connected node, checked against
+ * the profile
+ * @param options.profiles Profiles (default: scripts/config/networkProfiles.json)
+ * @param options.buildDir Truffle build folder
+ * @returns {network, profile, chainId, ok, results}
+ */
+function auditConstants(contractNames, network, options = {}) {
+    let profiles = options.profiles || loadProfiles();
+    let name = profileName(network, profiles);
+    let results = [];
+    if (options.chainId !== undefined && Number(options.chainId) != Number(profiles[name].chainId)) {
+        results.push({
+            contract: null,
+            value: "chainId",
+            expected: profiles[name].chainId,
+            actual: Number(options.chainId),
+            ok: false,
+            matches: Object.keys(profiles).filter((other) => Number(profiles[other].chainId) == Number(options.chainId))
+        });
+    }
+    for (let contractName of contractNames) {
+        results.push(...auditArtifact(loadArtifact(contractName, options.buildDir || DEFAULT_BUILD_DIR), name, profiles));
+    }
+    return {
+        network,
+        profile: name,
+        chainId: options.chainId,
+        ok: results.every((result) => result.ok),
+        results
+    };
+}
+
+/**
+ * Format the audit report, one line per value.
+ */
+function formatAudit(report) {
+    let lines = ["Constant audit for profile '" + report.profile + "' (network " + report.network + ")"];
+    for (let result of report.results) {
+        let line = "  " + (result.ok ? "OK     " : "FAILED ") + (result.contract ? result.contract + "." : "") + result.value;
+        line += ": " + result.actual;
+        if (!result.ok) {
+            line += ", expected " + result.expected;
+            if (result.matches.length > 0) line += " (value of " + result.matches.join(", ") + ")";
+        } else if (result.expected === null) {
+            line += " (not checked)";
+        }
+        lines.push(line);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Audit the contracts of a migration and refuse to go on if any value does
+ * not match the network profile.
+ * @param contracts Truffle contract abstractions
+ * @param network Network name given to the migration
+ * @param web3 Web3 instance of the migration
+ * @throws Error listing the mismatches
+ */
+async function assertConstants(contracts, network, web3) {
+    let report = auditConstants(
+        contracts.map((contract) => contract.contractName),
+        network,
+        { chainId: await web3.eth.getChainId() }
+    );
+    console.log(formatAudit(report));
+    if (!report.ok) {
+        throw new Error("Constant audit failed for network '" + network + "': deployment refused");
+    }
+    return report;
+}
+
+module.exports = {
+    DEFAULT_PROFILES,
+    DEPLOYMENT,
+    AUDITED_VALUES,
+    loadProfiles,
+    profileName,
+    readValue,
+    auditArtifact,
+    auditConstants,
+    formatAudit,
+    assertConstants
+};
@@ -0,0 +1,58 @@
+// Minimal CSV writer
+
+function escapeField(value, delimiter) {
+    let text = value === undefined || value === null ? "" : String(value);
+    if (text.includes(delimiter) || text.includes('"') || text.includes("\n")) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+/**
+ * Format `rows` (arrays of values) as CSV, with `header` as first line.
+ */
+function toCsv(header, rows, delimiter = ",") {
+    let lines = [header, ...rows].map((row) =>
+        row.map((value) => escapeField(value, delimiter)).join(delimiter)
+    );
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Parse CSV content into an array of rows (arrays of strings). Supports
+ * quoted fields; empty lines are skipped.
+ */
+function parseCsv(content, delimiter = ",") {
+    let rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let pushRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim().length > 0) rows.push(row);
+        row = [];
+        field = "";
+    };
+    for (let i = 0; i < content.length; ++i) {
+        let char = content[i];
+        if (quoted) {
+            if (char == '"' && content[i + 1] == '"') {
+                field += '"';
+                ++i;
+            } else if (char == '"') quoted = false;
+            else field += char;
+        } else if (char == '"') quoted = true;
+        else if (char == delimiter) {
+            row.push(field);
+            field = "";
+        } else if (char == "\n") pushRow();
+        else if (char != "\r") field += char;
+    }
+    if (field.length > 0 || row.length > 0) pushRow();
+    return rows;
+}
+
+module.exports = {
+    toCsv,
+    parseCsv
+};
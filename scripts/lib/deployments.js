@@ -0,0 +1,192 @@
+// Deployment registry: one JSON file per network (deployments/<network>.json)
+// recording, for each contract, the deployed variant and address with what
+// is needed to reproduce or verify the deployment.
+//
+// Registry format:
+// {
+//   "network": "goerli",
+//   "chainId": 5,
+//   "contracts": {
+//     "LuckyDuckPack": {
+//       "contractName": "LuckyDuckPack_TESTNET",
+//       "variant": "testnet",
+//       "address": "0x...",
+//       "constructorArguments": [],
+//       "transactionHash": "0x...",
+//       "blockNumber": 123,
+//       "compiler": {"version": "0.8.23+commit.f704f362", "optimizer": {...}, "evmVersion": "shanghai"},
+//       "gitCommit": "abc123...",
+//       "deployedAt": "2023-01-01T00:00:00.000Z"
+//     }
+//   }
+// }
+// Contracts are registered under their name without variant suffix, so
+// that tools can look them up the same way on every network.
+
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { loadDataFile, writeJson } = require("./cli.js");
+
+const DEFAULT_DEPLOYMENTS_DIR = path.resolve(__dirname, "../../deployments");
+const VARIANT_SUFFIXES = { testnet: "_TESTNET", test: "Test" };
+
+/**
+ * Name of a contract without its variant suffix, and the variant.
+ * E.g. "LDPMinter_TESTNET" => {name: "LDPMinter", variant: "testnet"}
+ */
+function parseContractName(contractName) {
+    for (let [variant, suffix] of Object.entries(VARIANT_SUFFIXES)) {
+        if (contractName.endsWith(suffix)) {
+            return { name: contractName.slice(0, -suffix.length), variant };
+        }
+    }
+    return { name: contractName, variant: "mainnet" };
+}
+
+function registryPath(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    if (!/^[\w.-]+$/.test(network)) throw new Error("Invalid network name '" + network + "'");
+    return path.join(dir, network + ".json");
+}
+
+/**
+ * Load the registry of `network`; empty if nothing has been deployed yet.
+ */
+function loadRegistry(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    let filePath = registryPath(network, dir);
+    if (!fs.existsSync(filePath)) return { network, chainId: null, contracts: {} };
+    return loadDataFile(filePath);
+}
+
+/**
+ * List the networks having a registry.
+ */
+function listNetworks(dir = DEFAULT_DEPLOYMENTS_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs
+        .readdirSync(dir)
+        .filter((file) => path.extname(file) == ".json" && !file.startsWith("launch_"))
+        .map((file) => path.basename(file, ".json"))
+        .sort();
+}
+
+/**
+ * Return the registry entry of contract `name` on `network`.
+ * @throws Error if the contract has not been deployed on the network
+ */
+function getDeployment(network, name, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    let entry = loadRegistry(network, dir).contracts[name];
+    if (entry === undefined) throw new Error(name + " is not deployed on network '" + network + "'");
+    return entry;
+}
+
+/**
+ * Shortcut for getDeployment(network, name).address.
+ */
+function getAddress(network, name, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    return getDeployment(network, name, dir).address;
+}
+
+/**
+ * Compiler version and settings from an artifact (JSON artifact or Truffle
+ * contract abstraction).
+ */
+function compilerSettings(artifact) {
+    let settings = {};
+    if (artifact.metadata) {
+        try {
+            settings = JSON.parse(artifact.metadata).settings || {};
+        } catch (err) {
+            settings = {};
+        }
+    }
+    return {
+        version: artifact.compiler ? artifact.compiler.version : undefined,
+        optimizer: settings.optimizer,
+        evmVersion: settings.evmVersion
+    };
+}
+
+/**
+ * Current git commit, with a "-dirty" suffix if the working tree has
+ * uncommitted changes; null outside a git repository.
+ */
+function gitCommit() {
+    try {
+        let options = { cwd: path.resolve(__dirname, "../.."), stdio: ["ignore", "pipe", "ignore"] };
+        let commit = execSync("git rev-parse HEAD", options).toString().trim();
+        let dirty = execSync("git status --porcelain --untracked-files=no", options).toString().trim();
+        return dirty.length > 0 ? commit + "-dirty" : commit;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Add or replace a contract in the registry of `network`.
+ * @param deployment.network Network name
+ * @param deployment.chainId Chain ID
+ * @param deployment.artifact Artifact of the deployed contract
+ * @param deployment.address, transactionHash, blockNumber, constructorArguments
+ * @returns The registry entry
+ */
+function recordDeployment(deployment, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    let { network, chainId, artifact } = deployment;
+    let { name, variant } = parseContractName(artifact.contractName);
+    let registry = loadRegistry(network, dir);
+    if (registry.chainId !== null && chainId !== undefined && Number(registry.chainId) != Number(chainId)) {
+        throw new Error("Registry of '" + network + "' belongs to chain " + registry.chainId + ", not " + chainId);
+    }
+    if (chainId !== undefined) registry.chainId = Number(chainId);
+    let entry = {
+        contractName: artifact.contractName,
+        variant,
+        address: deployment.address,
+        constructorArguments: deployment.constructorArguments || [],
+        transactionHash: deployment.transactionHash,
+        blockNumber: deployment.blockNumber,
+        compiler: compilerSettings(artifact),
+        gitCommit: deployment.gitCommit !== undefined ? deployment.gitCommit : gitCommit(),
+        deployedAt: new Date().toISOString()
+    };
+    registry.contracts[name] = entry;
+    writeJson(registryPath(network, dir), registry);
+    return entry;
+}
+
+/**
+ * Record a contract deployed by a Truffle migration.
+ * @param web3 Web3 instance of the migration
+ * @param network Network name given to the migration
+ * @param contract Deployed Truffle contract abstraction
+ * @param constructorArguments Arguments given to deployer.deploy
+ */
+async function recordTruffleDeployment(web3, network, contract, constructorArguments) {
+    // Dry runs before public networks happen on "<network>-fork"
+    if (network.endsWith("-fork")) return undefined;
+    let instance = await contract.deployed();
+    let receipt = await web3.eth.getTransactionReceipt(contract.transactionHash);
+    return recordDeployment({
+        network,
+        chainId: await web3.eth.getChainId(),
+        artifact: contract,
+        address: instance.address,
+        transactionHash: contract.transactionHash,
+        blockNumber: receipt ? receipt.blockNumber : undefined,
+        constructorArguments
+    });
+}
+
+module.exports = {
+    DEFAULT_DEPLOYMENTS_DIR,
+    parseContractName,
+    registryPath,
+    loadRegistry,
+    listNetworks,
+    getDeployment,
+    getAddress,
+    compilerSettings,
+    gitCommit,
+    recordDeployment,
+    recordTruffleDeployment
+};
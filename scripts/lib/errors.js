@@ -0,0 +1,76 @@
+// Registry of the custom errors of every compiled contract, decoding the
+// reverts met by the scripts and the tests (see sdk/errors.js)
+
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_BUILD_DIR } = require("./artifacts.js");
+const { ErrorRegistry, extractRevertData } = require("../../sdk/errors.js");
+
+const SDK_ABI_DIR = path.resolve(__dirname, "../../sdk/abi");
+
+// Test, testnet and mock variants redeclare the errors of the deployed
+// contracts: list them last so that the deployed ones are reported
+function isVariant(contractName) {
+    return /(Test|_TESTNET)$/.test(contractName) || /^Mock/.test(contractName);
+}
+
+function readAbis(dir) {
+    let abis = {};
+    for (let file of fs.readdirSync(dir).filter((name) => name.endsWith(".json")).sort()) {
+        let content = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        // Artifacts hold the ABI with other data, the SDK ABIs are bare
+        let abi = Array.isArray(content) ? content : content.abi;
+        if (Array.isArray(abi)) abis[content.contractName || path.basename(file, ".json")] = abi;
+    }
+    return abis;
+}
+
+/**
+ * Build the error registry from the artifacts of `buildDir`, or from the
+ * SDK ABIs if the contracts are not compiled.
+ * @returns {ErrorRegistry}
+ */
+function loadErrorRegistry(buildDir = DEFAULT_BUILD_DIR) {
+    let abis = readAbis(fs.existsSync(buildDir) ? buildDir : SDK_ABI_DIR);
+    let names = Object.keys(abis);
+    let ordered = names.filter((name) => !isVariant(name)).concat(names.filter(isVariant));
+    let registry = new ErrorRegistry();
+    for (let name of ordered) registry.add(name, abis[name]);
+    return registry;
+}
+
+let defaultRegistry;
+
+/**
+ * Registry of the default build folder, loaded once.
+ * @returns {ErrorRegistry}
+ */
+function errorRegistry() {
+    if (defaultRegistry === undefined) defaultRegistry = loadErrorRegistry();
+    return defaultRegistry;
+}
+
+/**
+ * Message of an error raised by a contract call: the decoded revert
+ * ("<Contract>.<Error>: <message>") if known, else the error message.
+ * @param {Object} [options] contract: name of the contract which reverted
+ */
+function describeError(err, options = {}) {
+    let message = err && err.message !== undefined ? err.message : String(err);
+    if (extractRevertData(err) === undefined) return message;
+    let decoded;
+    try {
+        decoded = errorRegistry().decodeError(err, options);
+    } catch (registryErr) {
+        return message;
+    }
+    if (decoded === null) return message;
+    if (decoded.error == "Error") return (decoded.contract || "Contract") + " reverted: " + decoded.message;
+    return (decoded.contract ? decoded.contract + "." : "") + decoded.error + ": " + decoded.message;
+}
+
+module.exports = {
+    loadErrorRegistry,
+    errorRegistry,
+    describeError
+};
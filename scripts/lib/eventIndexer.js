@@ -0,0 +1,607 @@
+// Indexer of the events of the LDP contracts into SQLite (sql.js): current
+// owners, mint history with the price paid, revenues, claims, reveal and
+// lucky draw history.
+//
+// The logs are read in batches up to `confirmations` blocks below the head.
+// The hashes of the last `reorgDepth` indexed blocks are kept: when the
+// chain no longer holds the last indexed block, the index is rolled back to
+// the most recent block still on the chain, then indexed again. A re-org
+// deeper than `reorgDepth` blocks cannot be followed and requires a new
+// index.
+//
+// The events are decoded with the ABI of the deployed contract variant
+// (`contractNames` option, e.g. LDPRewarderTest on the local chain), by
+// default with the ABIs of the mainnet contracts. Logs matching no event of
+// the ABI are counted as skipped.
+//
+// The mint price is the value of the mint transaction divided by the number
+// of tokens it minted (rounded down, so an overpayment not divisible by the
+// count is truncated). It is only known for transactions sent to the minter:
+// mints through another contract (multisig, router...) have a null price.
+//
+// Tables (amounts are decimal strings, in wei or ERC20 units):
+//   meta(key, value)                  checkpoint, chain and contract addresses
+//   blocks(number, hash, timestamp)   last indexed blocks, for re-org detection
+//   events(block_number, log_index, tx_hash, contract, event, args)  all decoded events (args as JSON)
+//   transfers(block_number, log_index, tx_hash, token_id, from_address, to_address)
+//   owners(token_id, owner, block_number)
+//   mints(token_id, account, block_number, tx_hash, timestamp, price)  price null if unknown
+//   revenues(block_number, log_index, tx_hash, kind, currency, amount)  kind: eth, weth_unwrap or erc20
+//   claims(block_number, log_index, tx_hash, account, token_id, currency, amount)  token_id null for account claims
+//       (the Cashout events of the Test rewarder carry no token ID: it is read from the nftCashout calls)
+//   reveals(request_id, requested_block, tx_hash, reveal_offset, fulfilled_block)
+//   draws(data_hash, request_id, requested_block, tx_hash, timestamp, randomness, fulfilled_block)
+// currency is "ETH" or the address of the ERC20 contract.
+
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const Web3 = require("web3");
+const { ABIS } = require("../../sdk/index.js");
+const { loadArtifact } = require("./artifacts.js");
+
+const abiCoder = new Web3().eth.abi;
+
+const SCHEMA_VERSION = "1";
+const CONTRACTS = { nft: "LuckyDuckPack", minter: "LDPMinter", rewarder: "LDPRewarder", luckyDraw: "LDPLuckyDraw" };
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const DEFAULT_OPTIONS = { confirmations: 0, reorgDepth: 12, batchSize: 2000, startBlock: 0 };
+// Retries of a batch when the chain re-organizes while it is read
+const MAX_SYNC_ATTEMPTS = 3;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER);
+CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER, log_index INTEGER, tx_hash TEXT, contract TEXT, event TEXT, args TEXT,
+    PRIMARY KEY (block_number, log_index));
+CREATE TABLE IF NOT EXISTS transfers (
+    block_number INTEGER, log_index INTEGER, tx_hash TEXT, token_id INTEGER, from_address TEXT, to_address TEXT,
+    PRIMARY KEY (block_number, log_index));
+CREATE INDEX IF NOT EXISTS transfers_token ON transfers (token_id);
+CREATE TABLE IF NOT EXISTS owners (token_id INTEGER PRIMARY KEY, owner TEXT, block_number INTEGER);
+CREATE INDEX IF NOT EXISTS owners_owner ON owners (owner);
+CREATE TABLE IF NOT EXISTS mints (
+    token_id INTEGER PRIMARY KEY, account TEXT, block_number INTEGER, tx_hash TEXT, timestamp INTEGER, price TEXT);
+CREATE TABLE IF NOT EXISTS revenues (
+    block_number INTEGER, log_index INTEGER, tx_hash TEXT, kind TEXT, currency TEXT, amount TEXT,
+    PRIMARY KEY (block_number, log_index));
+CREATE TABLE IF NOT EXISTS claims (
+    block_number INTEGER, log_index INTEGER, tx_hash TEXT, account TEXT, token_id INTEGER, currency TEXT, amount TEXT,
+    PRIMARY KEY (block_number, log_index));
+CREATE INDEX IF NOT EXISTS claims_token ON claims (token_id);
+CREATE TABLE IF NOT EXISTS reveals (
+    request_id TEXT PRIMARY KEY, requested_block INTEGER, tx_hash TEXT, reveal_offset INTEGER, fulfilled_block INTEGER);
+CREATE TABLE IF NOT EXISTS draws (
+    data_hash TEXT PRIMARY KEY, request_id TEXT, requested_block INTEGER, tx_hash TEXT, timestamp INTEGER,
+    randomness TEXT, fulfilled_block INTEGER);
+`;
+
+// Tables holding one row per log, deleted on rollback
+const LOG_TABLES = ["events", "transfers", "revenues", "claims"];
+// Events of the Test rewarder not telling which cashout function emitted them
+const CASHOUT_EVENTS = ["Cashout", "CashoutErc20"];
+
+function normalizeAddresses(addresses) {
+    let result = {};
+    for (let key of Object.keys(CONTRACTS)) {
+        if (addresses[key]) result[key] = addresses[key].toLowerCase();
+    }
+    if (Object.keys(result).length == 0) throw new Error("No contract address to index");
+    return result;
+}
+
+// JSON-friendly event arguments: named values only, as strings
+function eventArgs(inputs, decoded) {
+    let args = {};
+    for (let input of inputs) args[input.name] = String(decoded[input.name]);
+    return args;
+}
+
+class EventIndexer {
+    /**
+     * Use EventIndexer.open or EventIndexer.openReadOnly.
+     */
+    constructor(web3, db, dbPath, addresses, options) {
+        this.web3 = web3;
+        this.db = db;
+        this.dbPath = dbPath;
+        this.addresses = addresses;
+        this.options = options;
+        // Address => {contract, events: topic => fragment, functions: selector => fragment}
+        this.decoders = new Map();
+        let contractNames = options.contractNames || {};
+        for (let [key, address] of Object.entries(addresses)) {
+            let abi = contractNames[key] ? loadArtifact(contractNames[key]).abi : ABIS[CONTRACTS[key]];
+            let events = new Map();
+            let functions = new Map();
+            for (let fragment of abi) {
+                let signature = fragment.name + "(" + (fragment.inputs || []).map((input) => input.type).join(",") + ")";
+                if (fragment.type == "event") events.set(abiCoder.encodeEventSignature(signature), fragment);
+                if (fragment.type == "function") functions.set(abiCoder.encodeFunctionSignature(signature), fragment);
+            }
+            this.decoders.set(address, { key, contract: CONTRACTS[key], events, functions });
+        }
+    }
+
+    /**
+     * Open the index stored at `dbPath` (created if missing; in memory if
+     * null) for the contracts at `addresses` ({nft, minter, rewarder,
+     * luckyDraw}, any subset).
+     * @param {Object} [options] confirmations (default 0), reorgDepth
+     * (default 12), batchSize (blocks per log query, default 2000),
+     * startBlock (first block to index, e.g. the deployment block),
+     * contractNames ({nft, minter, rewarder, luckyDraw} artifact names of
+     * the deployed variants, default: the mainnet contracts)
+     * @returns {Promise<EventIndexer>}
+     */
+    static async open(web3, dbPath, addresses, options = {}) {
+        let SQL = await initSqlJs();
+        let db = dbPath && fs.existsSync(dbPath) ? new SQL.Database(fs.readFileSync(dbPath)) : new SQL.Database();
+        db.exec(SCHEMA);
+        let indexer = new EventIndexer(web3, db, dbPath, normalizeAddresses(addresses), {
+            ...DEFAULT_OPTIONS,
+            ...options
+        });
+        indexer._checkMeta(String(await web3.eth.getChainId()));
+        return indexer;
+    }
+
+    /**
+     * Open an existing index to query it, without connecting to the chain.
+     * @returns {Promise<EventIndexer>}
+     */
+    static async openReadOnly(dbPath) {
+        if (!fs.existsSync(dbPath)) throw new Error("Index not found: " + dbPath);
+        let SQL = await initSqlJs();
+        let db = new SQL.Database(fs.readFileSync(dbPath));
+        let rows = db.exec("SELECT value FROM meta WHERE key = 'addresses'");
+        if (rows.length == 0) throw new Error("Not an index: " + dbPath);
+        return new EventIndexer(null, db, null, JSON.parse(rows[0].values[0][0]), DEFAULT_OPTIONS);
+    }
+
+    // Refuse to resume an index of other contracts or of another chain
+    _checkMeta(chainId) {
+        let stored = this._meta("schemaVersion");
+        let addresses = JSON.stringify(this.addresses);
+        if (stored === undefined) {
+            this._setMeta("schemaVersion", SCHEMA_VERSION);
+            this._setMeta("chainId", chainId);
+            this._setMeta("addresses", addresses);
+            return;
+        }
+        if (stored != SCHEMA_VERSION) throw new Error("Index schema version " + stored + " is not supported");
+        if (this._meta("chainId") != chainId) {
+            throw new Error("Index built on chain " + this._meta("chainId") + ", connected to chain " + chainId);
+        }
+        if (this._meta("addresses") != addresses) {
+            throw new Error("Index built for other contracts: " + this._meta("addresses"));
+        }
+    }
+
+    _meta(key) {
+        let rows = this.query("SELECT value FROM meta WHERE key = ?", [key]);
+        return rows.length ? rows[0].value : undefined;
+    }
+
+    _setMeta(key, value) {
+        this.db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [key, value]);
+    }
+
+    /**
+     * Run a read query.
+     * @returns {Object[]} Rows, by column name
+     */
+    query(sql, params = []) {
+        let statement = this.db.prepare(sql);
+        try {
+            statement.bind(params);
+            let rows = [];
+            while (statement.step()) rows.push(statement.getAsObject());
+            return rows;
+        } finally {
+            statement.free();
+        }
+    }
+
+    /**
+     * Last indexed block, or null if nothing has been indexed yet.
+     * @returns {number|null}
+     */
+    checkpoint() {
+        let value = this._meta("checkpoint");
+        return value === undefined ? null : Number(value);
+    }
+
+    /**
+     * Write the index to its file (atomically), if not in memory.
+     */
+    save() {
+        if (!this.dbPath) return;
+        fs.mkdirSync(path.dirname(path.resolve(this.dbPath)), { recursive: true });
+        let tmpPath = this.dbPath + ".tmp";
+        fs.writeFileSync(tmpPath, Buffer.from(this.db.export()));
+        fs.renameSync(tmpPath, this.dbPath);
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    /**
+     * Index the logs up to `options.toBlock` (default: the head minus the
+     * confirmations), rolling back first if the chain re-organized, then
+     * save the index.
+     * @returns {Promise<{fromBlock: number, toBlock: number|null, logs: number, skipped: number, rolledBackTo: number|null}>}
+     * skipped counts the logs matching no known event; rolledBackTo is the
+     * last block kept by a rollback
+     */
+    async sync(options = {}) {
+        let head = Number(await this.web3.eth.getBlockNumber());
+        let target = head - this.options.confirmations;
+        if (options.toBlock !== undefined) target = Math.min(target, Number(options.toBlock));
+        let rolledBackTo = null;
+        let logs = 0;
+        let skipped = 0;
+        let fromBlock = this._nextBlock();
+        for (let attempt = 1; ; ++attempt) {
+            let ancestor = await this._findReorg();
+            if (ancestor !== null) {
+                this.rollback(ancestor);
+                rolledBackTo = rolledBackTo === null ? ancestor : Math.min(rolledBackTo, ancestor);
+                fromBlock = Math.min(fromBlock, this._nextBlock());
+            }
+            let consistent = true;
+            for (let from = this._nextBlock(); from <= target && consistent; from = this._nextBlock()) {
+                let to = Math.min(from + this.options.batchSize - 1, target);
+                let indexed = await this._indexRange(from, to);
+                if (indexed === null) {
+                    consistent = false;
+                } else {
+                    logs += indexed.logs;
+                    skipped += indexed.skipped;
+                }
+            }
+            if (consistent) break;
+            if (attempt == MAX_SYNC_ATTEMPTS) throw new Error("Chain re-organizing while indexing, sync again later");
+        }
+        this.save();
+        return { fromBlock, toBlock: this.checkpoint(), logs, skipped, rolledBackTo };
+    }
+
+    _nextBlock() {
+        let checkpoint = this.checkpoint();
+        return checkpoint === null ? Number(this.options.startBlock) : checkpoint + 1;
+    }
+
+    /**
+     * Most recent tracked block still on the chain if the last indexed
+     * block is not, else null.
+     */
+    async _findReorg() {
+        let tracked = this.query("SELECT number, hash FROM blocks ORDER BY number DESC");
+        for (let i = 0; i < tracked.length; ++i) {
+            let block = await this.web3.eth.getBlock(tracked[i].number);
+            if (block && block.hash == tracked[i].hash) return i == 0 ? null : tracked[i].number;
+        }
+        if (tracked.length == 0) return null;
+        throw new Error(
+            "Re-org deeper than the " + tracked.length + " tracked blocks (reorgDepth): rebuild the index"
+        );
+    }
+
+    /**
+     * Delete everything indexed after `blockNumber`.
+     */
+    rollback(blockNumber) {
+        let db = this.db;
+        db.exec("BEGIN");
+        try {
+            for (let table of LOG_TABLES) db.run("DELETE FROM " + table + " WHERE block_number > ?", [blockNumber]);
+            db.run("DELETE FROM mints WHERE block_number > ?", [blockNumber]);
+            db.run("DELETE FROM reveals WHERE requested_block > ?", [blockNumber]);
+            db.run("UPDATE reveals SET reveal_offset = NULL, fulfilled_block = NULL WHERE fulfilled_block > ?", [
+                blockNumber
+            ]);
+            db.run("DELETE FROM draws WHERE requested_block > ?", [blockNumber]);
+            db.run("UPDATE draws SET randomness = NULL, fulfilled_block = NULL WHERE fulfilled_block > ?", [blockNumber]);
+            db.run("DELETE FROM blocks WHERE number > ?", [blockNumber]);
+            // Owners from the last transfer of each token
+            db.run("DELETE FROM owners");
+            db.run(
+                `INSERT INTO owners (token_id, owner, block_number)
+                SELECT t.token_id, t.to_address, t.block_number FROM transfers t
+                WHERE NOT EXISTS (SELECT 1 FROM transfers u WHERE u.token_id = t.token_id
+                    AND (u.block_number > t.block_number OR (u.block_number = t.block_number AND u.log_index > t.log_index)))`
+            );
+            this._setMeta("checkpoint", String(blockNumber));
+            db.exec("COMMIT");
+        } catch (err) {
+            db.exec("ROLLBACK");
+            throw err;
+        }
+    }
+
+    /**
+     * Index the logs of blocks `from` to `to`.
+     * @returns {Promise<{logs: number, skipped: number}|null>} Number of
+     * logs and of unknown logs, or null if the chain changed while reading
+     * (nothing indexed)
+     */
+    async _indexRange(from, to) {
+        let web3 = this.web3;
+        let logs = await web3.eth.getPastLogs({ fromBlock: from, toBlock: to, address: Object.values(this.addresses) });
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        // Headers of the blocks with logs and of the tracked blocks
+        let numbers = new Set(logs.map((log) => Number(log.blockNumber)));
+        for (let n = Math.max(from, to - this.options.reorgDepth + 1); n <= to; ++n) numbers.add(n);
+        let blocks = new Map();
+        for (let n of numbers) {
+            let block = await web3.eth.getBlock(n);
+            if (block === null) return null;
+            blocks.set(n, block);
+        }
+        if (logs.some((log) => log.blockHash != blocks.get(Number(log.blockNumber)).hash)) return null;
+        // Transactions of the mints, for the price paid, and of the Test
+        // rewarder cashouts, for the token ID
+        let txs = new Map();
+        let mintCounts = new Map();
+        for (let log of logs) {
+            let decoder = this.decoders.get(log.address.toLowerCase());
+            let fragment = decoder.events.get(log.topics[0]);
+            let isMint = decoder.key == "nft" && log.topics.length == 4 && BigInt(log.topics[1]) == 0n;
+            let isCashout = decoder.key == "rewarder" && fragment !== undefined && CASHOUT_EVENTS.includes(fragment.name);
+            if (!isMint && !isCashout) continue;
+            if (!txs.has(log.transactionHash)) txs.set(log.transactionHash, await web3.eth.getTransaction(log.transactionHash));
+            if (isMint) mintCounts.set(log.transactionHash, (mintCounts.get(log.transactionHash) || 0n) + 1n);
+        }
+
+        let skipped = 0;
+        let db = this.db;
+        db.exec("BEGIN");
+        try {
+            for (let log of logs) {
+                if (!this._processLog(log, blocks.get(Number(log.blockNumber)), txs, mintCounts)) ++skipped;
+            }
+            for (let block of blocks.values()) {
+                db.run("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)", [
+                    Number(block.number),
+                    block.hash,
+                    Number(block.timestamp)
+                ]);
+            }
+            db.run("DELETE FROM blocks WHERE number <= ?", [to - this.options.reorgDepth]);
+            this._setMeta("checkpoint", String(to));
+            db.exec("COMMIT");
+        } catch (err) {
+            db.exec("ROLLBACK");
+            throw err;
+        }
+        return { logs: logs.length, skipped };
+    }
+
+    // Mint price of a transaction: its value divided by the number of tokens
+    // minted (rounded down), or null if not sent to the minter
+    _mintPrice(tx, count) {
+        let toMinter = tx.to && this.addresses.minter && tx.to.toLowerCase() == this.addresses.minter;
+        return toMinter ? String(BigInt(tx.value) / count) : null;
+    }
+
+    // Function and arguments of a transaction sent to the contract of `decoder`
+    _decodeCall(decoder, tx) {
+        if (!tx.to || tx.to.toLowerCase() != this.addresses[decoder.key] || !tx.input || tx.input.length < 10) return null;
+        let fragment = decoder.functions.get(tx.input.slice(0, 10));
+        if (fragment === undefined) return null;
+        return { name: fragment.name, args: abiCoder.decodeParameters(fragment.inputs, "0x" + tx.input.slice(10)) };
+    }
+
+    /**
+     * Index a log (inside the transaction of _indexRange).
+     * @returns {boolean} false if the log matches no known event
+     */
+    _processLog(log, block, txs, mintCounts) {
+        let decoder = this.decoders.get(log.address.toLowerCase());
+        let fragment = decoder.events.get(log.topics[0]);
+        if (fragment === undefined) return false;
+        let decoded = abiCoder.decodeLog(fragment.inputs, log.data, log.topics.slice(1));
+        let args = eventArgs(fragment.inputs, decoded);
+        let at = [Number(log.blockNumber), Number(log.logIndex), log.transactionHash];
+        let db = this.db;
+        db.run("INSERT INTO events (block_number, log_index, tx_hash, contract, event, args) VALUES (?, ?, ?, ?, ?, ?)", [
+            ...at,
+            decoder.contract,
+            fragment.name,
+            JSON.stringify(args)
+        ]);
+        let handler = decoder.key + "." + fragment.name;
+        switch (handler) {
+            case "nft.Transfer": {
+                let tokenId = Number(args.tokenId);
+                db.run(
+                    "INSERT INTO transfers (block_number, log_index, tx_hash, token_id, from_address, to_address) VALUES (?, ?, ?, ?, ?, ?)",
+                    [...at, tokenId, args.from, args.to]
+                );
+                db.run("INSERT OR REPLACE INTO owners (token_id, owner, block_number) VALUES (?, ?, ?)", [
+                    tokenId,
+                    args.to,
+                    at[0]
+                ]);
+                if (args.from == ZERO_ADDRESS) {
+                    let price = this._mintPrice(txs.get(log.transactionHash), mintCounts.get(log.transactionHash));
+                    db.run(
+                        "INSERT INTO mints (token_id, account, block_number, tx_hash, timestamp, price) VALUES (?, ?, ?, ?, ?, ?)",
+                        [tokenId, args.to, at[0], at[2], Number(block.timestamp), price]
+                    );
+                }
+                break;
+            }
+            case "nft.RevealRequested":
+                db.run("INSERT OR REPLACE INTO reveals (request_id, requested_block, tx_hash) VALUES (?, ?, ?)", [
+                    args.requestId,
+                    at[0],
+                    at[2]
+                ]);
+                break;
+            case "nft.RevealFulfilled":
+                // The second argument carries the reveal offset
+                db.run("UPDATE reveals SET reveal_offset = ?, fulfilled_block = ? WHERE request_id = ?", [
+                    Number(args.randomNumber),
+                    at[0],
+                    args.requestId
+                ]);
+                break;
+            case "rewarder.ReceivedEth":
+                this._insertRevenue(at, "eth", "ETH", args.amount);
+                break;
+            case "rewarder.UnwrappedWeth":
+                this._insertRevenue(at, "weth_unwrap", "ETH", null);
+                break;
+            case "rewarder.ProcessedErc20":
+                this._insertRevenue(at, "erc20", args.tokenAddress, args.amount);
+                break;
+            case "rewarder.AccountCashout":
+                this._insertClaim(at, args.account, null, "ETH", args.amount);
+                break;
+            case "rewarder.NFTCashout":
+                this._insertClaim(at, args.account, Number(args.tokenId), "ETH", args.amount);
+                break;
+            case "rewarder.AccountCashoutErc20":
+                this._insertClaim(at, args.account, null, args.erc20address, args.amount);
+                break;
+            case "rewarder.NFTCashoutErc20": {
+                // Only the owner of the token can claim
+                let owner = this.query("SELECT owner FROM owners WHERE token_id = ?", [Number(args.tokenId)]);
+                let account = owner.length ? owner[0].owner : null;
+                this._insertClaim(at, account, Number(args.tokenId), args.erc20address, args.amount);
+                break;
+            }
+            case "rewarder.Cashout":
+            case "rewarder.CashoutErc20": {
+                let call = this._decodeCall(decoder, txs.get(log.transactionHash));
+                // The creator cashouts are not holder claims (no event on mainnet)
+                if (call && call.name.startsWith("creatorCashout")) break;
+                let tokenId = call && call.name.startsWith("nftCashout") ? Number(call.args.tokenId) : null;
+                let currency = fragment.name == "Cashout" ? "ETH" : args.token;
+                this._insertClaim(at, args.account, tokenId, currency, args.amount);
+                break;
+            }
+            case "luckyDraw.DrawRequested":
+                db.run(
+                    "INSERT OR REPLACE INTO draws (data_hash, request_id, requested_block, tx_hash, timestamp) VALUES (?, ?, ?, ?, ?)",
+                    [args.dataHash, args.chainlinkRequestId, at[0], at[2], Number(block.timestamp)]
+                );
+                break;
+            case "luckyDraw.DrawFulfilled":
+                db.run("UPDATE draws SET randomness = ?, fulfilled_block = ? WHERE request_id = ?", [
+                    args.randomness,
+                    at[0],
+                    args.chainlinkRequestId
+                ]);
+                break;
+        }
+        return true;
+    }
+
+    _insertRevenue(at, kind, currency, amount) {
+        this.db.run(
+            "INSERT INTO revenues (block_number, log_index, tx_hash, kind, currency, amount) VALUES (?, ?, ?, ?, ?, ?)",
+            [...at, kind, currency, amount]
+        );
+    }
+
+    _insertClaim(at, account, tokenId, currency, amount) {
+        this.db.run(
+            "INSERT INTO claims (block_number, log_index, tx_hash, account, token_id, currency, amount) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [...at, account, tokenId, currency, amount]
+        );
+    }
+
+    // =============================================================
+    //                           QUERIES
+    // =============================================================
+
+    /**
+     * Current owner of each token.
+     * @returns {{tokenId: number, owner: string}[]}
+     */
+    owners() {
+        return this.query("SELECT token_id, owner FROM owners ORDER BY token_id").map((row) => ({
+            tokenId: row.token_id,
+            owner: row.owner
+        }));
+    }
+
+    /**
+     * Number of tokens of each holder, most tokens first.
+     * @returns {{account: string, balance: number}[]}
+     */
+    holders() {
+        return this.query(
+            "SELECT owner, COUNT(*) AS balance FROM owners GROUP BY owner ORDER BY balance DESC, owner"
+        ).map((row) => ({ account: row.owner, balance: row.balance }));
+    }
+
+    /**
+     * Mint history, by token ID.
+     * @returns {{tokenId, account, blockNumber, transactionHash, timestamp, price}[]}
+     */
+    mints() {
+        return this.query("SELECT * FROM mints ORDER BY token_id").map((row) => ({
+            tokenId: row.token_id,
+            account: row.account,
+            blockNumber: row.block_number,
+            transactionHash: row.tx_hash,
+            timestamp: row.timestamp,
+            price: row.price
+        }));
+    }
+
+    /**
+     * Revenue claims, oldest first.
+     * @param {Object} [filter] tokenId and/or account
+     * @returns {{blockNumber, transactionHash, account, tokenId, currency, amount}[]}
+     * tokenId is null for the claims of all the tokens of an account
+     */
+    claims(filter = {}) {
+        let conditions = [];
+        let params = [];
+        if (filter.tokenId !== undefined) {
+            conditions.push("token_id = ?");
+            params.push(Number(filter.tokenId));
+        }
+        if (filter.account !== undefined) {
+            conditions.push("LOWER(account) = ?");
+            params.push(filter.account.toLowerCase());
+        }
+        let where = conditions.length ? " WHERE " + conditions.join(" AND ") : "";
+        return this.query("SELECT * FROM claims" + where + " ORDER BY block_number, log_index", params).map((row) => ({
+            blockNumber: row.block_number,
+            transactionHash: row.tx_hash,
+            account: row.account,
+            tokenId: row.token_id,
+            currency: row.currency,
+            amount: row.amount
+        }));
+    }
+
+    /**
+     * Lucky draw history, oldest first.
+     * @returns {{dataHash, requestId, blockNumber, transactionHash, timestamp, randomness, fulfilledBlock}[]}
+     * randomness and fulfilledBlock are null until fulfilled
+     */
+    draws() {
+        return this.query("SELECT * FROM draws ORDER BY requested_block, data_hash").map((row) => ({
+            dataHash: row.data_hash,
+            requestId: row.request_id,
+            blockNumber: row.requested_block,
+            transactionHash: row.tx_hash,
+            timestamp: row.timestamp,
+            randomness: row.randomness,
+            fulfilledBlock: row.fulfilled_block
+        }));
+    }
+}
+
+module.exports = {
+    EventIndexer
+};
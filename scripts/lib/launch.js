@@ -0,0 +1,291 @@
+// Launch helpers used by the launch migration: config validation,
+// pre-flight checks, confirmation prompt and deployment manifest
+
+const fs = require("fs");
+const readline = require("readline");
+const Web3 = require("web3");
+const { loadDataFile, writeJson } = require("./cli.js");
+const { loadArtifact, getConstant, evaluateExpression, findBaseArguments } = require("./artifacts.js");
+
+const { isAddress, toChecksumAddress, toWei } = Web3.utils;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const VARIANTS = ["mainnet", "testnet"];
+// Parameters of LuckyDuckPack.initialize => launch parameter names
+const INITIALIZE_PARAMS = {
+    minterAddress: "minter",
+    rewarderAddress: "rewarder",
+    contract_URI: "contractURI",
+    unrevealed_URI: "unrevealedURI",
+    baseURI_IPFS: "ipfsURI",
+    baseURI_AR: "arweaveURI"
+};
+// URIs the local NFT contract is initialized with (see
+// migrations/50_testContracts_migration.js and scripts/metadataServer.js)
+const LOCAL_URIS = {
+    contractURI: "ipfs://contract/contract.json",
+    unrevealedURI: "ipfs://unrevealed/unrevealed.json",
+    ipfsURI: "ipfs://metadata/",
+    arweaveURI: "ar://metadata/"
+};
+
+function isNonEmptyString(value) {
+    return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Validate the launch config and fill in the defaults.
+ * Config fields:
+ * - variant: "mainnet" or "testnet" (contracts with the _TESTNET suffix)
+ * - creatorAddress, payoutAddress: constructor arguments of the rewarder
+ *   and the minter
+ * - linkToken: LINK token address, linkFee: reveal fee in LINK (decimal);
+ *   optional, both are read from the NFT contract and only checked
+ *   against it (see resolveLinkSettings)
+ * - fundLink: transfer the missing LINK from the deployer (default: false)
+ * - unrevealedURI, ipfsURI, arweaveURI: arguments of initialize; base URIs
+ *   are concatenated with the token IDs, so they must end with "/"
+ * - startMinting: call LDPMinter.startMinting after initialize (default: false)
+ * @returns {config, warnings}
+ * @throws Error listing every invalid field
+ */
+function validateLaunchConfig(input) {
+    let errors = [];
+    let warnings = [];
+    if (input === null || typeof input !== "object") throw new Error("Launch config must be an object");
+    let config = {
+        variant: input.variant,
+        creatorAddress: input.creatorAddress,
+        payoutAddress: input.payoutAddress,
+        linkToken: input.linkToken,
+        linkFee: input.linkFee,
+        fundLink: input.fundLink === undefined ? false : input.fundLink,
+        unrevealedURI: input.unrevealedURI,
+        ipfsURI: input.ipfsURI,
+        arweaveURI: input.arweaveURI,
+        startMinting: input.startMinting === undefined ? false : input.startMinting
+    };
+    if (!VARIANTS.includes(config.variant)) errors.push("variant must be one of " + VARIANTS.join(", "));
+    for (let field of ["creatorAddress", "payoutAddress", "linkToken"]) {
+        let value = config[field];
+        if (field == "linkToken" && value === undefined) continue;
+        if (typeof value !== "string" || !isAddress(value) || value.toLowerCase() == ZERO_ADDRESS) {
+            errors.push(field + " must be a non-zero address");
+        } else {
+            config[field] = toChecksumAddress(value);
+        }
+    }
+    if (config.linkFee !== undefined) {
+        if (!/^\d+(\.\d+)?$/.test(String(config.linkFee)) || Number(config.linkFee) <= 0) {
+            errors.push("linkFee must be a positive amount of LINK");
+        } else {
+            config.linkFeeWei = toWei(String(config.linkFee), "ether");
+        }
+    }
+    for (let field of ["fundLink", "startMinting"]) {
+        if (typeof config[field] !== "boolean") errors.push(field + " must be true or false");
+    }
+    for (let field of ["unrevealedURI", "ipfsURI", "arweaveURI"]) {
+        if (!isNonEmptyString(config[field])) {
+            errors.push(field + " must be a non-empty string");
+        } else if (config[field] != config[field].trim()) {
+            errors.push(field + " has leading or trailing spaces");
+        }
+    }
+    for (let field of ["ipfsURI", "arweaveURI"]) {
+        if (isNonEmptyString(config[field]) && !config[field].endsWith("/")) {
+            errors.push(field + " must end with '/' (token IDs are appended to it)");
+        }
+    }
+    if (isNonEmptyString(config.ipfsURI) && !config.ipfsURI.startsWith("ipfs://")) {
+        warnings.push("ipfsURI does not start with ipfs://");
+    }
+    if (isNonEmptyString(config.arweaveURI) && !config.arweaveURI.startsWith("ar://")) {
+        warnings.push("arweaveURI does not start with ar://");
+    }
+    if (errors.length > 0) throw new Error("Invalid launch config:\n  - " + errors.join("\n  - "));
+    return { config, warnings };
+}
+
+/**
+ * Load and validate the launch config from a JSON or YAML file.
+ */
+function loadLaunchConfig(filePath) {
+    return validateLaunchConfig(loadDataFile(filePath));
+}
+
+/**
+ * Build the arguments of LuckyDuckPack.initialize from its ABI, matching
+ * the parameters by name (the test contract also takes a contract URI).
+ * @param abi ABI of the NFT contract
+ * @param params {minter, rewarder, contractURI, unrevealedURI, ipfsURI, arweaveURI}
+ */
+function initializeArguments(abi, params) {
+    return initializeInputs(abi).map((input) => {
+        let value = params[INITIALIZE_PARAMS[input.name]];
+        if (value === undefined) throw new Error("No value for initialize parameter '" + input.name + "'");
+        return value;
+    });
+}
+
+/**
+ * Reverse of initializeArguments: the launch parameters of the arguments
+ * LuckyDuckPack.initialize was called with (e.g. from a manifest).
+ * @returns {minter, rewarder, [contractURI], unrevealedURI, ipfsURI, arweaveURI}
+ */
+function initializeParams(abi, args) {
+    let inputs = initializeInputs(abi);
+    if (args.length != inputs.length) {
+        throw new Error("initialize takes " + inputs.length + " arguments, got " + args.length);
+    }
+    let params = {};
+    inputs.forEach((input, i) => {
+        if (INITIALIZE_PARAMS[input.name] !== undefined) params[INITIALIZE_PARAMS[input.name]] = args[i];
+    });
+    return params;
+}
+
+function initializeInputs(abi) {
+    let initialize = abi.find((item) => item.type == "function" && item.name == "initialize");
+    if (initialize === undefined) throw new Error("The NFT contract has no initialize function");
+    return initialize.inputs;
+}
+
+/**
+ * LINK token and reveal fee hardcoded in the NFT contract.
+ * @param artifact Artifact of the NFT contract variant
+ * @returns {linkToken, linkFeeWei}, linkToken undefined if the contract
+ * takes it at deployment (test doubles)
+ */
+function contractLinkSettings(artifact) {
+    let args = findBaseArguments(artifact, "VRFConsumerBase");
+    if (args === undefined) throw new Error(artifact.contractName + " does not call the VRFConsumerBase constructor");
+    let linkToken = evaluateExpression(artifact, args[1]);
+    return {
+        linkToken: linkToken === undefined ? undefined : toChecksumAddress(linkToken),
+        linkFeeWei: getConstant(artifact, "fee")
+    };
+}
+
+/**
+ * LINK token and reveal fee of the launch: the values of the NFT contract,
+ * which the config values must match if set. Funding another token would
+ * lock it in the contract, and a lower fee would make initialize revert.
+ * @param artifact Artifact of the NFT contract variant
+ * @param config Validated launch config
+ * @returns {linkToken, linkFeeWei}
+ * @throws Error if the config disagrees with the contract
+ */
+function resolveLinkSettings(artifact, config) {
+    let contract = contractLinkSettings(artifact);
+    let errors = [];
+    if (config.linkToken !== undefined && contract.linkToken !== undefined && config.linkToken != contract.linkToken) {
+        errors.push("linkToken " + config.linkToken + " is not the LINK token of the contract (" + contract.linkToken + ")");
+    }
+    if (config.linkFeeWei !== undefined && config.linkFeeWei != contract.linkFeeWei) {
+        errors.push("linkFee " + config.linkFeeWei + " wei is not the reveal fee of the contract (" + contract.linkFeeWei + " wei)");
+    }
+    let linkToken = contract.linkToken || config.linkToken;
+    if (linkToken === undefined) errors.push("linkToken is required: " + artifact.contractName + " takes it at deployment");
+    if (errors.length > 0) {
+        throw new Error("Launch config disagrees with " + artifact.contractName + ":\n  - " + errors.join("\n  - "));
+    }
+    return { linkToken, linkFeeWei: contract.linkFeeWei };
+}
+
+/**
+ * Run the checks required before calling initialize, which renounces the
+ * ownership of the NFT contract and can't be undone.
+ * @param contracts {nft, minter, rewarder, link} Truffle contract instances
+ * @param config Validated launch config, with the LINK settings given by
+ * resolveLinkSettings
+ * @param deployer Address that will call initialize
+ * @returns Array of {check, ok, detail}
+ */
+async function preflightChecks({ nft, minter, rewarder, link }, config, deployer) {
+    let checks = [];
+    let add = (check, ok, detail) => checks.push({ check, ok, detail });
+    let same = (a, b) => String(a).toLowerCase() == String(b).toLowerCase();
+    for (let field of ["unrevealedURI", "ipfsURI", "arweaveURI"]) {
+        add(field + " is set", isNonEmptyString(config[field]), config[field]);
+    }
+    let expected = contractLinkSettings(loadArtifact(nft.constructor.contractName));
+    add(
+        "LINK token is the one of the NFT contract",
+        expected.linkToken === undefined || same(link.address, expected.linkToken),
+        "token: " + link.address + ", contract: " + (expected.linkToken || "set at deployment")
+    );
+    add(
+        "reveal fee is the one of the NFT contract",
+        String(config.linkFeeWei) == expected.linkFeeWei,
+        "fee: " + config.linkFeeWei + ", contract: " + expected.linkFeeWei
+    );
+    let owner = await nft.owner();
+    add("deployer owns the NFT contract", same(owner, deployer), "owner: " + owner);
+    let currentMinter = await nft.minterContract();
+    add("NFT contract not initialized yet", same(currentMinter, ZERO_ADDRESS), "minter: " + currentMinter);
+    let linkBalance = BigInt(String(await link.balanceOf(nft.address)));
+    add(
+        "LINK balance covers the reveal fee",
+        linkBalance >= BigInt(expected.linkFeeWei),
+        "balance: " + linkBalance + ", fee: " + expected.linkFeeWei
+    );
+    let minterNft = await minter.NFT();
+    add("minter points at the NFT contract", same(minterNft, nft.address), "minter.NFT: " + minterNft);
+    let minterRewarder = await minter.REWARDER_ADDRESS();
+    add(
+        "minter points at the rewarder",
+        same(minterRewarder, rewarder.address),
+        "minter.REWARDER_ADDRESS: " + minterRewarder
+    );
+    let rewarderNft = await rewarder.NFT();
+    add("rewarder points at the NFT contract", same(rewarderNft, nft.address), "rewarder.NFT: " + rewarderNft);
+    let minterOwner = await minter.owner();
+    add("deployer owns the minter", same(minterOwner, deployer), "owner: " + minterOwner);
+    let startTime = String(await minter.mintingStartTime());
+    add("minting not started yet", startTime == "0", "mintingStartTime: " + startTime);
+    return checks;
+}
+
+/**
+ * Ask the user to type `expected` to proceed. The answer can be given in
+ * advance with the LAUNCH_CONFIRM environment variable (non-interactive runs).
+ * @returns true if confirmed
+ */
+async function confirm(question, expected) {
+    if (process.env.LAUNCH_CONFIRM !== undefined) return process.env.LAUNCH_CONFIRM === expected;
+    let rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    let answer = await new Promise((resolve) => rl.question(question + " Type '" + expected + "' to proceed: ", resolve));
+    rl.close();
+    return answer.trim() === expected;
+}
+
+/**
+ * Read a deployment manifest, or return an empty one.
+ */
+function readManifest(filePath, network) {
+    if (fs.existsSync(filePath)) return loadDataFile(filePath);
+    return { network, contracts: {}, steps: {} };
+}
+
+/**
+ * Write the manifest with the update time.
+ */
+function writeManifest(filePath, manifest) {
+    manifest.updatedAt = new Date().toISOString();
+    writeJson(filePath, manifest);
+}
+
+module.exports = {
+    ZERO_ADDRESS,
+    LOCAL_URIS,
+    validateLaunchConfig,
+    loadLaunchConfig,
+    initializeArguments,
+    initializeParams,
+    contractLinkSettings,
+    resolveLinkSettings,
+    preflightChecks,
+    confirm,
+    readManifest,
+    writeManifest
+};
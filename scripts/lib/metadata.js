@@ -0,0 +1,98 @@
+// Helpers to read and inspect the token metadata database
+
+const SHA256_REGEX = /^[0-9a-f]{64}$/;
+
+/**
+ * Convert an attributes array into a {trait_type: value} dictionary.
+ */
+function buildTraitsDict(traitsArray) {
+    let dict = {};
+    for (let index = 0; index < traitsArray.length; ++index) {
+        dict[traitsArray[index].trait_type] = traitsArray[index].value;
+    }
+    return dict;
+}
+
+/**
+ * List all trait types found in the database, in order of first appearance.
+ */
+function listAllTraits(database) {
+    let traits = [];
+    for (let record of database) {
+        for (let trait of record.attributes) {
+            if (!traits.includes(trait.trait_type)) traits.push(trait.trait_type);
+        }
+    }
+    return traits;
+}
+
+/**
+ * Count the occurrences of each value of each trait type. Tokens not having
+ * a trait are counted under `noneValue`.
+ * @returns {trait: {value: count}}
+ */
+function countTraitValues(database, noneValue = "none") {
+    let traits = listAllTraits(database);
+    let counts = {};
+    for (let trait of traits) counts[trait] = {};
+    for (let record of database) {
+        let dict = buildTraitsDict(record.attributes);
+        for (let trait of traits) {
+            let value = dict[trait] === undefined ? noneValue : String(dict[trait]);
+            counts[trait][value] = (counts[trait][value] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Return the list of problems found in a single database record (empty if
+ * the record is well formed).
+ * @param record Token metadata object
+ * @param position Position of the record in the database, used in messages
+ */
+function checkRecord(record, position) {
+    let where = "record #" + position;
+    if (record === null || typeof record !== "object" || Array.isArray(record)) {
+        return [where + ": not an object"];
+    }
+    let errors = [];
+    if (!Number.isInteger(record.edition) || record.edition < 0) {
+        errors.push(where + ": 'edition' must be a non-negative integer");
+    } else {
+        where = "token " + record.edition;
+    }
+    if (typeof record.image !== "string" || record.image.length == 0) {
+        errors.push(where + ": 'image' must be a non-empty string");
+    }
+    if (!Array.isArray(record.attributes)) {
+        errors.push(where + ": 'attributes' must be an array");
+    } else {
+        record.attributes.forEach((trait, i) => {
+            if (
+                trait === null ||
+                typeof trait !== "object" ||
+                typeof trait.trait_type !== "string" ||
+                trait.value === undefined
+            ) {
+                errors.push(where + ": attribute #" + i + " must have 'trait_type' and 'value'");
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Return true if `value` is a lowercase sha256 hex digest.
+ */
+function isSha256(value) {
+    return typeof value === "string" && SHA256_REGEX.test(value);
+}
+
+module.exports = {
+    buildTraitsDict,
+    listAllTraits,
+    countTraitValues,
+    checkRecord,
+    isSha256
+};
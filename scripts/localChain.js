@@ -0,0 +1,85 @@
+// Start a local chain with the bundled ganache and deploy a working LDP
+// stack on it: LINK and VRF coordinator mocks, WETH mock, test ERC20 tokens
+// and the Test variants of the LDP contracts, wired together and funded
+// (see migrations/50_testContracts_migration.js).
+//
+// Usage:
+//   node scripts/localChain.js [--port 8545] [--no-deploy] [--db <folder>]
+//
+// The chain uses the "local" truffle network: chain ID 1337, shanghai
+// hardfork, deterministic accounts (the same addresses at every start, so
+// frontends can hardcode them). The addresses of the deployed contracts are
+// written to deployments/local.json and deployments/launch_local.json.
+// --db keeps the chain state in a folder between runs (deploy once, then
+// restart with --no-deploy). Stop with Ctrl+C.
+
+const { spawn } = require("child_process");
+const path = require("path");
+const ganache = require("ganache");
+const { parseArgs, runMain } = require("./lib/cli.js");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const CHAIN_ID = 1337;
+
+/**
+ * Ganache server options of the local chain.
+ */
+function chainOptions(options = {}) {
+    let chainOptions = {
+        chain: { chainId: CHAIN_ID, networkId: CHAIN_ID, hardfork: "shanghai" },
+        wallet: { deterministic: true, totalAccounts: 10, defaultBalance: 10000 },
+        logging: { quiet: true }
+    };
+    if (options.db) chainOptions.database = { dbPath: options.db };
+    return chainOptions;
+}
+
+/**
+ * Run the truffle migrations on the local network.
+ * @returns Promise resolved when the migrations succeed
+ */
+function migrate(port) {
+    return new Promise((resolve, reject) => {
+        let child = spawn("truffle", ["migrate", "--network", "local", "--reset"], {
+            cwd: ROOT_DIR,
+            stdio: "inherit",
+            env: Object.assign({}, process.env, { LOCAL_CHAIN_PORT: String(port) })
+        });
+        child.on("error", reject);
+        child.on("exit", (code) => (code == 0 ? resolve() : reject(new Error("truffle migrate exited with code " + code))));
+    });
+}
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    let port = Number(options.port || process.env.LOCAL_CHAIN_PORT || 8545);
+    let server = ganache.server(chainOptions(options));
+    await server.listen(port);
+    console.log("Local chain listening on http://127.0.0.1:" + port + " (chain ID " + CHAIN_ID + ")");
+    let accounts = server.provider.getInitialAccounts();
+    Object.keys(accounts).forEach((address, i) => {
+        console.log("  (" + i + ") " + address + " private key " + accounts[address].secretKey);
+    });
+
+    if (!options.noDeploy) {
+        try {
+            await migrate(port);
+        } catch (err) {
+            await server.close();
+            throw err;
+        }
+    }
+    console.log("Local LDP stack ready, press Ctrl+C to stop");
+    process.on("SIGINT", () => {
+        server.close().then(() => process.exit(0));
+    });
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    CHAIN_ID,
+    chainOptions
+};
@@ -0,0 +1,387 @@
+// Lucky draw tooling for LDPLuckyDraw.
+//
+// "snapshot" builds the participant list of a draw and the dataHash that
+// commits to it, to be published before calling requestRandomDraw. The list
+// is canonicalized so that anyone can rebuild the same hash:
+// - participants are either all addresses or all token IDs;
+// - addresses are EIP-55 checksummed and sorted by their lowercase hex
+//   value, token IDs are sorted in ascending numeric order;
+// - duplicates are kept (a participant can have more than one entry),
+//   unless --unique is set.
+// The dataHash is keccak256(abi.encode(string name, address[] participants))
+// for addresses, or keccak256(abi.encode(string name, uint256[] participants))
+// for token IDs, the name making the hash unique to the draw.
+//
+// "verify" recomputes the winners of a fulfilled draw from a published
+// snapshot, reproducing LDPLuckyDraw._getWinnersFromRandomness:
+//
+//   [Winner i] = uint256(keccak256(abi.encode(uint128 randomness, i))) % [Participants]
+//
+// The indexes are mapped back to the participants of the snapshot, and the
+// snapshot is checked against the on-chain dataHash. The algorithm can draw
+// the same index more than once: duplicate winners are reported.
+//
+// Usage:
+//   node scripts/luckyDraw.js snapshot --participants <file.csv|file.json>
+//       --name <draw name> --winners <n> [--type address|tokenId]
+//       [--unique] [--output <snapshot.json>]
+//   node scripts/luckyDraw.js verify --snapshot <snapshot.json> --rpc <url>
+//       (--address <LDPLuckyDraw address> | --network <name>)
+//       [--output <report.json>]
+//   node scripts/luckyDraw.js verify --snapshot <snapshot.json>
+//       --randomness <n> [--winners <n>] [--data-hash <hash>]
+//       [--output <report.json>]
+//
+// With --rpc, the draw is looked up by the dataHash of the snapshot and the
+// randomness is read from its DrawFulfilled event; the contract is found at
+// --address or in the deployment registry of --network. Otherwise --randomness is
+// the value emitted by DrawFulfilled, and the number of winners defaults to
+// the one of the snapshot.
+//
+// Participants files: a JSON array (of values, or of objects with an
+// "address" or "tokenId" field), or a CSV with the values in the first
+// column or in a column named "address" or "token_id".
+
+const fs = require("fs");
+const path = require("path");
+const Web3 = require("web3");
+const { parseArgs, loadDataFile, writeJson, runMain } = require("./lib/cli.js");
+const { parseCsv } = require("./lib/csv.js");
+const { getAddress } = require("./lib/deployments.js");
+
+const web3 = new Web3();
+const SNAPSHOT_VERSION = 1;
+const MAX_UINT32 = 2 ** 32 - 1;
+const MAX_UINT128 = 2n ** 128n - 1n;
+
+const LUCKY_DRAW_ABI = [
+    {
+        type: "event",
+        name: "DrawFulfilled",
+        anonymous: false,
+        inputs: [
+            { name: "chainlinkRequestId", type: "bytes32", indexed: false },
+            { name: "randomness", type: "uint128", indexed: false }
+        ]
+    },
+    {
+        type: "function",
+        name: "getAllDrawsDataHashes",
+        stateMutability: "view",
+        inputs: [],
+        outputs: [{ name: "", type: "bytes32[]" }]
+    },
+    {
+        type: "function",
+        name: "getDrawInfo",
+        stateMutability: "view",
+        inputs: [{ name: "drawIndex", type: "uint256" }],
+        outputs: [
+            { name: "dataHash", type: "bytes32" },
+            { name: "requestTimestamp", type: "uint64" },
+            { name: "chainlinkRequestId", type: "bytes32" },
+            { name: "numParticipants", type: "uint32" },
+            { name: "winners", type: "uint256[]" }
+        ]
+    }
+];
+
+/**
+ * Read the raw participant entries from a JSON or CSV file.
+ */
+function loadParticipants(filePath) {
+    if (path.extname(filePath).toLowerCase() == ".json") {
+        let data = loadDataFile(filePath);
+        if (!Array.isArray(data)) throw new Error("Participants file must contain an array");
+        return data.map((entry) => {
+            if (entry !== null && typeof entry === "object") {
+                let value = entry.address !== undefined ? entry.address : entry.tokenId;
+                return value === undefined ? entry.token_id : value;
+            }
+            return entry;
+        });
+    }
+    let rows = parseCsv(fs.readFileSync(filePath, "utf8"));
+    if (rows.length == 0) return [];
+    let column = 0;
+    let headerIndex = rows[0].findIndex((cell) => /^(address|token_?id)$/i.test(cell.trim()));
+    if (headerIndex != -1) {
+        column = headerIndex;
+        rows = rows.slice(1);
+    }
+    return rows.map((row) => row[column]);
+}
+
+function isTokenId(value) {
+    return (typeof value === "number" && Number.isSafeInteger(value) && value >= 0) ||
+        (typeof value === "string" && /^(0|[1-9][0-9]*)$/.test(value.trim()));
+}
+
+/**
+ * Canonicalize the participant list, see the header of this file.
+ * @param entries Raw participant entries
+ * @param options.type "address" or "tokenId"; detected if not set
+ * @param options.unique Drop duplicate entries
+ * @returns {type, participants, duplicates}
+ */
+function canonicalizeParticipants(entries, options = {}) {
+    if (entries.length == 0) throw new Error("The participant list is empty");
+    let values = entries.map((entry) => (typeof entry === "string" ? entry.trim() : entry));
+    let type = options.type;
+    if (type === undefined) {
+        if (values.every((value) => typeof value === "string" && web3.utils.isAddress(value))) type = "address";
+        else if (values.every(isTokenId)) type = "tokenId";
+        else throw new Error("Participants must be either all addresses or all token IDs");
+    }
+    let participants;
+    if (type == "address") {
+        participants = values.map((value, i) => {
+            if (typeof value !== "string" || !web3.utils.isAddress(value)) {
+                throw new Error("Entry #" + i + " is not a valid address: " + value);
+            }
+            return web3.utils.toChecksumAddress(value);
+        });
+        participants.sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : a.toLowerCase() > b.toLowerCase() ? 1 : 0));
+    } else if (type == "tokenId") {
+        participants = values.map((value, i) => {
+            if (!isTokenId(value)) throw new Error("Entry #" + i + " is not a valid token ID: " + value);
+            return Number(value);
+        });
+        participants.sort((a, b) => a - b);
+    } else {
+        throw new Error("Unknown participant type '" + type + "'");
+    }
+    let duplicates = participants.filter((value, i) => i > 0 && value === participants[i - 1]).length;
+    if (options.unique) participants = participants.filter((value, i) => i == 0 || value !== participants[i - 1]);
+    if (participants.length > MAX_UINT32) throw new Error("Too many participants");
+    return { type, participants, duplicates };
+}
+
+/**
+ * Compute the dataHash committing to the draw name and participant list.
+ */
+function computeDataHash(name, type, participants) {
+    let listType = type == "address" ? "address[]" : "uint256[]";
+    let values = type == "address" ? participants : participants.map(String);
+    return web3.utils.keccak256(web3.eth.abi.encodeParameters(["string", listType], [name, values]));
+}
+
+/**
+ * Build the publishable snapshot of a draw.
+ * @param params.name Draw name, part of the commitment
+ * @param params.entries Raw participant entries
+ * @param params.numWinners Number of winners to be drawn
+ * @param params.type Optional participant type
+ * @param params.unique Drop duplicate entries
+ */
+function buildSnapshot({ name, entries, numWinners, type, unique }) {
+    if (typeof name !== "string" || name.trim().length == 0) throw new Error("The draw name is required");
+    let canonical = canonicalizeParticipants(entries, { type, unique });
+    let winners = Number(numWinners);
+    if (!Number.isInteger(winners) || winners < 1 || winners > canonical.participants.length) {
+        throw new Error("Number of winners must be between 1 and the number of participants");
+    }
+    return {
+        version: SNAPSHOT_VERSION,
+        name,
+        type: canonical.type,
+        encoding: "keccak256(abi.encode(string name, " + (canonical.type == "address" ? "address[]" : "uint256[]") + " participants))",
+        numParticipants: canonical.participants.length,
+        numWinners: winners,
+        dataHash: computeDataHash(name, canonical.type, canonical.participants),
+        participants: canonical.participants
+    };
+}
+
+/**
+ * Return the arguments of LDPLuckyDraw.requestRandomDraw for a snapshot.
+ */
+function requestArguments(snapshot) {
+    return [snapshot.dataHash, snapshot.numParticipants, snapshot.numWinners];
+}
+
+/**
+ * Off-chain version of LDPLuckyDraw._getWinnersFromRandomness.
+ * @param randomness Randomness emitted by DrawFulfilled (uint128)
+ * @param numParticipants Number of participants of the draw
+ * @param numWinners Number of winners of the draw
+ * @returns Array of winner indexes in the participant list
+ */
+function computeWinners(randomness, numParticipants, numWinners) {
+    let value = BigInt(String(randomness));
+    if (value < 0n || value > MAX_UINT128) throw new Error("Randomness must fit in a uint128");
+    let participants = BigInt(numParticipants);
+    if (participants <= 0n) throw new Error("Number of participants must be positive");
+    let winners = [];
+    for (let i = 0; i < Number(numWinners); ++i) {
+        let hash = web3.utils.keccak256(web3.eth.abi.encodeParameters(["uint128", "uint256"], [value.toString(), i]));
+        winners.push(Number(BigInt(hash) % participants));
+    }
+    return winners;
+}
+
+/**
+ * List the indexes drawn more than once.
+ * @returns Array of {index, positions}, positions being the winner slots
+ * where the index was drawn
+ */
+function findDuplicateWinners(winners) {
+    let positions = new Map();
+    winners.forEach((index, position) => {
+        if (!positions.has(index)) positions.set(index, []);
+        positions.get(index).push(position);
+    });
+    return [...positions]
+        .filter(([, list]) => list.length > 1)
+        .map(([index, list]) => ({ index, positions: list }));
+}
+
+/**
+ * Verify a draw against its published snapshot.
+ * @param snapshot Snapshot built by buildSnapshot
+ * @param draw.randomness Randomness emitted by DrawFulfilled
+ * @param draw.numWinners Number of winners (default: the one of the snapshot)
+ * @param draw.dataHash Optional on-chain dataHash
+ * @param draw.numParticipants Optional on-chain number of participants
+ * @param draw.winners Optional winner indexes returned by getDrawInfo
+ * @returns Report with the checks, the winners and the duplicate indexes;
+ * `valid` is false if any check failed
+ */
+function verifyDraw(snapshot, draw) {
+    let numWinners = draw.numWinners !== undefined ? Number(draw.numWinners) : snapshot.numWinners;
+    let recomputedHash = computeDataHash(snapshot.name, snapshot.type, snapshot.participants);
+    let checks = {
+        snapshotHash: recomputedHash == snapshot.dataHash,
+        snapshotSize: snapshot.participants.length == snapshot.numParticipants
+    };
+    if (draw.dataHash !== undefined) checks.onChainDataHash = recomputedHash == String(draw.dataHash).toLowerCase();
+    if (draw.numParticipants !== undefined) {
+        checks.onChainParticipants = Number(draw.numParticipants) == snapshot.participants.length;
+    }
+    let indexes = computeWinners(draw.randomness, snapshot.participants.length, numWinners);
+    if (draw.winners !== undefined) {
+        checks.onChainWinners =
+            draw.winners.length == indexes.length && draw.winners.every((index, i) => Number(index) == indexes[i]);
+    }
+    return {
+        name: snapshot.name,
+        dataHash: recomputedHash,
+        randomness: String(draw.randomness),
+        numParticipants: snapshot.participants.length,
+        numWinners,
+        valid: Object.values(checks).every(Boolean),
+        checks,
+        winners: indexes.map((index, position) => ({ position, index, participant: snapshot.participants[index] })),
+        duplicates: findDuplicateWinners(indexes)
+    };
+}
+
+/**
+ * Read a draw from a deployed LDPLuckyDraw.
+ * @param web3 Web3 instance connected to the chain
+ * @param address Address of the LDPLuckyDraw contract
+ * @param dataHash dataHash of the draw
+ * @returns {drawIndex, dataHash, requestTimestamp, chainlinkRequestId,
+ * numParticipants, winners, randomness}; randomness is null if the draw has
+ * not been fulfilled yet
+ */
+async function readDraw(web3, address, dataHash) {
+    let luckyDraw = new web3.eth.Contract(LUCKY_DRAW_ABI, address);
+    let hashes = await luckyDraw.methods.getAllDrawsDataHashes().call();
+    let drawIndex = hashes.findIndex((hash) => hash.toLowerCase() == dataHash.toLowerCase());
+    if (drawIndex == -1) throw new Error("No draw found with dataHash " + dataHash);
+    let info = await luckyDraw.methods.getDrawInfo(drawIndex).call();
+    let events = await luckyDraw.getPastEvents("DrawFulfilled", { fromBlock: 0, toBlock: "latest" });
+    let fulfillment = events.find((event) => event.returnValues.chainlinkRequestId == info.chainlinkRequestId);
+    return {
+        drawIndex,
+        dataHash: info.dataHash,
+        requestTimestamp: Number(info.requestTimestamp),
+        chainlinkRequestId: info.chainlinkRequestId,
+        numParticipants: Number(info.numParticipants),
+        winners: info.winners.map(Number),
+        randomness: fulfillment ? fulfillment.returnValues.randomness : null
+    };
+}
+
+function printReport(report) {
+    console.log("Draw '" + report.name + "' (" + report.dataHash + ")");
+    for (let [check, passed] of Object.entries(report.checks)) {
+        console.log("  " + (passed ? "OK     " : "FAILED ") + check);
+    }
+    console.table(report.winners);
+    for (let duplicate of report.duplicates) {
+        console.warn(
+            "Warning: participant #" + duplicate.index + " (" + report.winners[duplicate.positions[0]].participant +
+                ") drawn " + duplicate.positions.length + " times, at positions " + duplicate.positions.join(", ")
+        );
+    }
+}
+
+async function main(argv) {
+    let { options, positionals } = parseArgs(argv);
+    let command = positionals[0];
+    if (command == "snapshot") {
+        if (!options.participants) throw new Error("Missing participants file (--participants)");
+        let entries = loadParticipants(options.participants);
+        let snapshot = buildSnapshot({
+            name: options.name,
+            entries,
+            numWinners: options.winners,
+            type: options.type,
+            unique: options.unique === true
+        });
+        let duplicates = canonicalizeParticipants(entries, { type: snapshot.type }).duplicates;
+        if (duplicates > 0) {
+            console.warn("Warning: " + duplicates + " duplicate entries " + (options.unique ? "removed" : "kept"));
+        }
+        let outputPath = options.output || "draw_snapshot.json";
+        writeJson(outputPath, snapshot);
+        console.log("Snapshot written to " + outputPath);
+        console.log("requestRandomDraw arguments:");
+        console.log("  dataHash:        " + snapshot.dataHash);
+        console.log("  numParticipants: " + snapshot.numParticipants);
+        console.log("  numWinners:      " + snapshot.numWinners);
+    } else if (command == "verify") {
+        if (!options.snapshot) throw new Error("Missing snapshot file (--snapshot)");
+        let snapshot = loadDataFile(options.snapshot);
+        let draw;
+        if (options.rpc) {
+            let address = options.address || (options.network && getAddress(options.network, "LDPLuckyDraw"));
+            if (!address) throw new Error("Missing LDPLuckyDraw address (--address or --network)");
+            draw = await readDraw(new Web3(options.rpc), address, snapshot.dataHash);
+            if (draw.randomness === null) throw new Error("The draw has not been fulfilled yet");
+            draw.numWinners = draw.winners.length;
+        } else {
+            if (options.randomness === undefined) throw new Error("Missing randomness (--randomness or --rpc)");
+            draw = { randomness: options.randomness, numWinners: options.winners, dataHash: options.dataHash };
+        }
+        let report = verifyDraw(snapshot, draw);
+        printReport(report);
+        if (options.output) writeJson(options.output, report);
+        if (!report.valid) {
+            console.error("Verification FAILED");
+            process.exitCode = 1;
+        } else {
+            console.log("Verification passed");
+        }
+    } else {
+        throw new Error("Unknown command '" + command + "', expected 'snapshot' or 'verify'");
+    }
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    loadParticipants,
+    canonicalizeParticipants,
+    computeDataHash,
+    buildSnapshot,
+    requestArguments,
+    computeWinners,
+    findDuplicateWinners,
+    verifyDraw,
+    readDraw
+};
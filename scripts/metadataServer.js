@@ -0,0 +1,351 @@
+// Serve the token metadata and images over HTTP, so that the whole
+// tokenURI -> metadata -> image chain can be tested offline against the
+// local contracts (see scripts/localChain.js).
+//
+// The server mocks the IPFS and Arweave gateways: ipfs://<path> is served at
+// /ipfs/<path> and ar://<path> at /ar/<path>. It resolves the URIs the NFT
+// contract was initialized with:
+// - the IPFS and Arweave base URIs followed by a metadata ID: the metadata
+//   file of that edition (the contract switches between the two with
+//   toggleArweaveUri);
+// - the unrevealed URI: the placeholder returned by tokenURI before the
+//   reveal (--unrevealed, or a generated one);
+// - the contract URI of the test contract: the collection metadata
+//   (--contract-metadata, or a generated one);
+// - the folder of the image URIs found in the metadata (or --image-uri):
+//   the files of the --images folder, by path relative to that folder.
+// The generated placeholders point to a built-in SVG image. /token/<id>
+// redirects to the gateway URL of tokenURI(id), which honors the reveal
+// state of the contract, and / lists the served URIs.
+//
+// Usage:
+//   node scripts/metadataServer.js --metadata <folder|database.json> [--images <folder>]
+//       [--port 8081] [--manifest <launch manifest>] [--unrevealed-uri <uri>] [--contract-uri <uri>]
+//       [--ipfs-uri <uri>] [--arweave-uri <uri>] [--image-uri <uri>]
+//       [--unrevealed <file.json>] [--contract-metadata <file.json>] [--rewrite-uris]
+//       [--rpc <url>] [--address <LuckyDuckPack address>] [--no-chain]
+//
+// --metadata is either the folder written by extract_metadataFiles.js (one
+// file per edition, named by the edition) or the metadata database. The
+// URIs default to the initialize arguments recorded in the launch manifest
+// (default: deployments/launch_local.json), then to the ones of the local
+// migration. --rewrite-uris replaces the ipfs:// and ar:// image URIs of the
+// served metadata with gateway URLs, for frontends not resolving them. The
+// NFT contract used by /token/<id> defaults to the local deployment registry.
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const Web3 = require("web3");
+const { parseArgs, loadDataFile, runMain } = require("./lib/cli.js");
+const { loadArtifact } = require("./lib/artifacts.js");
+const { loadRegistry } = require("./lib/deployments.js");
+const { describeError } = require("./lib/errors.js");
+const { LOCAL_URIS, initializeParams, readManifest } = require("./lib/launch.js");
+const { ABIS } = require("../sdk/index.js");
+
+const DEFAULT_PORT = 8081;
+const DEFAULT_MANIFEST = path.join("deployments", "launch_local.json");
+const COLLECTION_NAME = "Lucky Ducks Pack";
+const PLACEHOLDER_FILE = "unrevealed.svg";
+const PLACEHOLDER_SVG =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">' +
+    '<rect width="512" height="512" fill="#f2c94c"/>' +
+    '<text x="256" y="300" font-family="sans-serif" font-size="160" text-anchor="middle" fill="#333">?</text>' +
+    "</svg>";
+const CONTENT_TYPES = {
+    ".json": "application/json",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".svg": "image/svg+xml",
+    ".mp4": "video/mp4",
+    ".html": "text/html"
+};
+const REWRITTEN_FIELDS = ["image", "animation_url"];
+const URI_NAMES = ["unrevealedURI", "contractURI", "ipfsURI", "arweaveURI", "imageURI"];
+
+/**
+ * Gateway URL of an ipfs:// or ar:// URI on the server at `baseUrl`. Other
+ * URIs are returned unchanged.
+ */
+function gatewayUrl(uri, baseUrl) {
+    let match = /^(ipfs|ar):\/\/(.*)$/.exec(uri);
+    if (match === null) return uri;
+    return baseUrl.replace(/\/$/, "") + "/" + match[1] + "/" + match[2];
+}
+
+// ipfs:// or ar:// URI of a gateway path, null for other paths
+function gatewayUri(pathname) {
+    let match = /^\/(ipfs|ar)\/(.+)$/.exec(pathname);
+    return match && match[1] + "://" + decodeURIComponent(match[2]);
+}
+
+// URI of the folder containing `uri`
+function parentUri(uri) {
+    return uri.slice(0, uri.lastIndexOf("/") + 1);
+}
+
+/**
+ * Load the token metadata from the folder written by
+ * extract_metadataFiles.js (files named by edition, with or without a .json
+ * extension) or from the metadata database.
+ * @returns Map edition => metadata record
+ */
+function loadMetadata(source) {
+    let records;
+    if (fs.statSync(source).isDirectory()) {
+        records = fs
+            .readdirSync(source)
+            .filter((file) => /^\d+(\.json)?$/.test(file))
+            .map((file) => loadDataFile(path.join(source, file)));
+    } else {
+        records = loadDataFile(source);
+        if (!Array.isArray(records)) throw new Error("The metadata database must be an array of records");
+    }
+    let metadata = new Map();
+    for (let record of records) {
+        if (record === null || !Number.isInteger(record.edition) || record.edition < 0) {
+            throw new Error("Metadata record without a valid edition: " + JSON.stringify(record).slice(0, 80));
+        }
+        if (metadata.has(record.edition)) throw new Error("Duplicate metadata of edition " + record.edition);
+        metadata.set(record.edition, record);
+    }
+    return metadata;
+}
+
+/**
+ * Folder shared by the image URIs of the metadata, or null if they are not
+ * all in the same folder.
+ */
+function imageBaseUri(metadata) {
+    let base = null;
+    for (let record of metadata.values()) {
+        if (typeof record.image !== "string") continue;
+        let folder = parentUri(record.image);
+        if (base === null) base = folder;
+        else if (base != folder) return null;
+    }
+    return base;
+}
+
+/**
+ * Everything the server resolves.
+ * @param options {metadata: Map edition => record, images: folder, uris:
+ * {unrevealedURI, contractURI, ipfsURI, arweaveURI, imageURI}, unrevealed,
+ * contractMetadata, rewriteUris}; the image URI defaults to imageBaseUri,
+ * the unrevealed and contract metadata to placeholders.
+ */
+function serverContent(options) {
+    let uris = Object.assign({}, options.uris);
+    if (!uris.imageURI) uris.imageURI = imageBaseUri(options.metadata);
+    for (let name of ["ipfsURI", "arweaveURI", "imageURI"]) {
+        if (uris[name] && !uris[name].endsWith("/")) throw new Error(name + " must end with '/': " + uris[name]);
+    }
+    // The built-in image of the placeholders sits next to the unrevealed metadata
+    let placeholderUri = uris.unrevealedURI ? parentUri(uris.unrevealedURI) + PLACEHOLDER_FILE : null;
+    return {
+        uris,
+        placeholderUri,
+        metadata: options.metadata,
+        images: options.images || null,
+        unrevealed: options.unrevealed || {
+            name: COLLECTION_NAME,
+            description: "Not revealed yet",
+            image: placeholderUri
+        },
+        contractMetadata: options.contractMetadata || {
+            name: COLLECTION_NAME,
+            description: COLLECTION_NAME + " (local metadata server)",
+            image: placeholderUri
+        },
+        rewriteUris: Boolean(options.rewriteUris)
+    };
+}
+
+function jsonResponse(data) {
+    return { status: 200, type: CONTENT_TYPES[".json"], body: JSON.stringify(data, null, "  ") };
+}
+
+function notFound(message) {
+    return { status: 404, type: "text/plain", body: message };
+}
+
+// Image file at `relative` in the images folder; refuses paths leaving it
+function imageResponse(folder, relative) {
+    if (folder === null) return notFound("No images folder (--images)");
+    let filePath = path.resolve(folder, relative);
+    if (!filePath.startsWith(path.resolve(folder) + path.sep) || !fs.existsSync(filePath)) {
+        return notFound("No image " + relative);
+    }
+    if (!fs.statSync(filePath).isFile()) return notFound("No image " + relative);
+    let type = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+    return { status: 200, type, body: fs.readFileSync(filePath) };
+}
+
+/**
+ * Resolve an ipfs:// or ar:// URI to the served content.
+ * @param content Result of serverContent
+ * @returns {status, type, body, data}: `data` is the object of JSON responses
+ */
+function resolveUri(content, uri) {
+    let { uris } = content;
+    if (uri === uris.unrevealedURI) return Object.assign(jsonResponse(content.unrevealed), { data: content.unrevealed });
+    if (uris.contractURI && uri === uris.contractURI) {
+        return Object.assign(jsonResponse(content.contractMetadata), { data: content.contractMetadata });
+    }
+    if (uri === content.placeholderUri) return { status: 200, type: CONTENT_TYPES[".svg"], body: PLACEHOLDER_SVG };
+    for (let base of [uris.ipfsURI, uris.arweaveURI]) {
+        if (!base || !uri.startsWith(base)) continue;
+        let id = uri.slice(base.length);
+        // IDs are written by uint256.toString(): no leading zeros
+        let record = /^(0|[1-9]\d*)$/.test(id) ? content.metadata.get(Number(id)) : undefined;
+        if (record !== undefined) return Object.assign(jsonResponse(record), { data: record });
+        // The image folder may share the base URI
+        if (!uris.imageURI || !uri.startsWith(uris.imageURI)) return notFound("No metadata " + id);
+    }
+    if (uris.imageURI && uri.startsWith(uris.imageURI)) return imageResponse(content.images, uri.slice(uris.imageURI.length));
+    return notFound("Unknown URI " + uri);
+}
+
+// Copy of `data` with the ipfs:// and ar:// URIs replaced by gateway URLs
+function rewriteUris(data, baseUrl) {
+    let copy = Object.assign({}, data);
+    for (let field of REWRITTEN_FIELDS) {
+        if (typeof copy[field] === "string") copy[field] = gatewayUrl(copy[field], baseUrl);
+    }
+    return copy;
+}
+
+async function handleRequest(content, nft, req) {
+    let baseUrl = "http://" + (req.headers.host || "localhost");
+    let pathname = new URL(req.url, baseUrl).pathname;
+    if (pathname == "/") {
+        return jsonResponse({
+            ipfsGateway: baseUrl + "/ipfs/",
+            arweaveGateway: baseUrl + "/ar/",
+            uris: content.uris,
+            tokens: content.metadata.size,
+            tokenRedirect: nft ? baseUrl + "/token/<id>" : null
+        });
+    }
+    let tokenMatch = /^\/token\/(\d+)$/.exec(pathname);
+    if (tokenMatch !== null) {
+        if (!nft) return notFound("No NFT contract (--address)");
+        let tokenUri;
+        try {
+            tokenUri = await nft.methods.tokenURI(tokenMatch[1]).call();
+        } catch (err) {
+            return notFound("tokenURI(" + tokenMatch[1] + ") failed: " + describeError(err, { contract: "LuckyDuckPack" }));
+        }
+        return { status: 302, headers: { Location: gatewayUrl(tokenUri, baseUrl) }, type: "text/plain", body: tokenUri };
+    }
+    let uri;
+    try {
+        uri = gatewayUri(pathname);
+    } catch (err) {
+        return { status: 400, type: "text/plain", body: "Malformed path " + pathname };
+    }
+    if (uri === null) return notFound("Not a gateway path: " + pathname);
+    let response = resolveUri(content, uri);
+    if (response.data !== undefined && content.rewriteUris) {
+        response = jsonResponse(rewriteUris(response.data, baseUrl));
+    }
+    return response;
+}
+
+/**
+ * HTTP server of `content` (see serverContent), not listening yet.
+ * @param nft web3 contract of LuckyDuckPack used by /token/<id>, optional
+ */
+function createMetadataServer(content, nft = null) {
+    return http.createServer((req, res) => {
+        let respond = (response) => {
+            res.writeHead(
+                response.status,
+                Object.assign({ "Content-Type": response.type, "Access-Control-Allow-Origin": "*" }, response.headers)
+            );
+            res.end(req.method == "HEAD" ? undefined : response.body);
+        };
+        if (req.method != "GET" && req.method != "HEAD") {
+            respond({ status: 405, type: "text/plain", body: "Method not allowed" });
+            return;
+        }
+        handleRequest(content, nft, req).then(respond, (err) =>
+            respond({ status: 500, type: "text/plain", body: err.message })
+        );
+    });
+}
+
+// URIs from the launch manifest, the local defaults and the options
+function serverUris(options) {
+    let params = LOCAL_URIS;
+    let manifest = readManifest(options.manifest || DEFAULT_MANIFEST, "local");
+    let nftEntry = manifest.contracts.LuckyDuckPack;
+    if (manifest.steps.initialize && nftEntry) {
+        let abi = loadArtifact(nftEntry.contractName).abi;
+        params = initializeParams(abi, manifest.steps.initialize.arguments);
+    }
+    let uris = {};
+    for (let name of URI_NAMES) {
+        uris[name] = options[name.replace("URI", "Uri")] || params[name];
+    }
+    return uris;
+}
+
+function nftContract(options) {
+    if (options.noChain) return null;
+    let address = options.address;
+    if (!address) {
+        let entry = loadRegistry("local").contracts.LuckyDuckPack;
+        if (entry === undefined) return null;
+        address = entry.address;
+    }
+    let rpc = options.rpc || "http://127.0.0.1:" + (process.env.LOCAL_CHAIN_PORT || 8545);
+    let chain = new Web3(rpc);
+    return new chain.eth.Contract(ABIS.LuckyDuckPack, address);
+}
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    if (!options.metadata) throw new Error("Missing metadata folder or database (--metadata)");
+    let content = serverContent({
+        metadata: loadMetadata(options.metadata),
+        images: options.images,
+        uris: serverUris(options),
+        unrevealed: options.unrevealed ? loadDataFile(options.unrevealed) : undefined,
+        contractMetadata: options.contractMetadata ? loadDataFile(options.contractMetadata) : undefined,
+        rewriteUris: options.rewriteUris
+    });
+    let nft = nftContract(options);
+    let port = Number(options.port || process.env.METADATA_SERVER_PORT || DEFAULT_PORT);
+    let server = createMetadataServer(content, nft);
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", resolve);
+    });
+    let baseUrl = "http://127.0.0.1:" + port;
+    console.log("Metadata server listening on " + baseUrl + " (" + content.metadata.size + " token(s))");
+    for (let [name, uri] of Object.entries(content.uris)) {
+        if (uri) console.log("  " + name + ": " + uri + " -> " + gatewayUrl(uri, baseUrl));
+    }
+    if (nft) console.log("  tokenURI redirect: " + baseUrl + "/token/<id> (" + nft.options.address + ")");
+    process.on("SIGINT", () => {
+        server.close(() => process.exit(0));
+    });
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    gatewayUrl,
+    loadMetadata,
+    imageBaseUri,
+    serverContent,
+    resolveUri,
+    createMetadataServer
+};
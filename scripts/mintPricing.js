@@ -0,0 +1,223 @@
+// Off-chain model of the LDPMinter pricing: returns exactly what
+// LDPMinter.currentPrice() returns for a given minting start time, total
+// supply and timestamp, and generates the full price schedule.
+//
+// Sale mechanics (see LDPMinter.sol):
+// - until the first auction starts, the price depends on the supply:
+//   0.25 ETH below 3333 tokens, 0.75 ETH below 6666, 1.25 ETH after;
+// - first Dutch auction: starts 2 days after minting, lasts 1 day, goes
+//   from 0.75 to 0.075 ETH in 30-minute steps;
+// - second Dutch auction: starts 1 day after the end of the first, lasts
+//   1 day, goes from 0.075 to 0.025 ETH in 30-minute steps.
+//
+// Usage:
+//   node scripts/mintPricing.js schedule --start <unix time|ISO date>
+//       [--format table|json|csv]
+//   node scripts/mintPricing.js price --start <unix time|ISO date>
+//       --supply <n> [--time <unix time|ISO date>]
+
+const Web3 = require("web3");
+const { parseArgs, runMain } = require("./lib/cli.js");
+const { toCsv } = require("./lib/csv.js");
+
+const ETHER = 10n ** 18n;
+const MINUTE = 60n;
+const DAY = 24n * 60n * MINUTE;
+
+// Mirrors the LDPMinter constants
+const PRICING = {
+    SALE_PRICE1: ETHER / 4n, // 0.25 ether
+    SALE_PRICE2: (ETHER * 3n) / 4n, // 0.75 ether
+    SALE_PRICE3: (ETHER * 5n) / 4n, // 1.25 ether
+    SALE_TIER2_SUPPLY: 3333n,
+    SALE_TIER3_SUPPLY: 6666n,
+    AUCTION1_RESTING_PRICE: (ETHER * 75n) / 1000n, // 0.075 ether
+    AUCTION2_RESTING_PRICE: (ETHER * 25n) / 1000n, // 0.025 ether
+    AUCTION1_START_DELAY: 2n * DAY,
+    AUCTION2_START_DELAY: DAY,
+    AUCTIONS_DURATION: DAY,
+    AUCTIONS_TIMESTEP: 30n * MINUTE
+};
+
+function toBigInt(value) {
+    return BigInt(String(value));
+}
+
+/**
+ * Price of the fixed-price sale phase, depending on the current supply.
+ */
+function salePrice(totalSupply) {
+    let supply = toBigInt(totalSupply);
+    if (supply < PRICING.SALE_TIER2_SUPPLY) return PRICING.SALE_PRICE1;
+    if (supply < PRICING.SALE_TIER3_SUPPLY) return PRICING.SALE_PRICE2;
+    return PRICING.SALE_PRICE3;
+}
+
+/**
+ * Start and end times of both Dutch auctions.
+ */
+function auctionTimes(mintingStartTime) {
+    let auction1Start = toBigInt(mintingStartTime) + PRICING.AUCTION1_START_DELAY;
+    let auction1End = auction1Start + PRICING.AUCTIONS_DURATION;
+    let auction2Start = auction1End + PRICING.AUCTION2_START_DELAY;
+    let auction2End = auction2Start + PRICING.AUCTIONS_DURATION;
+    return { auction1Start, auction1End, auction2Start, auction2End };
+}
+
+function auctions(mintingStartTime) {
+    let times = auctionTimes(mintingStartTime);
+    return [
+        {
+            startPrice: PRICING.SALE_PRICE2,
+            restingPrice: PRICING.AUCTION1_RESTING_PRICE,
+            startTime: times.auction1Start,
+            endTime: times.auction1End,
+            timeStep: PRICING.AUCTIONS_TIMESTEP
+        },
+        {
+            startPrice: PRICING.AUCTION1_RESTING_PRICE,
+            restingPrice: PRICING.AUCTION2_RESTING_PRICE,
+            startTime: times.auction2Start,
+            endTime: times.auction2End,
+            timeStep: PRICING.AUCTIONS_TIMESTEP
+        }
+    ];
+}
+
+/**
+ * Mirrors LDPMinter._dutchAuctionPrice_Ts0.
+ */
+function dutchAuctionPrice(auction, currentTime) {
+    let time = toBigInt(currentTime);
+    if (time < auction.startTime) return auction.startPrice;
+    let stepsPassed = (time - auction.startTime) / auction.timeStep;
+    let priceDecrement =
+        ((auction.startPrice - auction.restingPrice) /
+            ((auction.endTime - auction.startTime) / auction.timeStep)) *
+        stepsPassed;
+    if (auction.startPrice > auction.restingPrice + priceDecrement) {
+        return auction.startPrice - priceDecrement;
+    }
+    return auction.restingPrice;
+}
+
+/**
+ * Mirrors LDPMinter.currentPrice().
+ * @param params.mintingStartTime LDPMinter.mintingStartTime (0 if not started)
+ * @param params.totalSupply Current supply of the NFT contract
+ * @param params.timestamp Block timestamp
+ * @returns Price in wei, as BigInt
+ */
+function currentPrice({ mintingStartTime, totalSupply, timestamp }) {
+    if (toBigInt(mintingStartTime) == 0n) return PRICING.SALE_PRICE1;
+    let time = toBigInt(timestamp);
+    let [auction1, auction2] = auctions(mintingStartTime);
+    if (time < auction1.startTime) return salePrice(totalSupply);
+    if (time < auction1.endTime) return dutchAuctionPrice(auction1, time);
+    return dutchAuctionPrice(auction2, time);
+}
+
+/**
+ * Mirrors LDPMinter.isDutchAuctionActive().
+ */
+function isDutchAuctionActive({ mintingStartTime, timestamp }) {
+    if (toBigInt(mintingStartTime) == 0n) return false;
+    return toBigInt(timestamp) > auctionTimes(mintingStartTime).auction1Start;
+}
+
+/**
+ * Mirrors LDPMinter.timeToNextAuction().
+ */
+function timeToNextAuction({ mintingStartTime, timestamp }) {
+    let time = toBigInt(timestamp);
+    let { auction1Start, auction2Start } = auctionTimes(mintingStartTime);
+    if (time < auction1Start) return auction1Start - time;
+    if (time < auction2Start) return auction2Start - time;
+    return 0n;
+}
+
+/**
+ * List every price change from the start of minting until the second auction
+ * reaches its resting price.
+ * @returns Array of {timestamp, phase, price}; the sale phase has one entry
+ * per supply tier, all starting at `mintingStartTime`.
+ */
+function priceSchedule(mintingStartTime) {
+    let start = toBigInt(mintingStartTime);
+    let [auction1, auction2] = auctions(start);
+    let schedule = [
+        { timestamp: start, phase: "sale (supply < 3333)", price: PRICING.SALE_PRICE1 },
+        { timestamp: start, phase: "sale (supply < 6666)", price: PRICING.SALE_PRICE2 },
+        { timestamp: start, phase: "sale (supply >= 6666)", price: PRICING.SALE_PRICE3 }
+    ];
+    let add = (timestamp, phase) => {
+        let price = currentPrice({ mintingStartTime: start, totalSupply: 0, timestamp });
+        let last = schedule[schedule.length - 1];
+        if (last.phase != phase || last.price != price) schedule.push({ timestamp, phase, price });
+        return price;
+    };
+    // The first auction is cut at its end time, when the price becomes the
+    // start price of the second auction
+    for (let time = auction1.startTime; time < auction1.endTime; time += auction1.timeStep) {
+        add(time, "auction 1");
+    }
+    add(auction1.endTime, "between auctions");
+    // The second auction keeps decreasing until the resting price is reached
+    for (let time = auction2.startTime; ; time += auction2.timeStep) {
+        if (add(time, "auction 2") == auction2.restingPrice) break;
+    }
+    return schedule;
+}
+
+function parseTime(value, name) {
+    if (value === undefined || value === true) throw new Error("Missing --" + name);
+    if (/^\d+$/.test(value)) return BigInt(value);
+    let millis = Date.parse(value);
+    if (isNaN(millis)) throw new Error("Invalid --" + name + " '" + value + "'");
+    return BigInt(Math.floor(millis / 1000));
+}
+
+function formatTime(timestamp) {
+    return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+async function main(argv) {
+    let { options, positionals } = parseArgs(argv);
+    let command = positionals[0];
+    let mintingStartTime = parseTime(options.start, "start");
+    if (command == "schedule") {
+        let rows = priceSchedule(mintingStartTime).map((step) => ({
+            timestamp: Number(step.timestamp),
+            date: formatTime(step.timestamp),
+            phase: step.phase,
+            price_wei: step.price.toString(),
+            price_eth: Web3.utils.fromWei(step.price.toString(), "ether")
+        }));
+        let format = options.format || "table";
+        if (format == "json") console.log(JSON.stringify(rows, null, "  "));
+        else if (format == "csv") process.stdout.write(toCsv(Object.keys(rows[0]), rows.map(Object.values)));
+        else console.table(rows);
+    } else if (command == "price") {
+        if (options.supply === undefined) throw new Error("Missing --supply");
+        let timestamp = options.time !== undefined ? parseTime(options.time, "time") : BigInt(Math.floor(Date.now() / 1000));
+        let price = currentPrice({ mintingStartTime, totalSupply: options.supply, timestamp });
+        console.log(Web3.utils.fromWei(price.toString(), "ether") + " ETH (" + price + " wei) at " + formatTime(timestamp));
+    } else {
+        throw new Error("Unknown command '" + command + "', expected 'schedule' or 'price'");
+    }
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    PRICING,
+    salePrice,
+    auctionTimes,
+    dutchAuctionPrice,
+    currentPrice,
+    isDutchAuctionActive,
+    timeToNextAuction,
+    priceSchedule
+};
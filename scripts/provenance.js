@@ -0,0 +1,146 @@
+// Compute the sha256 hash of each token file and the collection provenance
+// hash, i.e. the sha256 of all the media file hashes concatenated in token
+// order. This is the value hardcoded in LuckyDuckPack.PROVENANCE.
+//
+// Usage:
+//   node scripts/provenance.js hash [--media <folder>] [--metadata <folder>]
+//       [--output <folder>] [--count <n>] [--ext png]
+//   node scripts/provenance.js verify [--media <folder>] [--count <n>]
+//       [--ext png] [--artifact <LuckyDuckPack.json>]
+//
+// "hash" writes, for the media files (and the metadata files, if a folder is
+// given), a CSV and a TXT with one hash per token, a TXT with all hashes
+// concatenated and a TXT with the hash of the concatenated hashes; the media
+// hashes also produce PROVENANCE.txt.
+// "verify" recomputes the provenance from the media files and compares it
+// with the PROVENANCE constant of the compiled LuckyDuckPack contract.
+//
+// Defaults are read from the environment: TOKENMEDIA_PATH,
+// TOKENMETADATA_DESTINATION_PATH and HASH_PATH. The number of files defaults
+// to the MAX_SUPPLY of LuckyDuckPack.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+const { parseArgs, runMain } = require("./lib/cli.js");
+const { loadArtifact, getConstant } = require("./lib/artifacts.js");
+
+function sha256(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Return the sha256 hash of the file content.
+ */
+function hashFile(filePath) {
+    return sha256(fs.readFileSync(filePath));
+}
+
+/**
+ * Hash the files named 0.<ext> ... <count-1>.<ext> in `folder` (no extension
+ * if `ext` is empty, as for the extracted metadata files).
+ * @returns Array of hashes, indexed by token ID
+ */
+function hashAll(folder, ext, count) {
+    let hashes = [];
+    for (let i = 0; i < count; ++i) {
+        let file = path.join(folder, ext ? i + "." + ext : String(i));
+        if (!fs.existsSync(file)) throw new Error("Missing file for token " + i + ": " + file);
+        hashes.push(hashFile(file));
+    }
+    return hashes;
+}
+
+/**
+ * Return the hash of all `hashes` concatenated, in the given order.
+ */
+function hashOfHashes(hashes) {
+    return sha256(hashes.join(""));
+}
+
+/**
+ * Write the CSV, TXT, concatenated and hash-of-hashes files for `hashes`.
+ * @returns Paths of the files written
+ */
+function writeHashFiles(hashes, alias, ext, destFolder) {
+    fs.mkdirSync(destFolder, { recursive: true });
+    let prefix = path.join(destFolder, alias + (ext ? "_" + ext : "") + "_hash");
+    let csv = ["token id;" + alias + " hash (sha256)"];
+    hashes.forEach((hash, id) => csv.push(id + ";" + hash));
+    let files = {
+        csv: prefix + ".csv",
+        txt: prefix + ".txt",
+        concatenated: prefix + "_all_concat.txt",
+        hashOfHashes: prefix + "_of_hashes.txt"
+    };
+    fs.writeFileSync(files.csv, csv.join("\n") + "\n");
+    fs.writeFileSync(files.txt, hashes.join("\n"));
+    fs.writeFileSync(files.concatenated, hashes.join(""));
+    fs.writeFileSync(files.hashOfHashes, hashOfHashes(hashes));
+    return files;
+}
+
+/**
+ * Read the PROVENANCE constant from the compiled LuckyDuckPack contract.
+ */
+function readContractProvenance(artifact = loadArtifact("LuckyDuckPack")) {
+    return getConstant(artifact, "PROVENANCE");
+}
+
+function resolveCount(options, artifact) {
+    if (options.count !== undefined) {
+        let count = Number(options.count);
+        if (!Number.isInteger(count) || count <= 0) throw new Error("--count must be a positive integer");
+        return count;
+    }
+    return Number(getConstant(artifact(), "MAX_SUPPLY"));
+}
+
+async function main(argv) {
+    let { options, positionals } = parseArgs(argv);
+    let command = positionals[0];
+    let mediaFolder = options.media || process.env.TOKENMEDIA_PATH;
+    let ext = options.ext === undefined ? "png" : options.ext;
+    let artifact = () =>
+        options.artifact ? JSON.parse(fs.readFileSync(options.artifact, "utf8")) : loadArtifact("LuckyDuckPack");
+    if (!mediaFolder) throw new Error("Missing media folder (--media or TOKENMEDIA_PATH)");
+    let count = resolveCount(options, artifact);
+
+    if (command == "hash") {
+        let destFolder = options.output || process.env.HASH_PATH;
+        if (!destFolder) throw new Error("Missing output folder (--output or HASH_PATH)");
+        let mediaHashes = hashAll(mediaFolder, ext, count);
+        writeHashFiles(mediaHashes, "tokenMedia", ext, destFolder);
+        let metadataFolder = options.metadata || process.env.TOKENMETADATA_DESTINATION_PATH;
+        if (metadataFolder) {
+            let metadataHashes = hashAll(metadataFolder, "", count);
+            let files = writeHashFiles(metadataHashes, "tokenMetadata", "", destFolder);
+            console.log("Hash of [concatenated metadata file hashes]: " + fs.readFileSync(files.hashOfHashes));
+        }
+        let provenance = hashOfHashes(mediaHashes);
+        fs.writeFileSync(path.join(destFolder, "PROVENANCE.txt"), provenance);
+        console.log("FINAL PROVENANCE HASH: " + provenance);
+    } else if (command == "verify") {
+        let expected = readContractProvenance(artifact());
+        let provenance = hashOfHashes(hashAll(mediaFolder, ext, count));
+        console.log("Computed provenance: " + provenance);
+        console.log("Contract provenance: " + expected);
+        if (provenance != expected) throw new Error("Provenance mismatch");
+        console.log("Provenance verified.");
+    } else {
+        throw new Error("Unknown command '" + command + "', expected 'hash' or 'verify'");
+    }
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    hashFile,
+    hashAll,
+    hashOfHashes,
+    writeHashFiles,
+    readContractProvenance
+};
@@ -0,0 +1,169 @@
+// Compute the rarity of each token from the metadata database.
+//
+// For every trait type, the frequency of each value is the number of tokens
+// having it divided by the collection size. Tokens without a trait (e.g. the
+// optional Overlay and Background post-process traits) or having the "none"
+// value are counted under "none", which is a value like any other.
+// Each token gets:
+// - score: sum of 1/frequency over all trait types, plus 1/frequency of its
+//   trait count (number of traits other than "none");
+// - statistical_rarity: product of the frequencies of its trait values (the
+//   probability of getting that exact combination);
+// - rank (by score) and statistical_rank (by statistical rarity), 1 being the
+//   rarest. Equal values share the same rank.
+//
+// Usage:
+//   node scripts/rarity.js [--database <path>] [--output <folder>]
+//       [--none-value none] [--offset <revealOffset> [--max-supply <n>]]
+//
+// --offset takes the on-chain revealOffset of LuckyDuckPack (1 to
+// MAX_SUPPLY - 1, 0 meaning not revealed yet): each row then also reports
+// the token ID holding that metadata after reveal (see revealMapping.js).
+// The database defaults to TOKENMETADATA_DATABASE_LOCATION; the output
+// folder (default: current folder) receives rarity.json and rarity.csv.
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+const { parseArgs, loadDataFile, writeJson, runMain } = require("./lib/cli.js");
+const { loadArtifact, getConstant } = require("./lib/artifacts.js");
+const { buildTraitsDict, listAllTraits, countTraitValues } = require("./lib/metadata.js");
+const { toCsv } = require("./lib/csv.js");
+const { buildRevealTable } = require("./revealMapping.js");
+
+const TRAIT_COUNT = "Trait Count";
+
+/**
+ * Assign competition ranks ("1224") to `rows`, ordered by `compare`.
+ */
+function assignRanks(rows, key, compare) {
+    let sorted = rows.slice().sort(compare);
+    let rank = 0;
+    sorted.forEach((row, index) => {
+        if (index == 0 || compare(sorted[index - 1], row) != 0) rank = index + 1;
+        row[key] = rank;
+    });
+}
+
+/**
+ * Compute the trait frequencies and the rarity of each token.
+ * @param database Metadata database
+ * @param options.noneValue Value standing for a missing trait (default "none")
+ * @returns {frequencies, tokens}, tokens being sorted by rank
+ */
+function computeRarity(database, options = {}) {
+    let noneValue = options.noneValue === undefined ? "none" : options.noneValue;
+    let total = database.length;
+    if (total == 0) throw new Error("The metadata database is empty");
+    let traits = listAllTraits(database);
+    let counts = countTraitValues(database, noneValue);
+
+    let traitCountOf = (dict) => traits.filter((trait) => dict[trait] !== undefined && dict[trait] != noneValue).length;
+    counts[TRAIT_COUNT] = {};
+    let dicts = database.map((record) => buildTraitsDict(record.attributes));
+    for (let dict of dicts) {
+        let traitCount = traitCountOf(dict);
+        counts[TRAIT_COUNT][traitCount] = (counts[TRAIT_COUNT][traitCount] || 0) + 1;
+    }
+
+    let frequencies = {};
+    for (let trait of Object.keys(counts)) {
+        frequencies[trait] = {};
+        for (let value of Object.keys(counts[trait])) {
+            frequencies[trait][value] = { count: counts[trait][value], frequency: counts[trait][value] / total };
+        }
+    }
+
+    let tokens = database.map((record, i) => {
+        let dict = dicts[i];
+        let tokenTraits = {};
+        let score = 0;
+        let statistical = 1;
+        for (let trait of traits) {
+            let value = dict[trait] === undefined ? noneValue : String(dict[trait]);
+            let frequency = frequencies[trait][value].frequency;
+            tokenTraits[trait] = { value, frequency };
+            score += 1 / frequency;
+            statistical *= frequency;
+        }
+        let traitCount = traitCountOf(dict);
+        score += 1 / frequencies[TRAIT_COUNT][traitCount].frequency;
+        return {
+            edition: record.edition,
+            name: record.name,
+            score,
+            statistical_rarity: statistical,
+            trait_count: traitCount,
+            traits: tokenTraits
+        };
+    });
+    assignRanks(tokens, "statistical_rank", (a, b) => a.statistical_rarity - b.statistical_rarity);
+    assignRanks(tokens, "rank", (a, b) => b.score - a.score);
+    tokens.sort((a, b) => a.rank - b.rank || a.edition - b.edition);
+    return { frequencies, tokens };
+}
+
+/**
+ * Add to each ranked token the ID of the token holding its metadata after
+ * the reveal.
+ */
+function addRevealedTokenIds(tokens, database, revealOffset, maxSupply) {
+    let tokenIdByEdition = new Map();
+    for (let row of buildRevealTable(database, revealOffset, maxSupply)) {
+        tokenIdByEdition.set(row.metadata_id, row.token_id);
+    }
+    for (let token of tokens) token.token_id = tokenIdByEdition.get(token.edition);
+    return tokens;
+}
+
+/**
+ * Format the ranked tokens as CSV.
+ */
+function rarityToCsv(tokens) {
+    let traits = tokens.length > 0 ? Object.keys(tokens[0].traits) : [];
+    let withTokenId = tokens.length > 0 && tokens[0].token_id !== undefined;
+    let header = ["rank", ...(withTokenId ? ["token_id"] : []), "edition", "name", "score",
+        "statistical_rank", "statistical_rarity", "trait_count", ...traits];
+    let rows = tokens.map((token) => [
+        token.rank,
+        ...(withTokenId ? [token.token_id] : []),
+        token.edition,
+        token.name,
+        token.score.toFixed(6),
+        token.statistical_rank,
+        token.statistical_rarity.toExponential(6),
+        token.trait_count,
+        ...traits.map((trait) => token.traits[trait].value)
+    ]);
+    return toCsv(header, rows);
+}
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    let databasePath = options.database || process.env.TOKENMETADATA_DATABASE_LOCATION;
+    if (!databasePath) throw new Error("Missing metadata database (--database)");
+    let database = loadDataFile(databasePath);
+    let result = computeRarity(database, { noneValue: options.noneValue });
+    if (options.offset !== undefined) {
+        let maxSupply = Number(
+            options.maxSupply !== undefined
+                ? options.maxSupply
+                : getConstant(loadArtifact("LuckyDuckPack"), "MAX_SUPPLY")
+        );
+        addRevealedTokenIds(result.tokens, database, Number(options.offset), maxSupply);
+    }
+    let outputDir = options.output || ".";
+    writeJson(path.join(outputDir, "rarity.json"), result);
+    fs.writeFileSync(path.join(outputDir, "rarity.csv"), rarityToCsv(result.tokens));
+    console.log("Ranked " + result.tokens.length + " tokens");
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    computeRarity,
+    addRevealedTokenIds,
+    rarityToCsv
+};
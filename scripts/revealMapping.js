@@ -0,0 +1,159 @@
+// Export the post-reveal mapping of each token ID to its metadata, image and
+// traits, reproducing LuckyDuckPack.revealedId:
+//
+//   [Revealed ID] = ([Token ID] + [Offset]) % [Max Supply]
+//
+// Usage:
+//   node scripts/revealMapping.js --offset <n> [--max-supply <n>]
+//       [--database <path>] [--output <folder>]
+//   node scripts/revealMapping.js --rpc <url>
+//       (--address <LuckyDuckPack address> | --network <name>)
+//       [--database <path>] [--output <folder>]
+//
+// With --rpc, the offset is read from the RevealFulfilled event and the max
+// supply from the contract, found at --address or in the deployment registry
+// of --network. Otherwise the max supply defaults to MAX_SUPPLY
+// of the compiled LuckyDuckPack contract.
+// The database defaults to TOKENMETADATA_DATABASE_LOCATION; the output folder
+// (default: current folder) receives reveal_mapping.json and .csv.
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+const { parseArgs, loadDataFile, writeJson, runMain } = require("./lib/cli.js");
+const { loadArtifact, getConstant } = require("./lib/artifacts.js");
+const { getAddress } = require("./lib/deployments.js");
+const { buildTraitsDict } = require("./lib/metadata.js");
+const { toCsv } = require("./lib/csv.js");
+
+const LDP_ABI = [
+    {
+        type: "event",
+        name: "RevealFulfilled",
+        anonymous: false,
+        inputs: [
+            { name: "requestId", type: "bytes32", indexed: true },
+            { name: "randomNumber", type: "uint256", indexed: true }
+        ]
+    },
+    {
+        type: "function",
+        name: "MAX_SUPPLY",
+        stateMutability: "view",
+        inputs: [],
+        outputs: [{ name: "", type: "uint256" }]
+    }
+];
+
+/**
+ * Off-chain version of LuckyDuckPack.revealedId.
+ */
+function revealedId(id, revealOffset, maxSupply) {
+    return (id + revealOffset) % maxSupply;
+}
+
+/**
+ * Build the table mapping each token ID to its revealed metadata.
+ * @param database Metadata database (records identified by `edition`)
+ * @param revealOffset Offset emitted by RevealFulfilled
+ * @param maxSupply Collection size
+ * @returns Array of rows sorted by token ID
+ */
+function buildRevealTable(database, revealOffset, maxSupply) {
+    if (!Number.isInteger(maxSupply) || maxSupply <= 0) {
+        throw new Error("Max supply must be a positive integer");
+    }
+    if (!Number.isInteger(revealOffset) || revealOffset <= 0 || revealOffset >= maxSupply) {
+        throw new Error("Reveal offset must be an integer between 1 and " + (maxSupply - 1));
+    }
+    let byEdition = new Map(database.map((record) => [record.edition, record]));
+    let rows = [];
+    for (let tokenId = 0; tokenId < maxSupply; ++tokenId) {
+        let metadataId = revealedId(tokenId, revealOffset, maxSupply);
+        let record = byEdition.get(metadataId);
+        if (record === undefined) throw new Error("No metadata found for revealed ID " + metadataId);
+        rows.push({
+            token_id: tokenId,
+            metadata_id: metadataId,
+            name: record.name,
+            image: record.image,
+            image_file_hash: record.image_file_hash,
+            traits: buildTraitsDict(record.attributes || [])
+        });
+    }
+    return rows;
+}
+
+/**
+ * Format the reveal table as CSV, with one column per trait type.
+ */
+function revealTableToCsv(rows) {
+    let traitTypes = [];
+    for (let row of rows) {
+        for (let trait of Object.keys(row.traits)) {
+            if (!traitTypes.includes(trait)) traitTypes.push(trait);
+        }
+    }
+    let header = ["token_id", "metadata_id", "name", "image", "image_file_hash", ...traitTypes];
+    let lines = rows.map((row) => [
+        row.token_id,
+        row.metadata_id,
+        row.name,
+        row.image,
+        row.image_file_hash,
+        ...traitTypes.map((trait) => row.traits[trait])
+    ]);
+    return toCsv(header, lines);
+}
+
+/**
+ * Read the reveal offset and the max supply from a deployed LuckyDuckPack.
+ * @param web3 Web3 instance connected to the chain
+ * @param address Address of the LuckyDuckPack contract
+ */
+async function readRevealData(web3, address) {
+    let nft = new web3.eth.Contract(LDP_ABI, address);
+    let events = await nft.getPastEvents("RevealFulfilled", { fromBlock: 0, toBlock: "latest" });
+    if (events.length == 0) throw new Error("No RevealFulfilled event found: collection not revealed");
+    return {
+        revealOffset: Number(events[events.length - 1].returnValues.randomNumber),
+        maxSupply: Number(await nft.methods.MAX_SUPPLY().call())
+    };
+}
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    let databasePath = options.database || process.env.TOKENMETADATA_DATABASE_LOCATION;
+    if (!databasePath) throw new Error("Missing metadata database (--database)");
+    let revealOffset, maxSupply;
+    if (options.rpc) {
+        let address = options.address || (options.network && getAddress(options.network, "LuckyDuckPack"));
+        if (!address) throw new Error("Missing LuckyDuckPack address (--address or --network)");
+        const Web3 = require("web3");
+        ({ revealOffset, maxSupply } = await readRevealData(new Web3(options.rpc), address));
+    } else {
+        if (options.offset === undefined) throw new Error("Missing reveal offset (--offset or --rpc)");
+        revealOffset = Number(options.offset);
+        maxSupply = Number(
+            options.maxSupply !== undefined
+                ? options.maxSupply
+                : getConstant(loadArtifact("LuckyDuckPack"), "MAX_SUPPLY")
+        );
+    }
+    let rows = buildRevealTable(loadDataFile(databasePath), revealOffset, maxSupply);
+    let outputDir = options.output || ".";
+    writeJson(path.join(outputDir, "reveal_mapping.json"), rows);
+    fs.writeFileSync(path.join(outputDir, "reveal_mapping.csv"), revealTableToCsv(rows));
+    console.log("Exported the reveal mapping of " + rows.length + " tokens (offset " + revealOffset + ")");
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    revealedId,
+    buildRevealTable,
+    revealTableToCsv,
+    readRevealData
+};
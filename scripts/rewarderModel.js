@@ -0,0 +1,395 @@
+// Off-chain model of the LDPRewarder accounting: replays a sequence of
+// inflows and cashouts and predicts what the contract views return.
+//
+// Accounting (see LDPRewarder.sol), done separately for ETH and for each
+// ERC20 token:
+// - of any revenue received, holders get 15/16 (rounded down), split in
+//   10000 shares: lifetimeAccrued += (amount * 15 / 16) / 10000;
+// - the creator share is derived: lifetimeAccrued * 10000 / 15;
+// - each token (and the creator, as ID 31415926535) records its
+//   lifetimeCollected, the unclaimed revenues being the difference;
+// - ETH records are updated on receipt, WETH is processed as ETH once
+//   unwrapped, ERC20 records are updated by forceUpdateErc20Records and
+//   cashoutErc20 from the balance not yet processed.
+// Whatever is lost by the roundings stays in the contract as dust.
+//
+// Usage:
+//   node scripts/rewarderModel.js --owners <owners.json>
+//       --operations <operations.json> [--output <report.json>]
+//
+// The owners file maps token IDs to addresses (object or array). The
+// operations file is an array of objects, applied in order:
+//   {"op": "receiveEth", "amount": "<wei>"}
+//   {"op": "receiveWeth", "amount": "<wei>"}, {"op": "unwrapWeth"}
+//   {"op": "receiveErc20", "token": "<address>", "amount": "<units>"}
+//   {"op": "forceUpdateErc20Records", "token": "<address>"}
+//   {"op": "cashout", "account": "<address>"}
+//   {"op": "nftCashout", "account": "<address>", "tokenId": <id>}
+//   {"op": "creatorCashout"}
+//   {"op": "cashoutErc20", "account": "<address>", "token": "<address>"}
+//   {"op": "nftCashoutErc20", "account": "<address>", "tokenId": <id>, "token": "<address>"}
+//   {"op": "creatorCashoutErc20", "token": "<address>"}
+//   {"op": "transfer", "to": "<address>", "tokenId": <id>}
+
+const { parseArgs, loadDataFile, writeJson, runMain } = require("./lib/cli.js");
+
+// Mirrors LDPRewarder._CREATOR_ID
+const CREATOR_ID = 31415926535n;
+
+function toBigInt(value) {
+    return BigInt(String(value));
+}
+
+function sameAddress(a, b) {
+    return String(a).toLowerCase() == String(b).toLowerCase();
+}
+
+/**
+ * Mirrors the Rewards struct of LDPRewarder.
+ */
+function newRecords() {
+    return { lifetimeAccrued: 0n, lifetimeCollected: new Map() };
+}
+
+/**
+ * Mirrors LDPRewarder._calculateHolderRevenues_x8f.
+ */
+function holderRevenues(amount) {
+    return (toBigInt(amount) * 15n) / 16n;
+}
+
+/**
+ * Lifetime earnings of the creator for the given records.
+ */
+function creatorEarningsLifetime(records) {
+    return (records.lifetimeAccrued * 10000n) / 15n;
+}
+
+class RewarderModel {
+    /**
+     * @param owners Token ID => owner address (object, array or Map)
+     * @param options.weth Optional WETH address, rejected by ERC20 operations
+     */
+    constructor(owners, options = {}) {
+        let entries = owners instanceof Map ? [...owners] : Object.entries(owners);
+        this.owners = new Map(entries.map(([tokenId, owner]) => [toBigInt(tokenId), owner]));
+        this.weth = options.weth;
+        this.ethRecords = newRecords();
+        this.erc20Records = new Map();
+        this.processedErc20 = new Map();
+        // Balances held by the contract
+        this.ethBalance = 0n;
+        this.wethBalance = 0n;
+        this.erc20Balances = new Map();
+    }
+
+    // =============================================================
+    //                        RECORDS
+    // =============================================================
+
+    _erc20(token) {
+        let key = String(token).toLowerCase();
+        if (!this.erc20Records.has(key)) this.erc20Records.set(key, newRecords());
+        return this.erc20Records.get(key);
+    }
+
+    _checkNoWeth(token) {
+        if (this.weth !== undefined && sameAddress(token, this.weth)) throw new Error("NotAllowedOnWETH()");
+    }
+
+    _tokensOf(account) {
+        return [...this.owners].filter(([, owner]) => sameAddress(owner, account)).map(([tokenId]) => tokenId);
+    }
+
+    _checkOwner(account, tokenId) {
+        let owner = this.owners.get(toBigInt(tokenId));
+        if (owner === undefined) throw new Error("Token " + tokenId + " does not exist");
+        if (!sameAddress(owner, account)) throw new Error("SenderIsNoTokenOwner(" + tokenId + ")");
+    }
+
+    // Mirrors LDPRewarder._getNftRevenues_idw
+    _nftRevenues(records, tokenId) {
+        return records.lifetimeAccrued - (records.lifetimeCollected.get(toBigInt(tokenId)) || 0n);
+    }
+
+    // Mirrors LDPRewarder._processWithdrawData_Il8
+    _processWithdraw(records, tokenId) {
+        let amount = this._nftRevenues(records, tokenId);
+        records.lifetimeCollected.set(toBigInt(tokenId), records.lifetimeAccrued);
+        return amount;
+    }
+
+    // Mirrors LDPRewarder._processWithdrawDataCreator_sFU
+    _processWithdrawCreator(records) {
+        let lifetime = creatorEarningsLifetime(records);
+        let amount = lifetime - (records.lifetimeCollected.get(CREATOR_ID) || 0n);
+        records.lifetimeCollected.set(CREATOR_ID, lifetime);
+        return amount;
+    }
+
+    // Mirrors LDPRewarder._updateErc20Revenues_a8w
+    _updateErc20Revenues(token) {
+        let key = String(token).toLowerCase();
+        let balance = this.erc20Balances.get(key) || 0n;
+        let processed = this.processedErc20.get(key) || 0n;
+        if (balance > processed) {
+            this._erc20(key).lifetimeAccrued += holderRevenues(balance - processed) / 10000n;
+            this.processedErc20.set(key, balance);
+        }
+    }
+
+    _payEth(amount) {
+        if (amount > this.ethBalance) throw new Error("CashoutError()");
+        this.ethBalance -= amount;
+        return amount;
+    }
+
+    // Mirrors LDPRewarder._cashout_KTv
+    _payErc20(token, amount) {
+        let key = String(token).toLowerCase();
+        let balance = this.erc20Balances.get(key) || 0n;
+        if (amount > balance) throw new Error("CashoutError()");
+        this.processedErc20.set(key, (this.processedErc20.get(key) || 0n) - amount);
+        this.erc20Balances.set(key, balance - amount);
+        return amount;
+    }
+
+    // =============================================================
+    //                        OPERATIONS
+    // =============================================================
+
+    /**
+     * ETH sent to the contract (receive function).
+     */
+    receiveEth(amount) {
+        let value = toBigInt(amount);
+        this.ethBalance += value;
+        this.ethRecords.lifetimeAccrued += holderRevenues(value) / 10000n;
+    }
+
+    /**
+     * WETH transferred to the contract: not processed until unwrapped.
+     */
+    receiveWeth(amount) {
+        this.wethBalance += toBigInt(amount);
+    }
+
+    /**
+     * ERC20 tokens transferred to the contract: not processed until the
+     * records are updated.
+     */
+    receiveErc20(token, amount) {
+        let key = String(token).toLowerCase();
+        this.erc20Balances.set(key, (this.erc20Balances.get(key) || 0n) + toBigInt(amount));
+    }
+
+    unwrapWeth() {
+        let amount = this.wethBalance;
+        if (amount != 0n) {
+            this.wethBalance = 0n;
+            this.receiveEth(amount);
+        }
+    }
+
+    forceUpdateErc20Records(token) {
+        this._checkNoWeth(token);
+        this._updateErc20Revenues(token);
+    }
+
+    /**
+     * @returns Amount paid to `account`
+     */
+    cashout(account) {
+        let amount = 0n;
+        for (let tokenId of this._tokensOf(account)) amount += this._processWithdraw(this.ethRecords, tokenId);
+        return this._payEth(amount);
+    }
+
+    nftCashout(account, tokenId) {
+        this._checkOwner(account, tokenId);
+        return this._payEth(this._processWithdraw(this.ethRecords, tokenId));
+    }
+
+    creatorCashout() {
+        return this._payEth(this._processWithdrawCreator(this.ethRecords));
+    }
+
+    cashoutErc20(account, token) {
+        this._checkNoWeth(token);
+        this._updateErc20Revenues(token);
+        let records = this._erc20(token);
+        let amount = 0n;
+        for (let tokenId of this._tokensOf(account)) amount += this._processWithdraw(records, tokenId);
+        return this._payErc20(token, amount);
+    }
+
+    nftCashoutErc20(account, tokenId, token) {
+        this._checkNoWeth(token);
+        this._checkOwner(account, tokenId);
+        return this._payErc20(token, this._processWithdraw(this._erc20(token), tokenId));
+    }
+
+    creatorCashoutErc20(token) {
+        this._checkNoWeth(token);
+        return this._payErc20(token, this._processWithdrawCreator(this._erc20(token)));
+    }
+
+    /**
+     * NFT transfer: revenues stay with the token.
+     */
+    transfer(to, tokenId) {
+        let id = toBigInt(tokenId);
+        if (!this.owners.has(id)) throw new Error("Token " + tokenId + " does not exist");
+        this.owners.set(id, to);
+    }
+
+    /**
+     * Apply an operation object, see the header of this file.
+     * @returns The amount paid, for cashouts
+     */
+    apply(operation) {
+        let { op, account, token, tokenId, amount } = operation;
+        switch (op) {
+            case "receiveEth": return this.receiveEth(amount);
+            case "receiveWeth": return this.receiveWeth(amount);
+            case "receiveErc20": return this.receiveErc20(token, amount);
+            case "unwrapWeth": return this.unwrapWeth();
+            case "forceUpdateErc20Records": return this.forceUpdateErc20Records(token);
+            case "cashout": return this.cashout(account);
+            case "nftCashout": return this.nftCashout(account, tokenId);
+            case "creatorCashout": return this.creatorCashout();
+            case "cashoutErc20": return this.cashoutErc20(account, token);
+            case "nftCashoutErc20": return this.nftCashoutErc20(account, tokenId, token);
+            case "creatorCashoutErc20": return this.creatorCashoutErc20(token);
+            case "transfer": return this.transfer(operation.to, tokenId);
+            default: throw new Error("Unknown operation '" + op + "'");
+        }
+    }
+
+    // =============================================================
+    //                          VIEWS
+    // =============================================================
+
+    accountRevenues(account) {
+        return this._tokensOf(account).reduce((sum, tokenId) => sum + this._nftRevenues(this.ethRecords, tokenId), 0n);
+    }
+
+    accountRevenuesErc20(account, token) {
+        if (this.weth !== undefined && sameAddress(token, this.weth)) return 0n;
+        let records = this._erc20(token);
+        return this._tokensOf(account).reduce((sum, tokenId) => sum + this._nftRevenues(records, tokenId), 0n);
+    }
+
+    nftRevenues(tokenId) {
+        return this._nftRevenues(this.ethRecords, tokenId);
+    }
+
+    nftRevenuesErc20(tokenId, token) {
+        if (this.weth !== undefined && sameAddress(token, this.weth)) return 0n;
+        return this._nftRevenues(this._erc20(token), tokenId);
+    }
+
+    /**
+     * Mirrors both versions of LDPRewarder.collectionEarningsLifetime.
+     * @param token ERC20 token address; ETH if not set
+     */
+    collectionEarningsLifetime(token) {
+        let records = token === undefined ? this.ethRecords : this._erc20(token);
+        return records.lifetimeAccrued * 10000n;
+    }
+
+    isErc20RecordsUpToDate(token) {
+        if (this.weth !== undefined && sameAddress(token, this.weth)) return true;
+        let key = String(token).toLowerCase();
+        return (this.erc20Balances.get(key) || 0n) == (this.processedErc20.get(key) || 0n);
+    }
+
+    unprocessedWeth() {
+        return this.wethBalance;
+    }
+
+    /**
+     * Unclaimed creator revenues (no view in the contract: this is what the
+     * next creator cashout pays).
+     * @param token ERC20 token address; ETH if not set
+     */
+    creatorRevenues(token) {
+        let records = token === undefined ? this.ethRecords : this._erc20(token);
+        return creatorEarningsLifetime(records) - (records.lifetimeCollected.get(CREATOR_ID) || 0n);
+    }
+
+    /**
+     * Funds held by the contract that no one can claim, lost to the
+     * roundings of the accounting. If the owners do not cover the whole
+     * supply, this includes the shares of the missing tokens.
+     * @param token ERC20 token address; ETH if not set
+     */
+    dust(token) {
+        let records = token === undefined ? this.ethRecords : this._erc20(token);
+        let balance = token === undefined ? this.ethBalance : this.processedErc20.get(String(token).toLowerCase()) || 0n;
+        let claimable = this.creatorRevenues(token);
+        for (let tokenId of this.owners.keys()) claimable += this._nftRevenues(records, tokenId);
+        return balance - claimable;
+    }
+
+    /**
+     * Summary of every balance predicted by the model.
+     */
+    report() {
+        let accounts = [];
+        for (let owner of this.owners.values()) {
+            if (!accounts.some((account) => sameAddress(account, owner))) accounts.push(owner);
+        }
+        let currencies = [undefined, ...this.erc20Records.keys()];
+        return currencies.map((token) => ({
+            currency: token === undefined ? "ETH" : token,
+            balance: String(token === undefined ? this.ethBalance : this.erc20Balances.get(token) || 0n),
+            collectionEarningsLifetime: String(this.collectionEarningsLifetime(token)),
+            creatorRevenues: String(this.creatorRevenues(token)),
+            dust: String(this.dust(token)),
+            accounts: Object.fromEntries(
+                accounts.map((account) => [
+                    account,
+                    String(token === undefined ? this.accountRevenues(account) : this.accountRevenuesErc20(account, token))
+                ])
+            ),
+            tokens: Object.fromEntries(
+                [...this.owners.keys()].map((tokenId) => [
+                    String(tokenId),
+                    String(token === undefined ? this.nftRevenues(tokenId) : this.nftRevenuesErc20(tokenId, token))
+                ])
+            )
+        }));
+    }
+}
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    if (!options.owners) throw new Error("Missing owners file (--owners)");
+    if (!options.operations) throw new Error("Missing operations file (--operations)");
+    let model = new RewarderModel(loadDataFile(options.owners), { weth: options.weth });
+    let operations = loadDataFile(options.operations);
+    operations.forEach((operation, i) => {
+        let paid;
+        try {
+            paid = model.apply(operation);
+        } catch (err) {
+            throw new Error("Operation #" + i + " (" + operation.op + ") reverts: " + err.message);
+        }
+        if (paid !== undefined) console.log("#" + i + " " + operation.op + " pays " + paid);
+    });
+    let report = model.report();
+    if (options.output) writeJson(options.output, report);
+    else console.log(JSON.stringify(report, null, "  "));
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    CREATOR_ID,
+    holderRevenues,
+    creatorEarningsLifetime,
+    RewarderModel
+};
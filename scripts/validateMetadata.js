@@ -0,0 +1,160 @@
+// Validate the per-token metadata files written by extract_metadataFiles.js
+// against the OpenSea / ERC-721 metadata schema and the collection data.
+//
+// Each file must be named after its edition (no extension) and contain:
+// - name, description and image (non-empty strings);
+// - attributes: array of {trait_type, value} objects with unique trait
+//   types, optional display_type only on numeric values;
+// - image_file_hash: sha256 hex digest of the image;
+// - collection_provenance_hash: equal to LuckyDuckPack.PROVENANCE;
+// - edition: equal to the file name.
+// The editions must cover 0..MAX_SUPPLY-1 with no gaps or duplicates.
+//
+// Usage:
+//   node scripts/validateMetadata.js [--folder <path>] [--max-supply <n>]
+//       [--provenance <hash>] [--output <report.json>]
+//
+// The folder defaults to EXTRACTEDMETADATA_DESTINATION_PATH; max supply and
+// provenance default to the constants of the compiled LuckyDuckPack
+// contract. All violations are reported, the exit code is non-zero if any
+// is found.
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+const { parseArgs, writeJson, runMain } = require("./lib/cli.js");
+const { loadArtifact, getConstant } = require("./lib/artifacts.js");
+const { isSha256 } = require("./lib/metadata.js");
+
+const DISPLAY_TYPES = ["number", "boost_number", "boost_percentage", "date"];
+
+function isNonEmptyString(value) {
+    return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Validate the content of a single token file.
+ * @param data Parsed file content
+ * @param token Token ID taken from the file name
+ * @param options.provenance Expected collection provenance hash
+ * @returns Array of {token, field, message}
+ */
+function validateToken(data, token, options) {
+    let violations = [];
+    let report = (field, message) => violations.push({ token, field, message });
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+        report("", "metadata is not a JSON object");
+        return violations;
+    }
+    for (let field of ["name", "description", "image"]) {
+        if (!isNonEmptyString(data[field])) report(field, "required non-empty string");
+    }
+    if (data.edition !== token) report("edition", "expected " + token + ", found " + JSON.stringify(data.edition));
+    if (data.image_file_hash === undefined) report("image_file_hash", "missing");
+    else if (!isSha256(data.image_file_hash)) report("image_file_hash", "not a 64-char sha256 hex string");
+    if (data.collection_provenance_hash !== options.provenance) {
+        report("collection_provenance_hash", "expected " + options.provenance + ", found " +
+            JSON.stringify(data.collection_provenance_hash));
+    }
+    if (!Array.isArray(data.attributes)) {
+        report("attributes", "required array");
+        return violations;
+    }
+    let traitTypes = new Set();
+    data.attributes.forEach((trait, i) => {
+        let field = "attributes[" + i + "]";
+        if (trait === null || typeof trait !== "object" || Array.isArray(trait)) {
+            report(field, "not an object");
+            return;
+        }
+        if (!isNonEmptyString(trait.trait_type)) report(field + ".trait_type", "required non-empty string");
+        else if (traitTypes.has(trait.trait_type)) report(field + ".trait_type", "duplicate trait '" + trait.trait_type + "'");
+        else traitTypes.add(trait.trait_type);
+        if (typeof trait.value !== "string" && typeof trait.value !== "number") {
+            report(field + ".value", "must be a string or a number");
+        } else if (typeof trait.value === "string" && trait.value.length == 0) {
+            report(field + ".value", "empty value");
+        }
+        if (trait.display_type !== undefined) {
+            if (!DISPLAY_TYPES.includes(trait.display_type)) report(field + ".display_type", "unknown display type");
+            else if (typeof trait.value !== "number") report(field + ".display_type", "requires a numeric value");
+        }
+    });
+    return violations;
+}
+
+/**
+ * Validate all token files in `folder`.
+ * @param options.maxSupply Collection size
+ * @param options.provenance Expected collection provenance hash
+ * @returns Array of {token, field, message}, token being null for problems
+ * not related to a single token
+ */
+function validateFolder(folder, options) {
+    let violations = [];
+    let found = new Set();
+    let editions = new Map();
+    for (let fileName of fs.readdirSync(folder).sort()) {
+        let filePath = path.join(folder, fileName);
+        if (!fs.statSync(filePath).isFile()) continue;
+        if (!/^(0|[1-9][0-9]*)$/.test(fileName)) {
+            violations.push({ token: null, field: "", message: "unexpected file '" + fileName + "'" });
+            continue;
+        }
+        let token = Number(fileName);
+        if (token >= options.maxSupply) {
+            violations.push({ token, field: "", message: "token ID out of range 0.." + (options.maxSupply - 1) });
+        }
+        found.add(token);
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        } catch (err) {
+            violations.push({ token, field: "", message: "invalid JSON: " + err.message });
+            continue;
+        }
+        violations.push(...validateToken(data, token, options));
+        if (data && Number.isInteger(data.edition)) {
+            if (!editions.has(data.edition)) editions.set(data.edition, []);
+            editions.get(data.edition).push(token);
+        }
+    }
+    for (let [edition, tokens] of editions) {
+        if (tokens.length > 1) {
+            violations.push({ token: edition, field: "edition", message: "duplicate edition in files " + tokens.join(", ") });
+        }
+    }
+    for (let token = 0; token < options.maxSupply; ++token) {
+        if (!found.has(token)) violations.push({ token, field: "", message: "missing metadata file" });
+    }
+    return violations;
+}
+
+async function main(argv) {
+    let { options } = parseArgs(argv);
+    let folder = options.folder || process.env.EXTRACTEDMETADATA_DESTINATION_PATH;
+    if (!folder) throw new Error("Missing metadata folder (--folder)");
+    let artifact;
+    let constant = (name) => getConstant(artifact || (artifact = loadArtifact("LuckyDuckPack")), name);
+    let maxSupply = Number(options.maxSupply !== undefined ? options.maxSupply : constant("MAX_SUPPLY"));
+    let provenance = options.provenance || constant("PROVENANCE");
+
+    let violations = validateFolder(folder, { maxSupply, provenance });
+    for (let violation of violations) {
+        let where = violation.token === null ? "collection" : "token " + violation.token;
+        if (violation.field) where += ", " + violation.field;
+        console.log(where + ": " + violation.message);
+    }
+    if (options.output) writeJson(options.output, violations);
+    if (violations.length > 0) throw new Error("Found " + violations.length + " violation(s)");
+    console.log("All " + maxSupply + " metadata files are valid.");
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    validateToken,
+    validateFolder
+};
@@ -0,0 +1,265 @@
+// Chainlink VRF simulator for local chains: fulfills the randomness requests
+// of LuckyDuckPack (RevealRequested) and LDPLuckyDraw (DrawRequested)
+// through the VRFCoordinator mock, to rehearse the reveal and lucky draw
+// flows end to end.
+//
+// The randomness of each request is either the chosen --randomness, or
+// pseudo-random from --seed: uint256(keccak256(abi.encode(string seed,
+// bytes32 requestId))), so the same seed always gives the same values.
+// --reveal-offset picks the randomness giving that reveal offset (0 checks
+// the edge case where randomness % MAX_SUPPLY == 0 and the offset is
+// forced to 1). Every fulfillment is checked against the contract state.
+//
+// Usage:
+//   node scripts/vrfSimulator.js watch [--rpc <url>] [--network local]
+//       [--coordinator <address>] [--nft <address>] [--lucky-draw <address>]
+//       [--randomness <n> | --seed <s> | --reveal-offset <n>]
+//       [--from-block <n>] [--interval <ms>] [--once]
+//   node scripts/vrfSimulator.js fulfill --request-id <id> --consumer <address>
+//       [--rpc <url>] [--network local] [--coordinator <address>]
+//       [--randomness <n> | --seed <s> | --reveal-offset <n>]
+//
+// "watch" polls the chain for requests not fulfilled yet (from --from-block,
+// default 0) and fulfills them; with --once it exits when no request is
+// pending. A request whose fulfillment fails is reported once, not retried.
+// The addresses default to the deployment registry of --network (default:
+// local), the RPC URL to http://127.0.0.1:<LOCAL_CHAIN_PORT or 8545>.
+
+const Web3 = require("web3");
+const { parseArgs, runMain } = require("./lib/cli.js");
+const { loadArtifact } = require("./lib/artifacts.js");
+const { getAddress } = require("./lib/deployments.js");
+
+const web3 = new Web3();
+const MAX_UINT128 = (1n << 128n) - 1n;
+const DEFAULT_SEED = "ldp";
+
+/**
+ * Randomness used to fulfill `requestId`.
+ * @param options.randomness Chosen value, used for every request
+ * @param options.seed Seed of the pseudo-random values (default "ldp")
+ * @returns Decimal string
+ */
+function randomnessFor(requestId, options = {}) {
+    if (options.randomness !== undefined) {
+        let randomness = BigInt(options.randomness);
+        if (randomness < 0n || randomness >= 1n << 256n) throw new Error("Randomness must be a uint256");
+        return randomness.toString();
+    }
+    let seed = options.seed === undefined ? DEFAULT_SEED : String(options.seed);
+    let hash = web3.utils.keccak256(web3.eth.abi.encodeParameters(["string", "bytes32"], [seed, requestId]));
+    return BigInt(hash).toString();
+}
+
+/**
+ * Reveal offset set by LuckyDuckPack.fulfillRandomness: an offset of zero
+ * is replaced by 1.
+ */
+function expectedRevealOffset(randomness, maxSupply) {
+    let offset = BigInt(randomness) % BigInt(maxSupply);
+    return (offset == 0n ? 1n : offset).toString();
+}
+
+/**
+ * Randomness stored by LDPLuckyDraw.fulfillRandomness.
+ */
+function expectedDrawRandomness(randomness) {
+    return (BigInt(randomness) % MAX_UINT128).toString();
+}
+
+/**
+ * Contract instances of the simulator.
+ * @param addresses {coordinator, nft, luckyDraw}, nft and luckyDraw optional
+ */
+function loadContracts(web3, addresses) {
+    let contract = (name, address) => (address ? new web3.eth.Contract(loadArtifact(name).abi, address) : null);
+    return {
+        coordinator: contract("VRFCoordinator", addresses.coordinator),
+        nft: contract("LuckyDuckPackTest", addresses.nft),
+        luckyDraw: contract("LDPLuckyDrawTest", addresses.luckyDraw)
+    };
+}
+
+/**
+ * List the randomness requests emitted since `fromBlock` and not
+ * fulfilled yet.
+ * @returns Array of {kind: "reveal"|"draw", consumer, requestId, blockNumber}
+ */
+async function findPendingRequests(contracts, fromBlock = 0) {
+    let pending = [];
+    if (contracts.nft) {
+        let fulfilled = await contracts.nft.getPastEvents("RevealFulfilled", { fromBlock });
+        let done = new Set(fulfilled.map((event) => event.returnValues.requestId));
+        for (let event of await contracts.nft.getPastEvents("RevealRequested", { fromBlock })) {
+            if (done.has(event.returnValues.requestId)) continue;
+            pending.push({
+                kind: "reveal",
+                consumer: contracts.nft.options.address,
+                requestId: event.returnValues.requestId,
+                blockNumber: event.blockNumber
+            });
+        }
+    }
+    if (contracts.luckyDraw) {
+        let fulfilled = await contracts.luckyDraw.getPastEvents("DrawFulfilled", { fromBlock });
+        let done = new Set(fulfilled.map((event) => event.returnValues.chainlinkRequestId));
+        for (let event of await contracts.luckyDraw.getPastEvents("DrawRequested", { fromBlock })) {
+            if (done.has(event.returnValues.chainlinkRequestId)) continue;
+            pending.push({
+                kind: "draw",
+                consumer: contracts.luckyDraw.options.address,
+                requestId: event.returnValues.chainlinkRequestId,
+                dataHash: event.returnValues.dataHash,
+                blockNumber: event.blockNumber
+            });
+        }
+    }
+    return pending.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Fulfill a request through the coordinator mock, then check the state of
+ * the consumer (the mock ignores the failures of the callback).
+ * @param request {kind, consumer, requestId}, see findPendingRequests
+ * @returns {request, randomness, transactionHash, expected, actual, ok}
+ */
+async function fulfillRequest(contracts, request, randomness, from) {
+    let receipt = await contracts.coordinator.methods
+        .callBackWithRandomness(request.requestId, randomness, request.consumer)
+        .send({ from, gas: 500000 });
+    let expected, actual;
+    if (request.kind == "reveal") {
+        let maxSupply = await contracts.nft.methods.MAX_SUPPLY().call();
+        expected = expectedRevealOffset(randomness, maxSupply);
+        actual = String(await contracts.nft.methods.revealOffset().call());
+    } else {
+        expected = expectedDrawRandomness(randomness);
+        let events = await contracts.luckyDraw.getPastEvents("DrawFulfilled", {
+            fromBlock: receipt.blockNumber,
+            toBlock: receipt.blockNumber
+        });
+        let event = events.find((item) => item.returnValues.chainlinkRequestId == request.requestId);
+        actual = event ? String(event.returnValues.randomness) : null;
+    }
+    return { request, randomness, transactionHash: receipt.transactionHash, expected, actual, ok: expected === actual };
+}
+
+/**
+ * Randomness giving the reveal offset `offset` (0 gives the forced offset 1).
+ */
+function randomnessForOffset(offset, maxSupply) {
+    offset = BigInt(offset);
+    if (offset < 0n || offset >= BigInt(maxSupply)) throw new Error("Reveal offset must be lower than " + maxSupply);
+    // Any multiple of the max supply plus the offset: keep it far from zero
+    return (BigInt(maxSupply) * 1000n + offset).toString();
+}
+
+async function chooseRandomness(contracts, request, options) {
+    if (options.revealOffset !== undefined && request.kind == "reveal") {
+        return randomnessForOffset(options.revealOffset, await contracts.nft.methods.MAX_SUPPLY().call());
+    }
+    return randomnessFor(request.requestId, options);
+}
+
+function report(result) {
+    let { request } = result;
+    let line = (result.ok ? "Fulfilled " : "FAILED    ") + request.kind + " " + request.requestId;
+    line += " with " + result.randomness + ": " + (request.kind == "reveal" ? "revealOffset " : "randomness ") + result.actual;
+    if (!result.ok) line += " (expected " + result.expected + ")";
+    console.log(line);
+}
+
+/**
+ * Fulfill the pending requests, polling the chain until stopped (or until
+ * nothing is pending with options.once). Each request is attempted once: a
+ * failed fulfillment is reported, then the request is skipped.
+ * @param options.attempted Set of the request IDs already attempted, to
+ * share between calls (default: new set)
+ * @param options.report Called with the result of each fulfillment
+ * (default: prints it)
+ * @returns Number of failed fulfillments
+ */
+async function watch(web3, contracts, options) {
+    let from = options.from || (await web3.eth.getAccounts())[0];
+    let fromBlock = Number(options.fromBlock || 0);
+    let interval = Number(options.interval || 1000);
+    let attempted = options.attempted || new Set();
+    let onResult = options.report || report;
+    let failures = 0;
+    for (;;) {
+        for (let request of await findPendingRequests(contracts, fromBlock)) {
+            if (attempted.has(request.requestId)) continue;
+            attempted.add(request.requestId);
+            let result = await fulfillRequest(contracts, request, await chooseRandomness(contracts, request, options), from);
+            onResult(result);
+            if (!result.ok) ++failures;
+        }
+        if (options.once) return failures;
+        await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+}
+
+function addresses(options) {
+    let network = options.network || "local";
+    let fromRegistry = (name) => {
+        try {
+            return getAddress(network, name);
+        } catch (err) {
+            return undefined;
+        }
+    };
+    let result = {
+        coordinator: options.coordinator || fromRegistry("VRFCoordinator"),
+        nft: options.nft || fromRegistry("LuckyDuckPack"),
+        luckyDraw: options.luckyDraw || fromRegistry("LDPLuckyDraw")
+    };
+    if (!result.coordinator) throw new Error("Missing VRFCoordinator address (--coordinator or --network)");
+    return result;
+}
+
+async function main(argv) {
+    let { options, positionals } = parseArgs(argv);
+    let command = positionals[0];
+    let rpc = options.rpc || "http://127.0.0.1:" + (process.env.LOCAL_CHAIN_PORT || 8545);
+    let chain = new Web3(rpc);
+    if (command == "watch") {
+        let contracts = loadContracts(chain, addresses(options));
+        if (!contracts.nft && !contracts.luckyDraw) throw new Error("Nothing to watch (--nft or --lucky-draw)");
+        console.log("Watching " + rpc + " for randomness requests");
+        let failures = await watch(chain, contracts, options);
+        if (failures > 0) process.exitCode = 1;
+    } else if (command == "fulfill") {
+        if (!options.requestId || !options.consumer) throw new Error("Missing --request-id or --consumer");
+        let contracts = loadContracts(chain, addresses(options));
+        let consumer = options.consumer.toLowerCase();
+        let request = { requestId: options.requestId, consumer: options.consumer };
+        if (contracts.nft && contracts.nft.options.address.toLowerCase() == consumer) {
+            request.kind = "reveal";
+        } else if (contracts.luckyDraw && contracts.luckyDraw.options.address.toLowerCase() == consumer) {
+            request.kind = "draw";
+        } else {
+            throw new Error("Unknown consumer " + options.consumer + " (--nft or --lucky-draw)");
+        }
+        let from = (await chain.eth.getAccounts())[0];
+        let result = await fulfillRequest(contracts, request, await chooseRandomness(contracts, request, options), from);
+        report(result);
+        if (!result.ok) process.exitCode = 1;
+    } else {
+        throw new Error("Unknown command '" + command + "' (expected watch or fulfill)");
+    }
+}
+
+if (require.main === module) {
+    runMain(main);
+}
+
+module.exports = {
+    randomnessFor,
+    randomnessForOffset,
+    expectedRevealOffset,
+    expectedDrawRandomness,
+    loadContracts,
+    findPendingRequests,
+    fulfillRequest,
+    watch
+};
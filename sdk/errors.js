@@ -0,0 +1,270 @@
+// Decoding of the reverts of the LDP contracts into readable errors.
+//
+// An ErrorRegistry indexes the errors declared in a set of ABIs by selector;
+// any revert data (custom errors, require messages and panics) is decoded
+// into {contract, error, args, message}, and raised as an LDPError by the
+// SDK. The scripts and the tests use a registry built from every compiled
+// artifact (scripts/lib/errors.js).
+
+const Web3 = require("web3");
+
+const abiCoder = new Web3().eth.abi;
+
+// Errors raised by Solidity itself
+const BUILTIN_ERRORS = [
+    { type: "error", name: "Error", inputs: [{ name: "reason", type: "string" }] },
+    { type: "error", name: "Panic", inputs: [{ name: "code", type: "uint256" }] }
+];
+
+// Causes of the Solidity panics, by code
+const PANIC_CODES = {
+    0x00: "generic compiler panic",
+    0x01: "assertion failed",
+    0x11: "arithmetic overflow or underflow",
+    0x12: "division or modulo by zero",
+    0x21: "invalid enum value",
+    0x22: "invalid storage byte array",
+    0x31: "pop() on an empty array",
+    0x32: "array index out of bounds",
+    0x41: "out of memory",
+    0x51: "call to an uninitialized function"
+};
+
+// Arguments of LuckyDuckPack.initialize(), by EmptyInput index
+const INITIALIZE_ARGUMENTS = [
+    ["minterAddress", "minter contract address"],
+    ["rewarderAddress", "rewarder contract address"],
+    ["unrevealed_URI", "URI of the unrevealed tokens"],
+    ["baseURI_IPFS", "IPFS base URI"],
+    ["baseURI_AR", "Arweave base URI"]
+];
+// The test variants take the contract URI as third argument
+const CONTRACT_URI_VARIANTS = ["LuckyDuckPackTest", "MockLDP"];
+
+function initializeArguments(contract) {
+    if (!CONTRACT_URI_VARIANTS.includes(contract)) return INITIALIZE_ARGUMENTS;
+    let args = INITIALIZE_ARGUMENTS.slice();
+    args.splice(2, 0, ["contract_URI", "contract URI"]);
+    return args;
+}
+
+function paymentStatus(paid) {
+    return paid ? "paid" : "failed";
+}
+
+// Readable messages of the known errors, from their arguments and the
+// contract raising them
+const MESSAGES = {
+    Error: (args) => args.reason,
+    Panic: (args) =>
+        "Panic 0x" + args.code.toString(16).padStart(2, "0") + " (" + (PANIC_CODES[Number(args.code)] || "unknown code") + ")",
+    // LuckyDuckPack
+    CallerIsNoMinter: () => "Caller is not the minter contract",
+    EmptyInput: (args, contract) => {
+        let argument = initializeArguments(contract)[Number(args.index)];
+        if (argument === undefined) return "Empty initialize() argument #" + args.index;
+        return "Empty initialize() argument #" + args.index + " " + argument[0] + " (" + argument[1] + ")";
+    },
+    MaxSupplyExceeded: (args) => "Max supply exceeded by " + args.excess + " token(s)",
+    OperatorNotAllowed: (args) => "Operator " + args.operator + " is blocked by the operator filter",
+    // LDPMinter
+    InputIsZero: () => "Address input is zero",
+    MintingNotStarted: () => "Minting has not started",
+    MintingAlreadyStarted: () => "Minting has already started",
+    MaxMintsPerCallExceeded: () => "At most 10 tokens can be minted per call",
+    Underpaid: (args) => "Paid " + args.paid + " wei, " + args.required + " wei required",
+    PaymentError: (args) =>
+        "Payment failed (creator: " + paymentStatus(args.successA) + ", rewarder: " + paymentStatus(args.successB) + ")",
+    // LDPRewarder
+    CashoutError: () => "Payment of the rewards failed",
+    SenderIsNoTokenOwner: (args) => "Sender is not the owner of token #" + args.tokenId,
+    NotAllowedOnWETH: () => "WETH revenues are paid in ETH once unwrapped, not as ERC20",
+    CallerIsNotDeployer: () => "Caller is not the deployer",
+    // LDPLuckyDraw
+    AlreadyRequested: (args) => "Draw already requested for dataHash " + args.drawDataHash
+};
+
+/**
+ * Readable message of an error.
+ * @param {string} error Name of the Solidity error
+ * @param {Object} args Arguments of the error, by name
+ * @param {string} [contract] Contract raising the error
+ */
+function errorMessage(error, args, contract) {
+    let format = MESSAGES[error];
+    if (format) return format(args, contract);
+    return error + "(" + Object.values(args).join(", ") + ")";
+}
+
+class LDPError extends Error {
+    /**
+     * @param {string} errorName Name of the Solidity error
+     * @param {Object} args Arguments of the error, by name
+     * @param {Object} [options] contract: contract raising the error,
+     * cause: original error
+     */
+    constructor(errorName, args = {}, options = {}) {
+        super(errorMessage(errorName, args, options.contract));
+        this.name = "LDPError";
+        this.errorName = errorName;
+        this.args = args;
+        this.contract = options.contract;
+        if (options.cause !== undefined) this.cause = options.cause;
+    }
+}
+
+function signatureOf(fragment) {
+    return fragment.name + "(" + fragment.inputs.map((input) => input.type).join(",") + ")";
+}
+
+function decodeValue(type, value) {
+    if (/^u?int\d*$/.test(type)) return BigInt(value);
+    return value;
+}
+
+/**
+ * Find the revert data in an error raised by web3, Truffle or the provider.
+ * @returns {string|undefined}
+ */
+function extractRevertData(err, depth = 0) {
+    if (err === null || err === undefined || depth > 4) return undefined;
+    if (typeof err == "string") return /^0x[0-9a-f]*$/i.test(err) ? err : undefined;
+    if (typeof err != "object") return undefined;
+    // Ganache reports {<txHash>: {return: "0x..."}} for failed transactions
+    for (let key of ["data", "return", "result", "error", "innerError", "cause", "originalError"]) {
+        let data = extractRevertData(err[key], depth + 1);
+        if (data !== undefined && data != "0x") return data;
+    }
+    if (depth < 2 && err.data && typeof err.data == "object") {
+        for (let value of Object.values(err.data)) {
+            let data = extractRevertData(value, depth + 1);
+            if (data !== undefined && data != "0x") return data;
+        }
+    }
+    return undefined;
+}
+
+// Messages of an error for each of its declaring contracts, grouping the
+// contracts giving the same message
+function messageCandidates(error, args, contracts) {
+    let candidates = [];
+    for (let contract of contracts) {
+        let message = errorMessage(error, args, contract);
+        let candidate = candidates.find((entry) => entry.message == message);
+        if (candidate) candidate.contracts.push(contract);
+        else candidates.push({ contracts: [contract], message });
+    }
+    return candidates;
+}
+
+class ErrorRegistry {
+    /**
+     * @param {Object<string, Array>} [abis] Contract name => ABI; when an
+     * error is declared by several contracts, the first one is reported
+     * unless the decoding names the contract or the declarers describe it
+     * differently (see decode)
+     */
+    constructor(abis = {}) {
+        // Selector => {fragment, signature, contracts}
+        this.errors = new Map();
+        for (let [contract, abi] of Object.entries(abis)) this.add(contract, abi);
+        for (let fragment of BUILTIN_ERRORS) this._addFragment(undefined, fragment);
+    }
+
+    /**
+     * Add the errors declared in the ABI of `contract`.
+     */
+    add(contract, abi) {
+        for (let fragment of abi) {
+            if (fragment.type == "error") this._addFragment(contract, fragment);
+        }
+        return this;
+    }
+
+    _addFragment(contract, fragment) {
+        let signature = signatureOf(fragment);
+        let selector = abiCoder.encodeFunctionSignature(signature);
+        let entry = this.errors.get(selector);
+        if (entry === undefined) {
+            entry = { fragment, signature, contracts: [] };
+            this.errors.set(selector, entry);
+        }
+        if (contract !== undefined && !entry.contracts.includes(contract)) entry.contracts.push(contract);
+    }
+
+    /**
+     * Contracts declaring the error `signature` (e.g. "EmptyInput(uint256)").
+     * @returns {string[]}
+     */
+    contractsDeclaring(signature) {
+        let entry = this.errors.get(abiCoder.encodeFunctionSignature(signature));
+        return entry ? entry.contracts.slice() : [];
+    }
+
+    /**
+     * Decode revert data.
+     * @param {string} data Revert data (hex)
+     * @param {Object} [options] contract: name of the contract which
+     * reverted, if known
+     * @returns {{contract: string, error: string, args: Object,
+     * message: string, candidates: Array}|null} null if the data does not
+     * match any known error; uint arguments are BigInts. If the contract is
+     * not named and the declarers describe the error differently (e.g.
+     * EmptyInput of LuckyDuckPack and LuckyDuckPackTest), contract is
+     * undefined, candidates lists the {contracts, message} alternatives and
+     * message joins them.
+     */
+    decode(data, options = {}) {
+        if (typeof data != "string" || !/^0x[0-9a-f]{8}/i.test(data)) return null;
+        let entry = this.errors.get(data.slice(0, 10).toLowerCase());
+        if (entry === undefined) return null;
+        let { inputs } = entry.fragment;
+        let decoded;
+        try {
+            decoded = abiCoder.decodeParameters(inputs, "0x" + data.slice(10));
+        } catch (err) {
+            return null;
+        }
+        let args = {};
+        inputs.forEach((input, i) => {
+            args[input.name || String(i)] = decodeValue(input.type, decoded[i]);
+        });
+        let error = entry.fragment.name;
+        if (options.contract && (entry.contracts.length == 0 || entry.contracts.includes(options.contract))) {
+            return { contract: options.contract, error, args, message: errorMessage(error, args, options.contract) };
+        }
+        let candidates = messageCandidates(error, args, entry.contracts);
+        if (candidates.length > 1) {
+            let message = candidates.map((candidate) => candidate.contracts.join(", ") + ": " + candidate.message).join("; ");
+            return { contract: undefined, error, args, message, candidates };
+        }
+        let contract = entry.contracts[0];
+        return { contract, error, args, message: errorMessage(error, args, contract) };
+    }
+
+    /**
+     * Decode the revert of an error raised by a contract call.
+     * @returns {Object|null} See decode
+     */
+    decodeError(err, options = {}) {
+        return this.decode(extractRevertData(err), options);
+    }
+
+    /**
+     * Convert an error raised by a contract call into an LDPError when its
+     * revert data matches a known error, or return it unchanged.
+     */
+    toLDPError(err, options = {}) {
+        if (err instanceof LDPError) return err;
+        let decoded = this.decodeError(err, options);
+        if (decoded === null) return err;
+        return new LDPError(decoded.error, decoded.args, { contract: decoded.contract, cause: err });
+    }
+}
+
+module.exports = {
+    ErrorRegistry,
+    LDPError,
+    errorMessage,
+    extractRevertData
+};
@@ -0,0 +1,474 @@
+// Lucky Duck Pack client SDK: high-level methods over LuckyDuckPack,
+// LDPMinter, LDPRewarder and LDPLuckyDraw, for web3.js 1.x.
+//
+//   const { LDPClient } = require("luckyduckspack-sdk");
+//   const client = new LDPClient(web3, { nft, minter, rewarder, luckyDraw }, { from });
+//   const { tokenIds } = await client.mint(2);
+//   await client.claimAll();
+//
+// Transactions are simulated before being sent: a revert is raised as an
+// LDPError (see errors.js) carrying the name and the arguments of the
+// Solidity error, e.g. Underpaid {paid, required}. Amounts are BigInts
+// (wei, or ERC20 units), token IDs and timestamps are numbers.
+//
+// The ABIs in ./abi are generated from the Truffle artifacts by
+// "npm run build:sdk" (scripts/buildSdk.js).
+
+const { ErrorRegistry, LDPError } = require("./errors.js");
+
+const ABIS = {
+    LuckyDuckPack: require("./abi/LuckyDuckPack.json"),
+    LDPMinter: require("./abi/LDPMinter.json"),
+    LDPRewarder: require("./abi/LDPRewarder.json"),
+    LDPLuckyDraw: require("./abi/LDPLuckyDraw.json")
+};
+// Contract of each address key
+const CONTRACTS = { nft: "LuckyDuckPack", minter: "LDPMinter", rewarder: "LDPRewarder", luckyDraw: "LDPLuckyDraw" };
+// Mirrors the limit of LDPMinter.mint
+const MAX_MINTS_PER_CALL = 10;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+// Margin over the estimated gas of the transactions
+const GAS_MARGIN = 1.2;
+// Blocks per getPastEvents query, within the limits of the RPC providers
+const DEFAULT_BLOCK_RANGE = 5000;
+
+const ERRORS = new ErrorRegistry(ABIS);
+
+function sameAddress(a, b) {
+    return String(a).toLowerCase() == String(b).toLowerCase();
+}
+
+/**
+ * @typedef {Object} TransactionOptions
+ * @property {string} [from] Sender (default: the client sender, or the
+ * first account of the node)
+ * @property {number} [gas] Gas limit (default: estimated)
+ */
+
+class LDPClient {
+    /**
+     * @param web3 Web3 instance connected to the chain
+     * @param {{nft?: string, minter?: string, rewarder?: string, luckyDraw?: string}} addresses
+     * Addresses of the contracts, only the ones used are required
+     * @param {{from?: string}} [options] Default sender
+     */
+    constructor(web3, addresses, options = {}) {
+        this.web3 = web3;
+        this.from = options.from;
+        this.contracts = {};
+        for (let [key, name] of Object.entries(CONTRACTS)) {
+            if (addresses[key]) this.contracts[key] = new web3.eth.Contract(ABIS[name], addresses[key]);
+        }
+    }
+
+    /**
+     * Client for the contracts of a deployment registry
+     * (deployments/<network>.json).
+     */
+    static fromRegistry(web3, registry, options = {}) {
+        let addresses = {};
+        for (let [key, name] of Object.entries(CONTRACTS)) {
+            let entry = registry.contracts[name];
+            if (entry) addresses[key] = entry.address;
+        }
+        return new LDPClient(web3, addresses, options);
+    }
+
+    // First block mined at or after `timestamp`
+    async _firstBlockAt(timestamp) {
+        let low = 0;
+        let high = Number(await this.web3.eth.getBlockNumber());
+        while (low < high) {
+            let middle = Math.floor((low + high) / 2);
+            let block = await this.web3.eth.getBlock(middle);
+            if (Number(block.timestamp) < timestamp) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    // First `eventName` event of `contract` matching `predicate`, queried
+    // `blockRange` blocks at a time from `fromBlock`
+    async _findEvent(contract, eventName, predicate, fromBlock, blockRange) {
+        let range = Number(blockRange || DEFAULT_BLOCK_RANGE);
+        let latest = Number(await this.web3.eth.getBlockNumber());
+        for (let from = Number(fromBlock); from <= latest; from += range) {
+            let events = await contract.getPastEvents(eventName, {
+                fromBlock: from,
+                toBlock: Math.min(from + range - 1, latest)
+            });
+            let found = events.find(predicate);
+            if (found !== undefined) return found;
+        }
+        return undefined;
+    }
+
+    _contract(key) {
+        let contract = this.contracts[key];
+        if (contract === undefined) throw new Error("No " + CONTRACTS[key] + " address given to the client");
+        return contract;
+    }
+
+    async _sender(options = {}) {
+        if (options.from) return options.from;
+        if (this.from) return this.from;
+        let accounts = await this.web3.eth.getAccounts();
+        if (accounts.length == 0) throw new Error("No sender: set the 'from' option");
+        return accounts[0];
+    }
+
+    async _call(method) {
+        try {
+            return await method.call();
+        } catch (err) {
+            throw ERRORS.toLDPError(err);
+        }
+    }
+
+    // Simulate then send a transaction
+    async _send(method, options = {}) {
+        let tx = { from: await this._sender(options) };
+        if (options.value !== undefined) tx.value = String(options.value);
+        try {
+            await method.call(tx);
+            let gas = options.gas || Math.ceil((await method.estimateGas(tx)) * GAS_MARGIN);
+            return await method.send({ ...tx, gas });
+        } catch (err) {
+            throw ERRORS.toLDPError(err);
+        }
+    }
+
+    // =============================================================
+    //                           MINTING
+    // =============================================================
+
+    /**
+     * @returns {Promise<{started: boolean, startTime: number, price: bigint,
+     * mintableSupply: number, dutchAuctionActive: boolean,
+     * timeToNextAuction: number}>} timeToNextAuction is 0 once the last
+     * auction started
+     */
+    async mintingStatus() {
+        let { methods } = this._contract("minter");
+        let startTime = Number(await methods.mintingStartTime().call());
+        return {
+            started: startTime != 0,
+            startTime,
+            price: await this.currentPrice(),
+            mintableSupply: Number(await methods.mintableSupply().call()),
+            dutchAuctionActive: await methods.isDutchAuctionActive().call(),
+            timeToNextAuction: startTime == 0 ? 0 : Number(await methods.timeToNextAuction().call())
+        };
+    }
+
+    /**
+     * Current price of a token (wei).
+     * @returns {Promise<bigint>}
+     */
+    async currentPrice() {
+        return BigInt(await this._call(this._contract("minter").methods.currentPrice()));
+    }
+
+    /**
+     * Mint `amount` tokens at the current price. The price can change
+     * before the transaction is mined: set `value` to pay more, or `maxPrice`
+     * to refuse a higher price (an overpayment is not refunded).
+     * @param {number} amount Number of tokens, 1 to 10
+     * @param {TransactionOptions & {value?: bigint, maxPrice?: bigint}} [options]
+     * @returns {Promise<{receipt: Object, tokenIds: number[], price: bigint, paid: bigint}>}
+     */
+    async mint(amount, options = {}) {
+        let minter = this._contract("minter");
+        amount = Number(amount);
+        if (!Number.isInteger(amount) || amount < 1) throw new TypeError("Amount must be a positive integer");
+        if (amount > MAX_MINTS_PER_CALL) throw new LDPError("MaxMintsPerCallExceeded", {}, { contract: "LDPMinter" });
+        if (!(await this._call(minter.methods.mintingStarted()))) {
+            throw new LDPError("MintingNotStarted", {}, { contract: "LDPMinter" });
+        }
+        let price = await this.currentPrice();
+        if (options.maxPrice !== undefined && price > BigInt(options.maxPrice)) {
+            throw new Error("Current price " + price + " wei is above the maximum " + options.maxPrice + " wei");
+        }
+        let required = price * BigInt(amount);
+        let paid = options.value !== undefined ? BigInt(options.value) : required;
+        if (paid < required) {
+            throw new LDPError("Underpaid", { paid, required }, { contract: "LDPMinter" });
+        }
+        let receipt = await this._send(minter.methods.mint(amount), { ...options, value: paid });
+        let tokenIds = [];
+        if (this.contracts.nft) {
+            let events = await this.contracts.nft.getPastEvents("Transfer", {
+                filter: { from: ZERO_ADDRESS },
+                fromBlock: receipt.blockNumber,
+                toBlock: receipt.blockNumber
+            });
+            tokenIds = events
+                .filter((event) => event.transactionHash == receipt.transactionHash)
+                .map((event) => Number(event.returnValues.tokenId));
+        }
+        return { receipt, tokenIds, price, paid };
+    }
+
+    // =============================================================
+    //                       HOLDER REVENUES
+    // =============================================================
+
+    /**
+     * IDs of the tokens owned by `account`.
+     * @returns {Promise<number[]>}
+     */
+    async ownedTokens(account) {
+        let { methods } = this._contract("nft");
+        let balance = Number(await methods.balanceOf(account).call());
+        let tokenIds = [];
+        for (let i = 0; i < balance; ++i) {
+            tokenIds.push(Number(await methods.tokenOfOwnerByIndex(account, i).call()));
+        }
+        return tokenIds;
+    }
+
+    /**
+     * Unclaimed revenues of the tokens of `account`, in ETH or in the
+     * ERC20 `options.token` (processed revenues only, see
+     * isErc20RecordsUpToDate).
+     * @returns {Promise<bigint>}
+     */
+    async accountRevenues(account, options = {}) {
+        let { methods } = this._contract("rewarder");
+        let method = options.token
+            ? methods.accountRevenuesErc20(account, options.token)
+            : methods.accountRevenues(account);
+        return BigInt(await this._call(method));
+    }
+
+    /**
+     * Unclaimed revenues of a token, in ETH or in the ERC20 `options.token`.
+     * @returns {Promise<bigint>}
+     */
+    async tokenRevenues(tokenId, options = {}) {
+        let { methods } = this._contract("rewarder");
+        let method = options.token ? methods.nftRevenuesErc20(tokenId, options.token) : methods.nftRevenues(tokenId);
+        return BigInt(await this._call(method));
+    }
+
+    /**
+     * Lifetime revenues of the holders, in ETH or in the ERC20 `options.token`.
+     * @returns {Promise<bigint>}
+     */
+    async collectionEarnings(options = {}) {
+        let { methods } = this._contract("rewarder");
+        let method = options.token
+            ? methods["collectionEarningsLifetime(address)"](options.token)
+            : methods["collectionEarningsLifetime()"]();
+        return BigInt(await this._call(method));
+    }
+
+    /**
+     * WETH received and not unwrapped yet (see unwrapWeth).
+     * @returns {Promise<bigint>}
+     */
+    async unprocessedWeth() {
+        return BigInt(await this._call(this._contract("rewarder").methods.unprocessedWeth()));
+    }
+
+    /**
+     * True if the ERC20 received by the rewarder has been processed.
+     * @returns {Promise<boolean>}
+     */
+    async isErc20RecordsUpToDate(token) {
+        return this._call(this._contract("rewarder").methods.isErc20RecordsUpToDate(token));
+    }
+
+    /**
+     * Claim the ETH revenues of all the tokens of the sender.
+     * @param {TransactionOptions} [options]
+     * @returns {Promise<{receipt: Object, amount: bigint}>} amount claimable
+     * before the transaction
+     */
+    async claimAll(options = {}) {
+        let from = await this._sender(options);
+        let amount = await this.accountRevenues(from);
+        let receipt = await this._send(this._contract("rewarder").methods.cashout(), { ...options, from });
+        return { receipt, amount };
+    }
+
+    /**
+     * Claim the ETH revenues of a token owned by the sender.
+     * @param {TransactionOptions} [options]
+     * @returns {Promise<{receipt: Object, amount: bigint}>}
+     */
+    async claimToken(tokenId, options = {}) {
+        let from = await this._sender(options);
+        await this._checkOwner(tokenId, from);
+        let amount = await this.tokenRevenues(tokenId);
+        let receipt = await this._send(this._contract("rewarder").methods.nftCashout(tokenId), { ...options, from });
+        return { receipt, amount };
+    }
+
+    /**
+     * Claim the revenues in `token` of all the tokens of the sender (the
+     * ERC20 received is processed first).
+     * @param {TransactionOptions} [options]
+     * @returns {Promise<{receipt: Object, amount: bigint}>} amount received
+     */
+    async claimAllErc20(token, options = {}) {
+        let from = await this._sender(options);
+        let method = this._contract("rewarder").methods.cashoutErc20(token);
+        return this._erc20Received(token, from, () => this._send(method, { ...options, from }));
+    }
+
+    /**
+     * Claim the processed revenues in `token` of a token owned by the sender.
+     * @param {TransactionOptions} [options]
+     * @returns {Promise<{receipt: Object, amount: bigint}>} amount received
+     */
+    async claimTokenErc20(tokenId, token, options = {}) {
+        let from = await this._sender(options);
+        await this._checkOwner(tokenId, from);
+        let method = this._contract("rewarder").methods.nftCashoutErc20(tokenId, token);
+        return this._erc20Received(token, from, () => this._send(method, { ...options, from }));
+    }
+
+    /**
+     * Unwrap the WETH held by the rewarder, distributing it as ETH.
+     * @param {TransactionOptions} [options]
+     */
+    async unwrapWeth(options = {}) {
+        return this._send(this._contract("rewarder").methods.unwrapWeth(), options);
+    }
+
+    /**
+     * Process the ERC20 received by the rewarder.
+     * @param {TransactionOptions} [options]
+     */
+    async updateErc20Records(token, options = {}) {
+        return this._send(this._contract("rewarder").methods.forceUpdateErc20Records(token), options);
+    }
+
+    async _checkOwner(tokenId, account) {
+        if (!this.contracts.nft) return;
+        let owner = await this._call(this.contracts.nft.methods.ownerOf(tokenId));
+        if (!sameAddress(owner, account)) {
+            throw new LDPError("SenderIsNoTokenOwner", { tokenId: BigInt(tokenId) }, { contract: "LDPRewarder" });
+        }
+    }
+
+    // Amount of `token` received by `account` in the transaction sent by `send`
+    async _erc20Received(token, account, send) {
+        let erc20 = new this.web3.eth.Contract(
+            [
+                {
+                    type: "function",
+                    name: "balanceOf",
+                    stateMutability: "view",
+                    inputs: [{ name: "account", type: "address" }],
+                    outputs: [{ name: "", type: "uint256" }]
+                }
+            ],
+            token
+        );
+        let before = BigInt(await erc20.methods.balanceOf(account).call());
+        let receipt = await send();
+        let after = BigInt(await erc20.methods.balanceOf(account).call({}, receipt.blockNumber));
+        return { receipt, amount: after - before };
+    }
+
+    // =============================================================
+    //                           REVEAL
+    // =============================================================
+
+    /**
+     * @returns {Promise<{totalSupply: number, maxSupply: number,
+     * mintedOut: boolean, revealed: boolean, revealOffset: number,
+     * revealTimestamp: number}>}
+     */
+    async revealStatus() {
+        let { methods } = this._contract("nft");
+        let totalSupply = Number(await methods.totalSupply().call());
+        let maxSupply = Number(await methods.MAX_SUPPLY().call());
+        let revealOffset = Number(await methods.revealOffset().call());
+        return {
+            totalSupply,
+            maxSupply,
+            mintedOut: totalSupply == maxSupply,
+            revealed: revealOffset != 0,
+            revealOffset,
+            revealTimestamp: Number(await methods.revealTimestamp().call())
+        };
+    }
+
+    /**
+     * Request the reveal of a minted-out collection.
+     * @param {TransactionOptions} [options]
+     * @returns {Promise<{receipt: Object, requestId: string}>} requestId of
+     * the Chainlink VRF request
+     */
+    async reveal(options = {}) {
+        let receipt = await this._send(this._contract("nft").methods.reveal(), options);
+        let event = receipt.events.RevealRequested;
+        return { receipt, requestId: event ? event.returnValues.requestId : null };
+    }
+
+    /**
+     * ID of the metadata of a token once revealed.
+     * @returns {Promise<number>}
+     */
+    async revealedId(tokenId) {
+        return Number(await this._call(this._contract("nft").methods.revealedId(tokenId)));
+    }
+
+    // =============================================================
+    //                         LUCKY DRAWS
+    // =============================================================
+
+    /**
+     * dataHashes of all the draws, by draw index.
+     * @returns {Promise<string[]>}
+     */
+    async drawHashes() {
+        return this._call(this._contract("luckyDraw").methods.getAllDrawsDataHashes());
+    }
+
+    /**
+     * Look a draw up by dataHash (string) or index (number). The fulfillment
+     * is searched `options.blockRange` blocks at a time (default 5000) from
+     * `options.fromBlock`, by default the first block mined at the request
+     * time.
+     * @param {{fromBlock?: number, blockRange?: number}} [options]
+     * @returns {Promise<{drawIndex: number, dataHash: string,
+     * requestTimestamp: number, chainlinkRequestId: string,
+     * numParticipants: number, fulfilled: boolean, randomness: bigint|null,
+     * winners: number[]}>} winners are indexes in the participant list
+     */
+    async draw(drawId, options = {}) {
+        let luckyDraw = this._contract("luckyDraw");
+        let drawIndex = drawId;
+        if (typeof drawId == "string") {
+            drawIndex = (await this.drawHashes()).findIndex((hash) => sameAddress(hash, drawId));
+            if (drawIndex == -1) throw new Error("No draw found with dataHash " + drawId);
+        }
+        let info = await this._call(luckyDraw.methods.getDrawInfo(drawIndex));
+        let fromBlock = options.fromBlock;
+        if (fromBlock === undefined) fromBlock = await this._firstBlockAt(Number(info.requestTimestamp));
+        let isFulfillment = (event) => event.returnValues.chainlinkRequestId == info.chainlinkRequestId;
+        let fulfillment = await this._findEvent(luckyDraw, "DrawFulfilled", isFulfillment, fromBlock, options.blockRange);
+        return {
+            drawIndex: Number(drawIndex),
+            dataHash: info.dataHash,
+            requestTimestamp: Number(info.requestTimestamp),
+            chainlinkRequestId: info.chainlinkRequestId,
+            numParticipants: Number(info.numParticipants),
+            fulfilled: fulfillment !== undefined,
+            randomness: fulfillment ? BigInt(fulfillment.returnValues.randomness) : null,
+            winners: info.winners.map(Number)
+        };
+    }
+}
+
+module.exports = {
+    ABIS,
+    ERRORS,
+    ErrorRegistry,
+    LDPClient,
+    LDPError
+};
@@ -0,0 +1,431 @@
+const { assert } = require("chai");
+const { expectRevertCustomError } = require("custom-error-test-helper");
+const {
+  balance,
+  constants,
+  expectEvent,
+  expectRevert,
+  ether,
+} = require("@openzeppelin/test-helpers");
+const {
+  LuckyDuckPack,
+  LDPMinter,
+  LDPSupplyMock,
+  initMainContracts,
+  initChainlinkMocks,
+} = require("./common/contractsInit.js");
+const { rpc } = require("./common/chain.js");
+
+contract("Minter contract", async (accounts) => {
+  const maxSupply = 80;
+  const teamReserved = 50;
+  const salePrice1 = ether("0.25");
+  const salePrice2 = ether("0.75");
+  const salePrice3 = ether("1.25");
+  const day = 24 * 3600;
+  var admin, creator, payout, userA, userB;
+  var nftContract, minterContract, rewarderContract;
+
+  before(async function () {
+    // Address aliases
+    admin = accounts[0];
+    creator = accounts[8];
+    payout = accounts[9];
+    userA = accounts[1];
+    userB = accounts[2];
+  });
+  beforeEach(async function () {
+    const [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    [nftContract, minterContract, rewarderContract] = await initMainContracts(
+      maxSupply,
+      creator,
+      payout,
+      VRFContract.address,
+      linkContract.address
+    );
+    await linkContract.transfer(nftContract.address, ether("2"), {
+      from: admin,
+    });
+    await nftContract.initialize(
+      minterContract.address,
+      rewarderContract.address,
+      "some_uri",
+      "some_uri",
+      "some_uri",
+      "some_uri",
+      { from: admin }
+    );
+  });
+
+  // Mine a block at the given timestamp: views are evaluated at that time
+  async function mineAt(timestamp) {
+    await rpc("evm_mine", [timestamp]);
+    assert.equal(
+      (await web3.eth.getBlock("latest")).timestamp,
+      timestamp,
+      "Time travel failed"
+    );
+  }
+
+  describe("Minting", function () {
+    it("Minting requires startMinting", async () => {
+      assert.isFalse(await minterContract.mintingStarted(), "Minting started");
+      assert.equal(
+        String(await minterContract.currentPrice()),
+        salePrice1.toString(),
+        "Wrong price before minting"
+      );
+      await expectRevertCustomError(
+        LDPMinter,
+        minterContract.mint(1, { from: userA, value: salePrice1 }),
+        "MintingNotStarted"
+      );
+    });
+
+    it("Only the owner can start minting, once", async () => {
+      await expectRevert(
+        minterContract.startMinting({ from: userA }),
+        "Ownable: caller is not the owner"
+      );
+      const receipt = await minterContract.startMinting({ from: admin });
+      expectEvent(receipt, "MintingStarted");
+      assert.isTrue(await minterContract.mintingStarted(), "Minting not started");
+      await expectRevertCustomError(
+        LDPMinter,
+        minterContract.startMinting({ from: admin }),
+        "MintingAlreadyStarted"
+      );
+    });
+
+    it("Starting minting mints the team reserve", async () => {
+      assert.equal(
+        String(await minterContract.mintableSupply()),
+        String(maxSupply),
+        "Wrong mintable supply before minting"
+      );
+      await minterContract.startMinting({ from: admin });
+      assert.equal(
+        String(await nftContract.balanceOf(admin)),
+        String(teamReserved),
+        "Team reserve not minted to the owner"
+      );
+      assert.equal(
+        String(await minterContract.mintableSupply()),
+        String(maxSupply - teamReserved),
+        "Team reserve counted as mintable"
+      );
+      await minterContract.mint(3, { from: userA, value: salePrice1.muln(3) });
+      assert.equal(
+        String(await minterContract.mintableSupply()),
+        String(maxSupply - teamReserved - 3),
+        "Wrong mintable supply after mint"
+      );
+    });
+
+    it("Cannot mint more than 10 tokens per call", async () => {
+      await minterContract.startMinting({ from: admin });
+      await expectRevertCustomError(
+        LDPMinter,
+        minterContract.mint(11, { from: userA, value: salePrice1.muln(11) }),
+        "MaxMintsPerCallExceeded"
+      );
+      await minterContract.mint(10, { from: userA, value: salePrice1.muln(10) });
+      assert.equal(
+        String(await nftContract.balanceOf(userA)),
+        "10",
+        "Tokens not minted"
+      );
+    });
+
+    it("Underpaying reverts with the amounts paid and required", async () => {
+      await minterContract.startMinting({ from: admin });
+      const required = salePrice1.muln(3);
+      const paid = required.subn(1);
+      await expectRevertCustomError(
+        LDPMinter,
+        minterContract.mint(3, { from: userA, value: paid }),
+        "Underpaid",
+        [paid, required]
+      );
+      await expectRevertCustomError(
+        LDPMinter,
+        minterContract.mint(1, { from: userA }),
+        "Underpaid",
+        [0, salePrice1]
+      );
+    });
+
+    it("Overpayments are kept by the contract", async () => {
+      await minterContract.startMinting({ from: admin });
+      const paid = salePrice1.muln(2).add(ether("0.1"));
+      await minterContract.mint(2, { from: userA, value: paid });
+      assert.equal(
+        String(await nftContract.balanceOf(userA)),
+        "2",
+        "Tokens not minted"
+      );
+      // No refund: the excess is part of the proceeds
+      assert.equal(
+        String(await web3.eth.getBalance(minterContract.address)),
+        paid.toString(),
+        "Overpayment not kept"
+      );
+    });
+
+    it("Cannot mint over the max supply", async () => {
+      await minterContract.startMinting({ from: admin });
+      for (let i = 0; i < 3; ++i) {
+        await minterContract.mint(10, { from: userA, value: salePrice1.muln(10) });
+      }
+      assert.equal(String(await minterContract.mintableSupply()), "0", "Tokens left");
+      await expectRevertCustomError(
+        LuckyDuckPack,
+        minterContract.mint(2, { from: userB, value: salePrice1.muln(2) }),
+        "MaxSupplyExceeded",
+        [2]
+      );
+    });
+
+    it("Price required at each sale tier", async () => {
+      // The supply mock reaches every tier without minting
+      const supplyMock = await LDPSupplyMock.new();
+      const minter = await LDPMinter.new(supplyMock.address, rewarderContract.address, creator);
+      await minter.startMinting({ from: admin });
+      for (const [supply, price] of [
+        [3332, salePrice1],
+        [3333, salePrice2],
+        [6665, salePrice2],
+        [6666, salePrice3],
+      ]) {
+        await supplyMock.setTotalSupply(supply);
+        await expectRevertCustomError(
+          LDPMinter,
+          minter.mint(2, { from: userA, value: price.muln(2).subn(1) }),
+          "Underpaid",
+          [price.muln(2).subn(1), price.muln(2)]
+        );
+        await minter.mint(2, { from: userA, value: price.muln(2) });
+      }
+    });
+  });
+
+  describe("Dutch auctions", function () {
+    it("No auction before minting starts", async () => {
+      assert.isFalse(
+        await minterContract.isDutchAuctionActive(),
+        "Auction active before minting"
+      );
+    });
+
+    it("Auction state at each boundary", async () => {
+      await minterContract.startMinting({ from: admin });
+      const start = Number(await minterContract.mintingStartTime());
+      const auction1Start = start + 2 * day;
+      const auction2Start = auction1Start + 2 * day;
+      // [timestamp, isDutchAuctionActive, timeToNextAuction]
+      const checkpoints = [
+        [auction1Start - 1, false, 1],
+        [auction1Start, false, 2 * day],
+        [auction1Start + 1, true, 2 * day - 1],
+        [auction1Start + day, true, day],
+        [auction2Start - 1, true, 1],
+        [auction2Start, true, 0],
+        [auction2Start + 2 * day, true, 0],
+      ];
+      for (const [timestamp, active, timeToNext] of checkpoints) {
+        await mineAt(timestamp);
+        assert.equal(
+          await minterContract.isDutchAuctionActive(),
+          active,
+          "Wrong isDutchAuctionActive at " + timestamp
+        );
+        assert.equal(
+          String(await minterContract.timeToNextAuction()),
+          String(timeToNext),
+          "Wrong timeToNextAuction at " + timestamp
+        );
+      }
+    });
+
+    it("Underpaid reports the auction price", async () => {
+      await minterContract.startMinting({ from: admin });
+      const start = Number(await minterContract.mintingStartTime());
+      // The mint is in the next block, at least a second later: still in
+      // the first timestep of the auction
+      await mineAt(start + 2 * day);
+      await expectRevertCustomError(
+        LDPMinter,
+        minterContract.mint(2, { from: userA, value: salePrice1.muln(2) }),
+        "Underpaid",
+        [salePrice1.muln(2), salePrice2.muln(2)]
+      );
+    });
+  });
+
+  describe("Withdrawals", function () {
+    async function mintProceeds() {
+      await minterContract.startMinting({ from: admin });
+      await minterContract.mint(10, { from: userA, value: salePrice1.muln(10) });
+      await minterContract.mint(3, { from: userB, value: salePrice1.muln(3) });
+      return salePrice1.muln(13);
+    }
+
+    it("Nothing to withdraw before minting starts", async () => {
+      await expectRevertCustomError(
+        LDPMinter,
+        minterContract.withdrawProceeds({ from: admin }),
+        "MintingNotStarted"
+      );
+    });
+
+    it("Only the owner or the creator can withdraw", async () => {
+      await mintProceeds();
+      await expectRevert(
+        minterContract.withdrawProceeds({ from: userA }),
+        "Caller is not admin nor creator"
+      );
+      await minterContract.withdrawProceeds({ from: payout });
+    });
+
+    it("Proceeds are split between the rewarder (10%) and the creator (90%)", async () => {
+      const proceeds = await mintProceeds();
+      const rewarderTracker = await balance.tracker(rewarderContract.address);
+      const creatorTracker = await balance.tracker(payout);
+      const receipt = await minterContract.withdrawProceeds({ from: admin });
+      await expectEvent.inTransaction(receipt.tx, rewarderContract, "ReceivedEth", {
+        amount: proceeds.divn(10),
+      });
+      assert.equal(
+        String(await rewarderTracker.delta()),
+        proceeds.divn(10).toString(),
+        "Wrong rewarder share"
+      );
+      assert.equal(
+        String(await creatorTracker.delta()),
+        proceeds.sub(proceeds.divn(10)).toString(),
+        "Wrong creator share"
+      );
+      assert.equal(
+        String(await web3.eth.getBalance(minterContract.address)),
+        "0",
+        "Proceeds left"
+      );
+    });
+
+    it("The owner can change the creator address", async () => {
+      await expectRevert(
+        minterContract.setCreatorAddress(userB, { from: userA }),
+        "Ownable: caller is not the owner"
+      );
+      await expectRevertCustomError(
+        LDPMinter,
+        minterContract.setCreatorAddress(constants.ZERO_ADDRESS, { from: admin }),
+        "InputIsZero"
+      );
+      const proceeds = await mintProceeds();
+      await minterContract.setCreatorAddress(userB, { from: admin });
+      // The former creator can no longer withdraw
+      await expectRevert(
+        minterContract.withdrawProceeds({ from: payout }),
+        "Caller is not admin nor creator"
+      );
+      const tracker = await balance.tracker(userB);
+      await minterContract.withdrawProceeds({ from: admin });
+      assert.equal(
+        String(await tracker.delta()),
+        proceeds.sub(proceeds.divn(10)).toString(),
+        "New creator not paid"
+      );
+    });
+
+    it("Withdraw reverts when a recipient rejects the payment", async () => {
+      // The supply mock has no receive function
+      const supplyMock = await LDPSupplyMock.new();
+      await mintProceeds();
+      await minterContract.setCreatorAddress(supplyMock.address, { from: admin });
+      await expectRevertCustomError(
+        LDPMinter,
+        minterContract.withdrawProceeds({ from: admin }),
+        "PaymentError",
+        [false, true]
+      );
+      // Rewarder rejecting the payment, then both recipients
+      const minter = await LDPMinter.new(supplyMock.address, supplyMock.address, payout);
+      await minter.startMinting({ from: admin });
+      await minter.mint(1, { from: userA, value: salePrice1 });
+      await expectRevertCustomError(
+        LDPMinter,
+        minter.withdrawProceeds({ from: admin }),
+        "PaymentError",
+        [true, false]
+      );
+      await minter.setCreatorAddress(supplyMock.address, { from: admin });
+      await expectRevertCustomError(
+        LDPMinter,
+        minter.withdrawProceeds({ from: admin }),
+        "PaymentError",
+        [false, false]
+      );
+      assert.equal(
+        String(await web3.eth.getBalance(minter.address)),
+        salePrice1.toString(),
+        "Proceeds lost on failed withdraw"
+      );
+    });
+
+    it("Emergency withdraw is reserved to the owner, once minted out", async () => {
+      await mintProceeds();
+      await expectRevert(
+        minterContract.emergencyWithdraw({ from: userA }),
+        "Ownable: caller is not the owner"
+      );
+      await expectRevert(
+        minterContract.emergencyWithdraw({ from: admin }),
+        "Minting still in progress"
+      );
+    });
+
+    it("Emergency withdraw performs the normal split when possible", async () => {
+      await mintProceeds();
+      await minterContract.mint(10, { from: userA, value: salePrice1.muln(10) });
+      await minterContract.mint(7, { from: userA, value: salePrice1.muln(7) });
+      const proceeds = salePrice1.muln(maxSupply - teamReserved);
+      const creatorTracker = await balance.tracker(payout);
+      await minterContract.emergencyWithdraw({ from: admin });
+      assert.equal(
+        String(await creatorTracker.delta()),
+        proceeds.sub(proceeds.divn(10)).toString(),
+        "Wrong creator share"
+      );
+      assert.equal(
+        String(await web3.eth.getBalance(minterContract.address)),
+        "0",
+        "Proceeds left"
+      );
+    });
+
+    it("Emergency withdraw sends what cannot be paid to the owner", async () => {
+      const rejecting = (await LDPSupplyMock.new()).address;
+      await mintProceeds();
+      await minterContract.mint(10, { from: userA, value: salePrice1.muln(10) });
+      await minterContract.mint(7, { from: userA, value: salePrice1.muln(7) });
+      const proceeds = salePrice1.muln(maxSupply - teamReserved);
+      await minterContract.setCreatorAddress(rejecting, { from: admin });
+      const rewarderTracker = await balance.tracker(rewarderContract.address);
+      const adminTracker = await balance.tracker(admin);
+      await minterContract.emergencyWithdraw({ from: admin });
+      // The rewarder is paid, the creator share goes to the owner
+      assert.equal(
+        String(await rewarderTracker.delta()),
+        proceeds.divn(10).toString(),
+        "Wrong rewarder share"
+      );
+      const { delta, fees } = await adminTracker.deltaWithFees();
+      assert.equal(
+        delta.add(fees).toString(),
+        proceeds.sub(proceeds.divn(10)).toString(),
+        "Remaining balance not sent to the owner"
+      );
+    });
+  });
+});
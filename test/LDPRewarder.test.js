@@ -20,6 +20,7 @@ const {
   initChainlinkMocks,
   initMockTokens,
 } = require("./common/contractsInit.js");
+const { nftShare } = require("./common/chain.js");
 
 contract("Rewarder contract", async (accounts) => {
   var admin, creator, payout, userA, userB, userC;
@@ -40,7 +41,7 @@ contract("Rewarder contract", async (accounts) => {
   beforeEach(async function () {
     // Create contracts
     [VRFContract, linkContract] = await initChainlinkMocks(admin);
-    [nftContract, minterContract, rewarderContract] = await initMainContracts(
+    [nftContract, minterContract, rewarderContract, wethContract] = await initMainContracts(
       maxSupply,
       creator,
       payout,
@@ -75,6 +76,40 @@ contract("Rewarder contract", async (accounts) => {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
+  // Revenues accrued by each NFT when the contract receives `amount`
+  function nftShareBN(amount) {
+    return new BN(nftShare(amount).toString());
+  }
+
+  // Creator earnings for the given per-NFT lifetime revenues
+  function creatorShare(perNft) {
+    return perNft.muln(10000).divn(15);
+  }
+
+  async function ownedTokens(account) {
+    const balance = Number(await nftContract.balanceOf(account));
+    const tokens = [];
+    for (let i = 0; i < balance; ++i) {
+      tokens.push(Number(await nftContract.tokenOfOwnerByIndex(account, i)));
+    }
+    return tokens;
+  }
+
+  function sendEth(amount) {
+    return web3.eth.sendTransaction({
+      from: admin,
+      to: rewarderContract.address,
+      value: amount,
+    });
+  }
+
+  async function sendWeth(amount) {
+    await wethContract.deposit({ from: admin, value: amount });
+    await wethContract.transfer(rewarderContract.address, amount, {
+      from: admin,
+    });
+  }
+
   describe("ETH revenues", function () {
     it("All values are initially zero", async () => {
       this.balanceInitial = await web3.eth.getBalance(rewarderContract.address);
@@ -102,8 +137,241 @@ contract("Rewarder contract", async (accounts) => {
       );
     });
 
-    xit("Received ETH is processed correctly", async () => {
+    it("Received ETH is processed correctly", async () => {
+      this.amount = ether("1");
+      this.share = nftShareBN(this.amount);
+      const receipt = await sendEth(this.amount);
+      await expectEvent.inTransaction(
+        receipt.transactionHash,
+        rewarderContract,
+        "ReceivedEth",
+        { amount: this.amount }
+      );
+      assert.equal(
+        String(await rewarderContract.methods["collectionEarningsLifetime()"]()),
+        this.share.muln(10000).toString(),
+        "Wrong lifetime earnings"
+      );
+      for (const tokenId of [0, 17, maxSupply - 1]) {
+        assert.equal(
+          String(await rewarderContract.nftRevenues(tokenId)),
+          this.share.toString(),
+          "Wrong revenues of token " + tokenId
+        );
+      }
+      assert.equal(
+        String(await rewarderContract.accountRevenues(userA)),
+        this.share.muln((await ownedTokens(userA)).length).toString(),
+        "Wrong account revenues"
+      );
+    });
+
+    it("Cashout pays the revenues of all owned tokens once", async () => {
+      this.share = nftShareBN(ether("1"));
+      await sendEth(ether("1"));
+      this.owned = await ownedTokens(userA);
+      this.balanceBefore = new BN(await web3.eth.getBalance(rewarderContract.address));
+      const receipt = await rewarderContract.cashout({ from: userA });
+      expectEvent(receipt, "Cashout", {
+        account: userA,
+        amount: this.share.muln(this.owned.length),
+      });
+      assert.equal(
+        String(await web3.eth.getBalance(rewarderContract.address)),
+        this.balanceBefore.sub(this.share.muln(this.owned.length)).toString(),
+        "Wrong amount paid"
+      );
+      assert.equal(
+        String(await rewarderContract.accountRevenues(userA)),
+        "0",
+        "Revenues left after cashout"
+      );
+      // Revenues of other holders are untouched
+      assert.equal(
+        String(await rewarderContract.accountRevenues(userB)),
+        this.share.muln((await ownedTokens(userB)).length).toString(),
+        "Revenues of other holders changed"
+      );
+      // Nothing left to pay
+      const second = await rewarderContract.cashout({ from: userA });
+      expectEvent(second, "Cashout", { account: userA, amount: "0" });
+    });
+
+    it("NFT cashout pays the revenues of a single token", async () => {
+      this.share = nftShareBN(ether("1"));
+      await sendEth(ether("1"));
+      [this.tokenId, this.otherId] = await ownedTokens(userA);
+      const receipt = await rewarderContract.nftCashout(this.tokenId, {
+        from: userA,
+      });
+      expectEvent(receipt, "Cashout", { account: userA, amount: this.share });
+      assert.equal(
+        String(await rewarderContract.nftRevenues(this.tokenId)),
+        "0",
+        "Revenues left after NFT cashout"
+      );
+      assert.equal(
+        String(await rewarderContract.nftRevenues(this.otherId)),
+        this.share.toString(),
+        "Revenues of other tokens changed"
+      );
+    });
+
+    it("NFT cashout is reserved to the token owner", async () => {
+      await sendEth(ether("1"));
+      this.tokenId = (await ownedTokens(userB))[0];
+      await expectRevertCustomError(
+        LDPRewarder,
+        rewarderContract.nftCashout(this.tokenId, { from: userA }),
+        "SenderIsNoTokenOwner",
+        [this.tokenId]
+      );
+    });
+
+    it("Unclaimed revenues follow the token across transfers", async () => {
+      this.share1 = nftShareBN(ether("1"));
+      this.share2 = nftShareBN(ether("3"));
+      await sendEth(ether("1"));
+      // Transferred mid-accrual, without cashout
+      [this.tokenId, this.cashedOutId] = await ownedTokens(userA);
+      this.numOwnedC = (await ownedTokens(userC)).length;
+      await nftContract.transferFrom(userA, userC, this.tokenId, { from: userA });
+      // Cashed out before the transfer
+      await rewarderContract.nftCashout(this.cashedOutId, { from: userA });
+      await nftContract.safeTransferFrom(userA, userC, this.cashedOutId, {
+        from: userA,
+      });
+      await sendEth(ether("3"));
+      assert.equal(
+        String(await rewarderContract.nftRevenues(this.tokenId)),
+        this.share1.add(this.share2).toString(),
+        "Revenues not kept by the transferred token"
+      );
+      assert.equal(
+        String(await rewarderContract.nftRevenues(this.cashedOutId)),
+        this.share2.toString(),
+        "Revenues cashed out before the transfer are paid again"
+      );
+      // The former owner can no longer cash out the token
+      await expectRevertCustomError(
+        LDPRewarder,
+        rewarderContract.nftCashout(this.tokenId, { from: userA }),
+        "SenderIsNoTokenOwner",
+        [this.tokenId]
+      );
+      this.numOwnedA = (await ownedTokens(userA)).length;
+      let receipt = await rewarderContract.cashout({ from: userA });
+      expectEvent(receipt, "Cashout", {
+        account: userA,
+        amount: this.share1.add(this.share2).muln(this.numOwnedA),
+      });
+      receipt = await rewarderContract.cashout({ from: userC });
+      expectEvent(receipt, "Cashout", {
+        account: userC,
+        amount: this.share1
+          .add(this.share2)
+          .muln(this.numOwnedC + 1)
+          .add(this.share2),
+      });
+    });
+
+    it("Creator cashout pays the creator share once", async () => {
+      this.share = nftShareBN(ether("1"));
+      await sendEth(ether("1"));
+      // Anyone can trigger it, the creator is paid
+      let receipt = await rewarderContract.creatorCashout({ from: userA });
+      expectEvent(receipt, "Cashout", {
+        account: creator,
+        amount: creatorShare(this.share),
+      });
+      receipt = await rewarderContract.creatorCashout({ from: userA });
+      expectEvent(receipt, "Cashout", { account: creator, amount: "0" });
+      // Holders are not affected
+      assert.equal(
+        String(await rewarderContract.nftRevenues(0)),
+        this.share.toString(),
+        "Holder revenues changed by the creator cashout"
+      );
+    });
+
+    it("Payouts never exceed the received funds", async () => {
+      this.received = new BN(0);
+      this.perNft = new BN(0);
+      for (const amount of ["1", "999999", ether("0.3").toString(), "123456789012345678"]) {
+        await sendEth(amount);
+        this.received.iadd(new BN(amount));
+        this.perNft.iadd(nftShareBN(amount));
+      }
+      for (const account of accounts) {
+        await rewarderContract.cashout({ from: account });
+      }
+      await rewarderContract.creatorCashout();
+      // What is left: the shares of the tokens not minted (revenues are
+      // split in 10000 shares) and the rounding dust
+      this.paid = this.perNft.muln(maxSupply).add(creatorShare(this.perNft));
+      assert.equal(
+        String(await web3.eth.getBalance(rewarderContract.address)),
+        this.received.sub(this.paid).toString(),
+        "Wrong balance left"
+      );
+      assert.isTrue(
+        this.received.sub(this.perNft.muln(10000).add(creatorShare(this.perNft))).lt(new BN(10000 * 16)),
+        "More than rounding dust lost"
+      );
+    });
+  });
+
+  describe("Creator transfer", function () {
+    it("Only the creator can request a transfer", async () => {
+      await expectRevert(
+        rewarderContract.creatorTransferRequest(userA, { from: userA }),
+        "Caller is not creator."
+      );
+    });
+
+    it("Only the candidate can fulfill a transfer", async () => {
+      await rewarderContract.creatorTransferRequest(userC, { from: creator });
+      await expectRevert(
+        rewarderContract.creatorTransferFulfill({ from: userB }),
+        "Caller is not creator candidate."
+      );
+      await expectRevert(
+        rewarderContract.creatorTransferFulfill({ from: creator }),
+        "Caller is not creator candidate."
+      );
+    });
+
+    it("The new creator receives the creator cashouts", async () => {
+      await sendEth(ether("1"));
+      this.earnings = creatorShare(nftShareBN(ether("1")));
+      await rewarderContract.creatorTransferRequest(userC, { from: creator });
+      // The transfer takes effect on fulfill only
+      let receipt = await rewarderContract.creatorCashout();
+      expectEvent(receipt, "Cashout", { account: creator, amount: this.earnings });
+      await rewarderContract.creatorTransferFulfill({ from: userC });
+      await sendEth(ether("1"));
+      receipt = await rewarderContract.creatorCashout();
+      expectEvent(receipt, "Cashout", { account: userC, amount: this.earnings });
+      // The request is consumed and the former creator has no role left
+      await expectRevert(
+        rewarderContract.creatorTransferFulfill({ from: userC }),
+        "Caller is not creator candidate."
+      );
+      await expectRevert(
+        rewarderContract.creatorTransferRequest(creator, { from: creator }),
+        "Caller is not creator."
+      );
+    });
 
+    it("A request can be cancelled", async () => {
+      await rewarderContract.creatorTransferRequest(userC, { from: creator });
+      await rewarderContract.creatorTransferRequest(constants.ZERO_ADDRESS, {
+        from: creator,
+      });
+      await expectRevert(
+        rewarderContract.creatorTransferFulfill({ from: userC }),
+        "Caller is not creator candidate."
+      );
     });
   });
 
@@ -117,6 +385,85 @@ contract("Rewarder contract", async (accounts) => {
         "Initial unprocessed WETH is not zero"
       );
     });
+
+    it("Received WETH is held until unwrapped", async () => {
+      await sendWeth(ether("1"));
+      assert.equal(
+        String(await rewarderContract.unprocessedWeth()),
+        ether("1").toString(),
+        "Wrong unprocessed WETH"
+      );
+      assert.equal(
+        String(await rewarderContract.nftRevenues(0)),
+        "0",
+        "WETH processed before unwrap"
+      );
+    });
+
+    it("Unwrapped WETH is processed as ETH", async () => {
+      this.share = nftShareBN(ether("1"));
+      await sendWeth(ether("1"));
+      // Anyone can unwrap: the ETH sent back by the unwrapper goes through
+      // receive, which updates the records in the same transaction
+      const receipt = await rewarderContract.unwrapWeth({ from: userC });
+      expectEvent(receipt, "UnwrappedWeth");
+      expectEvent(receipt, "ReceivedEth", { amount: ether("1") });
+      assert.equal(
+        String(await rewarderContract.unprocessedWeth()),
+        "0",
+        "WETH left after unwrap"
+      );
+      assert.equal(
+        String(await web3.eth.getBalance(rewarderContract.address)),
+        ether("1").toString(),
+        "Wrong ETH balance after unwrap"
+      );
+      assert.equal(
+        String(await rewarderContract.nftRevenues(0)),
+        this.share.toString(),
+        "Unwrapped WETH not processed"
+      );
+      expectEvent(await rewarderContract.cashout({ from: userA }), "Cashout", {
+        account: userA,
+        amount: this.share.muln((await ownedTokens(userA)).length),
+      });
+    });
+
+    it("Unwrapping without WETH does nothing", async () => {
+      const receipt = await rewarderContract.unwrapWeth({ from: userC });
+      expectEvent.notEmitted(receipt, "UnwrappedWeth");
+      expectEvent.notEmitted(receipt, "ReceivedEth");
+    });
+
+    it("ERC20 functions are not allowed on WETH", async () => {
+      await sendWeth(ether("1"));
+      this.tokenId = (await ownedTokens(userA))[0];
+      for (const promise of [
+        rewarderContract.forceUpdateErc20Records(wethContract.address),
+        rewarderContract.cashoutErc20(wethContract.address, { from: userA }),
+        rewarderContract.nftCashoutErc20(this.tokenId, wethContract.address, {
+          from: userA,
+        }),
+        rewarderContract.creatorCashoutErc20(wethContract.address),
+      ]) {
+        await expectRevertCustomError(LDPRewarder, promise, "NotAllowedOnWETH");
+      }
+      // ERC20 views ignore WETH
+      assert.equal(
+        String(await rewarderContract.nftRevenuesErc20(this.tokenId, wethContract.address)),
+        "0",
+        "WETH revenues reported as ERC20"
+      );
+      assert.equal(
+        String(await rewarderContract.accountRevenuesErc20(userA, wethContract.address)),
+        "0",
+        "WETH account revenues reported as ERC20"
+      );
+      assert.isTrue(
+        await rewarderContract.isErc20RecordsUpToDate(wethContract.address),
+        "WETH records reported as outdated"
+      );
+    });
   });
 
   describe("ERC20 revenues", function () {
@@ -147,5 +494,164 @@ contract("Rewarder contract", async (accounts) => {
         "Initial ERC20 records are not up to date"
       );
     });
+
+    it("Received tokens are processed on records update", async () => {
+      this.amount = ether("1");
+      this.share = nftShareBN(this.amount);
+      await mockTokenA.transfer(rewarderContract.address, this.amount, {
+        from: admin,
+      });
+      assert.isFalse(
+        await rewarderContract.isErc20RecordsUpToDate(mockTokenA.address),
+        "Records up to date before the update"
+      );
+      assert.equal(
+        String(await rewarderContract.nftRevenuesErc20(0, mockTokenA.address)),
+        "0",
+        "Tokens processed before the update"
+      );
+      // Anyone can update the records
+      let receipt = await rewarderContract.forceUpdateErc20Records(
+        mockTokenA.address,
+        { from: userC }
+      );
+      expectEvent(receipt, "ProcessedErc20", {
+        tokenAddress: mockTokenA.address,
+        amount: this.amount,
+      });
+      assert.isTrue(
+        await rewarderContract.isErc20RecordsUpToDate(mockTokenA.address),
+        "Records not up to date after the update"
+      );
+      assert.equal(
+        String(await rewarderContract.nftRevenuesErc20(0, mockTokenA.address)),
+        this.share.toString(),
+        "Wrong ERC20 revenues"
+      );
+      assert.equal(
+        String(
+          await rewarderContract.methods["collectionEarningsLifetime(address)"](
+            mockTokenA.address
+          )
+        ),
+        this.share.muln(10000).toString(),
+        "Wrong lifetime ERC20 earnings"
+      );
+      // Nothing new to process, and the other tokens are not affected
+      receipt = await rewarderContract.forceUpdateErc20Records(mockTokenA.address);
+      expectEvent.notEmitted(receipt, "ProcessedErc20");
+      assert.equal(
+        String(await rewarderContract.nftRevenuesErc20(0, mockTokenB.address)),
+        "0",
+        "Revenues recorded for another token"
+      );
+    });
+
+    it("ERC20 cashout updates the records before paying", async () => {
+      this.share = nftShareBN(ether("1"));
+      await mockTokenA.transfer(rewarderContract.address, ether("1"), {
+        from: admin,
+      });
+      this.owned = (await ownedTokens(userA)).length;
+      const receipt = await rewarderContract.cashoutErc20(mockTokenA.address, {
+        from: userA,
+      });
+      expectEvent(receipt, "ProcessedErc20", { amount: ether("1") });
+      expectEvent(receipt, "CashoutErc20", {
+        account: userA,
+        amount: this.share.muln(this.owned),
+        token: mockTokenA.address,
+      });
+      assert.equal(
+        String(await mockTokenA.balanceOf(userA)),
+        this.share.muln(this.owned).toString(),
+        "Wrong amount paid"
+      );
+      assert.isTrue(
+        await rewarderContract.isErc20RecordsUpToDate(mockTokenA.address),
+        "Records outdated by the cashout"
+      );
+      assert.equal(
+        String(await rewarderContract.accountRevenuesErc20(userA, mockTokenA.address)),
+        "0",
+        "Revenues left after cashout"
+      );
+    });
+
+    it("NFT ERC20 cashout pays the processed revenues of the owner", async () => {
+      this.share = nftShareBN(ether("1"));
+      [this.tokenId] = await ownedTokens(userA);
+      await mockTokenA.transfer(rewarderContract.address, ether("1"), {
+        from: admin,
+      });
+      // Not processed yet: nothing to pay
+      let receipt = await rewarderContract.nftCashoutErc20(
+        this.tokenId,
+        mockTokenA.address,
+        { from: userA }
+      );
+      expectEvent(receipt, "CashoutErc20", { amount: "0" });
+      await rewarderContract.forceUpdateErc20Records(mockTokenA.address);
+      await expectRevertCustomError(
+        LDPRewarder,
+        rewarderContract.nftCashoutErc20(this.tokenId, mockTokenA.address, {
+          from: userB,
+        }),
+        "SenderIsNoTokenOwner",
+        [this.tokenId]
+      );
+      receipt = await rewarderContract.nftCashoutErc20(
+        this.tokenId,
+        mockTokenA.address,
+        { from: userA }
+      );
+      expectEvent(receipt, "CashoutErc20", {
+        account: userA,
+        amount: this.share,
+        token: mockTokenA.address,
+      });
+    });
+
+    it("Creator ERC20 cashout pays the creator share", async () => {
+      this.earnings = creatorShare(nftShareBN(ether("1")));
+      await mockTokenA.transfer(rewarderContract.address, ether("1"), {
+        from: admin,
+      });
+      await rewarderContract.forceUpdateErc20Records(mockTokenA.address);
+      await rewarderContract.creatorCashoutErc20(mockTokenA.address);
+      await rewarderContract.creatorCashoutErc20(mockTokenA.address);
+      assert.equal(
+        String(await mockTokenA.balanceOf(creator)),
+        this.earnings.toString(),
+        "Wrong creator earnings"
+      );
+    });
+
+    it("Unclaimed ERC20 revenues follow the token across transfers", async () => {
+      this.share1 = nftShareBN(ether("1"));
+      this.share2 = nftShareBN(ether("2"));
+      await mockTokenA.transfer(rewarderContract.address, ether("1"), {
+        from: admin,
+      });
+      await rewarderContract.forceUpdateErc20Records(mockTokenA.address);
+      [this.tokenId] = await ownedTokens(userA);
+      this.numOwnedC = (await ownedTokens(userC)).length;
+      await nftContract.transferFrom(userA, userC, this.tokenId, { from: userA });
+      // Received after the transfer, processed by the cashout
+      await mockTokenA.transfer(rewarderContract.address, ether("2"), {
+        from: admin,
+      });
+      await rewarderContract.cashoutErc20(mockTokenA.address, { from: userC });
+      assert.equal(
+        String(await mockTokenA.balanceOf(userC)),
+        this.share1.add(this.share2).muln(this.numOwnedC + 1).toString(),
+        "Wrong amount paid to the new owner"
+      );
+      assert.equal(
+        String(await rewarderContract.nftRevenuesErc20(this.tokenId, mockTokenA.address)),
+        "0",
+        "Revenues left on the transferred token"
+      );
+    });
   });
 });
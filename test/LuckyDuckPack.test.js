@@ -237,7 +237,8 @@ contract("Token contract", async (accounts) => {
       );
     });
 
-    // This test can take up to 8 minutes with maxSupply==10000
+    // This test can take up to 8 minutes with maxSupply==10000 (see also
+    // test/mintOut.test.js, the full mint-out through LDPMinter)
     xit("Cannot mint over the max supply", async () => {
       this.batchSize = 50;
       this.numBatches = maxSupply / this.batchSize;
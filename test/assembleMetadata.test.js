@@ -0,0 +1,103 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { assembleMetadata, normalizeHashes } = require("../scripts/assembleMetadata.js");
+
+const FIXTURES = path.join(__dirname, "fixtures", "assembly");
+const PROVENANCE = "29c8c78a66ee0edd9d8825f9cc02fe8ed0b58f5e0c2bc8a89ae5be08f74ae077";
+
+describe("Metadata assembly", function () {
+  const hashes = fs.readFileSync(path.join(FIXTURES, "hashes.txt"), "utf8");
+  const traits = {
+    Background: { position: 0, overrides: [{ when: { trait: "Case", includes: "Cables" }, value: "Black" }] },
+    Overlay: { position: -1 },
+  };
+
+  // Fresh copy of the fixture database
+  function database() {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, "database.json"), "utf8"));
+  }
+
+  function postprocess(extra = {}) {
+    const table = JSON.parse(fs.readFileSync(path.join(FIXTURES, "postprocess.json"), "utf8"));
+    return { table, traits, ...extra };
+  }
+
+  // "trait_type=value" list of a record
+  function traitsOf(record) {
+    return record.attributes.map((trait) => trait.trait_type + "=" + trait.value);
+  }
+
+  // Message of the error thrown by assembleMetadata
+  function problemsOf(records, hashList, options) {
+    try {
+      assembleMetadata(records, hashList, { provenance: PROVENANCE, ...options });
+    } catch (err) {
+      return err.message;
+    }
+    assert.fail("No error thrown");
+  }
+
+  it("Sorts the output by edition and adds the hashes", async () => {
+    const result = assembleMetadata(database(), hashes, { provenance: PROVENANCE });
+    assert.deepEqual(result.map((record) => record.edition), [0, 1, 2, 3]);
+    assert.deepEqual(Object.keys(result[0]), [
+      "name", "image", "image_file_hash", "collection_provenance_hash", "edition", "token_id", "attributes",
+    ]);
+    assert.equal(result[2].image_file_hash, normalizeHashes(hashes)[2]);
+    assert.equal(result[2].collection_provenance_hash, PROVENANCE);
+    const shuffled = database().reverse();
+    assert.deepEqual(assembleMetadata(shuffled, hashes, { provenance: PROVENANCE }), result, "Output depends on input order");
+  });
+
+  it("Looks post-process values up by token_id and applies the overrides", async () => {
+    const result = assembleMetadata(database(), hashes, { provenance: PROVENANCE, postprocess: postprocess() });
+    assert.deepEqual(result.map(traitsOf), [
+      ["Background=Green", "Body=White", "Case=Wood"],
+      ["Background=Red", "Body=White", "Case=Metal"],
+      // Blue replaced by Black, as the Case includes "Cables"
+      ["Background=Black", "Body=Yellow", "Case=Cables Pro", "Overlay=Rain"],
+      ["Body=Yellow", "Case=Cables", "Overlay=Snow"],
+    ]);
+  });
+
+  it("Looks post-process values up by a configurable key", async () => {
+    const byEdition = {
+      Background: { 0: "Red", 1: "none", 2: "Blue", 3: "Green" },
+      Overlay: { 0: "Rain", 1: "none", 2: "none", 3: "none" },
+    };
+    const result = assembleMetadata(database(), hashes, {
+      provenance: PROVENANCE,
+      postprocess: { table: byEdition, traits, key: "edition" },
+    });
+    assert.deepEqual(traitsOf(result[0]), ["Background=Red", "Body=White", "Case=Wood", "Overlay=Rain"]);
+    assert.deepEqual(traitsOf(result[3]), ["Background=Black", "Body=Yellow", "Case=Cables"]);
+    // The fixture table is indexed by token_id, not by edition
+    const message = problemsOf(database(), hashes, { postprocess: postprocess({ key: "edition" }) });
+    assert.include(message, "Found 8 problem(s)");
+    assert.include(message, "token 0: missing post-process value for 'Background'");
+    const noKey = database().map(({ token_id, ...record }) => record);
+    assert.include(problemsOf(noKey, hashes, { postprocess: postprocess() }), "token 2: missing post-process key 'token_id'");
+  });
+
+  it("Reports missing, duplicate and invalid records", async () => {
+    const records = database();
+    records.push({ ...records[0], token_id: 20 });
+    records.push({ ...records[1], edition: 4 });
+    records.push({ ...records[1], edition: 5 });
+    const hashList = normalizeHashes(hashes);
+    hashList[5] = "not a hash";
+    const message = problemsOf(records, hashList, {});
+    assert.include(message, "Found 3 problem(s)");
+    assert.include(message, "token 2: duplicate edition");
+    assert.include(message, "token 4: missing image hash");
+    assert.include(message, "token 5: invalid image hash 'not a hash'");
+
+    const missing = postprocess();
+    delete missing.table.Overlay[11];
+    assert.equal(
+      problemsOf(database(), hashes, { postprocess: missing }),
+      "Found 1 problem(s):\n  token 3: missing post-process value for 'Overlay'"
+    );
+  });
+});
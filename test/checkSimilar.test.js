@@ -0,0 +1,86 @@
+const { assert } = require("chai");
+const {
+  compileRules,
+  isSimilar,
+  findSimilar,
+} = require("../scripts/checkSimilar.js");
+
+const collection = require("./fixtures/similarity/collection.json");
+const unique = require("./fixtures/similarity/unique.json");
+const rules = require("./fixtures/similarity/rules.json");
+
+describe("Similar tokens detection", function () {
+  function clusterTokens(database, config) {
+    return findSimilar(database, config).map((cluster) => cluster.tokens);
+  }
+
+  it("Exact duplicates are grouped together", async () => {
+    assert.deepInclude(
+      clusterTokens(collection, {}),
+      [6, 7],
+      "Identical tokens not detected"
+    );
+  });
+
+  it("Equivalent values are considered equal", async () => {
+    const clusters = clusterTokens(collection, rules);
+    assert.deepInclude(clusters, [0, 1], "Equivalent backgrounds not detected");
+    assert.notDeepInclude(
+      clusters,
+      [0, 1, 2],
+      "Values outside the group must not match"
+    );
+  });
+
+  it("Ignored traits are not compared", async () => {
+    const clusters = clusterTokens(collection, { ignoredTraits: ["Overlay"] });
+    assert.deepInclude(clusters, [3, 4, 5], "Ignored trait still compared");
+  });
+
+  it("A missing trait is a difference", async () => {
+    const clusters = clusterTokens(collection, rules);
+    for (const cluster of clusters) {
+      assert.isFalse(
+        cluster.includes(5) && (cluster.includes(3) || cluster.includes(4)),
+        "Token without Overlay matched a token with Overlay"
+      );
+    }
+    assert.isFalse(
+      isSimilar(
+        collection[5].attributes,
+        collection[3].attributes,
+        compileRules(rules)
+      ),
+      "Extra trait of the second token was ignored"
+    );
+  });
+
+  it("Different values of the same trait are a difference", async () => {
+    assert.isFalse(
+      isSimilar(
+        collection[5].attributes,
+        collection[6].attributes,
+        compileRules(rules)
+      ),
+      "Tokens with different Body matched"
+    );
+  });
+
+  it("No clusters are reported for a collection of unique tokens", async () => {
+    assert.deepEqual(findSimilar(unique, rules), []);
+  });
+
+  it("Malformed configs are rejected", async () => {
+    assert.throws(
+      () =>
+        compileRules({
+          equivalentValues: { Background: [["Red"], ["Red", "Black"]] },
+        }),
+      /more than one group/
+    );
+    assert.throws(
+      () => compileRules({ ignoredTraits: "Background" }),
+      /must be an array/
+    );
+  });
+});
@@ -0,0 +1,43 @@
+// Small helpers shared by the test files: raw chain calls, seeded random
+// numbers and the expected rewarder shares
+
+const { holderRevenues } = require("../../scripts/rewarderModel.js");
+
+/**
+ * Send a raw JSON-RPC request to the test chain (evm_mine, evm_snapshot...).
+ * @returns Promise of the result
+ */
+function rpc(method, params = []) {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send(
+            { jsonrpc: "2.0", method, params, id: Date.now() },
+            (err, res) => (err ? reject(err) : resolve(res.result))
+        );
+    });
+}
+
+/**
+ * Small seeded PRNG (mulberry32), returning floats in [0, 1), so that
+ * failures can be reproduced.
+ */
+function prng(seed) {
+    return function () {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Revenues accrued by each NFT when the rewarder receives `amount` (BigInt).
+ */
+function nftShare(amount) {
+    return holderRevenues(amount) / 10000n;
+}
+
+module.exports = {
+    rpc,
+    prng,
+    nftShare
+};
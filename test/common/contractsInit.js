@@ -6,6 +6,8 @@ const Link = artifacts.require("LinkToken");
 const WETH = artifacts.require("WETHMock");
 const ERC20TokenA = artifacts.require("CustomERC20A");
 const ERC20TokenB = artifacts.require("CustomERC20A");
+const LDPSupplyMock = artifacts.require("LDPSupplyMock");
+const LDPLuckyDraw = artifacts.require("LDPLuckyDrawTest");
 
 async function initMainContracts(maxSupply, creatorAddress, payoutAddress, VRFContractAddress, linkContractAddress) {
     // WETH
@@ -20,7 +22,8 @@ async function initMainContracts(maxSupply, creatorAddress, payoutAddress, VRFCo
     return [
         nftContract,
         minterContract,
-        rewarderContract
+        rewarderContract,
+        weth
     ];
 }
 
@@ -53,8 +56,11 @@ module.exports = {
     LDPRewarder,
     VRFCoordinator,
     Link,
+    WETH,
     ERC20TokenA,
     ERC20TokenB,
+    LDPSupplyMock,
+    LDPLuckyDraw,
     initMainContracts,
     initChainlinkMocks,
     initMockTokens
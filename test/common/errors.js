@@ -0,0 +1,59 @@
+// Assertions on the errors raised by the contracts, decoded with the
+// registry of every compiled artifact (scripts/lib/errors.js)
+
+const { assert } = require("chai");
+const { errorRegistry } = require("../../scripts/lib/errors.js");
+
+function contractName(contract) {
+    if (contract === undefined || typeof contract == "string") return contract;
+    // Truffle contract instance or abstraction
+    return contract.contractName || contract.constructor.contractName;
+}
+
+// Compare numbers (BN, BigInt, number), booleans and strings alike
+function normalize(value) {
+    return String(value).toLowerCase();
+}
+
+/**
+ * Decode the revert of a failed call.
+ * @param contract Contract (Truffle instance or name) which reverted
+ * @returns {{contract, error, args, message}|null}
+ */
+function decodeRevert(err, contract) {
+    return errorRegistry().decodeError(err, { contract: contractName(contract) });
+}
+
+/**
+ * Assert that `promise` reverts with the custom error `errorName` declared
+ * by `contract` (Truffle instance or name), with the arguments `args`
+ * (array in declaration order, or object by name) if given.
+ * @returns The decoded error
+ */
+async function expectCustomError(promise, contract, errorName, args) {
+    let name = contractName(contract);
+    try {
+        await promise;
+    } catch (err) {
+        let decoded = decodeRevert(err, name);
+        assert.isNotNull(decoded, "Unknown revert: " + err.message);
+        assert.equal(decoded.error, errorName, "Wrong error (" + decoded.message + ")");
+        assert.equal(decoded.contract, name, errorName + " not declared by " + name);
+        if (args !== undefined) {
+            let expected = Array.isArray(args) ? args : Object.values(args);
+            let names = Array.isArray(args) ? Object.keys(decoded.args) : Object.keys(args);
+            assert.deepEqual(
+                names.map((key) => normalize(decoded.args[key])),
+                expected.map(normalize),
+                "Wrong arguments of " + errorName + " (" + decoded.message + ")"
+            );
+        }
+        return decoded;
+    }
+    assert.fail("Expected " + errorName + " to be raised");
+}
+
+module.exports = {
+    decodeRevert,
+    expectCustomError
+};
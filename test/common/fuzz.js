@@ -0,0 +1,122 @@
+// Engine of the invariant tests: seeded action sequences, replay of a
+// subset of a sequence and shrinking of the failing ones.
+//
+// A sequence is fully determined by its seed and its length; the actions
+// only hold random draws, resolved against the chain state when executed,
+// so that any subset of a sequence can be replayed. A failing sequence is
+// shrunk to the smallest subset of steps still breaking the same invariant,
+// reproduced with:
+//   FUZZ_SEED=<seed> FUZZ_STEPS=<steps> FUZZ_REPLAY=<i,j,...> truffle test <file>
+
+const { prng } = require("./chain.js");
+
+/**
+ * Raised by invariant checks.
+ */
+class InvariantError extends Error {
+    constructor(invariant, message) {
+        super(invariant + ": " + message);
+        this.name = "InvariantError";
+        this.invariant = invariant;
+    }
+}
+
+/**
+ * Pick an item of `weighted`, an array of [weight, item].
+ */
+function pickWeighted(random, weighted) {
+    let total = weighted.reduce((sum, [weight]) => sum + weight, 0);
+    let target = random() * total;
+    for (let [weight, item] of weighted) {
+        if (target < weight) return item;
+        target -= weight;
+    }
+    return weighted[weighted.length - 1][1];
+}
+
+/**
+ * Generate the actions of a sequence.
+ * @param generateAction Function (random) => action
+ */
+function generateSequence(seed, steps, generateAction) {
+    let random = prng(seed);
+    let actions = [];
+    for (let i = 0; i < steps; ++i) actions.push(generateAction(random));
+    return actions;
+}
+
+/**
+ * Shrink a failing list of step indices (delta debugging): remove chunks of
+ * steps, halving the chunk size down to single steps, as long as the
+ * sequence still fails.
+ * @param stillFails Async function (indices) => true if still failing
+ * @param options.maxRuns Maximum number of replays (default 200)
+ * @returns {indices, runs}
+ */
+async function shrink(indices, stillFails, options = {}) {
+    let maxRuns = options.maxRuns || 200;
+    let current = indices.slice();
+    let runs = 0;
+    let size = Math.max(1, Math.floor(current.length / 2));
+    while (runs < maxRuns) {
+        let removed = false;
+        for (let start = 0; start < current.length && runs < maxRuns; ) {
+            let candidate = current.slice(0, start).concat(current.slice(start + size));
+            ++runs;
+            if (candidate.length > 0 && (await stillFails(candidate))) {
+                current = candidate;
+                removed = true;
+            } else {
+                start += size;
+            }
+        }
+        if (!removed) {
+            if (size == 1) break;
+            size = Math.floor(size / 2);
+        }
+    }
+    return { indices: current, runs };
+}
+
+/**
+ * Settings of the fuzzing runs, from the environment:
+ * FUZZ_SEED (a number, or "random"; default: 1 to FUZZ_RUNS), FUZZ_RUNS,
+ * FUZZ_STEPS and FUZZ_REPLAY (comma-separated step indices).
+ */
+function fuzzSettings(defaults = {}) {
+    let env = process.env;
+    let runs = Number(env.FUZZ_RUNS || defaults.runs || 1);
+    let steps = Number(env.FUZZ_STEPS || defaults.steps || 20);
+    let seeds;
+    if (env.FUZZ_SEED == "random") {
+        seeds = Array.from({ length: runs }, () => Math.floor(Math.random() * 2 ** 31));
+    } else if (env.FUZZ_SEED) {
+        seeds = [Number(env.FUZZ_SEED)];
+    } else {
+        seeds = Array.from({ length: runs }, (_, i) => i + 1);
+    }
+    for (let seed of seeds) {
+        if (!Number.isInteger(seed)) throw new Error("FUZZ_SEED must be an integer or 'random'");
+    }
+    let replay = env.FUZZ_REPLAY ? env.FUZZ_REPLAY.split(",").map(Number) : undefined;
+    if (replay && replay.some((index) => !Number.isInteger(index) || index < 0 || index >= steps)) {
+        throw new Error("FUZZ_REPLAY must list step indices lower than FUZZ_STEPS");
+    }
+    return { seeds, steps, replay, maxShrinkRuns: Number(env.FUZZ_SHRINK_RUNS || defaults.maxShrinkRuns || 200) };
+}
+
+/**
+ * Environment reproducing a (shrunk) failing sequence.
+ */
+function reproduction(seed, steps, indices) {
+    return "FUZZ_SEED=" + seed + " FUZZ_STEPS=" + steps + " FUZZ_REPLAY=" + indices.join(",");
+}
+
+module.exports = {
+    InvariantError,
+    pickWeighted,
+    generateSequence,
+    shrink,
+    fuzzSettings,
+    reproduction
+};
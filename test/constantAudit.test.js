@@ -0,0 +1,56 @@
+const { assert } = require("chai");
+const { loadArtifact, getConstant } = require("../scripts/lib/artifacts.js");
+const { auditConstants, DEPLOYMENT } = require("../scripts/lib/constantAudit.js");
+
+contract("Constant audit", async () => {
+  it("Evaluates constant expressions", async () => {
+    const nft = loadArtifact("LuckyDuckPack");
+    assert.equal(getConstant(nft, "MAX_SUPPLY"), "10000", "Wrong literal");
+    assert.equal(getConstant(nft, "fee"), "2000000000000000000", "Wrong 2 * 10**18");
+    assert.equal(
+      getConstant(nft, "keyHash"),
+      "0xAA77729D3466CA35AE8D28B3BBAC7CC36A5031EFDC430821C02BC31A238AF445",
+      "Hex literal not kept as written"
+    );
+    const luckyDraw = loadArtifact("LDPLuckyDraw");
+    assert.equal(getConstant(luckyDraw, "_CHAINLINKFEE"), "100000000000000", "Wrong 0.0001 ether");
+    const minter = loadArtifact("LDPMinter");
+    assert.equal(getConstant(minter, "_AUCTION1_START_DELAY"), "172800", "Wrong 2 days");
+    assert.equal(getConstant(minter, "_SALE_PRICE1"), "250000000000000000", "Wrong 0.25 ether");
+  });
+
+  it("Flags a contract carrying another network's constants", async () => {
+    const report = auditConstants(["LuckyDuckPack", "LDPRewarder", "LDPLuckyDraw"], "mainnet", { chainId: 1 });
+    assert.isFalse(report.ok, "Audit should fail");
+    const failed = report.results.filter((result) => !result.ok);
+    assert.deepEqual(
+      failed.map((result) => result.contract),
+      ["LDPLuckyDraw", "LDPLuckyDraw", "LDPLuckyDraw", "LDPLuckyDraw"],
+      "Only the LuckyDraw constants should fail"
+    );
+    for (const result of failed) {
+      assert.deepEqual(result.matches, ["polygon"], "Polygon value not recognized: " + result.value);
+    }
+    const polygon = auditConstants(["LDPLuckyDraw"], "polygon-fork", { chainId: 137 });
+    assert.isTrue(polygon.ok, "LuckyDraw should pass on Polygon");
+  });
+
+  it("Checks each variant against its network", async () => {
+    const testnet = ["LuckyDuckPack_TESTNET", "LDPRewarder_TESTNET", "LDPLuckyDraw_TESTNET"];
+    assert.isTrue(auditConstants(testnet, "goerli", { chainId: 5 }).ok, "Testnet contracts should pass on Goerli");
+    assert.isFalse(auditConstants(testnet, "mainnet").ok, "Testnet contracts should fail on mainnet");
+
+    const local = auditConstants(["LuckyDuckPackTest", "LDPRewarderTest", "LDPLuckyDrawTest"], "local");
+    assert.isTrue(local.ok, "Test doubles should pass locally");
+    const link = local.results.find((result) => result.contract == "LuckyDuckPackTest" && result.value == "LINK token");
+    assert.equal(link.actual, DEPLOYMENT, "The LINK address is a constructor argument");
+    assert.isFalse(auditConstants(["LuckyDuckPack"], "local").ok, "Production contracts should fail locally");
+  });
+
+  it("Checks the chain ID and the network name", async () => {
+    const report = auditConstants(["LDPRewarder"], "mainnet", { chainId: 5 });
+    assert.isFalse(report.ok, "Chain ID mismatch not detected");
+    assert.deepEqual(report.results[0].matches, ["goerli"], "Wrong chain recognized");
+    assert.throws(() => auditConstants(["LDPRewarder"], "development"), /No network profile/);
+  });
+});
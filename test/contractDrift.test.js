@@ -0,0 +1,148 @@
+const { assert } = require("chai");
+const {
+  tokenize,
+  parseSource,
+  compareSources,
+  compareInterfaces,
+  checkDrift,
+} = require("../scripts/contractDrift.js");
+const config = require("../scripts/config/contractDrift.json");
+
+contract("Contract drift checker", async () => {
+  const reference = `
+    // SPDX-License-Identifier: MIT
+    pragma solidity 0.8.23;
+    import "./lib/A.sol";
+    contract Foo is A {
+      address constant LINK = 0x514910771AF9Ca656af840dff83E8264EcF986CA;
+      uint256 public fee = 2 ether;
+      /* Doc comment */
+      function bar(uint256 x, string memory s) external pure returns (uint256) {
+        return x + 1;
+      }
+      function baz() external onlyOwner { emit Baz(); }
+      event Baz();
+    }`;
+  const pair = {
+    reference: { file: "contracts/Foo.sol", contract: "Foo" },
+    variant: { file: "contracts/testnet/Foo.sol", contract: "Foo_TESTNET" },
+    ignoredSnippets: ["onlyOwner"],
+    allowedLiterals: [
+      ["0x514910771AF9Ca656af840dff83E8264EcF986CA", "0x326C977E6efc84E512bB9C30f76E30c160eD06FB"],
+    ],
+    allowedMembers: ["variable fee"],
+  };
+
+  it("Tokenizes without comments and parses the members", async () => {
+    const texts = tokenize('a == b; // c\n/* d */ s = "x // y";').map((token) => token.text);
+    assert.deepEqual(texts, ["a", "==", "b", ";", "s", "=", '"x // y"', ";"], "Wrong tokens");
+    const parsed = parseSource(reference, require("path").resolve(__dirname, "../contracts/Foo.sol"));
+    assert.deepEqual(parsed.imports, ["contracts/lib/A.sol"], "Import not resolved");
+    assert.deepEqual(
+      Object.keys(parsed.contracts.Foo.members),
+      ["variable LINK", "variable fee", "function bar(uint256,string)", "function baz()", "event Baz"],
+      "Wrong members"
+    );
+  });
+
+  it("Ignores formatting, order and allowed differences", async () => {
+    const variant = `
+      pragma solidity 0.8.23;
+      import "../lib/A.sol";
+      contract Foo_TESTNET is A {
+        event Baz();
+        function baz() external { emit Baz(); }
+        uint256 public fee = 0.01 ether;
+        address constant LINK = 0x326C977E6efc84E512bB9C30f76E30c160eD06FB;
+        function bar(uint256 value, string calldata s)
+          external pure returns (uint256)
+        {
+          return value + 1;
+        }
+      }`;
+    const findings = compareSources(pair, { reference, variant });
+    // Renaming a parameter is a difference of the body
+    assert.equal(findings.length, 1, "Unexpected findings: " + JSON.stringify(findings));
+    assert.equal(findings[0].member, "function bar(uint256,string)", "Wrong member");
+    assert.equal(findings[0].type, "different", "Wrong finding type");
+    assert.equal(findings[0].variantLine, 9, "Wrong line");
+  });
+
+  it("Reports missing members and header differences", async () => {
+    const variant = `
+      pragma solidity 0.8.23;
+      import "../lib/A.sol";
+      import "../lib/B.sol";
+      contract Foo_TESTNET is A, B {
+        address constant LINK = 0x0000000000000000000000000000000000000001;
+        function bar(uint256 x, string memory s) external pure returns (uint256) {
+          return x + 1;
+        }
+        function extra() external {}
+      }`;
+    const findings = compareSources(pair, { reference, variant });
+    const byMember = Object.fromEntries(findings.map((finding) => [finding.member, finding.type]));
+    assert.deepEqual(
+      byMember,
+      {
+        imports: "different",
+        inheritance: "different",
+        "variable LINK": "different",
+        "function baz()": "only-in-reference",
+        "event Baz": "only-in-reference",
+        "function extra()": "only-in-variant",
+      },
+      "Wrong findings"
+    );
+  });
+
+  it("Compares the mock interfaces", async () => {
+    const fn = (name, inputs, stateMutability = "view") => ({
+      type: "function",
+      name,
+      inputs: inputs.map((type) => ({ type })),
+      outputs: [],
+      stateMutability,
+    });
+    const abis = {
+      reference: [fn("a", ["uint256"]), fn("b", []), fn("c", [])],
+      variant: [fn("a", ["uint256"]), fn("b", [], "nonpayable"), fn("TEST_set", []), fn("d", [])],
+    };
+    const findings = compareInterfaces({ mockOnly: "^TEST_" }, abis);
+    assert.deepEqual(
+      findings.map((finding) => finding.type + " " + finding.member),
+      ["different function b", "only-in-variant function d"],
+      "Wrong findings"
+    );
+    const complete = compareInterfaces({ mockOnly: "^TEST_", requireComplete: true }, abis);
+    assert.include(
+      complete.map((finding) => finding.type + " " + finding.member),
+      "only-in-reference function c",
+      "Missing function not reported"
+    );
+  });
+
+  it("Checks the repository contracts", async () => {
+    const results = checkDrift(config);
+    assert.equal(results.length, config.pairs.length, "Not every pair checked");
+    const drifted = results.filter((result) => result.findings.length > 0);
+    assert.deepEqual(drifted, [], "Unexpected drift: " + JSON.stringify(drifted, null, 2));
+  });
+
+  it("Only ignores the mint-out check of the testnet reveal", async () => {
+    // The testnet contract can be revealed before the end of the mint
+    const mintOutCheck = 'require(totalSupply == MAX_SUPPLY, "Minting still in progress");';
+    const testnet = config.pairs.find((pair) => pair.name == "LuckyDuckPack / testnet");
+    assert.include(testnet.ignoredSnippets, mintOutCheck, "Mint-out check not ignored");
+    const strict = {
+      ...testnet,
+      ignoredSnippets: testnet.ignoredSnippets.filter((snippet) => snippet != mintOutCheck),
+    };
+    const [result] = checkDrift({ pairs: [strict] });
+    assert.deepEqual(
+      result.findings.map((finding) => finding.type + " " + finding.member),
+      ["different function reveal()"],
+      "Other differences suppressed"
+    );
+  });
+});
@@ -0,0 +1,90 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseContractName,
+  loadRegistry,
+  listNetworks,
+  getDeployment,
+  getAddress,
+  recordDeployment,
+} = require("../scripts/lib/deployments.js");
+const { LDPSupplyMock } = require("./common/contractsInit.js");
+
+contract("Deployment registry", async (accounts) => {
+  var dir;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ldp-deployments-"));
+  });
+
+  afterEach(async function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Parses the contract variants", async () => {
+    assert.deepEqual(parseContractName("LuckyDuckPack"), {
+      name: "LuckyDuckPack",
+      variant: "mainnet",
+    });
+    assert.deepEqual(parseContractName("LDPMinter_TESTNET"), {
+      name: "LDPMinter",
+      variant: "testnet",
+    });
+    assert.deepEqual(parseContractName("LDPRewarderTest"), {
+      name: "LDPRewarder",
+      variant: "test",
+    });
+  });
+
+  it("Records a deployment and finds it back", async () => {
+    assert.deepEqual(listNetworks(dir), [], "Registry not empty");
+    assert.deepEqual(loadRegistry("local", dir).contracts, {}, "Contracts found");
+    const mock = await LDPSupplyMock.new();
+    const receipt = await web3.eth.getTransactionReceipt(mock.transactionHash);
+    const entry = recordDeployment(
+      {
+        network: "local",
+        chainId: await web3.eth.getChainId(),
+        artifact: LDPSupplyMock,
+        address: mock.address,
+        transactionHash: mock.transactionHash,
+        blockNumber: receipt.blockNumber,
+        constructorArguments: [],
+        gitCommit: "0123456789abcdef",
+      },
+      dir
+    );
+    assert.equal(entry.variant, "mainnet", "Wrong variant");
+    assert.equal(entry.compiler.version.split("+")[0], "0.8.23", "Wrong compiler");
+    assert.deepEqual(
+      entry.compiler.optimizer,
+      { enabled: true, runs: 50000 },
+      "Wrong optimizer settings"
+    );
+    assert.deepEqual(listNetworks(dir), ["local"], "Network not listed");
+    assert.equal(getAddress("local", "LDPSupplyMock", dir), mock.address, "Wrong address");
+    const stored = getDeployment("local", "LDPSupplyMock", dir);
+    assert.equal(stored.blockNumber, receipt.blockNumber, "Wrong block");
+    assert.equal(stored.gitCommit, "0123456789abcdef", "Wrong commit");
+    assert.throws(() => getAddress("local", "LDPMinter", dir), "not deployed");
+    assert.throws(() => getAddress("goerli", "LDPSupplyMock", dir), "not deployed");
+  });
+
+  it("Refuses to mix chains in a registry", async () => {
+    const deployment = {
+      network: "local",
+      chainId: 1337,
+      artifact: LDPSupplyMock,
+      address: accounts[1],
+      gitCommit: null,
+    };
+    recordDeployment(deployment, dir);
+    assert.throws(
+      () => recordDeployment({ ...deployment, chainId: 5 }, dir),
+      "belongs to chain 1337"
+    );
+    assert.throws(() => loadRegistry("../outside", dir), "Invalid network name");
+  });
+});
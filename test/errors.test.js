@@ -0,0 +1,160 @@
+const { assert } = require("chai");
+const { ether } = require("@openzeppelin/test-helpers");
+const { loadErrorRegistry, describeError } = require("../scripts/lib/errors.js");
+const { listErrors } = require("../scripts/decodeError.js");
+const { decodeRevert, expectCustomError } = require("./common/errors.js");
+const {
+  LuckyDuckPack,
+  initMainContracts,
+  initChainlinkMocks,
+} = require("./common/contractsInit.js");
+
+contract("Error decoder", async (accounts) => {
+  const maxSupply = 55;
+  const registry = loadErrorRegistry();
+  var admin, creator, payout, userA;
+  var VRFContract, linkContract;
+
+  // Revert data of `error` with the given arguments
+  function encodeError(name, inputs, values) {
+    return web3.eth.abi.encodeFunctionCall({ type: "function", name, inputs }, values);
+  }
+
+  function zeroValue(type) {
+    if (type == "bool") return false;
+    if (type == "address") return "0x0000000000000000000000000000000000000000";
+    if (type == "string") return "";
+    if (/^bytes\d+$/.test(type)) return "0x" + "00".repeat(Number(type.slice(5)));
+    return "0";
+  }
+
+  before(async function () {
+    // Address aliases
+    admin = accounts[0];
+    creator = accounts[8];
+    payout = accounts[9];
+    userA = accounts[1];
+    [VRFContract, linkContract] = await initChainlinkMocks(admin);
+  });
+
+  it("Indexes the errors of every artifact, deployed contracts first", async () => {
+    assert.deepEqual(
+      registry.contractsDeclaring("EmptyInput(uint256)").slice(0, 1),
+      ["LuckyDuckPack"],
+      "Variants listed first"
+    );
+    assert.include(registry.contractsDeclaring("EmptyInput(uint256)"), "LuckyDuckPackTest");
+    assert.deepEqual(registry.contractsDeclaring("CallerIsNotDeployer()"), ["WethUnwrapper"]);
+    const lines = listErrors(registry);
+    assert.isTrue(lines.some((line) => line.startsWith("0x08c379a0  Error(string)")), "Built-in errors missing");
+  });
+
+  it("Every error has a readable message", async () => {
+    for (const [selector, entry] of registry.errors) {
+      const { name, inputs } = entry.fragment;
+      const decoded = registry.decode(encodeError(name, inputs, inputs.map((input) => zeroValue(input.type))));
+      assert.equal(decoded.error, name, "Wrong decoding of " + selector);
+      assert.notMatch(decoded.message, new RegExp("^" + name + "\\("), "No message for " + entry.signature);
+    }
+  });
+
+  it("Describes which initialize() argument is empty", async () => {
+    const data = encodeError("EmptyInput", [{ type: "uint256", name: "index" }], ["3"]);
+    const mainnet = registry.decode(data, { contract: "LuckyDuckPack" });
+    assert.equal(mainnet.contract, "LuckyDuckPack");
+    assert.deepEqual(mainnet.args, { index: 3n });
+    assert.include(mainnet.message, "baseURI_IPFS", "Wrong argument");
+    // The test contract takes the contract URI as third argument
+    const test = registry.decode(data, { contract: "LuckyDuckPackTest" });
+    assert.equal(test.contract, "LuckyDuckPackTest");
+    assert.include(test.message, "unrevealed_URI", "Wrong argument");
+    // Without the contract, both readings are reported
+    const unknown = registry.decode(data);
+    assert.isUndefined(unknown.contract, "Ambiguous error attributed");
+    assert.deepEqual(
+      unknown.candidates.map((candidate) => candidate.contracts[0]),
+      ["LuckyDuckPack", "LuckyDuckPackTest"]
+    );
+    assert.equal(unknown.message, unknown.candidates.map((c) => c.contracts.join(", ") + ": " + c.message).join("; "));
+    assert.include(describeError({ data: data }), "#3 baseURI_IPFS");
+    assert.include(describeError({ data: data }), "#3 unrevealed_URI");
+    // Contracts not declaring the error are ignored
+    assert.isUndefined(registry.decode(data, { contract: "LDPMinter" }).contract);
+    // Errors described alike by all declarers keep the first one
+    const maxSupplyData = encodeError("MaxSupplyExceeded", [{ type: "uint256", name: "excess" }], ["5"]);
+    assert.equal(registry.decode(maxSupplyData).contract, "LuckyDuckPack");
+
+    const nftContract = await LuckyDuckPack.new(VRFContract.address, linkContract.address, maxSupply);
+    const decoded = await expectCustomError(
+      nftContract.initialize(admin, admin, "", "uri", "uri", "uri", { from: admin }),
+      nftContract,
+      "EmptyInput",
+      [2]
+    );
+    assert.include(decoded.message, "contract_URI", "Wrong argument");
+  });
+
+  it("Decodes require messages and panics", async () => {
+    const nftContract = await LuckyDuckPack.new(VRFContract.address, linkContract.address, maxSupply);
+    try {
+      await nftContract.initialize(admin, admin, "uri", "uri", "uri", "uri", { from: admin });
+      assert.fail("Initialized without LINK");
+    } catch (err) {
+      const decoded = decodeRevert(err, nftContract);
+      assert.deepInclude(decoded, { contract: "LuckyDuckPackTest", error: "Error" });
+      assert.equal(decoded.message, "Not enough LINK for reveal");
+      assert.equal(describeError(err, { contract: "LuckyDuckPackTest" }), "LuckyDuckPackTest reverted: Not enough LINK for reveal");
+    }
+    const panic = registry.decode(encodeError("Panic", [{ type: "uint256", name: "code" }], ["17"]));
+    assert.equal(panic.message, "Panic 0x11 (arithmetic overflow or underflow)");
+    assert.isNull(registry.decode("0x12345678"), "Unknown selector decoded");
+    assert.isNull(registry.decode("0x"), "Empty data decoded");
+  });
+
+  it("Decodes the errors of the minting flow", async () => {
+    const [nftContract, minterContract, rewarderContract] = await initMainContracts(
+      maxSupply,
+      creator,
+      payout,
+      VRFContract.address,
+      linkContract.address
+    );
+    await linkContract.transfer(nftContract.address, ether("2"), { from: admin });
+    await nftContract.initialize(minterContract.address, rewarderContract.address, "uri", "uri", "uri", "uri", {
+      from: admin,
+    });
+    await expectCustomError(minterContract.mint(1, { from: userA }), minterContract, "MintingNotStarted", []);
+    await minterContract.startMinting({ from: admin });
+    const price = await minterContract.currentPrice();
+    const decoded = await expectCustomError(
+      minterContract.mint(2, { from: userA, value: price }),
+      minterContract,
+      "Underpaid",
+      { paid: price, required: price.muln(2) }
+    );
+    assert.equal(decoded.message, "Paid " + price + " wei, " + price.muln(2) + " wei required");
+    // Raised by the NFT contract through the minter
+    await expectCustomError(
+      minterContract.mint(10, { from: userA, value: price.muln(10) }),
+      nftContract,
+      "MaxSupplyExceeded",
+      [5]
+    );
+    const payment = registry.decode(
+      encodeError(
+        "PaymentError",
+        [
+          { type: "bool", name: "successA" },
+          { type: "bool", name: "successB" },
+        ],
+        [false, true]
+      )
+    );
+    assert.equal(payment.message, "Payment failed (creator: failed, rewarder: paid)");
+  });
+
+  it("Leaves other errors unchanged", async () => {
+    assert.equal(describeError(new Error("Missing network")), "Missing network");
+    assert.isNull(decodeRevert(new Error("Missing network")), "Decoded an error without revert data");
+  });
+});
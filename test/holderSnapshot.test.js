@@ -0,0 +1,142 @@
+const { assert } = require("chai");
+const { ether } = require("@openzeppelin/test-helpers");
+const {
+  readOwnersByCalls,
+  readOwnersByEvents,
+  tokenWeight,
+  buildHolderSnapshot,
+  participantsList,
+  snapshotToCsv,
+  findContracts,
+} = require("../scripts/holderSnapshot.js");
+const { buildSnapshot } = require("../scripts/luckyDraw.js");
+const { ABIS } = require("../sdk/index.js");
+const { initMainContracts, initChainlinkMocks } = require("./common/contractsInit.js");
+
+contract("Holder snapshot", async (accounts) => {
+  const maxSupply = 60;
+  const salePrice1 = ether("0.25");
+  var admin, creator, payout, userA, userB, userC, userD;
+  var nftContract, minterContract, nft;
+  var deployBlock, snapshotBlock, owners;
+
+  // Holder addresses sorted like the snapshot
+  function sorted(addresses) {
+    return addresses.slice().sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+  }
+
+  before(async function () {
+    // Address aliases
+    admin = accounts[0];
+    creator = accounts[8];
+    payout = accounts[9];
+    userA = accounts[1];
+    userB = accounts[2];
+    userC = accounts[3];
+    userD = accounts[4];
+    deployBlock = await web3.eth.getBlockNumber();
+    const [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    [nftContract, minterContract] = await initMainContracts(
+      maxSupply,
+      creator,
+      payout,
+      VRFContract.address,
+      linkContract.address
+    );
+    await linkContract.transfer(nftContract.address, ether("2"), { from: admin });
+    await nftContract.initialize(minterContract.address, accounts[7], "uri", "uri", "uri", "uri", { from: admin });
+    await minterContract.startMinting({ from: admin }); // Tokens 0-49
+    await minterContract.mint(3, { from: userA, value: salePrice1.muln(3) }); // Tokens 50-52
+    await minterContract.mint(2, { from: userB, value: salePrice1.muln(2) }); // Tokens 53-54
+    await nftContract.transferFrom(userA, userC, 50, { from: userA });
+    snapshotBlock = await web3.eth.getBlockNumber();
+    // After the snapshot block
+    await nftContract.transferFrom(userC, userD, 50, { from: userC });
+    nft = new web3.eth.Contract(ABIS.LuckyDuckPack, nftContract.address);
+  });
+
+  it("Reads the same owners from calls and from events", async () => {
+    owners = await readOwnersByCalls(nft, snapshotBlock, { batchSize: 7 });
+    assert.equal(owners.size, 55, "Wrong number of tokens");
+    assert.equal(owners.get(50), userC, "Owner not read at the snapshot block");
+    assert.equal(owners.get(0), admin, "Wrong owner");
+    const fromEvents = await readOwnersByEvents(nft, snapshotBlock, { fromBlock: deployBlock, blockRange: 3 });
+    const entries = (map) => Array.from(map.entries()).sort((a, b) => a[0] - b[0]);
+    assert.deepEqual(entries(fromEvents), entries(owners), "Calls and events differ");
+  });
+
+  it("Builds a deterministic snapshot weighted by token count", async () => {
+    const snapshot = buildHolderSnapshot(owners, { exclude: { [admin.toLowerCase()]: "minter owner" } });
+    assert.deepEqual(
+      snapshot.holders.map((holder) => holder.address),
+      sorted([userA, userB, userC]),
+      "Wrong holders"
+    );
+    const holderA = snapshot.holders.find((holder) => holder.address == userA);
+    assert.deepEqual(holderA, { address: userA, tokens: 2, weight: 2, tokenIds: [51, 52] });
+    assert.deepEqual(snapshot.excluded, [{ address: admin, reason: "minter owner", tokens: 50 }]);
+    assert.equal(snapshot.totalWeight, 5, "Wrong total weight");
+    assert.equal(snapshot.totalTokens, 55, "Wrong total tokens");
+
+    // Same output whatever the order of the owners
+    const reversed = new Map(Array.from(owners.entries()).reverse());
+    const again = buildHolderSnapshot(reversed, { exclude: { [admin]: "minter owner" } });
+    assert.equal(JSON.stringify(again), JSON.stringify(snapshot), "Snapshot not deterministic");
+    const csv = snapshotToCsv(snapshot).split("\n");
+    assert.equal(csv[0], "address,tokens,weight,token_ids");
+    assert.include(csv, userA + ",2,2,51 52", "Wrong CSV row");
+  });
+
+  it("Filters holders and weights them per holder", async () => {
+    const snapshot = buildHolderSnapshot(owners, { weight: "holder", minTokens: 2 });
+    assert.deepEqual(
+      snapshot.holders.map((holder) => [holder.address, holder.weight]),
+      sorted([admin, userA, userB]).map((address) => [address, 1]),
+      "Wrong holders"
+    );
+    assert.deepInclude(snapshot.excluded, { address: userC, reason: "fewer than 2 tokens", tokens: 1 });
+    assert.deepEqual(
+      await findContracts(web3, [userA, minterContract.address], snapshotBlock),
+      [minterContract.address],
+      "Contracts not detected"
+    );
+  });
+
+  it("Weights tokens by trait", async () => {
+    const tokenTraits = new Map();
+    for (let id = 0; id < maxSupply; ++id) {
+      tokenTraits.set(id, { Background: id % 2 == 0 ? "Gold" : "Plain", Hat: id == 53 ? "Crown" : "None" });
+    }
+    const traitWeights = { Background: { Gold: 3 }, Hat: { Crown: 0 } };
+    assert.equal(tokenWeight(tokenTraits.get(52), traitWeights), 3, "Wrong token weight");
+    assert.equal(tokenWeight(tokenTraits.get(51), traitWeights), 1, "Wrong token weight");
+    const snapshot = buildHolderSnapshot(owners, {
+      exclude: { [admin]: "minter owner" },
+      weight: "trait",
+      traitWeights,
+      tokenTraits,
+    });
+    // A: 51 (1) + 52 (3); B: 53 (0) + 54 (3); C: 50 (3)
+    assert.deepEqual(
+      snapshot.holders.map((holder) => [holder.address, holder.weight]),
+      sorted([userA, userB, userC]).map((address) => [address, { [userA]: 4, [userB]: 3, [userC]: 3 }[address]])
+    );
+    assert.deepEqual(participantsList(snapshot, "tokenId"), [50, 50, 50, 51, 52, 52, 52, 54, 54, 54]);
+    try {
+      buildHolderSnapshot(owners, { weight: "trait", traitWeights: { Background: { Gold: 1.5 } }, tokenTraits });
+      assert.fail("Accepted a fractional weight");
+    } catch (err) {
+      assert.include(err.message, "non-negative integer");
+    }
+  });
+
+  it("Feeds the lucky draw participant list", async () => {
+    const snapshot = buildHolderSnapshot(owners, { exclude: { [admin]: "minter owner" } });
+    const participants = participantsList(snapshot);
+    assert.lengthOf(participants, snapshot.totalWeight, "Entries not repeated by weight");
+    assert.equal(participants.filter((address) => address == userA).length, 2, "Wrong number of entries");
+    const draw = buildSnapshot({ name: "Holders draw", entries: participants, numWinners: 2 });
+    assert.equal(draw.type, "address");
+    assert.equal(draw.numParticipants, snapshot.totalWeight, "Entries lost");
+  });
+});
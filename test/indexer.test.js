@@ -0,0 +1,253 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ether } = require("@openzeppelin/test-helpers");
+const { EventIndexer } = require("../scripts/lib/eventIndexer.js");
+const { queryRows } = require("../scripts/indexer.js");
+const {
+  LuckyDuckPack,
+  LDPRewarder,
+  LDPLuckyDraw,
+  initMainContracts,
+  initChainlinkMocks,
+  initMockTokens,
+} = require("./common/contractsInit.js");
+const { rpc, nftShare } = require("./common/chain.js");
+
+// Artifacts of the deployed variants, as recorded in the deployment registry
+const CONTRACT_NAMES = {
+  nft: LuckyDuckPack.contractName,
+  minter: "LDPMinter",
+  rewarder: LDPRewarder.contractName,
+  luckyDraw: LDPLuckyDraw.contractName,
+};
+
+contract("Event indexer", async (accounts) => {
+  const maxSupply = 60; // 50 reserved to the team, 10 for sale
+  const reorgDepth = 5;
+  const salePrice1 = ether("0.25");
+  var admin, creator, payout, userA, userB, userC, userD;
+  var VRFContract, linkContract, nftContract, minterContract, rewarderContract, luckyDrawContract, tokenA;
+  var dbPath, indexer, startBlock;
+
+  function addresses() {
+    return {
+      nft: nftContract.address,
+      minter: minterContract.address,
+      rewarder: rewarderContract.address,
+      luckyDraw: luckyDrawContract.address,
+    };
+  }
+
+  function openIndexer(options = {}) {
+    return EventIndexer.open(web3, dbPath, addresses(), {
+      reorgDepth,
+      batchSize: 4,
+      startBlock,
+      contractNames: CONTRACT_NAMES,
+      ...options,
+    });
+  }
+
+  function ownerOf(tokenId) {
+    const row = indexer.owners().find((item) => item.tokenId == tokenId);
+    return row && row.owner;
+  }
+
+  before(async function () {
+    // Address aliases
+    admin = accounts[0];
+    creator = accounts[8];
+    payout = accounts[9];
+    userA = accounts[1];
+    userB = accounts[2];
+    userC = accounts[3];
+    userD = accounts[4];
+    dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "ldp-indexer-")), "index.sqlite");
+    startBlock = await web3.eth.getBlockNumber();
+    [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    [tokenA] = await initMockTokens(admin);
+    [nftContract, minterContract, rewarderContract] = await initMainContracts(
+      maxSupply,
+      creator,
+      payout,
+      VRFContract.address,
+      linkContract.address
+    );
+    luckyDrawContract = await LDPLuckyDraw.new(VRFContract.address, linkContract.address);
+    await linkContract.transfer(nftContract.address, ether("2"), { from: admin });
+    await linkContract.transfer(luckyDrawContract.address, ether("1"), { from: admin });
+    await nftContract.initialize(
+      minterContract.address,
+      rewarderContract.address,
+      "some_uri",
+      "some_uri",
+      "some_uri",
+      "some_uri",
+      { from: admin }
+    );
+  });
+
+  after(function () {
+    if (indexer) indexer.close();
+    fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+  });
+
+  it("Indexes mints with the price paid and the owners", async () => {
+    await minterContract.startMinting({ from: admin });
+    await minterContract.mint(3, { from: userA, value: salePrice1.muln(3) });
+    // Overpayments count in the price paid, rounded down per token
+    await minterContract.mint(2, { from: userB, value: salePrice1.muln(2).addn(3) });
+    indexer = await openIndexer();
+    const result = await indexer.sync();
+    assert.equal(result.fromBlock, startBlock, "Wrong first block");
+    assert.equal(result.toBlock, await web3.eth.getBlockNumber(), "Not indexed up to the head");
+    assert.isNull(result.rolledBackTo, "Rolled back");
+
+    const mints = indexer.mints();
+    assert.lengthOf(mints, 55, "Wrong number of mints");
+    assert.deepInclude(mints[0], { tokenId: 0, account: admin, price: "0" });
+    assert.deepInclude(mints[50], { tokenId: 50, account: userA, price: salePrice1.toString() });
+    assert.deepInclude(mints[54], { tokenId: 54, account: userB, price: salePrice1.addn(1).toString() });
+    assert.deepEqual(
+      indexer.holders(),
+      [
+        { account: admin, balance: 50 },
+        { account: userA, balance: 3 },
+        { account: userB, balance: 2 },
+      ],
+      "Wrong holders"
+    );
+    const events = indexer.query("SELECT contract FROM events WHERE event = 'MintingStarted'");
+    assert.deepEqual(events, [{ contract: "LDPMinter" }], "MintingStarted not indexed");
+    // Mints not sent to the indexed minter have no known price
+    const nftOnly = await EventIndexer.open(web3, null, { nft: nftContract.address }, { startBlock });
+    await nftOnly.sync();
+    assert.isNull(nftOnly.mints()[50].price, "Price of a mint not sent to the minter");
+    nftOnly.close();
+  });
+
+  it("Indexes transfers and revenue claims per token", async () => {
+    await nftContract.transferFrom(userA, userB, 50, { from: userA });
+    await web3.eth.sendTransaction({ from: accounts[5], to: rewarderContract.address, value: ether("1.6") });
+    await rewarderContract.nftCashout(51, { from: userA });
+    await rewarderContract.cashout({ from: userB });
+    await tokenA.transfer(rewarderContract.address, ether("16"), { from: admin });
+    await rewarderContract.cashoutErc20(tokenA.address, { from: userB });
+    await rewarderContract.nftCashoutErc20(52, tokenA.address, { from: userA });
+    await rewarderContract.creatorCashout({ from: creator });
+    const result = await indexer.sync();
+    assert.isAbove(result.logs, 0, "No logs indexed");
+    assert.equal(result.skipped, 0, "Logs skipped");
+
+    assert.equal(ownerOf(50), userB, "Transfer not indexed");
+    const perNft = nftShare(ether("1.6")).toString();
+    assert.deepInclude(indexer.claims({ tokenId: 51 })[0], { account: userA, currency: "ETH", amount: perNft });
+    const claimsB = indexer.claims({ account: userB });
+    assert.deepEqual(
+      claimsB.map((claim) => [claim.tokenId, claim.currency, claim.amount]),
+      [
+        [null, "ETH", (3n * BigInt(perNft)).toString()],
+        [null, tokenA.address, (3n * 10n * BigInt(perNft)).toString()],
+      ],
+      "Wrong account claims"
+    );
+    // The account of ERC20 token claims is the owner of the token
+    assert.deepInclude(indexer.claims({ tokenId: 52 })[0], { account: userA, currency: tokenA.address });
+    assert.lengthOf(indexer.claims({ account: creator }), 0, "Creator cashout indexed as a claim");
+    const revenues = indexer.query("SELECT kind, currency, amount FROM revenues ORDER BY block_number, log_index");
+    assert.deepEqual(revenues, [
+      { kind: "eth", currency: "ETH", amount: ether("1.6").toString() },
+      { kind: "erc20", currency: tokenA.address, amount: ether("16").toString() },
+    ]);
+    // Decoded with the mainnet ABI, the cashouts of the Test rewarder are unknown
+    const mainnetAbi = await EventIndexer.open(web3, null, { rewarder: rewarderContract.address }, { startBlock });
+    assert.equal((await mainnetAbi.sync()).skipped, 5, "Unknown events not counted");
+    mainnetAbi.close();
+  });
+
+  it("Indexes the reveal and the lucky draws", async () => {
+    await minterContract.mint(5, { from: userC, value: salePrice1.muln(5) });
+    const revealReceipt = await nftContract.reveal();
+    const revealId = revealReceipt.logs.find((log) => log.event == "RevealRequested").args.requestId;
+    const dataHash = web3.utils.keccak256("indexed draw");
+    const drawReceipt = await luckyDrawContract.requestRandomDraw(dataHash, 10, 2, { from: admin });
+    const drawId = drawReceipt.logs.find((log) => log.event == "DrawRequested").args.chainlinkRequestId;
+    await indexer.sync();
+    assert.deepInclude(indexer.draws()[0], { dataHash, requestId: drawId, randomness: null, fulfilledBlock: null });
+
+    await VRFContract.callBackWithRandomness(revealId, maxSupply + 7, nftContract.address);
+    await VRFContract.callBackWithRandomness(drawId, 12345, luckyDrawContract.address);
+    await indexer.sync();
+    assert.deepInclude(indexer.draws()[0], { dataHash, randomness: "12345" });
+    const reveals = indexer.query("SELECT request_id, reveal_offset FROM reveals");
+    assert.deepEqual(reveals, [{ request_id: revealId, reveal_offset: 7 }], "Reveal not indexed");
+  });
+
+  it("Resumes from the stored checkpoint", async () => {
+    const checkpoint = indexer.checkpoint();
+    indexer.close();
+    indexer = await openIndexer();
+    assert.equal(indexer.checkpoint(), checkpoint, "Checkpoint lost");
+    await nftContract.transferFrom(userC, userD, 55, { from: userC });
+    const result = await indexer.sync();
+    assert.equal(result.fromBlock, checkpoint + 1, "Not resumed from the checkpoint");
+    assert.equal(result.logs, 2, "Wrong number of logs"); // Approval reset and Transfer
+    assert.equal(ownerOf(55), userD, "Transfer not indexed");
+    // Queries do not need the chain
+    const readOnly = await EventIndexer.openReadOnly(dbPath);
+    assert.deepEqual(queryRows(readOnly, "owners", {}), indexer.owners(), "Wrong saved index");
+    readOnly.close();
+    // Another contract set is refused
+    try {
+      await EventIndexer.open(web3, dbPath, { nft: rewarderContract.address });
+      assert.fail("Resumed the index of other contracts");
+    } catch (err) {
+      assert.include(err.message, "other contracts");
+    }
+  });
+
+  it("Rolls back re-organized blocks", async () => {
+    const snapshot = await rpc("evm_snapshot");
+    const forkBlock = await web3.eth.getBlockNumber();
+    await nftContract.transferFrom(userA, userC, 52, { from: userA });
+    await rewarderContract.nftCashout(52, { from: userC });
+    await indexer.sync();
+    assert.equal(ownerOf(52), userC, "Transfer not indexed");
+    assert.lengthOf(indexer.claims({ tokenId: 52 }), 2, "Claim not indexed");
+
+    // Other transactions replace the indexed blocks
+    await rpc("evm_revert", [snapshot]);
+    await nftContract.transferFrom(userA, userD, 52, { from: userA });
+    await rpc("evm_mine");
+    await rpc("evm_mine");
+    const result = await indexer.sync();
+    assert.equal(result.rolledBackTo, forkBlock, "Wrong rollback");
+    assert.equal(result.toBlock, await web3.eth.getBlockNumber(), "Not indexed up to the head");
+    assert.equal(ownerOf(52), userD, "Re-organized transfer kept");
+    assert.lengthOf(indexer.claims({ tokenId: 52 }), 1, "Re-organized claim kept");
+    const transfers = indexer.query("SELECT to_address FROM transfers WHERE token_id = 52 ORDER BY block_number");
+    assert.deepEqual(
+      transfers.map((row) => row.to_address),
+      [userA, userD],
+      "Wrong transfers"
+    );
+  });
+
+  it("Refuses re-orgs deeper than the tracked blocks", async () => {
+    const snapshot = await rpc("evm_snapshot");
+    for (let i = 0; i < reorgDepth + 2; ++i) await rpc("evm_mine");
+    await indexer.sync();
+    await rpc("evm_revert", [snapshot]);
+    // Empty blocks mined at the same time would get the same hashes
+    await web3.eth.sendTransaction({ from: accounts[5], to: accounts[6], value: 1 });
+    for (let i = 0; i < reorgDepth + 2; ++i) await rpc("evm_mine");
+    try {
+      await indexer.sync();
+      assert.fail("Followed a re-org deeper than reorgDepth");
+    } catch (err) {
+      assert.include(err.message, "rebuild the index");
+    }
+  });
+});
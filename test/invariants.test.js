@@ -0,0 +1,403 @@
+const { assert } = require("chai");
+const {
+  InvariantError,
+  pickWeighted,
+  generateSequence,
+  shrink,
+  fuzzSettings,
+  reproduction,
+} = require("./common/fuzz.js");
+const { rpc, nftShare } = require("./common/chain.js");
+const { holderRevenues, creatorEarningsLifetime } = require("../scripts/rewarderModel.js");
+const {
+  initMainContracts,
+  initChainlinkMocks,
+  initMockTokens,
+} = require("./common/contractsInit.js");
+
+// Invariant tests: random sequences of actions against the whole system
+// (mints, transfers, approvals, creator fee inflows in ETH, WETH and ERC20,
+// cashouts, minting proceeds, reveal and time jumps), with the invariants
+// of the system checked after each step. Failing sequences are shrunk and
+// printed with the environment reproducing them (see common/fuzz.js):
+//
+//   FUZZ_RUNS=10 FUZZ_STEPS=60 truffle test test/invariants.test.js
+//   FUZZ_SEED=random truffle test test/invariants.test.js
+const MAX_SUPPLY = 70;
+const ACTIONS = [
+  [5, "mint"],
+  [8, "transfer"],
+  [3, "approve"],
+  [2, "setApprovalForAll"],
+  [4, "royaltyEth"],
+  [2, "royaltyWeth"],
+  [3, "royaltyErc20"],
+  [1, "unwrapWeth"],
+  [1, "forceUpdateErc20Records"],
+  [3, "cashout"],
+  [3, "nftCashout"],
+  [2, "cashoutErc20"],
+  [2, "nftCashoutErc20"],
+  [1, "creatorCashout"],
+  [1, "creatorCashoutErc20"],
+  [1, "withdrawProceeds"],
+  [1, "reveal"],
+  [2, "timeJump"],
+];
+
+// Random draws of an action, resolved against the chain state on execution
+function generateAction(random) {
+  return {
+    kind: pickWeighted(random, ACTIONS),
+    actor: Math.floor(random() * 1e9),
+    other: Math.floor(random() * 1e9),
+    token: Math.floor(random() * 1e9),
+    value: random(),
+    flag: random() < 0.5,
+  };
+}
+
+function pick(list, draw) {
+  return list[draw % list.length];
+}
+
+function newRecords() {
+  return { perShare: 0n, inflows: 0n, pending: 0n, holdersClaimed: 0n, creatorClaimed: 0n };
+}
+
+function accrue(records, amount) {
+  records.perShare += nftShare(amount);
+  records.inflows += amount;
+}
+
+function fail(invariant, message) {
+  throw new InvariantError(invariant, message);
+}
+
+contract("Invariants", async (accounts) => {
+  const settings = fuzzSettings({ runs: 2, steps: 25 });
+  const admin = accounts[0];
+  const creator = accounts[8];
+  const payout = accounts[9];
+  // Token holders: the owner holds the team reserve
+  const holders = accounts.slice(0, 6);
+
+  // Deploy and wire a new system, with minting started
+  async function deploy() {
+    for (const account of holders) {
+      await rpc("evm_setAccountBalance", [account, "0x" + (10n ** 22n).toString(16)]);
+    }
+    const [vrf, link] = await initChainlinkMocks(admin);
+    const [nft, minter, rewarder, weth] = await initMainContracts(
+      MAX_SUPPLY,
+      creator,
+      payout,
+      vrf.address,
+      link.address
+    );
+    const tokens = await initMockTokens(admin);
+    await link.transfer(nft.address, web3.utils.toWei("2", "ether"), { from: admin });
+    await nft.initialize(minter.address, rewarder.address, "uri", "uri", "uri", "uri", {
+      from: admin,
+    });
+    await minter.startMinting({ from: admin });
+    // What the rewarder and the minter received and paid
+    const ledger = {
+      eth: newRecords(),
+      erc20: new Map(tokens.map((token) => [token.address, newRecords()])),
+      wethPending: 0n,
+      minterBalance: 0n,
+      revealOffset: undefined,
+    };
+    return { vrf, nft, minter, rewarder, weth, tokens, ledger };
+  }
+
+  async function execute(env, action) {
+    const { nft, minter, rewarder, weth, ledger } = env;
+    const actor = pick(holders, action.actor);
+    const other = pick(holders, action.other);
+    const tokenId = action.token % Number(await nft.totalSupply());
+    const erc20 = pick(env.tokens, action.token);
+    const records = ledger.erc20.get(erc20.address);
+    switch (action.kind) {
+      case "mint": {
+        const amount = 1 + (action.other % 10);
+        const value = BigInt(String(await minter.currentPrice())) * BigInt(amount);
+        await minter.mint(amount, { from: actor, value: value.toString() });
+        ledger.minterBalance += value;
+        return;
+      }
+      case "transfer": {
+        // By the owner, or by an account which may be approved
+        const owner = await nft.ownerOf(tokenId);
+        const method = action.value < 0.5 ? "transferFrom" : "safeTransferFrom";
+        await nft.methods[method + "(address,address,uint256)"](owner, other, tokenId, {
+          from: action.flag ? owner : actor,
+        });
+        return;
+      }
+      case "approve": {
+        const owner = await nft.ownerOf(tokenId);
+        await nft.approve(other, tokenId, { from: action.flag ? owner : actor });
+        return;
+      }
+      case "setApprovalForAll":
+        await nft.setApprovalForAll(other, action.flag, { from: actor });
+        return;
+      case "royaltyEth":
+      case "royaltyWeth":
+      case "royaltyErc20": {
+        // Creator fee of a sale between 0.001 and 10 ETH
+        const salePrice = BigInt(Math.floor(10 ** (3 + action.value * 4))) * 10n ** 12n;
+        const royalty = await nft.royaltyInfo(tokenId, salePrice.toString());
+        if (royalty[0] != rewarder.address) {
+          fail("royaltyReceiver", "creator fees paid to " + royalty[0]);
+        }
+        const amount = BigInt(String(royalty[1]));
+        if (action.kind == "royaltyEth") {
+          await web3.eth.sendTransaction({ from: admin, to: rewarder.address, value: amount.toString() });
+          accrue(ledger.eth, amount);
+        } else if (action.kind == "royaltyWeth") {
+          await weth.deposit({ from: admin, value: amount.toString() });
+          await weth.transfer(rewarder.address, amount.toString(), { from: admin });
+          ledger.wethPending += amount;
+        } else {
+          await erc20.transfer(rewarder.address, amount.toString(), { from: admin });
+          records.pending += amount;
+        }
+        return;
+      }
+      case "unwrapWeth":
+        await rewarder.unwrapWeth({ from: actor });
+        accrue(ledger.eth, ledger.wethPending);
+        ledger.wethPending = 0n;
+        return;
+      case "cashout":
+      case "nftCashout":
+      case "creatorCashout": {
+        const before = BigInt(await web3.eth.getBalance(rewarder.address));
+        if (action.kind == "cashout") {
+          await rewarder.cashout({ from: actor });
+        } else if (action.kind == "nftCashout") {
+          const caller = action.flag ? await nft.ownerOf(tokenId) : actor;
+          await rewarder.nftCashout(tokenId, { from: caller });
+        } else {
+          await rewarder.creatorCashout({ from: actor });
+        }
+        const paid = before - BigInt(await web3.eth.getBalance(rewarder.address));
+        if (action.kind == "creatorCashout") ledger.eth.creatorClaimed += paid;
+        else ledger.eth.holdersClaimed += paid;
+        return;
+      }
+      case "forceUpdateErc20Records":
+      case "cashoutErc20":
+      case "nftCashoutErc20":
+      case "creatorCashoutErc20": {
+        const before = BigInt(String(await erc20.balanceOf(rewarder.address)));
+        if (action.kind == "forceUpdateErc20Records") {
+          await rewarder.forceUpdateErc20Records(erc20.address, { from: actor });
+        } else if (action.kind == "cashoutErc20") {
+          await rewarder.cashoutErc20(erc20.address, { from: actor });
+        } else if (action.kind == "nftCashoutErc20") {
+          const caller = action.flag ? await nft.ownerOf(tokenId) : actor;
+          await rewarder.nftCashoutErc20(tokenId, erc20.address, { from: caller });
+        } else {
+          await rewarder.creatorCashoutErc20(erc20.address, { from: actor });
+        }
+        // The records are updated before paying (single NFT and creator
+        // cashouts only pay what was already processed)
+        if (action.kind == "forceUpdateErc20Records" || action.kind == "cashoutErc20") {
+          accrue(records, records.pending);
+          records.pending = 0n;
+        }
+        const paid = before - BigInt(String(await erc20.balanceOf(rewarder.address)));
+        if (action.kind == "creatorCashoutErc20") records.creatorClaimed += paid;
+        else records.holdersClaimed += paid;
+        return;
+      }
+      case "withdrawProceeds":
+        await minter.withdrawProceeds({ from: admin });
+        accrue(ledger.eth, ledger.minterBalance / 10n);
+        ledger.minterBalance = 0n;
+        return;
+      case "reveal": {
+        const receipt = await nft.reveal({ from: actor });
+        const { requestId } = receipt.logs.find((log) => log.event == "RevealRequested").args;
+        const randomness = BigInt(Math.floor(action.value * 2 ** 52)) * 2n ** 128n + BigInt(action.other);
+        await env.vrf.callBackWithRandomness(requestId, randomness.toString(), nft.address, {
+          from: admin,
+        });
+        const offset = randomness % BigInt(MAX_SUPPLY);
+        ledger.revealOffset = offset == 0n ? 1n : offset;
+        return;
+      }
+      case "timeJump":
+        await rpc("evm_increaseTime", [60 + Math.floor(action.value * 2 * 24 * 3600)]);
+        await rpc("evm_mine", []);
+        return;
+      default:
+        throw new Error("Unknown action " + action.kind);
+    }
+  }
+
+  // Holders' accounting of one currency: `claimable` lists the unclaimed
+  // revenues of each minted token, `balance` what the rewarder holds
+  function checkRewards(label, records, supply, claimable, balance) {
+    const unclaimed = claimable.reduce((sum, amount) => sum + amount, 0n);
+    if (unclaimed + records.holdersClaimed != records.perShare * BigInt(supply)) {
+      fail(
+        label + " accounting",
+        "claimable " + unclaimed + " + claimed " + records.holdersClaimed +
+          " != holders' cut " + records.perShare * BigInt(supply)
+      );
+    }
+    if (records.perShare * 10000n > holderRevenues(records.inflows)) {
+      fail(label + " holders' cut", "more than 15/16 of the inflows distributed");
+    }
+    const creatorOwed = creatorEarningsLifetime({ lifetimeAccrued: records.perShare }) - records.creatorClaimed;
+    if (creatorOwed < 0n) fail(label + " creator cut", "creator paid " + -creatorOwed + " too much");
+    // What is owed to the minted tokens, to the tokens still to be minted
+    // and to the creator
+    const owed = unclaimed + records.perShare * BigInt(MAX_SUPPLY - supply) + creatorOwed;
+    if (balance < owed) fail(label + " solvency", "holds " + balance + " but owes " + owed);
+  }
+
+  async function checkInvariants(env) {
+    const { nft, minter, rewarder, weth, ledger } = env;
+    const supply = Number(await nft.totalSupply());
+    if (supply > MAX_SUPPLY) fail("maxSupply", "totalSupply " + supply);
+    const mintable = Number(await minter.mintableSupply());
+    if (mintable != MAX_SUPPLY - supply) fail("mintableSupply", mintable + " for a supply of " + supply);
+
+    // Enumeration, against the owner of each token
+    const owners = [];
+    for (let tokenId = 0; tokenId < supply; ++tokenId) {
+      owners.push(await nft.ownerOf(tokenId));
+    }
+    let owned = 0;
+    for (const holder of holders) {
+      const expected = [];
+      owners.forEach((owner, tokenId) => owner == holder && expected.push(tokenId));
+      const balance = Number(await nft.balanceOf(holder));
+      const listed = [];
+      for (let i = 0; i < balance; ++i) {
+        listed.push(Number(await nft.tokenOfOwnerByIndex(holder, i)));
+      }
+      listed.sort((a, b) => a - b);
+      if (listed.join() != expected.join()) {
+        fail("enumeration", holder + " lists [" + listed + "] but owns [" + expected + "]");
+      }
+      owned += balance;
+    }
+    if (owned != supply) fail("enumeration", owned + " tokens owned for a supply of " + supply);
+
+    // ETH and WETH revenues
+    const claimable = [];
+    for (let tokenId = 0; tokenId < supply; ++tokenId) {
+      claimable.push(BigInt(String(await rewarder.nftRevenues(tokenId))));
+    }
+    for (const holder of holders) {
+      const expected = claimable.reduce((sum, amount, tokenId) => (owners[tokenId] == holder ? sum + amount : sum), 0n);
+      const revenues = BigInt(String(await rewarder.accountRevenues(holder)));
+      if (revenues != expected) fail("accountRevenues", holder + " has " + revenues + ", its tokens " + expected);
+    }
+    const lifetime = BigInt(String(await rewarder.methods["collectionEarningsLifetime()"]()));
+    if (lifetime != ledger.eth.perShare * 10000n) {
+      fail("ETH records", "lifetime earnings " + lifetime + " for " + ledger.eth.inflows + " received");
+    }
+    const unprocessedWeth = BigInt(String(await rewarder.unprocessedWeth()));
+    if (unprocessedWeth != ledger.wethPending) {
+      fail("WETH records", unprocessedWeth + " unprocessed, " + ledger.wethPending + " received");
+    }
+    checkRewards("ETH", ledger.eth, supply, claimable, BigInt(await web3.eth.getBalance(rewarder.address)));
+
+    // ERC20 revenues
+    for (const token of env.tokens) {
+      const records = ledger.erc20.get(token.address);
+      const claimableErc20 = [];
+      for (let tokenId = 0; tokenId < supply; ++tokenId) {
+        claimableErc20.push(BigInt(String(await rewarder.nftRevenuesErc20(tokenId, token.address))));
+      }
+      const upToDate = await rewarder.isErc20RecordsUpToDate(token.address);
+      if (upToDate != (records.pending == 0n)) {
+        fail("ERC20 records", "up to date: " + upToDate + " with " + records.pending + " not processed");
+      }
+      checkRewards("ERC20", records, supply, claimableErc20, BigInt(String(await token.balanceOf(rewarder.address))));
+    }
+
+    // Minting proceeds and reveal
+    const minterBalance = BigInt(await web3.eth.getBalance(minter.address));
+    if (minterBalance != ledger.minterBalance) {
+      fail("minter balance", minterBalance + " held, " + ledger.minterBalance + " paid");
+    }
+    const revealOffset = BigInt(String(await nft.revealOffset()));
+    if (revealOffset != (ledger.revealOffset || 0n)) {
+      fail("revealOffset", "offset " + revealOffset + ", expected " + ledger.revealOffset);
+    }
+  }
+
+  function isRevert(err) {
+    return /revert/i.test(err.message);
+  }
+
+  // Run the given steps of a sequence on a new system
+  async function runSequence(actions, indices) {
+    const env = await deploy();
+    const stats = { executed: 0, reverted: 0 };
+    for (const index of indices) {
+      try {
+        try {
+          await execute(env, actions[index]);
+          ++stats.executed;
+        } catch (err) {
+          if (!isRevert(err)) throw err;
+          ++stats.reverted;
+        }
+        await checkInvariants(env);
+      } catch (err) {
+        if (!(err instanceof InvariantError)) throw err;
+        return { failure: { step: index, invariant: err.invariant, message: err.message }, stats };
+      }
+    }
+    return { stats };
+  }
+
+  it("Generates and shrinks reproducible sequences", async () => {
+    const first = generateSequence(7, 30, generateAction);
+    assert.deepEqual(generateSequence(7, 30, generateAction), first, "Sequence not reproducible");
+    assert.notDeepEqual(generateSequence(8, 30, generateAction), first, "Seed ignored");
+    // Fails when both steps 3 and 17 are kept
+    const all = first.map((_, i) => i);
+    const { indices } = await shrink(all, async (candidate) => candidate.includes(3) && candidate.includes(17));
+    assert.deepEqual(indices, [3, 17], "Sequence not shrunk to the failing steps");
+  });
+
+  for (const seed of settings.seeds) {
+    it("Invariants hold over random actions (seed " + seed + ")", async function () {
+      this.timeout(0);
+      const actions = generateSequence(seed, settings.steps, generateAction);
+      const indices = settings.replay || actions.map((_, i) => i);
+      const result = await runSequence(actions, indices);
+      if (result.failure) {
+        const { invariant } = result.failure;
+        // The steps after the failure are irrelevant
+        const failing = indices.slice(0, indices.indexOf(result.failure.step) + 1);
+        const shrunk = await shrink(
+          failing,
+          async (candidate) => {
+            const replay = await runSequence(actions, candidate);
+            return replay.failure !== undefined && replay.failure.invariant == invariant;
+          },
+          { maxRuns: settings.maxShrinkRuns }
+        );
+        const steps = shrunk.indices.map((index) => "  #" + index + " " + JSON.stringify(actions[index]));
+        assert.fail(
+          result.failure.message + "\nShrunk from " + failing.length + " to " + shrunk.indices.length +
+            " steps (" + shrunk.runs + " replays):\n" + steps.join("\n") +
+            "\nReproduce with: " + reproduction(seed, settings.steps, shrunk.indices)
+        );
+      }
+      assert.isAbove(result.stats.executed, 0, "Every action reverted");
+    });
+  }
+});
@@ -0,0 +1,211 @@
+const { assert } = require("chai");
+const {
+  validateLaunchConfig,
+  initializeArguments,
+  initializeParams,
+  contractLinkSettings,
+  resolveLinkSettings,
+  preflightChecks,
+} = require("../scripts/lib/launch.js");
+const { loadArtifact } = require("../scripts/lib/artifacts.js");
+const {
+  LuckyDuckPack,
+  initMainContracts,
+  initChainlinkMocks,
+} = require("./common/contractsInit.js");
+
+contract("Launch helpers", async (accounts) => {
+  var admin, creator, payout, minterAddr;
+  const baseConfig = {
+    variant: "mainnet",
+    creatorAddress: "0x0000000000000000000000000000000000000001",
+    payoutAddress: "0x0000000000000000000000000000000000000002",
+    linkToken: "0x514910771AF9Ca656af840dff83E8264EcF986CA",
+    linkFee: "2",
+    unrevealedURI: "ipfs://unrevealed/unrevealed.json",
+    ipfsURI: "ipfs://metadata/",
+    arweaveURI: "ar://metadata/",
+  };
+
+  before(async function () {
+    admin = accounts[0];
+    creator = accounts[8];
+    payout = accounts[9];
+    minterAddr = accounts[7];
+  });
+
+  it("Validates the launch config", async () => {
+    const { config, warnings } = validateLaunchConfig(baseConfig);
+    assert.equal(config.linkFeeWei, web3.utils.toWei("2", "ether"), "Wrong fee");
+    assert.isFalse(config.fundLink, "Wrong fundLink default");
+    assert.isFalse(config.startMinting, "Wrong startMinting default");
+    assert.deepEqual(warnings, [], "Unexpected warnings");
+    const invalid = [
+      { variant: "polygon" },
+      { creatorAddress: "0x0000000000000000000000000000000000000000" },
+      { payoutAddress: "not an address" },
+      { linkFee: "0" },
+      { unrevealedURI: "" },
+      { ipfsURI: "ipfs://metadata" },
+      { arweaveURI: " ar://metadata/" },
+      { startMinting: "yes" },
+    ];
+    for (const change of invalid) {
+      assert.throws(
+        () => validateLaunchConfig({ ...baseConfig, ...change }),
+        Object.keys(change)[0],
+        "Accepted " + JSON.stringify(change)
+      );
+    }
+    const gateway = validateLaunchConfig({
+      ...baseConfig,
+      ipfsURI: "https://gateway.example/ipfs/metadata/",
+    });
+    assert.equal(gateway.warnings.length, 1, "Missing scheme warning");
+    // The LINK settings are optional, read from the NFT contract
+    const { linkToken, linkFee, ...withoutLink } = baseConfig;
+    assert.isUndefined(validateLaunchConfig(withoutLink).config.linkFeeWei, "Fee without linkFee");
+  });
+
+  it("Takes the LINK token and fee from the NFT contract", async () => {
+    const mainnet = loadArtifact("LuckyDuckPack");
+    const fee = web3.utils.toWei("2", "ether");
+    assert.deepEqual(contractLinkSettings(mainnet), { linkToken: baseConfig.linkToken, linkFeeWei: fee });
+    assert.deepEqual(
+      contractLinkSettings(loadArtifact("LuckyDuckPackTest")),
+      { linkToken: undefined, linkFeeWei: fee },
+      "The test contract takes the LINK token at deployment"
+    );
+    const { linkToken, linkFee, ...withoutLink } = baseConfig;
+    const resolved = { linkToken: baseConfig.linkToken, linkFeeWei: fee };
+    assert.deepEqual(resolveLinkSettings(mainnet, validateLaunchConfig(baseConfig).config), resolved);
+    assert.deepEqual(resolveLinkSettings(mainnet, validateLaunchConfig(withoutLink).config), resolved);
+    const disagrees = [
+      { linkFee: "1" },
+      // Testnet LINK
+      { linkToken: "0x326C977E6efc84E512bB9C30f76E30c160eD06FB" },
+    ];
+    for (const change of disagrees) {
+      const { config } = validateLaunchConfig({ ...baseConfig, ...change });
+      assert.throws(
+        () => resolveLinkSettings(mainnet, config),
+        "Launch config disagrees with LuckyDuckPack",
+        "Accepted " + JSON.stringify(change)
+      );
+    }
+    assert.throws(
+      () => resolveLinkSettings(loadArtifact("LuckyDuckPackTest"), validateLaunchConfig(withoutLink).config),
+      "linkToken is required"
+    );
+  });
+
+  it("Builds the initialize arguments from the ABI", async () => {
+    const params = {
+      minter: accounts[1],
+      rewarder: accounts[2],
+      contractURI: "ipfs://contract",
+      unrevealedURI: "ipfs://unrevealed",
+      ipfsURI: "ipfs://metadata/",
+      arweaveURI: "ar://metadata/",
+    };
+    const mainnetAbi = artifacts.require("LuckyDuckPack").abi;
+    assert.deepEqual(
+      initializeArguments(mainnetAbi, params),
+      [accounts[1], accounts[2], "ipfs://unrevealed", "ipfs://metadata/", "ar://metadata/"],
+      "Wrong mainnet arguments"
+    );
+    assert.deepEqual(
+      initializeArguments(LuckyDuckPack.abi, params),
+      [accounts[1], accounts[2], "ipfs://contract", "ipfs://unrevealed", "ipfs://metadata/", "ar://metadata/"],
+      "Wrong test contract arguments"
+    );
+    assert.throws(
+      () => initializeArguments(LuckyDuckPack.abi, { ...params, contractURI: undefined }),
+      "contract_URI"
+    );
+    // And back, e.g. from a manifest
+    assert.deepEqual(initializeParams(LuckyDuckPack.abi, initializeArguments(LuckyDuckPack.abi, params)), params);
+    const { contractURI, ...mainnetParams } = params;
+    assert.deepEqual(initializeParams(mainnetAbi, initializeArguments(mainnetAbi, params)), mainnetParams);
+  });
+
+  it("Pre-flight checks catch every launch mistake", async () => {
+    const [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    const [nft, minter, rewarder] = await initMainContracts(
+      50,
+      creator,
+      payout,
+      VRFContract.address,
+      linkContract.address
+    );
+    const { config } = validateLaunchConfig({
+      ...baseConfig,
+      linkToken: linkContract.address,
+    });
+    const contracts = { nft, minter, rewarder, link: linkContract };
+    const failed = async (deployer) =>
+      (await preflightChecks(contracts, config, deployer))
+        .filter((check) => !check.ok)
+        .map((check) => check.check);
+    // Only the LINK funding is missing
+    assert.deepEqual(
+      await failed(admin),
+      ["LINK balance covers the reveal fee"],
+      "Unexpected failed checks"
+    );
+    await linkContract.transfer(nft.address, config.linkFeeWei, { from: admin });
+    assert.deepEqual(await failed(admin), [], "Checks failed after funding");
+    // Fee other than the one of the contract
+    const { config: lowFee } = validateLaunchConfig({
+      ...baseConfig,
+      linkToken: linkContract.address,
+      linkFee: "1",
+    });
+    assert.deepEqual(
+      (await preflightChecks(contracts, lowFee, admin)).filter((check) => !check.ok).map((check) => check.check),
+      ["reveal fee is the one of the NFT contract"],
+      "Fee not checked"
+    );
+    // Wrong deployer
+    assert.deepEqual(
+      await failed(accounts[1]),
+      ["deployer owns the NFT contract", "deployer owns the minter"],
+      "Deployer not checked"
+    );
+    // Minter wired to another NFT contract
+    const [, otherMinter] = await initMainContracts(
+      50,
+      creator,
+      payout,
+      VRFContract.address,
+      linkContract.address
+    );
+    const wrongMinter = await preflightChecks(
+      { ...contracts, minter: otherMinter },
+      config,
+      admin
+    );
+    assert.deepEqual(
+      wrongMinter.filter((check) => !check.ok).map((check) => check.check),
+      ["minter points at the NFT contract", "minter points at the rewarder"],
+      "Minter wiring not checked"
+    );
+    // Already initialized
+    await nft.initialize(
+      ...initializeArguments(LuckyDuckPack.abi, {
+        minter: minterAddr,
+        rewarder: rewarder.address,
+        contractURI: "ipfs://contract",
+        unrevealedURI: config.unrevealedURI,
+        ipfsURI: config.ipfsURI,
+        arweaveURI: config.arweaveURI,
+      }),
+      { from: admin }
+    );
+    assert.include(
+      await failed(admin),
+      "NFT contract not initialized yet",
+      "Initialization not checked"
+    );
+  });
+});
@@ -0,0 +1,232 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadParticipants,
+  canonicalizeParticipants,
+  computeDataHash,
+  buildSnapshot,
+  requestArguments,
+  computeWinners,
+  findDuplicateWinners,
+  verifyDraw,
+  readDraw,
+} = require("../scripts/luckyDraw.js");
+const {
+  LDPLuckyDraw,
+  initChainlinkMocks,
+} = require("./common/contractsInit.js");
+
+describe("Lucky draw snapshot", function () {
+  // Checksummed, in canonical (lowercase hex) order
+  const ADDRESSES = [
+    "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+    "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+    "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+  ];
+  var tempDir;
+
+  before(function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "ldp-draw-"));
+  });
+
+  after(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("Snapshots are canonical", async () => {
+    const a = buildSnapshot({
+      name: "Draw",
+      entries: [ADDRESSES[2], ADDRESSES[0].toLowerCase(), ADDRESSES[1]],
+      numWinners: 1,
+    });
+    const b = buildSnapshot({
+      name: "Draw",
+      entries: [ADDRESSES[1], ADDRESSES[0], ADDRESSES[2]],
+      numWinners: 1,
+    });
+    assert.equal(a.dataHash, b.dataHash, "Entry order changed the dataHash");
+    assert.deepEqual(a.participants, ADDRESSES, "Participants not canonical");
+    const c = buildSnapshot({
+      name: "Other draw",
+      entries: [ADDRESSES[1], ADDRESSES[0], ADDRESSES[2]],
+      numWinners: 1,
+    });
+    assert.notEqual(a.dataHash, c.dataHash, "The name is not committed");
+    const ids = buildSnapshot({
+      name: "Draw",
+      entries: ["12", 3, 3, "7"],
+      numWinners: 2,
+      unique: true,
+    });
+    assert.equal(ids.type, "tokenId", "Wrong participant type");
+    assert.deepEqual(ids.participants, [3, 7, 12], "Wrong token IDs");
+  });
+
+  it("Keeps duplicates unless unique and rejects mixed lists", async () => {
+    const kept = canonicalizeParticipants([" 12", 3, "3", 7]);
+    assert.deepEqual(kept, { type: "tokenId", participants: [3, 3, 7, 12], duplicates: 1 });
+    const unique = canonicalizeParticipants([ADDRESSES[1], ADDRESSES[1].toLowerCase()], { unique: true });
+    assert.deepEqual(unique, { type: "address", participants: [ADDRESSES[1]], duplicates: 1 });
+    assert.throws(() => canonicalizeParticipants([ADDRESSES[0], 1]), /either all addresses or all token IDs/);
+    assert.throws(() => canonicalizeParticipants(["1", "-2"], { type: "tokenId" }), /Entry #1 is not a valid token ID/);
+    assert.throws(() => canonicalizeParticipants(["0x1234"], { type: "address" }), /Entry #0 is not a valid address/);
+    assert.throws(() => canonicalizeParticipants([]), /empty/);
+  });
+
+  it("Commits to the ABI encoding of the name and participants", async () => {
+    const snapshot = buildSnapshot({ name: "Holders draw", entries: ADDRESSES, numWinners: 2 });
+    const expected = web3.utils.keccak256(
+      web3.eth.abi.encodeParameters(["string", "address[]"], ["Holders draw", ADDRESSES])
+    );
+    assert.equal(snapshot.dataHash, expected, "Wrong address list dataHash");
+    assert.equal(snapshot.encoding, "keccak256(abi.encode(string name, address[] participants))");
+    const tokenHash = computeDataHash("Token draw", "tokenId", [3, 7]);
+    assert.equal(
+      tokenHash,
+      web3.utils.keccak256(web3.eth.abi.encodeParameters(["string", "uint256[]"], ["Token draw", ["3", "7"]])),
+      "Wrong token ID list dataHash"
+    );
+    assert.deepEqual(requestArguments(snapshot), [expected, 3, 2], "Wrong requestRandomDraw arguments");
+    assert.throws(() => buildSnapshot({ name: "Draw", entries: ADDRESSES, numWinners: 4 }), /Number of winners/);
+    assert.throws(() => buildSnapshot({ name: "Draw", entries: ADDRESSES, numWinners: 0 }), /Number of winners/);
+    assert.throws(() => buildSnapshot({ name: " ", entries: ADDRESSES, numWinners: 1 }), /name is required/);
+  });
+
+  it("Loads participants from JSON and CSV files", async () => {
+    const jsonPath = path.join(tempDir, "participants.json");
+    fs.writeFileSync(jsonPath, JSON.stringify([{ address: ADDRESSES[0] }, ADDRESSES[1], { tokenId: 4 }, { token_id: 5 }]));
+    assert.deepEqual(loadParticipants(jsonPath), [ADDRESSES[0], ADDRESSES[1], 4, 5]);
+    const headerPath = path.join(tempDir, "holders.csv");
+    fs.writeFileSync(headerPath, 'name,token_id\n"Duck, the first",12\r\nDuck,3\n\n');
+    assert.deepEqual(loadParticipants(headerPath), ["12", "3"]);
+    const plainPath = path.join(tempDir, "plain.csv");
+    fs.writeFileSync(plainPath, ADDRESSES[2] + ",x\n" + ADDRESSES[0] + ",y\n");
+    assert.deepEqual(loadParticipants(plainPath), [ADDRESSES[2], ADDRESSES[0]]);
+  });
+});
+
+contract("Lucky draw verifier", async (accounts) => {
+  var admin;
+  var VRFContract, linkContract, luckyDrawContract;
+
+  before(async function () {
+    admin = accounts[0];
+    [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    luckyDrawContract = await LDPLuckyDraw.new(
+      VRFContract.address,
+      linkContract.address
+    );
+    await linkContract.transfer(
+      luckyDrawContract.address,
+      web3.utils.toWei("1", "ether"),
+      { from: admin }
+    );
+  });
+
+  // Request a draw for the snapshot and fulfill it with the given randomness
+  async function runDraw(snapshot, randomness) {
+    const receipt = await luckyDrawContract.requestRandomDraw(
+      ...requestArguments(snapshot),
+      { from: admin }
+    );
+    const requestId = receipt.logs.find((log) => log.event == "DrawRequested")
+      .args.chainlinkRequestId;
+    await VRFContract.callBackWithRandomness(
+      requestId,
+      randomness,
+      luckyDrawContract.address
+    );
+    return readDraw(web3, luckyDrawContract.address, snapshot.dataHash);
+  }
+
+  it("Recomputes the winners returned by the contract", async () => {
+    const snapshot = buildSnapshot({
+      name: "Holders draw",
+      entries: accounts,
+      numWinners: 4,
+    });
+    const randomness = "123456789012345678901234567890";
+    const draw = await runDraw(snapshot, randomness);
+    assert.equal(draw.drawIndex, 0, "Wrong draw index");
+    assert.equal(draw.randomness, randomness, "Wrong randomness");
+    assert.equal(draw.winners.length, 4, "Wrong number of winners");
+    const report = verifyDraw(snapshot, draw);
+    assert.isTrue(report.valid, JSON.stringify(report.checks));
+    assert.deepEqual(
+      report.winners.map((winner) => winner.index),
+      draw.winners,
+      "Winner indexes differ"
+    );
+    for (const winner of report.winners) {
+      assert.equal(
+        winner.participant,
+        snapshot.participants[winner.index],
+        "Winner not mapped to its participant"
+      );
+    }
+  });
+
+  it("Reduces large VRF values like the contract", async () => {
+    // fulfillRandomness stores randomness % (2^128 - 1)
+    const snapshot = buildSnapshot({
+      name: "Large randomness",
+      entries: accounts,
+      numWinners: 3,
+    });
+    const vrfValue = (2n ** 200n + 17n).toString();
+    const draw = await runDraw(snapshot, vrfValue);
+    assert.equal(
+      draw.randomness,
+      ((2n ** 200n + 17n) % (2n ** 128n - 1n)).toString(),
+      "Unexpected stored randomness"
+    );
+    assert.isTrue(verifyDraw(snapshot, draw).valid, "Verification failed");
+  });
+
+  it("Flags duplicate winner indexes", async () => {
+    const snapshot = buildSnapshot({
+      name: "Small draw",
+      entries: accounts.slice(0, 3),
+      numWinners: 3,
+    });
+    // Find a randomness drawing the same participant twice
+    let randomness = 1;
+    while (findDuplicateWinners(computeWinners(randomness, 3, 3)).length == 0) {
+      ++randomness;
+    }
+    const draw = await runDraw(snapshot, randomness);
+    const report = verifyDraw(snapshot, draw);
+    assert.isTrue(report.valid, "Verification failed");
+    assert.isAbove(report.duplicates.length, 0, "Duplicates not flagged");
+    for (const duplicate of report.duplicates) {
+      for (const position of duplicate.positions) {
+        assert.equal(draw.winners[position], duplicate.index, "Wrong position");
+      }
+    }
+  });
+
+  it("Detects a tampered snapshot", async () => {
+    const snapshot = buildSnapshot({
+      name: "Tampered draw",
+      entries: accounts.slice(0, 5),
+      numWinners: 2,
+    });
+    const draw = await runDraw(snapshot, 42);
+    // Participant replaced after the draw: hash no longer matches
+    const tampered = { ...snapshot, participants: [...snapshot.participants] };
+    tampered.participants[0] = accounts[9];
+    const report = verifyDraw(tampered, draw);
+    assert.isFalse(report.valid, "Tampered snapshot passed");
+    assert.isFalse(report.checks.snapshotHash, "Snapshot hash check passed");
+    assert.isFalse(report.checks.onChainDataHash, "dataHash check passed");
+    // Participant removed: winners are computed on a different list size
+    const shortened = buildSnapshot({
+      name: "Tampered draw",
+      entries: accounts.slice(0, 4),
+      numWinners: 2,
+    });
+    assert.isFalse(verifyDraw(shortened, draw).valid, "Short list passed");
+  });
+});
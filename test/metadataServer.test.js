@@ -0,0 +1,177 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ether } = require("@openzeppelin/test-helpers");
+const {
+  gatewayUrl,
+  loadMetadata,
+  serverContent,
+  resolveUri,
+  createMetadataServer,
+} = require("../scripts/metadataServer.js");
+const { LOCAL_URIS } = require("../scripts/lib/launch.js");
+const { ABIS } = require("../sdk/index.js");
+const { initMainContracts, initChainlinkMocks } = require("./common/contractsInit.js");
+
+const IMAGE_URI = "ipfs://QmImages/";
+const PNG_BYTES = Buffer.from("89504e470d0a1a0a", "hex");
+
+// GET `url` without following redirects: {status, headers, body}
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      })
+      .on("error", reject);
+  });
+}
+
+async function getJson(url) {
+  const response = await get(url);
+  assert.equal(response.status, 200, "GET " + url + " failed: " + response.body);
+  return JSON.parse(response.body);
+}
+
+contract("Metadata server", async (accounts) => {
+  const maxSupply = 60;
+  const salePrice1 = ether("0.25");
+  var admin, creator, payout, userA;
+  var VRFContract, nftContract, minterContract, nft;
+  var tmpDir, content, server, baseUrl;
+
+  before(async function () {
+    // Address aliases
+    admin = accounts[0];
+    creator = accounts[8];
+    payout = accounts[9];
+    userA = accounts[1];
+    // Extracted metadata files (named by edition) and images
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ldp-metadata-"));
+    fs.mkdirSync(path.join(tmpDir, "metadata"));
+    fs.mkdirSync(path.join(tmpDir, "images"));
+    for (let edition = 0; edition < maxSupply; ++edition) {
+      const record = {
+        name: "Lucky Duck #" + edition,
+        image: IMAGE_URI + edition + ".png",
+        edition,
+        attributes: [{ trait_type: "Background", value: edition % 2 == 0 ? "Gold" : "Plain" }],
+      };
+      fs.writeFileSync(path.join(tmpDir, "metadata", String(edition)), JSON.stringify(record));
+      fs.writeFileSync(path.join(tmpDir, "images", edition + ".png"), PNG_BYTES);
+    }
+    fs.writeFileSync(path.join(tmpDir, "secret.txt"), "not an image");
+
+    let linkContract;
+    [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    [nftContract, minterContract] = await initMainContracts(
+      maxSupply,
+      creator,
+      payout,
+      VRFContract.address,
+      linkContract.address
+    );
+    await linkContract.transfer(nftContract.address, ether("2"), { from: admin });
+    await nftContract.initialize(
+      minterContract.address,
+      accounts[7],
+      LOCAL_URIS.contractURI,
+      LOCAL_URIS.unrevealedURI,
+      LOCAL_URIS.ipfsURI,
+      LOCAL_URIS.arweaveURI,
+      { from: admin }
+    );
+    await minterContract.startMinting({ from: admin });
+    await minterContract.mint(10, { from: userA, value: salePrice1.muln(10) });
+    nft = new web3.eth.Contract(ABIS.LuckyDuckPack, nftContract.address);
+
+    content = serverContent({
+      metadata: loadMetadata(path.join(tmpDir, "metadata")),
+      images: path.join(tmpDir, "images"),
+      uris: LOCAL_URIS,
+    });
+    server = createMetadataServer(content, nft);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = "http://127.0.0.1:" + server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Resolves the URIs of the contract", async () => {
+    assert.equal(content.uris.imageURI, IMAGE_URI, "Image folder not found in the metadata");
+    assert.equal(content.metadata.size, maxSupply, "Wrong number of records");
+    assert.deepEqual(resolveUri(content, "ipfs://metadata/7").data, content.metadata.get(7));
+    assert.deepEqual(resolveUri(content, "ar://metadata/7").data, content.metadata.get(7));
+    assert.equal(resolveUri(content, "ipfs://metadata/" + maxSupply).status, 404, "Served a missing edition");
+    assert.equal(resolveUri(content, "ipfs://metadata/07").status, 404, "Served a URI tokenURI never returns");
+    assert.equal(resolveUri(content, "ipfs://other/1").status, 404, "Served an unknown URI");
+    assert.equal(gatewayUrl("ar://metadata/3", baseUrl + "/"), baseUrl + "/ar/metadata/3");
+    assert.equal(gatewayUrl("https://example.com/3", baseUrl), "https://example.com/3");
+    // Database files load the same way
+    const database = path.join(tmpDir, "database.json");
+    fs.writeFileSync(database, JSON.stringify(Array.from(content.metadata.values())));
+    assert.deepEqual(loadMetadata(database), content.metadata, "Database not loaded");
+  });
+
+  it("Serves the unrevealed placeholder and the contract metadata", async () => {
+    const redirect = await get(baseUrl + "/token/3");
+    assert.equal(redirect.status, 302, "tokenURI not redirected");
+    assert.equal(redirect.headers.location, gatewayUrl(LOCAL_URIS.unrevealedURI, baseUrl));
+    assert.equal(redirect.headers["access-control-allow-origin"], "*", "CORS not allowed");
+    const unrevealed = await getJson(redirect.headers.location);
+    const image = await get(gatewayUrl(unrevealed.image, baseUrl));
+    assert.equal(image.status, 200, "Placeholder image not served");
+    assert.equal(image.headers["content-type"], "image/svg+xml");
+
+    const contractMetadata = await getJson(gatewayUrl(await nftContract.contractURI(), baseUrl));
+    assert.equal(contractMetadata.name, "Lucky Ducks Pack", "Wrong contract metadata");
+    const missing = await get(baseUrl + "/token/" + maxSupply);
+    assert.equal(missing.status, 404, "Redirected a nonexistent token");
+    assert.include(String(missing.body), "nonexistent token");
+  });
+
+  it("Follows the reveal and the storage toggle", async () => {
+    const receipt = await nftContract.reveal();
+    const requestId = receipt.logs.find((log) => log.event == "RevealRequested").args.requestId;
+    await VRFContract.callBackWithRandomness(requestId, maxSupply + 11, nftContract.address);
+    const revealedId = Number(await nftContract.revealedId(3));
+    assert.equal(revealedId, 14, "Wrong revealed ID");
+
+    let redirect = await get(baseUrl + "/token/3");
+    assert.equal(redirect.headers.location, baseUrl + "/ipfs/metadata/" + revealedId);
+    const metadata = await getJson(redirect.headers.location);
+    assert.equal(metadata.edition, revealedId, "Wrong metadata served");
+    const image = await get(gatewayUrl(metadata.image, baseUrl));
+    assert.equal(image.status, 200, "Image not served");
+    assert.equal(image.headers["content-type"], "image/png");
+    assert.isTrue(image.body.equals(PNG_BYTES), "Wrong image content");
+
+    await nftContract.toggleArweaveUri({ from: admin });
+    redirect = await get(baseUrl + "/token/3");
+    assert.equal(redirect.headers.location, baseUrl + "/ar/metadata/" + revealedId, "Arweave URI not followed");
+    assert.deepEqual(await getJson(redirect.headers.location), metadata, "Arweave metadata differs");
+  });
+
+  it("Rewrites the image URIs and stays in the images folder", async () => {
+    const rewriting = createMetadataServer(serverContent({ ...content, rewriteUris: true }));
+    await new Promise((resolve) => rewriting.listen(0, "127.0.0.1", resolve));
+    try {
+      const rewritingUrl = "http://127.0.0.1:" + rewriting.address().port;
+      const metadata = await getJson(rewritingUrl + "/ipfs/metadata/5");
+      assert.equal(metadata.image, rewritingUrl + "/ipfs/QmImages/5.png", "Image URI not rewritten");
+      assert.equal((await get(metadata.image)).status, 200, "Rewritten image not served");
+      assert.equal((await get(rewritingUrl + "/token/1")).status, 404, "Redirected without a contract");
+    } finally {
+      rewriting.close();
+    }
+    assert.equal((await get(baseUrl + "/ipfs/QmImages/..%2Fsecret.txt")).status, 404, "Served a file outside");
+    assert.equal((await get(baseUrl + "/ipfs/QmImages/99.png")).status, 404, "Served a missing image");
+  });
+});
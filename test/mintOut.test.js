@@ -0,0 +1,264 @@
+const fs = require("fs");
+const path = require("path");
+const { assert } = require("chai");
+const { expectRevertCustomError } = require("custom-error-test-helper");
+const { PRICING, currentPrice } = require("../scripts/mintPricing.js");
+const {
+  LuckyDuckPack,
+  LDPMinter,
+  initMainContracts,
+  initChainlinkMocks,
+} = require("./common/contractsInit.js");
+const { rpc } = require("./common/chain.js");
+
+// Full collection mint-out through LDPMinter.mint, with gas profiling.
+// It takes several minutes, so it only runs with MINT_OUT=1:
+//
+//   MINT_OUT=1 truffle test test/mintOut.test.js
+//
+// The gas used by each operation is written as a JSON baseline to
+// test/gas/mintOut.json (or MINT_OUT_GAS_REPORT), to be diffed with git
+// after a contract change; the changes of the average gas against the
+// previous baseline are also printed.
+const RUN = process.env.MINT_OUT == 1;
+const GAS_REPORT = process.env.MINT_OUT_GAS_REPORT || path.join(__dirname, "gas", "mintOut.json");
+const MAX_SUPPLY = 10000;
+const TEAM_RESERVED = 50;
+const BATCH_SIZE = 10;
+// Supply at which the sale phase stops: past both price tiers
+const SALE_END_SUPPLY = 7000;
+// Batches minted at each timestep of the Dutch auctions
+const BATCHES_PER_STEP = 2;
+// Batches minted between the auctions
+const BETWEEN_AUCTIONS_BATCHES = 4;
+const NUM_TRANSFERS = 100;
+
+// Count, min, max, mean and total of a list of gas amounts
+function gasStats(values) {
+  if (values.length == 0) return { count: 0 };
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return {
+    count: values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: Math.round(total / values.length),
+    total,
+  };
+}
+
+// Print the changes of the mean gas against the previous baseline
+function compareWithBaseline(previous, current, prefix = "") {
+  for (const [key, value] of Object.entries(current)) {
+    const old = previous ? previous[key] : undefined;
+    if (value && typeof value == "object" && value.mean === undefined) {
+      compareWithBaseline(old, value, prefix + key + ".");
+    } else if (value && value.mean !== undefined && old && old.mean !== undefined && old.mean != value.mean) {
+      const change = (((value.mean - old.mean) / old.mean) * 100).toFixed(2);
+      console.log("      gas " + prefix + key + ": " + old.mean + " -> " + value.mean + " (" + change + "%)");
+    }
+  }
+}
+
+(RUN ? contract : contract.skip)("Full mint-out", async (accounts) => {
+  var admin, minters;
+  var nftContract, minterContract, rewarderContract;
+  var mintingStartTime;
+  // Expected owner of every token, payments and gas used
+  const owners = [];
+  let paid = 0n;
+  const gas = { mint: {}, transfer: { transferFrom: [], safeTransferFrom: [] } };
+
+  before(async function () {
+    admin = accounts[0];
+    minters = accounts.slice(1);
+    const [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    [nftContract, minterContract, rewarderContract] = await initMainContracts(
+      MAX_SUPPLY,
+      accounts[8],
+      accounts[9],
+      VRFContract.address,
+      linkContract.address
+    );
+    await linkContract.transfer(nftContract.address, web3.utils.toWei("2", "ether"), { from: admin });
+    await nftContract.initialize(
+      minterContract.address,
+      rewarderContract.address,
+      "contract_uri",
+      "unrevealed_uri",
+      "ipfs://metadata/",
+      "ar://metadata/",
+      { from: admin }
+    );
+    // The whole collection costs more than the default test balances
+    for (const minter of minters) {
+      await rpc("evm_setAccountBalance", [minter, "0x" + (10n ** 24n).toString(16)]);
+    }
+  });
+
+  async function increaseTimeTo(timestamp) {
+    await rpc("evm_mine", [Number(timestamp)]);
+  }
+
+  // Mint a batch at the current price, checked against the pricing model
+  async function mintBatch(phase, amount = BATCH_SIZE) {
+    const supplyBefore = Number(await nftContract.totalSupply());
+    const minter = minters[Math.floor(supplyBefore / BATCH_SIZE) % minters.length];
+    const block = await web3.eth.getBlock("latest");
+    // The mint is in the next block: a second later at most, within the same price step
+    const price = BigInt(String(await minterContract.currentPrice()));
+    const modelPrice = currentPrice({ mintingStartTime, totalSupply: supplyBefore, timestamp: block.timestamp });
+    assert.equal(price, modelPrice, "Price differs from the model at supply " + supplyBefore);
+    const receipt = await minterContract.mint(amount, { from: minter, value: (price * BigInt(amount)).toString() });
+    (gas.mint[phase] = gas.mint[phase] || []).push(receipt.receipt.gasUsed);
+    paid += price * BigInt(amount);
+    for (let i = 0; i < amount; ++i) owners.push(minter);
+    assert.equal(Number(await nftContract.totalSupply()), supplyBefore + amount, "Supply mismatch");
+    return price;
+  }
+
+  async function assertPayments() {
+    assert.equal(
+      String(await web3.eth.getBalance(minterContract.address)),
+      paid.toString(),
+      "Minter balance differs from the payments"
+    );
+  }
+
+  it("Mints the team reserve", async () => {
+    const receipt = await minterContract.startMinting({ from: admin });
+    gas.startMinting = receipt.receipt.gasUsed;
+    mintingStartTime = String(await minterContract.mintingStartTime());
+    for (let i = 0; i < TEAM_RESERVED; ++i) owners.push(admin);
+    assert.equal(Number(await nftContract.totalSupply()), TEAM_RESERVED, "Team reserve not minted");
+    assert.equal(Number(await nftContract.balanceOf(admin)), TEAM_RESERVED, "Team reserve not owned by admin");
+  });
+
+  it("Mints across every sale price tier", async () => {
+    const prices = new Set();
+    while (owners.length < SALE_END_SUPPLY) {
+      prices.add(await mintBatch("sale"));
+    }
+    assert.deepEqual(
+      [...prices],
+      [PRICING.SALE_PRICE1, PRICING.SALE_PRICE2, PRICING.SALE_PRICE3],
+      "Not every sale tier crossed"
+    );
+    await assertPayments();
+  });
+
+  it("Mints during both Dutch auctions", async () => {
+    const start = BigInt(mintingStartTime);
+    const auction1Start = start + PRICING.AUCTION1_START_DELAY;
+    const auction1End = auction1Start + PRICING.AUCTIONS_DURATION;
+    const auction2Start = auction1End + PRICING.AUCTION2_START_DELAY;
+    const step = PRICING.AUCTIONS_TIMESTEP;
+    const prices = [];
+
+    // First auction: a few batches at every timestep
+    for (let time = auction1Start; time < auction1End; time += step) {
+      await increaseTimeTo(time);
+      for (let i = 0; i < BATCHES_PER_STEP; ++i) prices.push(await mintBatch("auction1"));
+    }
+    assert.isTrue(await minterContract.isDutchAuctionActive(), "Auction not active");
+    // Between the auctions
+    await increaseTimeTo(auction1End);
+    for (let i = 0; i < BETWEEN_AUCTIONS_BATCHES; ++i) prices.push(await mintBatch("betweenAuctions"));
+    // Second auction, then resting price until 5 tokens are left
+    let time = auction2Start;
+    while (owners.length < MAX_SUPPLY - 5) {
+      await increaseTimeTo(time);
+      for (let i = 0; i < BATCHES_PER_STEP && owners.length < MAX_SUPPLY - 5; ++i) {
+        prices.push(await mintBatch("auction2", Math.min(BATCH_SIZE, MAX_SUPPLY - 5 - owners.length)));
+      }
+      time += step;
+    }
+    assert.equal(prices[0], PRICING.SALE_PRICE2, "Auction 1 does not start at the sale tier 2 price");
+    assert.equal(
+      prices[prices.length - 1],
+      PRICING.AUCTION2_RESTING_PRICE,
+      "Auction 2 resting price not reached"
+    );
+    assert.isTrue(
+      prices.every((price, i) => i == 0 || price <= prices[i - 1]),
+      "Auction prices are not decreasing"
+    );
+    await assertPayments();
+  });
+
+  it("Cannot mint over the max supply", async () => {
+    const price = String(await minterContract.currentPrice());
+    await expectRevertCustomError(
+      LuckyDuckPack,
+      minterContract.mint(BATCH_SIZE, { from: minters[0], value: web3.utils.toBN(price).muln(BATCH_SIZE) }),
+      "MaxSupplyExceeded",
+      [5]
+    );
+    await mintBatch("auction2", 5);
+    assert.equal(Number(await nftContract.totalSupply()), MAX_SUPPLY, "Max supply not reached");
+    assert.equal(String(await minterContract.mintableSupply()), "0", "Mintable supply left");
+    await expectRevertCustomError(
+      LuckyDuckPack,
+      minterContract.mint(1, { from: minters[0], value: price }),
+      "MaxSupplyExceeded",
+      [1]
+    );
+    await assertPayments();
+  });
+
+  it("Enumerates the tokens of every owner", async () => {
+    for (const owner of [admin, ...minters]) {
+      const expected = [];
+      owners.forEach((tokenOwner, id) => {
+        if (tokenOwner == owner) expected.push(id);
+      });
+      assert.equal(Number(await nftContract.balanceOf(owner)), expected.length, "Balance mismatch for " + owner);
+      for (let i = 0; i < expected.length; ++i) {
+        assert.equal(
+          Number(await nftContract.tokenOfOwnerByIndex(owner, i)),
+          expected[i],
+          "Token #" + i + " of " + owner + " mismatch"
+        );
+      }
+    }
+  });
+
+  it("Transfers tokens", async () => {
+    for (let i = 0; i < NUM_TRANSFERS; ++i) {
+      // Spread over the collection, to new and existing owners
+      const tokenId = (i * 97) % MAX_SUPPLY;
+      const from = owners[tokenId];
+      // New owners have fixed addresses: the calldata cost depends on them
+      const to =
+        i % 2 == 0
+          ? web3.utils.toChecksumAddress(web3.utils.keccak256("receiver " + i).slice(0, 42))
+          : minters[i % minters.length];
+      if (to == from) continue;
+      const method = i % 4 < 2 ? "transferFrom" : "safeTransferFrom";
+      const receipt = await nftContract.methods[method + "(address,address,uint256)"](from, to, tokenId, { from });
+      gas.transfer[method].push(receipt.receipt.gasUsed);
+      owners[tokenId] = to;
+      assert.equal(await nftContract.ownerOf(tokenId), to, "Token " + tokenId + " not transferred");
+    }
+    assert.equal(Number(await nftContract.totalSupply()), MAX_SUPPLY, "Supply changed");
+  });
+
+  after(async function () {
+    if (!gas.startMinting) return;
+    const report = {
+      contracts: { nft: LuckyDuckPack.contractName, minter: LDPMinter.contractName },
+      maxSupply: MAX_SUPPLY,
+      batchSize: BATCH_SIZE,
+      startMinting: gas.startMinting,
+      mint: { all: gasStats(Object.values(gas.mint).flat()) },
+      transfer: {},
+    };
+    for (const [phase, values] of Object.entries(gas.mint)) report.mint[phase] = gasStats(values);
+    for (const [method, values] of Object.entries(gas.transfer)) report.transfer[method] = gasStats(values);
+    if (fs.existsSync(GAS_REPORT)) {
+      compareWithBaseline(JSON.parse(fs.readFileSync(GAS_REPORT, "utf8")), report);
+    }
+    fs.mkdirSync(path.dirname(GAS_REPORT), { recursive: true });
+    fs.writeFileSync(GAS_REPORT, JSON.stringify(report, null, 2) + "\n");
+    console.log("      Gas baseline written to " + GAS_REPORT);
+  });
+});
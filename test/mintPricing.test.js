@@ -0,0 +1,102 @@
+const { assert } = require("chai");
+const {
+  PRICING,
+  auctionTimes,
+  currentPrice,
+  isDutchAuctionActive,
+  timeToNextAuction,
+} = require("../scripts/mintPricing.js");
+const { LDPMinter, LDPSupplyMock } = require("./common/contractsInit.js");
+const { rpc } = require("./common/chain.js");
+
+contract("Mint pricing model", async (accounts) => {
+  var admin, rewarder, payout;
+  var mintingStartTime;
+
+  before(async function () {
+    // Address aliases
+    admin = accounts[0];
+    rewarder = accounts[5];
+    payout = accounts[9];
+    // The minter works with a supply mock, so that every supply tier can be
+    // reached without minting all tokens
+    supplyMock = await LDPSupplyMock.new();
+    minterContract = await LDPMinter.new(supplyMock.address, rewarder, payout);
+  });
+
+  // Compare the contract with the model at the latest block
+  async function assertSameAsContract(label) {
+    const block = await web3.eth.getBlock("latest");
+    const state = {
+      mintingStartTime: String(await minterContract.mintingStartTime()),
+      totalSupply: String(await supplyMock.totalSupply()),
+      timestamp: block.timestamp,
+    };
+    assert.equal(
+      String(await minterContract.currentPrice()),
+      currentPrice(state).toString(),
+      "Price mismatch " + label
+    );
+    assert.equal(
+      await minterContract.isDutchAuctionActive(),
+      isDutchAuctionActive(state),
+      "isDutchAuctionActive mismatch " + label
+    );
+    if (state.mintingStartTime != "0") {
+      assert.equal(
+        String(await minterContract.timeToNextAuction()),
+        timeToNextAuction(state).toString(),
+        "timeToNextAuction mismatch " + label
+      );
+    }
+  }
+
+  it("Matches the contract before minting starts", async () => {
+    await assertSameAsContract("before minting");
+  });
+
+  it("Matches the contract at every supply tier boundary", async () => {
+    await minterContract.startMinting({ from: admin });
+    mintingStartTime = String(await minterContract.mintingStartTime());
+    await assertSameAsContract("at minting start");
+    const boundaries = [PRICING.SALE_TIER2_SUPPLY, PRICING.SALE_TIER3_SUPPLY];
+    for (const boundary of boundaries) {
+      for (const supply of [boundary - 1n, boundary]) {
+        await supplyMock.setTotalSupply(supply.toString());
+        await assertSameAsContract("at supply " + supply);
+      }
+    }
+    await supplyMock.setTotalSupply(9999);
+    await assertSameAsContract("at supply 9999");
+  });
+
+  it("Matches the contract at every auction step boundary", async () => {
+    const times = auctionTimes(mintingStartTime);
+    const step = PRICING.AUCTIONS_TIMESTEP;
+    const boundaries = [];
+    for (let t = times.auction1Start; t <= times.auction1End; t += step) {
+      boundaries.push(t);
+    }
+    // One step more than the auction duration, to reach the resting price
+    for (let t = times.auction2Start; t <= times.auction2End + step; t += step) {
+      boundaries.push(t);
+    }
+    for (const boundary of boundaries) {
+      for (const target of [boundary - 1n, boundary]) {
+        // Mine a block at the exact boundary timestamp
+        await rpc("evm_mine", [Number(target)]);
+        assert.equal(
+          (await web3.eth.getBlock("latest")).timestamp,
+          Number(target),
+          "Time travel failed"
+        );
+        await assertSameAsContract("at time " + target);
+      }
+    }
+    assert.equal(
+      String(await minterContract.currentPrice()),
+      PRICING.AUCTION2_RESTING_PRICE.toString(),
+      "Resting price not reached"
+    );
+  });
+});
@@ -0,0 +1,100 @@
+const { assert } = require("chai");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  hashAll,
+  hashOfHashes,
+  writeHashFiles,
+  readContractProvenance,
+} = require("../scripts/provenance.js");
+const {
+  LuckyDuckPack,
+  initMainContracts,
+  initChainlinkMocks,
+} = require("./common/contractsInit.js");
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+contract("Provenance", async (accounts) => {
+  var tempDir, mediaDir, outputDir, contents;
+
+  before(async function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "ldp-provenance-"));
+    mediaDir = path.join(tempDir, "media");
+    outputDir = path.join(tempDir, "hashes");
+    fs.mkdirSync(mediaDir);
+    contents = ["duck zero", "duck one", "duck two"];
+    contents.forEach((content, i) =>
+      fs.writeFileSync(path.join(mediaDir, i + ".png"), content)
+    );
+  });
+
+  after(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe("Hashing", function () {
+    it("Files are hashed with sha256 in token order", async () => {
+      const hashes = hashAll(mediaDir, "png", 3);
+      assert.deepEqual(hashes, contents.map(sha256), "Wrong file hashes");
+    });
+
+    it("The provenance is the hash of the concatenated hashes", async () => {
+      const hashes = contents.map(sha256);
+      assert.equal(
+        hashOfHashes(hashes),
+        sha256(hashes.join("")),
+        "Wrong hash of hashes"
+      );
+    });
+
+    it("Missing files are reported", async () => {
+      assert.throws(
+        () => hashAll(mediaDir, "png", 4),
+        /Missing file for token 3/
+      );
+    });
+
+    it("Output files are written", async () => {
+      const hashes = hashAll(mediaDir, "png", 3);
+      const files = writeHashFiles(hashes, "tokenMedia", "png", outputDir);
+      assert.equal(
+        fs.readFileSync(files.csv, "utf8"),
+        "token id;tokenMedia hash (sha256)\n" +
+          hashes.map((hash, i) => i + ";" + hash).join("\n") +
+          "\n"
+      );
+      assert.equal(fs.readFileSync(files.txt, "utf8"), hashes.join("\n"));
+      assert.equal(
+        fs.readFileSync(files.concatenated, "utf8"),
+        hashes.join("")
+      );
+      assert.equal(
+        fs.readFileSync(files.hashOfHashes, "utf8"),
+        hashOfHashes(hashes)
+      );
+    });
+  });
+
+  describe("Contract provenance", function () {
+    it("Artifact provenance matches the deployed contract", async () => {
+      [VRFContract, linkContract] = await initChainlinkMocks(accounts[0]);
+      [nftContract] = await initMainContracts(
+        10,
+        accounts[8],
+        accounts[9],
+        VRFContract.address,
+        linkContract.address
+      );
+      assert.equal(
+        readContractProvenance(LuckyDuckPack._json),
+        await nftContract.PROVENANCE(),
+        "Provenance read from the artifact is wrong"
+      );
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { assert } = require("chai");
+const { computeRarity, addRevealedTokenIds, rarityToCsv } = require("../scripts/rarity.js");
+
+const database = require("./fixtures/rarity/database.json");
+
+describe("Rarity scoring", function () {
+  // Ranked token of `edition`
+  function tokenOf(result, edition) {
+    return result.tokens.find((token) => token.edition == edition);
+  }
+
+  it("Counts missing and none traits under none", async () => {
+    const { frequencies } = computeRarity(database);
+    assert.deepEqual(frequencies.Hat, {
+      Cap: { count: 4, frequency: 4 / 6 },
+      none: { count: 2, frequency: 2 / 6 },
+    });
+    assert.deepEqual(frequencies.Background.none, { count: 3, frequency: 3 / 6 }, "Missing Background not none");
+    assert.deepEqual(frequencies.Overlay.none, { count: 5, frequency: 5 / 6 }, "Missing Overlay not none");
+    // A custom none value replaces "none" for missing traits only
+    const custom = computeRarity(database, { noneValue: "-" });
+    assert.equal(custom.frequencies.Overlay["-"].count, 5);
+    assert.equal(custom.frequencies.Hat.none.count, 1, "Explicit none value merged");
+  });
+
+  it("Scores tokens with the trait count term", async () => {
+    const result = computeRarity(database);
+    assert.deepEqual(result.frequencies["Trait Count"], {
+      1: { count: 1, frequency: 1 / 6 },
+      2: { count: 3, frequency: 3 / 6 },
+      3: { count: 1, frequency: 1 / 6 },
+      4: { count: 1, frequency: 1 / 6 },
+    });
+    // Body 2 + Hat 1.5 + Background 2 + Overlay 6 + Trait Count 6
+    assert.closeTo(tokenOf(result, 0).score, 17.5, 1e-9);
+    assert.equal(tokenOf(result, 0).trait_count, 4);
+    // Body 2 + Hat none 3 + Background none 2 + Overlay none 1.2 + Trait Count 6
+    assert.closeTo(tokenOf(result, 4).score, 14.2, 1e-9);
+    assert.equal(tokenOf(result, 2).trait_count, 2, "none value counted as a trait");
+    assert.closeTo(tokenOf(result, 0).statistical_rarity, (1 / 2) * (4 / 6) * (1 / 2) * (1 / 6), 1e-12);
+    assert.deepEqual(tokenOf(result, 4).traits.Hat, { value: "none", frequency: 2 / 6 });
+  });
+
+  it("Gives tied tokens the same competition rank", async () => {
+    const result = computeRarity(database);
+    assert.deepEqual(
+      result.tokens.map((token) => [token.edition, token.rank]),
+      [
+        [0, 1],
+        [4, 2],
+        [1, 3],
+        [2, 4],
+        [3, 5],
+        [5, 5],
+      ],
+      "Wrong ranks"
+    );
+    assert.deepEqual(
+      [0, 1, 2, 3, 4, 5].map((edition) => tokenOf(result, edition).statistical_rank),
+      [1, 4, 2, 4, 2, 4],
+      "Wrong statistical ranks"
+    );
+  });
+
+  it("Adds the token IDs after the reveal", async () => {
+    const result = computeRarity(database);
+    addRevealedTokenIds(result.tokens, database, 2, database.length);
+    // Token (edition - 2) mod 6 holds the metadata of edition
+    assert.deepEqual(
+      [0, 1, 2, 3, 4, 5].map((edition) => tokenOf(result, edition).token_id),
+      [4, 5, 0, 1, 2, 3]
+    );
+    const csv = rarityToCsv(result.tokens).split("\n");
+    assert.match(csv[0], /^rank,token_id,edition,name,score,statistical_rank/);
+  });
+
+  it("Rejects the offset of an unrevealed collection", async () => {
+    // revealOffset is 0 until the reveal, never after it
+    const tokens = computeRarity(database).tokens;
+    assert.throws(() => addRevealedTokenIds(tokens, database, 0, database.length), /between 1 and 5/);
+    assert.throws(() => addRevealedTokenIds(tokens, database, 6, database.length), /between 1 and 5/);
+  });
+});
@@ -0,0 +1,104 @@
+const { assert } = require("chai");
+const { ether } = require("@openzeppelin/test-helpers");
+const {
+  buildRevealTable,
+  revealTableToCsv,
+  readRevealData,
+} = require("../scripts/revealMapping.js");
+const {
+  initMainContracts,
+  initChainlinkMocks,
+} = require("./common/contractsInit.js");
+
+contract("Reveal mapping", async (accounts) => {
+  var admin, minterAddr, maxSupply, database;
+
+  before(async function () {
+    admin = accounts[0];
+    minterAddr = accounts[7];
+    maxSupply = 20;
+    // Small fake metadata database
+    database = [];
+    for (let i = 0; i < maxSupply; ++i) {
+      database.push({
+        name: "Duck #" + i,
+        image: "ipfs://images/" + i + ".png",
+        edition: i,
+        attributes: [{ trait_type: "Hat", value: "Hat " + (i % 3) }],
+      });
+    }
+  });
+
+  async function revealWithRandomness(randomness) {
+    [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    [nftContract, minterContract, rewarderContract] = await initMainContracts(
+      maxSupply,
+      accounts[8],
+      accounts[9],
+      VRFContract.address,
+      linkContract.address
+    );
+    await linkContract.transfer(nftContract.address, ether("2"), {
+      from: admin,
+    });
+    await nftContract.initialize(
+      minterAddr,
+      rewarderContract.address,
+      "contractUri_string",
+      "unrevealedUri_string",
+      "baseUri_IPFS_string",
+      "baseUri_AR_string",
+      { from: admin }
+    );
+    await nftContract.mint_Qgo(accounts[1], maxSupply, { from: minterAddr });
+    const receipt = await nftContract.reveal();
+    await VRFContract.callBackWithRandomness(
+      String(receipt.logs[0].args[0]),
+      randomness,
+      nftContract.address
+    );
+    return nftContract;
+  }
+
+  it("The mapping read from the chain matches revealedId", async () => {
+    const nft = await revealWithRandomness(35139);
+    const { revealOffset, maxSupply: supply } = await readRevealData(
+      web3,
+      nft.address
+    );
+    assert.equal(revealOffset, 35139 % maxSupply, "Wrong reveal offset");
+    assert.equal(supply, maxSupply, "Wrong max supply");
+    const rows = buildRevealTable(database, revealOffset, supply);
+    for (let i = 0; i < maxSupply; ++i) {
+      assert.equal(
+        rows[i].metadata_id,
+        Number(await nft.revealedId(i)),
+        "Metadata ID mismatch for token " + i
+      );
+      assert.equal(rows[i].name, "Duck #" + rows[i].metadata_id);
+    }
+  });
+
+  it("A zero offset is forced to one", async () => {
+    const nft = await revealWithRandomness(maxSupply * 7);
+    const { revealOffset } = await readRevealData(web3, nft.address);
+    assert.equal(revealOffset, 1, "Offset not forced to one");
+    assert.equal(buildRevealTable(database, revealOffset, maxSupply)[0].metadata_id, 1);
+  });
+
+  it("Invalid inputs are rejected", async () => {
+    assert.throws(() => buildRevealTable(database, 0, maxSupply), /Reveal offset/);
+    assert.throws(
+      () => buildRevealTable(database.slice(1), 3, maxSupply),
+      /No metadata found for revealed ID 0/
+    );
+  });
+
+  it("The CSV has one column per trait", async () => {
+    const csv = revealTableToCsv(buildRevealTable(database, 3, maxSupply));
+    const lines = csv.trim().split("\n");
+    assert.equal(lines.length, maxSupply + 1);
+    assert.equal(lines[0], "token_id,metadata_id,name,image,image_file_hash,Hat");
+    assert.equal(lines[1], "0,3,Duck #3,ipfs://images/3.png,,Hat 0");
+  });
+});
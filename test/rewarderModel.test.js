@@ -0,0 +1,252 @@
+const { assert } = require("chai");
+const { expectRevertCustomError } = require("custom-error-test-helper");
+const { RewarderModel } = require("../scripts/rewarderModel.js");
+const {
+  LuckyDuckPack,
+  LDPRewarder,
+  WETH,
+  initChainlinkMocks,
+  initMockTokens,
+} = require("./common/contractsInit.js");
+const { prng } = require("./common/chain.js");
+
+contract("Rewarder accounting model", async (accounts) => {
+  const maxSupply = 12;
+  const numOperations = 40;
+  const seeds = [1, 2, 3];
+  var admin, creator, minterAddr, users;
+
+  before(async function () {
+    admin = accounts[0];
+    creator = accounts[8];
+    minterAddr = accounts[7];
+    // The last user owns no token at first
+    users = accounts.slice(1, 6);
+  });
+
+  // Deploy a fresh set of contracts, with tokens randomly assigned to users
+  async function deploy(random) {
+    const [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    const nft = await LuckyDuckPack.new(
+      VRFContract.address,
+      linkContract.address,
+      maxSupply
+    );
+    const weth = await WETH.new();
+    const rewarder = await LDPRewarder.new(nft.address, creator, weth.address);
+    const tokens = await initMockTokens(admin);
+    await linkContract.transfer(nft.address, web3.utils.toWei("2", "ether"), {
+      from: admin,
+    });
+    await nft.initialize(minterAddr, rewarder.address, "uri", "uri", "uri", "uri", {
+      from: admin,
+    });
+    const owners = {};
+    for (let tokenId = 0; tokenId < maxSupply; ++tokenId) {
+      owners[tokenId] = users[Math.floor(random() * (users.length - 1))];
+      await nft.mint_Qgo(owners[tokenId], 1, { from: minterAddr });
+    }
+    const model = new RewarderModel(owners, { weth: weth.address });
+    return { nft, weth, rewarder, tokens, model };
+  }
+
+  // Random amount between 0 and 10^18, biased towards small values so
+  // that the rounding dust is exercised
+  function randomAmount(random) {
+    const digits = 1 + Math.floor(random() * 18);
+    let amount = 0n;
+    for (let i = 0; i < digits; ++i) {
+      amount = amount * 10n + BigInt(Math.floor(random() * 10));
+    }
+    return amount;
+  }
+
+  function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+  }
+
+  // Build a random operation; accounts and tokens are picked so that some
+  // operations revert (e.g. cashout of a token not owned)
+  function randomOperation(random, env) {
+    const token = pick(random, env.tokens).address;
+    const tokenId = Math.floor(random() * maxSupply);
+    const account = pick(random, users);
+    const ops = [
+      { op: "receiveEth", amount: randomAmount(random) },
+      { op: "receiveEth", amount: randomAmount(random) },
+      { op: "receiveWeth", amount: randomAmount(random) },
+      { op: "unwrapWeth" },
+      { op: "receiveErc20", token, amount: randomAmount(random) },
+      { op: "forceUpdateErc20Records", token },
+      { op: "cashout", account },
+      { op: "nftCashout", account: env.model.owners.get(BigInt(tokenId)), tokenId },
+      { op: "nftCashout", account, tokenId },
+      { op: "creatorCashout" },
+      { op: "cashoutErc20", account, token },
+      { op: "nftCashoutErc20", account: env.model.owners.get(BigInt(tokenId)), tokenId, token },
+      { op: "creatorCashoutErc20", token },
+      { op: "transfer", to: account, tokenId },
+    ];
+    return pick(random, ops);
+  }
+
+  // Run the operation on chain, returning the amount paid (if any)
+  async function execute(env, operation) {
+    const { rewarder, weth, nft } = env;
+    const { op, account, token, tokenId, amount } = operation;
+    let receipt;
+    switch (op) {
+      case "receiveEth":
+        await web3.eth.sendTransaction({
+          from: admin,
+          to: rewarder.address,
+          value: amount.toString(),
+        });
+        return undefined;
+      case "receiveWeth":
+        await weth.deposit({ from: admin, value: amount.toString() });
+        await weth.transfer(rewarder.address, amount.toString(), { from: admin });
+        return undefined;
+      case "receiveErc20":
+        await env.tokens
+          .find((contract) => contract.address == token)
+          .transfer(rewarder.address, amount.toString(), { from: admin });
+        return undefined;
+      case "unwrapWeth":
+        await rewarder.unwrapWeth({ from: admin });
+        return undefined;
+      case "forceUpdateErc20Records":
+        await rewarder.forceUpdateErc20Records(token, { from: admin });
+        return undefined;
+      case "transfer": {
+        const owner = await nft.ownerOf(tokenId);
+        await nft.transferFrom(owner, operation.to, tokenId, { from: owner });
+        return undefined;
+      }
+      case "cashout":
+        receipt = await rewarder.cashout({ from: account });
+        break;
+      case "nftCashout":
+        receipt = await rewarder.nftCashout(tokenId, { from: account });
+        break;
+      case "creatorCashout":
+        receipt = await rewarder.creatorCashout({ from: admin });
+        break;
+      case "cashoutErc20":
+        receipt = await rewarder.cashoutErc20(token, { from: account });
+        break;
+      case "nftCashoutErc20":
+        receipt = await rewarder.nftCashoutErc20(tokenId, token, { from: account });
+        break;
+      case "creatorCashoutErc20":
+        receipt = await rewarder.creatorCashoutErc20(token, { from: admin });
+        break;
+    }
+    const log = receipt.logs.find(
+      (log) => log.event == "Cashout" || log.event == "CashoutErc20"
+    );
+    return BigInt(String(log.args.amount));
+  }
+
+  // Compare every view of the contract with the model
+  async function assertSameAsContract(env, label) {
+    const { rewarder, weth, model } = env;
+    const check = (actual, expected, what) =>
+      assert.equal(String(actual), String(expected), what + " mismatch " + label);
+    check(await web3.eth.getBalance(rewarder.address), model.ethBalance, "ETH balance");
+    check(await weth.balanceOf(rewarder.address), model.unprocessedWeth(), "WETH balance");
+    check(await rewarder.unprocessedWeth(), model.unprocessedWeth(), "unprocessedWeth");
+    check(
+      await rewarder.methods["collectionEarningsLifetime()"](),
+      model.collectionEarningsLifetime(),
+      "collectionEarningsLifetime"
+    );
+    for (const account of [...users, creator]) {
+      check(await rewarder.accountRevenues(account), model.accountRevenues(account), "accountRevenues");
+    }
+    for (let tokenId = 0; tokenId < maxSupply; ++tokenId) {
+      check(await rewarder.nftRevenues(tokenId), model.nftRevenues(tokenId), "nftRevenues");
+    }
+    assert.isTrue(model.dust() >= 0n, "Negative ETH dust " + label);
+    for (const token of env.tokens) {
+      const address = token.address;
+      check(await token.balanceOf(rewarder.address), model.erc20Balances.get(address.toLowerCase()) || 0n, "ERC20 balance");
+      check(
+        await rewarder.methods["collectionEarningsLifetime(address)"](address),
+        model.collectionEarningsLifetime(address),
+        "collectionEarningsLifetime(token)"
+      );
+      check(await rewarder.isErc20RecordsUpToDate(address), model.isErc20RecordsUpToDate(address), "isErc20RecordsUpToDate");
+      for (const account of users) {
+        check(
+          await rewarder.accountRevenuesErc20(account, address),
+          model.accountRevenuesErc20(account, address),
+          "accountRevenuesErc20"
+        );
+      }
+      for (let tokenId = 0; tokenId < maxSupply; ++tokenId) {
+        check(
+          await rewarder.nftRevenuesErc20(tokenId, address),
+          model.nftRevenuesErc20(tokenId, address),
+          "nftRevenuesErc20"
+        );
+      }
+      assert.isTrue(model.dust(address) >= 0n, "Negative ERC20 dust " + label);
+    }
+    // WETH is never accounted as an ERC20
+    check(await rewarder.nftRevenuesErc20(0, weth.address), model.nftRevenuesErc20(0, weth.address), "nftRevenuesErc20(WETH)");
+  }
+
+  for (const seed of seeds) {
+    it("Predicts the contract balances (seed " + seed + ")", async () => {
+      const random = prng(seed);
+      const env = await deploy(random);
+      await assertSameAsContract(env, "after deployment (seed " + seed + ")");
+      for (let i = 0; i < numOperations; ++i) {
+        const operation = randomOperation(random, env);
+        const label = "after operation #" + i + " " + operation.op + " (seed " + seed + ")";
+        let expected, expectedError;
+        try {
+          expected = env.model.apply(operation);
+        } catch (err) {
+          expectedError = err.message;
+        }
+        if (expectedError !== undefined) {
+          // Model errors are formatted as the contract custom errors
+          const [, name, args] = expectedError.match(/^(\w+)\((.*)\)$/);
+          await expectRevertCustomError(
+            env.rewarder,
+            execute(env, operation),
+            name,
+            args.length > 0 ? args.split(",") : undefined
+          );
+        } else {
+          const paid = await execute(env, operation);
+          assert.equal(String(paid), String(expected), "Paid amount mismatch " + label);
+        }
+        if (i % 10 == 9) await assertSameAsContract(env, label);
+      }
+      await assertSameAsContract(env, "at the end (seed " + seed + ")");
+    });
+  }
+
+  it("Keeps the rounding dust in the contract", async () => {
+    const model = new RewarderModel({ 0: users[0], 1: users[1] });
+    // Below 16 wei nothing is accrued to holders
+    model.receiveEth(15);
+    assert.equal(model.collectionEarningsLifetime(), 0n, "Accrued from dust");
+    assert.equal(model.dust(), 15n, "Unexpected dust");
+    // 1 ETH: 0.9375 ETH to holders, 1/15 of it to the creator
+    model.receiveEth(10n ** 18n);
+    assert.equal(model.nftRevenues(0), 93750000000000n, "Unexpected NFT share");
+    assert.equal(model.creatorRevenues(), 62500000000000000n, "Unexpected creator share");
+    assert.equal(model.creatorCashout(), 62500000000000000n, "Unexpected creator payment");
+    assert.equal(model.creatorCashout(), 0n, "Creator paid twice");
+    assert.equal(model.cashout(users[0]), 93750000000000n, "Unexpected holder payment");
+    assert.equal(
+      model.ethBalance,
+      model.dust() + model.nftRevenues(1) + model.creatorRevenues(),
+      "Balance is not dust plus unclaimed revenues"
+    );
+  });
+});
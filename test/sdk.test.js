@@ -0,0 +1,199 @@
+const { assert } = require("chai");
+const { balance, ether } = require("@openzeppelin/test-helpers");
+const { LDPClient, LDPError } = require("../sdk/index.js");
+const { sdkAbis, outdatedAbis } = require("../scripts/buildSdk.js");
+const {
+  LDPLuckyDraw,
+  initMainContracts,
+  initChainlinkMocks,
+  initMockTokens,
+} = require("./common/contractsInit.js");
+const { nftShare } = require("./common/chain.js");
+
+contract("Client SDK", async (accounts) => {
+  const maxSupply = 60; // 50 reserved to the team, 10 for sale
+  const salePrice1 = ether("0.25");
+  var admin, creator, payout, userA, userB;
+  var VRFContract, linkContract, nftContract, minterContract, rewarderContract, weth, luckyDrawContract, tokenA;
+  var client;
+
+  // Await the promise and return the LDPError it raised
+  async function ldpError(promise) {
+    try {
+      await promise;
+    } catch (err) {
+      assert.instanceOf(err, LDPError, "Not decoded: " + err.message);
+      return err;
+    }
+    assert.fail("Expected an error");
+  }
+
+  before(async function () {
+    // Address aliases
+    admin = accounts[0];
+    creator = accounts[8];
+    payout = accounts[9];
+    userA = accounts[1];
+    userB = accounts[2];
+    [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    [nftContract, minterContract, rewarderContract, weth] = await initMainContracts(
+      maxSupply,
+      creator,
+      payout,
+      VRFContract.address,
+      linkContract.address
+    );
+    [tokenA] = await initMockTokens(admin);
+    luckyDrawContract = await LDPLuckyDraw.new(VRFContract.address, linkContract.address);
+    await linkContract.transfer(nftContract.address, ether("2"), { from: admin });
+    await linkContract.transfer(luckyDrawContract.address, ether("1"), { from: admin });
+    await nftContract.initialize(
+      minterContract.address,
+      rewarderContract.address,
+      "some_uri",
+      "some_uri",
+      "some_uri",
+      "some_uri",
+      { from: admin }
+    );
+    client = LDPClient.fromRegistry(
+      web3,
+      {
+        contracts: {
+          LuckyDuckPack: { address: nftContract.address },
+          LDPMinter: { address: minterContract.address },
+          LDPRewarder: { address: rewarderContract.address },
+          LDPLuckyDraw: { address: luckyDrawContract.address },
+        },
+      },
+      { from: userA }
+    );
+  });
+
+  it("SDK ABIs are up to date with the artifacts", async () => {
+    assert.deepEqual(outdatedAbis(sdkAbis()), [], "Run 'npm run build:sdk'");
+  });
+
+  it("Does not mint before minting starts", async () => {
+    const status = await client.mintingStatus();
+    assert.isFalse(status.started, "Minting started");
+    assert.equal(status.timeToNextAuction, 0, "Wrong time to next auction");
+    const err = await ldpError(client.mint(1));
+    assert.equal(err.errorName, "MintingNotStarted");
+    assert.equal(err.message, "Minting has not started");
+  });
+
+  it("Checks amount and price before minting", async () => {
+    await minterContract.startMinting({ from: admin });
+    const status = await client.mintingStatus();
+    assert.isTrue(status.started, "Minting not started");
+    assert.equal(status.price, BigInt(salePrice1), "Wrong price");
+    assert.equal(status.mintableSupply, 10, "Wrong mintable supply");
+    assert.isFalse(status.dutchAuctionActive, "Auction active");
+
+    let err = await ldpError(client.mint(11));
+    assert.equal(err.errorName, "MaxMintsPerCallExceeded");
+    err = await ldpError(client.mint(2, { value: salePrice1 }));
+    assert.equal(err.errorName, "Underpaid");
+    assert.equal(err.contract, "LDPMinter");
+    assert.deepEqual(err.args, { paid: BigInt(salePrice1), required: 2n * BigInt(salePrice1) });
+    try {
+      await client.mint(1, { maxPrice: 1n });
+      assert.fail("Minted above the maximum price");
+    } catch (err) {
+      assert.include(err.message, "above the maximum", "Wrong error");
+    }
+  });
+
+  it("Mints and returns the token IDs", async () => {
+    const minted = await client.mint(3);
+    assert.deepEqual(minted.tokenIds, [50, 51, 52], "Wrong token IDs");
+    assert.equal(minted.paid, 3n * BigInt(salePrice1), "Wrong payment");
+    assert.deepEqual(await client.ownedTokens(userA), [50, 51, 52], "Wrong owned tokens");
+    await client.mint(7, { from: userB });
+    assert.equal((await client.mintingStatus()).mintableSupply, 0, "Not minted out");
+  });
+
+  it("Decodes the errors raised by the contracts", async () => {
+    // Checked by the NFT contract, not by the SDK
+    let err = await ldpError(client.mint(1));
+    assert.equal(err.errorName, "MaxSupplyExceeded");
+    assert.equal(err.contract, "LuckyDuckPack");
+    assert.deepEqual(err.args, { excess: 1n });
+    assert.equal(err.message, "Max supply exceeded by 1 token(s)");
+    err = await ldpError(client.updateErc20Records(weth.address));
+    assert.equal(err.errorName, "NotAllowedOnWETH");
+    assert.isDefined(err.cause, "Original error lost");
+  });
+
+  it("Claims ETH revenues", async () => {
+    const received = ether("1.6");
+    await web3.eth.sendTransaction({ from: accounts[5], to: rewarderContract.address, value: received });
+    const perNft = nftShare(received);
+    assert.equal(await client.tokenRevenues(50), perNft, "Wrong token revenues");
+    assert.equal(await client.accountRevenues(userA), 3n * perNft, "Wrong account revenues");
+    assert.equal(await client.collectionEarnings(), (BigInt(received) * 15n) / 16n, "Wrong collection earnings");
+
+    const trackerA = await balance.tracker(userA);
+    const claimed = await client.claimAll();
+    const { delta, fees } = await trackerA.deltaWithFees();
+    assert.equal(claimed.amount, 3n * perNft, "Wrong claimed amount");
+    assert.equal(BigInt(delta.add(fees)), claimed.amount, "Wrong amount received");
+    assert.equal(await client.accountRevenues(userA), 0n, "Revenues left");
+
+    const err = await ldpError(client.claimToken(0));
+    assert.equal(err.errorName, "SenderIsNoTokenOwner");
+    assert.deepEqual(err.args, { tokenId: 0n });
+    const claimedB = await client.claimToken(53, { from: userB });
+    assert.equal(claimedB.amount, perNft, "Wrong token amount");
+  });
+
+  it("Claims ERC20 revenues", async () => {
+    const received = ether("16");
+    await tokenA.transfer(rewarderContract.address, received, { from: admin });
+    assert.isFalse(await client.isErc20RecordsUpToDate(tokenA.address), "Records up to date");
+    assert.equal(await client.accountRevenues(userA, { token: tokenA.address }), 0n, "Unprocessed revenues");
+
+    const claimed = await client.claimAllErc20(tokenA.address);
+    const perNft = nftShare(received);
+    assert.equal(claimed.amount, 3n * perNft, "Wrong claimed amount");
+    assert.isTrue(await client.isErc20RecordsUpToDate(tokenA.address), "Records not up to date");
+    assert.equal(await client.tokenRevenues(53, { token: tokenA.address }), perNft, "Wrong token revenues");
+    const claimedB = await client.claimTokenErc20(53, tokenA.address, { from: userB });
+    assert.equal(claimedB.amount, perNft, "Wrong token amount");
+  });
+
+  it("Reads the reveal status", async () => {
+    let status = await client.revealStatus();
+    assert.deepInclude(status, { totalSupply: maxSupply, maxSupply, mintedOut: true, revealed: false });
+    const { requestId } = await client.reveal();
+    assert.isString(requestId, "No request ID");
+    await VRFContract.callBackWithRandomness(requestId, maxSupply + 7, nftContract.address);
+    status = await client.revealStatus();
+    assert.isTrue(status.revealed, "Not revealed");
+    assert.equal(status.revealOffset, 7, "Wrong offset");
+    assert.isAbove(status.revealTimestamp, 0, "No reveal timestamp");
+    assert.equal(await client.revealedId(0), 7, "Wrong revealed ID");
+  });
+
+  it("Looks draws up by dataHash and index", async () => {
+    const dataHash = web3.utils.keccak256("sdk draw");
+    const receipt = await luckyDrawContract.requestRandomDraw(dataHash, 10, 2, { from: admin });
+    const requestId = receipt.logs.find((log) => log.event == "DrawRequested").args.chainlinkRequestId;
+    assert.deepEqual(await client.drawHashes(), [dataHash], "Wrong dataHashes");
+    let draw = await client.draw(dataHash);
+    assert.isFalse(draw.fulfilled, "Fulfilled");
+    assert.isNull(draw.randomness, "Randomness set");
+
+    await VRFContract.callBackWithRandomness(requestId, 12345, luckyDrawContract.address);
+    draw = await client.draw(dataHash);
+    assert.deepInclude(draw, { drawIndex: 0, dataHash, numParticipants: 10, fulfilled: true, randomness: 12345n });
+    assert.lengthOf(draw.winners, 2, "Wrong number of winners");
+    assert.deepEqual(await client.draw(0), draw, "Lookups by index and dataHash differ");
+    // Searched from the request time, or from the given block, in bounded ranges
+    assert.deepEqual(await client.draw(0, { blockRange: 1 }), draw, "Fulfillment missed with small ranges");
+    assert.deepEqual(await client.draw(0, { fromBlock: receipt.receipt.blockNumber }), draw, "From block ignored");
+    const later = await client.draw(0, { fromBlock: (await web3.eth.getBlockNumber()) + 1 });
+    assert.isFalse(later.fulfilled, "Searched before the given block");
+  });
+});
@@ -0,0 +1,85 @@
+const { assert } = require("chai");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validateToken, validateFolder } = require("../scripts/validateMetadata.js");
+
+const PROVENANCE = "29c8c78a66ee0edd9d8825f9cc02fe8ed0b58f5e0c2bc8a89ae5be08f74ae077";
+const VALID_FOLDER = path.join(__dirname, "fixtures", "tokenFiles", "valid");
+const INVALID_FOLDER = path.join(__dirname, "fixtures", "tokenFiles", "invalid");
+const SCRIPT = path.join(__dirname, "..", "scripts", "validateMetadata.js");
+
+describe("Metadata files validation", function () {
+  const options = { maxSupply: 5, provenance: PROVENANCE };
+
+  // Violations of `token`, as "field: message"
+  function violationsOf(violations, token) {
+    return violations
+      .filter((violation) => violation.token === token)
+      .map((violation) => violation.field + ": " + violation.message);
+  }
+
+  function validate(folder, maxSupply, extraArgs = []) {
+    return spawnSync(
+      process.execPath,
+      [SCRIPT, "--folder", folder, "--max-supply", String(maxSupply), "--provenance", PROVENANCE, ...extraArgs],
+      { encoding: "utf8" }
+    );
+  }
+
+  it("Accepts a complete collection", async () => {
+    assert.deepEqual(validateFolder(VALID_FOLDER, { maxSupply: 4, provenance: PROVENANCE }), []);
+  });
+
+  it("Reports edition gaps, duplicates and unexpected files", async () => {
+    const violations = validateFolder(INVALID_FOLDER, options);
+    assert.deepEqual(violationsOf(violations, 4), [": missing metadata file"], "Gap not reported");
+    assert.include(violationsOf(violations, 1), "edition: duplicate edition in files 1, 2", "Duplicate not reported");
+    assert.include(violationsOf(violations, 2), "edition: expected 2, found 1", "Wrong edition not reported");
+    assert.include(violationsOf(violations, 5), ": token ID out of range 0..4", "Token out of range not reported");
+    assert.include(violationsOf(violations, null), ": unexpected file 'notes.txt'");
+  });
+
+  it("Reports bad image hashes and provenance mismatches", async () => {
+    const violations = validateFolder(INVALID_FOLDER, options);
+    assert.deepEqual(violationsOf(violations, 0), ["image_file_hash: not a 64-char sha256 hex string"]);
+    assert.deepEqual(violationsOf(violations, 1).slice(0, 1), [
+      "collection_provenance_hash: expected " + PROVENANCE + ", found " + JSON.stringify("0".repeat(64)),
+    ]);
+    const valid = JSON.parse(fs.readFileSync(path.join(VALID_FOLDER, "0"), "utf8"));
+    const { image_file_hash, ...noHash } = valid;
+    assert.deepEqual(violationsOf(validateToken(noHash, 0, options), 0), ["image_file_hash: missing"]);
+    const upperCase = { ...valid, image_file_hash: image_file_hash.toUpperCase() };
+    assert.lengthOf(validateToken(upperCase, 0, options), 1, "Upper case hash accepted");
+  });
+
+  it("Reports duplicate traits and non-numeric display types", async () => {
+    assert.deepEqual(violationsOf(validateFolder(INVALID_FOLDER, options), 3), [
+      "attributes[1].trait_type: duplicate trait 'Background'",
+      "attributes[2].display_type: requires a numeric value",
+    ]);
+    const valid = JSON.parse(fs.readFileSync(path.join(VALID_FOLDER, "1"), "utf8"));
+    const unknownType = { ...valid, attributes: [{ trait_type: "Level", value: 2, display_type: "stars" }] };
+    assert.deepEqual(violationsOf(validateToken(unknownType, 1, options), 1), [
+      "attributes[0].display_type: unknown display type",
+    ]);
+  });
+
+  it("Exits with a non-zero code on violations", async () => {
+    const reportPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "ldp-validate-")), "report.json");
+    try {
+      const failed = validate(INVALID_FOLDER, 5, ["--output", reportPath]);
+      assert.equal(failed.status, 1, "Violations not reflected in the exit code");
+      assert.include(failed.stderr, "Found 9 violation(s)");
+      assert.include(failed.stdout, "token 4: missing metadata file");
+      assert.lengthOf(JSON.parse(fs.readFileSync(reportPath, "utf8")), 9, "Wrong report");
+
+      const passed = validate(VALID_FOLDER, 4);
+      assert.equal(passed.status, 0, passed.stderr);
+      assert.include(passed.stdout, "All 4 metadata files are valid.");
+    } finally {
+      fs.rmSync(path.dirname(reportPath), { recursive: true, force: true });
+    }
+  });
+});
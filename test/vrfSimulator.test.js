@@ -0,0 +1,112 @@
+const { assert } = require("chai");
+const {
+  randomnessFor,
+  randomnessForOffset,
+  expectedRevealOffset,
+  expectedDrawRandomness,
+  loadContracts,
+  findPendingRequests,
+  watch,
+} = require("../scripts/vrfSimulator.js");
+const { readDraw } = require("../scripts/luckyDraw.js");
+const {
+  LuckyDuckPack,
+  LDPLuckyDraw,
+  initChainlinkMocks,
+} = require("./common/contractsInit.js");
+
+contract("VRF simulator", async (accounts) => {
+  const maxSupply = 4;
+  var admin, minter;
+  var VRFContract, linkContract, nftContract, luckyDrawContract;
+
+  before(async function () {
+    admin = accounts[0];
+    minter = accounts[7];
+    [VRFContract, linkContract] = await initChainlinkMocks(admin);
+    luckyDrawContract = await LDPLuckyDraw.new(VRFContract.address, linkContract.address);
+    await linkContract.transfer(luckyDrawContract.address, web3.utils.toWei("1", "ether"), { from: admin });
+  });
+
+  // Deploy, initialize and mint out a new NFT contract, then request the reveal
+  async function requestReveal() {
+    nftContract = await LuckyDuckPack.new(VRFContract.address, linkContract.address, maxSupply);
+    await linkContract.transfer(nftContract.address, web3.utils.toWei("2", "ether"), { from: admin });
+    await nftContract.initialize(minter, accounts[8], "contract", "unrevealed", "ipfs://", "ar://", { from: admin });
+    await nftContract.mint_Qgo(accounts[1], maxSupply, { from: minter });
+    await nftContract.reveal();
+  }
+
+  // Keeps the fulfillment reports out of the test output
+  const report = () => {};
+
+  function contracts() {
+    return loadContracts(web3, {
+      coordinator: VRFContract.address,
+      nft: nftContract.address,
+      luckyDraw: luckyDrawContract.address,
+    });
+  }
+
+  it("Computes the expected values", async () => {
+    const requestId = web3.utils.keccak256("request");
+    assert.equal(randomnessFor(requestId, { seed: 1 }), randomnessFor(requestId, { seed: "1" }), "Not deterministic");
+    assert.notEqual(randomnessFor(requestId, { seed: 1 }), randomnessFor(requestId, { seed: 2 }), "Seed ignored");
+    assert.equal(randomnessFor(requestId, { randomness: "42" }), "42", "Chosen value ignored");
+    assert.equal(expectedRevealOffset(randomnessForOffset(3, 10), 10), "3", "Wrong offset");
+    assert.equal(expectedRevealOffset(randomnessForOffset(0, 10), 10), "1", "Zero offset not forced to 1");
+    const big = (1n << 200n) + 5n;
+    assert.equal(expectedDrawRandomness(big), (big % ((1n << 128n) - 1n)).toString(), "Wrong draw reduction");
+  });
+
+  it("Fulfills pending reveal and draw requests", async () => {
+    await requestReveal();
+    const dataHash = web3.utils.keccak256("draw 1");
+    await luckyDrawContract.requestRandomDraw(dataHash, 10, 2, { from: admin });
+    const pending = await findPendingRequests(contracts());
+    assert.deepEqual(pending.map((request) => request.kind), ["reveal", "draw"], "Wrong pending requests");
+
+    const failures = await watch(web3, contracts(), { seed: "test", once: true, from: admin, report });
+    assert.equal(failures, 0, "Fulfillment not applied");
+    assert.lengthOf(await findPendingRequests(contracts()), 0, "Requests still pending");
+
+    const revealRandomness = randomnessFor(pending[0].requestId, { seed: "test" });
+    assert.equal(
+      String(await nftContract.revealOffset()),
+      expectedRevealOffset(revealRandomness, maxSupply),
+      "Wrong reveal offset"
+    );
+    const draw = await readDraw(web3, luckyDrawContract.address, dataHash);
+    assert.equal(
+      String(draw.randomness),
+      expectedDrawRandomness(randomnessFor(pending[1].requestId, { seed: "test" })),
+      "Wrong draw randomness"
+    );
+  });
+
+  it("Forces the reveal offset to 1 when randomness % MAX_SUPPLY == 0", async () => {
+    await requestReveal();
+    const failures = await watch(web3, contracts(), { revealOffset: 0, once: true, from: admin, report });
+    assert.equal(failures, 0, "Fulfillment not applied");
+    assert.equal(String(await nftContract.revealOffset()), "1", "Offset not forced to 1");
+  });
+
+  it("Reports a failed fulfillment once", async () => {
+    await requestReveal();
+    // Revealed through another request: the callback of the pending one reverts
+    await VRFContract.callBackWithRandomness(web3.utils.keccak256("other"), 5, nftContract.address, { from: admin });
+    const attempted = new Set();
+    const results = [];
+    const collect = (result) => results.push(result);
+    const options = { randomness: "2", once: true, from: admin, attempted, report: collect };
+    const failures = await watch(web3, contracts(), options);
+    assert.equal(failures, 1, "Failure not reported");
+    assert.deepEqual(results.map((result) => [result.request.kind, result.ok]), [["reveal", false]], "Wrong report");
+    assert.lengthOf(await findPendingRequests(contracts()), 1, "Failed request not pending");
+    const block = await web3.eth.getBlockNumber();
+    const retried = await watch(web3, contracts(), options);
+    assert.equal(retried, 0, "Failure reported twice");
+    assert.lengthOf(results, 1, "Request attempted twice");
+    assert.equal(await web3.eth.getBlockNumber(), block, "Failed request sent again");
+  });
+});
@@ -37,6 +37,13 @@ module.exports = {
    */
 
   networks: {
+    // Local LDP stack: ganache started by `npm run local` (scripts/localChain.js),
+    // with the mocks and the Test contracts deployed by 50_testContracts_migration.js
+    local: {
+      host: "127.0.0.1",
+      port: process.env.LOCAL_CHAIN_PORT || 8545,
+      network_id: 1337,
+    },
     // Useful for testing. The `development` name is special - truffle uses it by default
     // if it's defined here and no other network is specified at the command line.
     // You should run a client (like ganache, geth, or parity) in a separate terminal